@@ -104,6 +104,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             }
             break;
 
+        case 'showMentionNotification':
+            // Desktop notification for a real-time @mention (see MentionNotifier)
+            if (request.notification && sender.tab) {
+                showMentionNotification(request.notification, sender.tab)
+                    .then(() => sendResponse({ success: true }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Will respond asynchronously
+            }
+            sendResponse({ success: false, error: 'Missing notification data' });
+            break;
+
         case 'contentScriptReady':
             // Content script is signaling it's ready
             if (sender.tab && sender.tab.id) {
@@ -221,6 +232,82 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     });
                 });
             return true; // Will respond asynchronously
+
+        case 'GET_UPCOMING_MEETINGS':
+            // List the next events on the primary calendar (popup and sidebar panel)
+            fetchUpcomingMeetings(request.options || {})
+                .then(result => {
+                    sendResponse({ success: true, ...result });
+                })
+                .catch(error => {
+                    sendResponse({ success: false, error: error.message });
+                });
+            return true; // Will respond asynchronously
+    }
+});
+
+// ===== MENTION NOTIFICATIONS =====
+
+const MENTION_NOTIFICATION_PREFIX = 'wv-mention-';
+
+/**
+ * Show a mention notification and remember which tab raised it.
+ * The same message ID always maps to the same notification, so several open
+ * WorkVivo tabs reporting one mention only produce one notification.
+ */
+async function showMentionNotification(notification, tab) {
+    const notificationId = `${MENTION_NOTIFICATION_PREFIX}${notification.messageId}`;
+
+    // Service worker may be restarted before the click, so keep targets in session storage
+    const { mentionNotificationTargets = {} } = await chrome.storage.session.get('mentionNotificationTargets');
+    mentionNotificationTargets[notificationId] = {
+        ...notification,
+        tabId: tab.id,
+        windowId: tab.windowId,
+        origin: new URL(tab.url).origin
+    };
+    await chrome.storage.session.set({ mentionNotificationTargets });
+
+    await chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: notification.title,
+        message: notification.message || '',
+        contextMessage: notification.contextMessage || 'WorkVivo mention',
+        priority: 1
+    });
+}
+
+async function takeMentionNotificationTarget(notificationId) {
+    const { mentionNotificationTargets = {} } = await chrome.storage.session.get('mentionNotificationTargets');
+    const target = mentionNotificationTargets[notificationId] || null;
+    delete mentionNotificationTargets[notificationId];
+    await chrome.storage.session.set({ mentionNotificationTargets });
+    return target;
+}
+
+// Clicking a mention notification focuses its tab and navigates to the message
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    if (!notificationId.startsWith(MENTION_NOTIFICATION_PREFIX)) return;
+
+    chrome.notifications.clear(notificationId);
+    const target = await takeMentionNotificationTarget(notificationId);
+    if (!target) return;
+
+    try {
+        await chrome.tabs.update(target.tabId, { active: true });
+        await chrome.windows.update(target.windowId, { focused: true });
+        await chrome.tabs.sendMessage(target.tabId, { action: 'navigateToMention', notification: target });
+    } catch (error) {
+        // Original tab is gone - open the chat in a new tab instead
+        console.warn('Mention notification tab unavailable, opening chat:', error.message);
+        chrome.tabs.create({ url: `${target.origin}/chat/${target.channelUrl}`, active: true });
+    }
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+    if (notificationId.startsWith(MENTION_NOTIFICATION_PREFIX)) {
+        takeMentionNotificationTarget(notificationId);
     }
 });
 
@@ -2056,3 +2143,90 @@ async function handleClearGoogleAuth() {
         throw error;
     }
 }
+
+// ===== UPCOMING MEETINGS =====
+
+// Calendar entries that block time but are never joined (focus time is opt-in, see below)
+const NON_MEETING_EVENT_TYPES = ['outOfOffice', 'workingLocation'];
+
+/**
+ * Fetch upcoming meetings from the user's primary Google Calendar
+ * Shared by the popup and the in-page Upcoming panel so both use the same
+ * token refresh path and event shape
+ *
+ * @param {Object} options
+ * @param {number} options.hoursAhead - How far ahead to look (default 24h)
+ * @param {number} options.maxResults - Maximum number of events to return
+ * @param {boolean} options.includeDeclined - Keep events the user declined
+ * @param {boolean} options.includeAllDay - Keep all-day events
+ * @param {boolean} options.includeFocusTime - Keep focus time blocks
+ * @returns {Promise<{isSignedIn: boolean, meetings?: Array}>}
+ */
+async function fetchUpcomingMeetings({
+    hoursAhead = 24,
+    maxResults = 10,
+    includeDeclined = false,
+    includeAllDay = false,
+    includeFocusTime = false
+} = {}) {
+    const token = await getValidAccessToken();
+    if (!token) {
+        return { isSignedIn: false, meetings: [] };
+    }
+
+    // timeMin is compared against event end times, so meetings already in progress are included
+    const now = new Date();
+    const timeMax = new Date(now.getTime() + hoursAhead * 60 * 60 * 1000);
+
+    const url = new URL('https://www.googleapis.com/calendar/v3/calendars/primary/events');
+    url.searchParams.append('timeMin', now.toISOString());
+    url.searchParams.append('timeMax', timeMax.toISOString());
+    url.searchParams.append('singleEvents', 'true');
+    url.searchParams.append('orderBy', 'startTime');
+    // Over-fetch a little - some events are dropped below
+    url.searchParams.append('maxResults', String(maxResults * 2));
+
+    const response = await fetch(url.toString(), {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (response.status === 403 || response.status === 401) {
+        throw new Error('PERMISSION_DENIED');
+    }
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error?.message || `Calendar request failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    const meetings = (data.items || [])
+        .filter(event => event.status !== 'cancelled' && !NON_MEETING_EVENT_TYPES.includes(event.eventType))
+        .filter(event => includeFocusTime || event.eventType !== 'focusTime')
+        .map(event => {
+            const self = (event.attendees || []).find(attendee => attendee.self);
+            const videoEntry = (event.conferenceData?.entryPoints || []).find(entry => entry.entryPointType === 'video');
+            const wvProps = event.extendedProperties?.private || {};
+            const allDay = !event.start?.dateTime;
+
+            return {
+                id: event.id,
+                title: event.summary || '(No title)',
+                start: event.start?.dateTime || event.start?.date,
+                end: event.end?.dateTime || event.end?.date,
+                allDay,
+                meetLink: event.hangoutLink || videoEntry?.uri || null,
+                htmlLink: event.htmlLink || null,
+                responseStatus: self?.responseStatus || null,
+                eventType: event.eventType || 'default',
+                channelUrl: wvProps.wvChannelUrl || null,
+                channelName: wvProps.wvChannelName || null
+            };
+        })
+        // By default all-day entries and invites the user declined aren't meetings they'll join
+        .filter(meeting => includeAllDay || !meeting.allDay)
+        .filter(meeting => includeDeclined || meeting.responseStatus !== 'declined')
+        .slice(0, maxResults);
+
+    return { isSignedIn: true, meetings };
+}
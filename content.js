@@ -497,6 +497,19 @@ class WorkVivoFavorites {
         return true;
     }
 
+    /**
+     * The one WebSocketStateManager for the page, created on first use
+     * ThreadManager, MentionNotifier and KeywordWatcher all subscribe to it, so each
+     * socket event is parsed once whichever of them are enabled.
+     * @returns {WebSocketStateManager|null} Null when the class isn't loaded
+     */
+    getWebSocketManager() {
+        if (!this.wsManager && window.WVFavs?.WebSocketStateManager) {
+            this.wsManager = new window.WVFavs.WebSocketStateManager();
+        }
+        return this.wsManager || null;
+    }
+
     setupURLChangeDetection() {
         // Detect URL changes for SPA navigation (WorkVivo uses client-side routing)
         let lastUrl = location.href;
@@ -705,6 +718,24 @@ class WorkVivoFavorites {
 
         WVFavs.SearchEngine.init(this);
 
+        // Initialize Message Index (before ThreadManager, which feeds it intercepted messages)
+        this.logger.log('🗂️ Initializing MessageIndex...');
+        if (!this.isFeatureEnabled('messageIndex', 'enableMessageIndex')) {
+            this.logger.log('⏸️ MessageIndex disabled');
+        } else if (WVFavs.MessageIndex) {
+            try {
+                this.messageIndex = new WVFavs.MessageIndex(this);
+                await this.messageIndex.init();
+                window.wvMessageIndex = this.messageIndex; // Expose for debugging
+                this.logger.log('✅ MessageIndex initialized');
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize MessageIndex:', error);
+                console.error('MessageIndex initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ MessageIndex class not found in WVFavs namespace');
+        }
+
         // Initialize Thread Manager
         this.logger.log('🧵 Initializing ThreadManager...');
         if (!this.isFeatureEnabled('threadManager', 'enableThreadsPanel')) {
@@ -781,6 +812,42 @@ class WorkVivoFavorites {
             this.logger.warn('⚠️ DraftManager class not found in WVFavs namespace');
         }
 
+        // Initialize Scheduled Send (requires DraftManager)
+        this.logger.log('⏰ Initializing ScheduledSendManager...');
+        if (!this.draftManager || !this.isFeatureEnabled('scheduledSend', 'enableScheduledSend')) {
+            this.logger.log('⏸️ ScheduledSendManager disabled');
+        } else if (WVFavs.ScheduledSendManager) {
+            try {
+                this.scheduledSend = new WVFavs.ScheduledSendManager(this);
+                await this.scheduledSend.init();
+                window.wvScheduledSend = this.scheduledSend; // Expose for debugging
+                this.logger.log('✅ ScheduledSendManager initialized');
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize ScheduledSendManager:', error);
+                console.error('ScheduledSendManager initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ ScheduledSendManager class not found in WVFavs namespace');
+        }
+
+        // Initialize Snippets (managed from the Drafts panel, so requires DraftManager)
+        this.logger.log('✂️ Initializing SnippetManager...');
+        if (!this.draftManager || !this.isFeatureEnabled('snippets', 'enableSnippets')) {
+            this.logger.log('⏸️ SnippetManager disabled');
+        } else if (WVFavs.SnippetManager) {
+            try {
+                this.snippetManager = new WVFavs.SnippetManager(this);
+                await this.snippetManager.init();
+                window.wvSnippetManager = this.snippetManager; // Expose for debugging
+                this.logger.log('✅ SnippetManager initialized');
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize SnippetManager:', error);
+                console.error('SnippetManager initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ SnippetManager class not found in WVFavs namespace');
+        }
+
         // Initialize User Identity Manager
         this.logger.debug('⚙️ [WV STATUS] Initializing UserIdentityManager...');
         this.logger.log('🔐 Initializing UserIdentityManager...');
@@ -857,6 +924,42 @@ class WorkVivoFavorites {
             }
         }
 
+        // Initialize Mention Notifier (requires UserIdentityManager; shares ThreadManager's WebSocket)
+        this.logger.log('🔔 Initializing MentionNotifier...');
+        if (!this.isFeatureEnabled('mentionNotifier', 'enableMentionNotifications')) {
+            this.logger.log('⏸️ MentionNotifier disabled');
+        } else if (WVFavs.MentionNotifier && this.userIdentity) {
+            try {
+                this.mentionNotifier = new WVFavs.MentionNotifier(this);
+                await this.mentionNotifier.init();
+                window.wvMentionNotifier = this.mentionNotifier; // Expose for debugging
+                this.logger.log('✅ MentionNotifier initialized');
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize MentionNotifier:', error);
+                console.error('MentionNotifier initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ MentionNotifier class not found or UserIdentityManager unavailable');
+        }
+
+        // Initialize Keyword Watcher (hits are shown in the Mentions panel's Watched tab)
+        this.logger.log('👀 Initializing KeywordWatcher...');
+        if (!this.isFeatureEnabled('keywordWatcher', 'enableMentionsPanel')) {
+            this.logger.log('⏸️ KeywordWatcher disabled');
+        } else if (WVFavs.KeywordWatcher) {
+            try {
+                this.keywordWatcher = new WVFavs.KeywordWatcher(this);
+                await this.keywordWatcher.init();
+                window.wvKeywordWatcher = this.keywordWatcher; // Expose for debugging
+                this.logger.log('✅ KeywordWatcher initialized');
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize KeywordWatcher:', error);
+                console.error('KeywordWatcher initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ KeywordWatcher class not found');
+        }
+
         // Initialize Search Manager (for channel message search)
         this.logger.log('🔍 Initializing SearchManager...');
         if (!this.isFeatureEnabled('searchManager')) {
@@ -916,6 +1019,57 @@ class WorkVivoFavorites {
             }
         }
 
+        // Initialize Thread Inbox Panel (requires ThreadManager)
+        this.logger.log('🧵 Initializing ThreadInboxPanel...');
+        if (!this.threadManager) {
+            this.logger.log('⏸️ ThreadInboxPanel disabled (ThreadManager not initialized)');
+        } else if (WVFavs.ThreadInboxPanel) {
+            try {
+                this.threadInboxPanel = new WVFavs.ThreadInboxPanel(this);
+                window.wvThreadInboxPanel = this.threadInboxPanel; // Expose for debugging
+                this.logger.log('✅ ThreadInboxPanel initialized');
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize ThreadInboxPanel:', error);
+                console.error('ThreadInboxPanel initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ ThreadInboxPanel class not found in WVFavs namespace');
+        }
+
+        // Initialize Thread catch-up view (requires ThreadManager)
+        this.logger.log('🧵 Initializing ThreadDigestView...');
+        if (!this.threadManager) {
+            this.logger.log('⏸️ ThreadDigestView disabled (ThreadManager not initialized)');
+        } else if (WVFavs.ThreadDigestView) {
+            try {
+                this.threadDigestView = new WVFavs.ThreadDigestView(this);
+                window.wvThreadDigestView = this.threadDigestView; // Expose for debugging
+                this.logger.log('✅ ThreadDigestView initialized');
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize ThreadDigestView:', error);
+                console.error('ThreadDigestView initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ ThreadDigestView class not found in WVFavs namespace');
+        }
+
+        // Initialize Activity Panel (requires ThreadManager)
+        this.logger.log('📊 Initializing ActivityPanel...');
+        if (!this.threadManager) {
+            this.logger.log('⏸️ ActivityPanel disabled (ThreadManager not initialized)');
+        } else if (WVFavs.ActivityPanel) {
+            try {
+                this.activityPanel = new WVFavs.ActivityPanel(this);
+                window.wvActivityPanel = this.activityPanel; // Expose for debugging
+                this.logger.log('✅ ActivityPanel initialized');
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize ActivityPanel:', error);
+                console.error('ActivityPanel initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ ActivityPanel class not found in WVFavs namespace');
+        }
+
         // Initialize Status Dialog (requires UserIdentityManager)
         this.logger.debug('📝 [WV STATUS] About to initialize StatusDialog...');
         this.logger.log('📝 Initializing StatusDialog...');
@@ -1023,6 +1177,80 @@ class WorkVivoFavorites {
             this.logger.warn('⚠️ GoogleMeetManager class not found in WVFavs namespace');
         }
 
+        // Initialize Upcoming Meetings panel (requires GoogleMeetManager for calendar access)
+        this.logger.log('📅 Initializing UpcomingMeetingsPanel...');
+        if (!this.googleMeetManager) {
+            this.logger.log('⏸️ UpcomingMeetingsPanel disabled (GoogleMeetManager not initialized)');
+        } else if (this.settings.get('enableUpcomingMeetings') === false) {
+            this.logger.log('⏸️ UpcomingMeetingsPanel disabled');
+        } else if (WVFavs.UpcomingMeetingsPanel) {
+            try {
+                this.upcomingMeetingsPanel = new WVFavs.UpcomingMeetingsPanel(this);
+                window.wvUpcomingMeetings = this.upcomingMeetingsPanel; // Expose for debugging
+                this.logger.log('✅ UpcomingMeetingsPanel initialized');
+
+                // The sidebar button group was built before calendar access was available
+                WVFavs.DomManager.refreshButtonGroup().catch(err => {
+                    this.logger.warn('⚠️ Failed to add Upcoming button:', err);
+                });
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize UpcomingMeetingsPanel:', error);
+                console.error('UpcomingMeetingsPanel initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ UpcomingMeetingsPanel class not found in WVFavs namespace');
+        }
+
+        // Initialize calendar-driven status (requires GoogleMeetManager and UserIdentityManager)
+        // Always created so it can be switched on from the status dialog; autoMeetingStatus gates each check
+        this.logger.log('📅 Initializing MeetingStatusManager...');
+        if (!this.googleMeetManager || !this.userIdentity) {
+            this.logger.log('⏸️ MeetingStatusManager disabled (GoogleMeetManager or UserIdentityManager not initialized)');
+        } else if (!this.isFeatureEnabled('statusManager', 'enableStatusUpdates')) {
+            this.logger.log('⏸️ MeetingStatusManager disabled (status updates off)');
+        } else if (WVFavs.MeetingStatusManager) {
+            try {
+                this.meetingStatus = new WVFavs.MeetingStatusManager(this);
+                await this.meetingStatus.init();
+                window.wvMeetingStatus = this.meetingStatus; // Expose for debugging
+                this.logger.log('✅ MeetingStatusManager initialized');
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize MeetingStatusManager:', error);
+                console.error('MeetingStatusManager initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ MeetingStatusManager class not found in WVFavs namespace');
+        }
+
+        // Initialize Polls (requires UserIdentityManager for the voter/creator ID)
+        this.logger.log('📊 Initializing PollManager...');
+        if (!this.isFeatureEnabled('pollManager', 'enablePolls')) {
+            this.logger.log('⏸️ PollManager disabled');
+        } else if (!this.userIdentity) {
+            this.logger.log('⏸️ PollManager disabled (UserIdentityManager not initialized)');
+        } else if (WVFavs.PollManager && WVFavs.PollUI) {
+            try {
+                this.pollManager = new WVFavs.PollManager(this);
+                await this.pollManager.init();
+                window.wvPollManager = this.pollManager; // Expose for debugging
+
+                // Results panel first so poll cards get their "Results" link
+                if (WVFavs.PollResultsPanel) {
+                    this.pollResultsPanel = new WVFavs.PollResultsPanel(this);
+                    window.wvPollResultsPanel = this.pollResultsPanel; // Expose for debugging
+                }
+
+                this.pollUI = new WVFavs.PollUI(this);
+                this.pollUI.init();
+                this.logger.log('✅ PollManager initialized');
+            } catch (error) {
+                this.logger.error('❌ Failed to initialize PollManager:', error);
+                console.error('PollManager initialization error:', error);
+            }
+        } else {
+            this.logger.warn('⚠️ PollManager or PollUI class not found in WVFavs namespace');
+        }
+
         this.logger.log('🔄 Running migration...');
         await this.migratePinnedChats();
 
@@ -1843,6 +2071,28 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
             }
             break;
 
+        case 'navigateToMention':
+            // Mention notification clicked (background has already focused this tab)
+            if (request.notification && wvf?.mentionNotifier) {
+                wvf.mentionNotifier.openFromNotification(request.notification)
+                    .then(() => sendResponse({ success: true }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Indicates async response
+            }
+            sendResponse({ success: false, error: 'Mention notifications not available' });
+            break;
+
+        case 'postMeetingJoiningNotice':
+            // "Joining in 2 min" requested from the popup's Upcoming list
+            if (request.meeting && wvf?.upcomingMeetingsPanel) {
+                wvf.upcomingMeetingsPanel.postJoiningNotice(request.meeting)
+                    .then(sent => sendResponse({ success: true, sent }))
+                    .catch(error => sendResponse({ success: false, error: error.message }));
+                return true; // Indicates async response
+            }
+            sendResponse({ success: false, error: 'Upcoming meetings not available' });
+            break;
+
         case 'updateSettings':
             // Update settings from options page
             console.log('🔧 [SETTINGS] Received updateSettings message with:', request.settings);
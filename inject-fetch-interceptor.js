@@ -199,6 +199,16 @@
                 }
 
             }
+            // Force include_poll_details=true so poll messages carry their options and vote counts
+            if (url.includes('/messages?') && !url.includes('include_poll_details=')) {
+                url = url + '&include_poll_details=true';
+
+                if (typeof args[0] === 'string') {
+                    args[0] = url;
+                } else if (args[0]?.url) {
+                    args[0] = { ...args[0], url: url };
+                }
+            }
             // Extract channel URL
             const channelMatch = url.match(/group_channels\/(sendbird_group_channel_[^\/\?]+)/);
             const channelUrl = channelMatch ? channelMatch[1] : null;
@@ -125,7 +125,8 @@
 
               // Additional metadata
               mentions: data.mentioned_users || [],
-              reactions: data.reactions_summary || []
+              reactions: data.reactions_summary || [],
+              poll: data.poll || null
             }
           }));
 
@@ -221,6 +222,32 @@
           }));
           break;
 
+        case 'VOTE':
+          // Poll vote counts changed (someone voted or changed their vote)
+          log('Poll vote event:', data.poll_id);
+          window.dispatchEvent(new CustomEvent('wv-poll-vote-received', {
+            detail: {
+              pollId: data.poll_id,
+              channelUrl: data.channel_url,
+              messageId: data.message_id,
+              voteCounts: data.updated_vote_counts || [],
+              timestamp: data.ts || Date.now()
+            }
+          }));
+          break;
+
+        case 'PEDI':
+          // Poll edited or closed
+          log('Poll update event:', data.poll?.id);
+          window.dispatchEvent(new CustomEvent('wv-poll-update-received', {
+            detail: {
+              poll: data.poll || null,
+              channelUrl: data.channel_url,
+              messageId: data.message_id
+            }
+          }));
+          break;
+
         case 'UPDT':
           // Update event (message edited, etc)
           log('Update event');
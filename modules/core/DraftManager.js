@@ -10,8 +10,14 @@
  * - Auto-restore on channel change
  * - Preserves @mentions with proper highlighting
  * - Clear draft after successful send
+ * - Revision history per draft (snapshots on meaningful change)
+ * - Recently sent archive: last N sent messages per channel, for re-use or recovery
  *
- * Storage: localStorage with key 'wv_draft_lexical'
+ * Storage: IndexedDB 'wv_drafts' with one record per draft ('drafts'), per revision
+ * history ('revisions') and per channel's sent archive ('sent'). Reads come from an in-memory copy loaded at init; writes go
+ * through to IndexedDB and are broadcast to other tabs on the 'wv-drafts' BroadcastChannel.
+ * Drafts from the old localStorage key 'wv_draft_lexical' are migrated on first run, and
+ * localStorage is still used as a fallback when IndexedDB can't be opened.
  *
  * @version 1.0.0
  */
@@ -52,11 +58,39 @@ WVFavs.DraftManager = class DraftManager {
         this.lastUserInputTime = 0; // Track last time user typed
         this.idleCheckInterval = null; // Interval to check for idle state
 
+        // Storage: in-memory copies of the IndexedDB stores (see loadStorage)
+        this.db = null;
+        this.drafts = {};    // draftKey -> draft
+        this.revisions = {}; // draftKey -> [revision] oldest first
+        this.sentArchive = {}; // channelUrl -> [sent message] newest first
+        this.syncChannel = null;
+
         // Configuration
         this.config = {
-            storageKey: 'wv_draft_lexical',
+            dbName: 'wv_drafts',
+            dbVersion: 2, // v2: 'sent' store
+            syncChannelName: 'wv-drafts',
+            storageKey: 'wv_draft_lexical', // Legacy localStorage key (migration + fallback)
+            revisionsStorageKey: 'wv_draft_revisions',
+            sentStorageKey: 'wv_sent_archive', // localStorage fallback only
+            defaultAdasWindowSeconds: 60,
+            defaultSentArchiveSize: 10,
+            sentConfirmWindowMs: 30000, // A send not echoed back by the server within this is flagged
+            maxRevisionsPerDraft: 20,
+            revisionIntervalMs: 60000, // Edits within a minute update the latest snapshot...
+            revisionMinRemovedWords: 3, // ...unless they remove this many words
             saveDebounceMs: 500,
-            restoreDelayMs: 300 // Delay before restoring draft after channel change
+            restoreDelayMs: 300, // Delay before restoring draft after channel change
+            emptyEditorState: {
+                root: {
+                    children: [{ children: [], direction: null, format: '', indent: 0, type: 'paragraph', version: 1 }],
+                    direction: null,
+                    format: '',
+                    indent: 0,
+                    type: 'root',
+                    version: 1
+                }
+            }
         };
 
         this.logger.info('📝 DraftManager initialized');
@@ -69,6 +103,10 @@ WVFavs.DraftManager = class DraftManager {
         try {
             this.logger.info('📝 Starting DraftManager initialization...');
 
+            // Load drafts before anything can read or write them
+            await this.loadStorage();
+            this.setupCrossTabSync();
+
             // Channel will be set by wv-channel-changed event from ThreadManager
             this.logger.debug('⏳ Waiting for wv-channel-changed event...');
 
@@ -459,10 +497,16 @@ WVFavs.DraftManager = class DraftManager {
                 console.log('✅ [DraftManager] Draft capture re-enabled after send');
             }, 500); // Prevent saves for 500ms after send
 
+            // Keep a copy in the recently sent archive (first signal of a send only; later ones find the cache empty)
+            const sentContent = this.currentDraftContent;
+            if (sentContent?.textContent?.trim()) {
+                this.archiveSentMessage(sentContent);
+            }
+
             // Clear memory cache
             this.currentDraftContent = null;
 
-            // Clear localStorage
+            // Clear stored draft
             this.clearDraft(this.currentChannelUrl, this.currentThreadId);
 
             // Cancel pending saves
@@ -507,6 +551,7 @@ WVFavs.DraftManager = class DraftManager {
         window.addEventListener('wv-websocket-message-confirmed', (e) => {
             console.log('✅ [DraftManager] WebSocket confirmed message sent');
             clearDraftOnSend();
+            this.markSentDelivered(e.detail?.channelUrl, e.detail?.message);
         });
 
         this.logger.debug('✅ Two-stage send detection setup complete');
@@ -571,7 +616,7 @@ WVFavs.DraftManager = class DraftManager {
             }
         }
 
-        // Debounce write to localStorage (for performance)
+        // Debounce write to storage (for performance)
         this.saveDebounceTimer = setTimeout(async () => {
             console.log('⏰ [DraftManager] Save debounce complete, calling saveDraft()...');
             await this.saveDraft();
@@ -770,10 +815,10 @@ WVFavs.DraftManager = class DraftManager {
      * Handle channel change event
      *
      * Strategy:
-     * 1. Save the in-memory draft (captured from last input event) to localStorage
+     * 1. Save the in-memory draft (captured from last input event) to storage
      * 2. Clear pending save timers
      * 3. Update to new channel
-     * 4. Restore the new channel's draft from localStorage
+     * 4. Restore the new channel's draft from storage
      *
      * This avoids the race condition because we use the draft content that was
      * captured in memory during the last input event, rather than trying to read
@@ -801,7 +846,7 @@ WVFavs.DraftManager = class DraftManager {
             this.saveDebounceTimer = null;
         }
 
-        // Save the in-memory draft (if any) to localStorage immediately
+        // Save the in-memory draft (if any) to storage immediately
         // This draft was captured from the last input event, so it's for the OLD channel
         // BUT skip if we just sent a message (prevents restoring cleared draft)
         if (this.currentDraftContent && this.currentDraftContent.channelUrl && !this.sendDetector.justSent) {
@@ -876,7 +921,15 @@ WVFavs.DraftManager = class DraftManager {
     }
 
     /**
-     * Save draft from memory to localStorage
+     * Split a draft key back into channel URL and thread ID
+     */
+    parseDraftKey(draftKey) {
+        const [channelUrl, threadId = null] = draftKey.split('::thread::');
+        return { channelUrl, threadId };
+    }
+
+    /**
+     * Save draft from memory to storage
      * Used when switching channels to immediately save the cached draft
      */
     async saveDraftFromMemory(draftContent) {
@@ -898,9 +951,6 @@ WVFavs.DraftManager = class DraftManager {
                 return;
             }
 
-            // Load all drafts
-            const drafts = this.getAllDrafts();
-
             // Generate storage key based on context
             const draftKey = this.getDraftKey(channelUrl, threadId);
 
@@ -916,7 +966,7 @@ WVFavs.DraftManager = class DraftManager {
             }
 
             // Save draft
-            drafts[draftKey] = {
+            const draft = {
                 lexicalState: draftContent.lexicalState,
                 textContent: textContent,
                 timestamp: draftContent.timestamp,
@@ -924,8 +974,8 @@ WVFavs.DraftManager = class DraftManager {
                 parentMessageCreatedAt: parentMessageCreatedAt // Store parent timestamp for thread drafts
             };
 
-            // Write to localStorage
-            localStorage.setItem(this.config.storageKey, JSON.stringify(drafts));
+            this.writeDraft(draftKey, draft);
+            this.recordRevision(draftKey, draft);
 
             // Dispatch event for real-time panel updates
             document.dispatchEvent(new CustomEvent('wv-draft-updated'));
@@ -933,7 +983,7 @@ WVFavs.DraftManager = class DraftManager {
             // Update drafts button badge count
             this.updateDraftsButtonBadge();
 
-            console.log('💾 [DraftManager] Draft saved to localStorage:', {
+            console.log('💾 [DraftManager] Draft saved:', {
                 channel: channelUrl.substring(0, 40) + '...',
                 thread: threadId ? threadId.substring(0, 20) : 'main chat',
                 textLength: textContent.length,
@@ -955,7 +1005,7 @@ WVFavs.DraftManager = class DraftManager {
 
     /**
      * Save draft with pending deletion timestamp (Accidental Delete Assistance)
-     * Used when user clears text - saves draft for 60 seconds before permanent deletion
+     * Used when user clears text - saves draft for the ADAS window before permanent deletion
      */
     async saveDraftWithPendingDeletion(channelUrl, threadId, draftContent, pendingDeletion) {
         try {
@@ -966,9 +1016,6 @@ WVFavs.DraftManager = class DraftManager {
                 return;
             }
 
-            // Load all drafts
-            const drafts = this.getAllDrafts();
-
             // Generate storage key based on context
             const draftKey = this.getDraftKey(channelUrl, threadId);
 
@@ -984,17 +1031,14 @@ WVFavs.DraftManager = class DraftManager {
             }
 
             // Save draft with pendingDeletion flag
-            drafts[draftKey] = {
+            this.writeDraft(draftKey, {
                 lexicalState: draftContent.lexicalState,
                 textContent: textContent,
                 timestamp: draftContent.timestamp,
                 threadId: threadId,
                 parentMessageCreatedAt: parentMessageCreatedAt,
                 pendingDeletion: pendingDeletion // Timestamp when this draft should be deleted
-            };
-
-            // Write to localStorage
-            localStorage.setItem(this.config.storageKey, JSON.stringify(drafts));
+            });
 
             // Dispatch event for real-time panel updates
             document.dispatchEvent(new CustomEvent('wv-draft-updated'));
@@ -1043,7 +1087,7 @@ WVFavs.DraftManager = class DraftManager {
         try {
             const drafts = this.getAllDrafts();
             const now = Date.now();
-            let deletedCount = 0;
+            const expiredKeys = [];
 
             // Find and delete expired drafts
             for (const [key, draft] of Object.entries(drafts)) {
@@ -1054,18 +1098,17 @@ WVFavs.DraftManager = class DraftManager {
                         preview: draft.textContent?.substring(0, 30)
                     });
 
-                    delete drafts[key];
-                    deletedCount++;
+                    expiredKeys.push(key);
                 }
             }
 
             // If any drafts were deleted, update storage and UI
-            if (deletedCount > 0) {
-                localStorage.setItem(this.config.storageKey, JSON.stringify(drafts));
+            if (expiredKeys.length > 0) {
+                this.removeDrafts(expiredKeys);
                 document.dispatchEvent(new CustomEvent('wv-draft-updated'));
                 this.updateDraftsButtonBadge();
 
-                this.logger.debug(`🗑️ Cleaned up ${deletedCount} expired drafts`);
+                this.logger.debug(`🗑️ Cleaned up ${expiredKeys.length} expired drafts`);
             }
         } catch (error) {
             console.error('❌ [DraftManager] Error cleaning up expired drafts:', error);
@@ -1188,9 +1231,10 @@ WVFavs.DraftManager = class DraftManager {
             const adasEnabled = WVFavs.Settings?.get('adasEnabled') ?? true; // Default to true if not set
 
             if (adasEnabled) {
-                // ADAS ON: Save with auto-delete (pending deletion with 60s countdown)
-                console.log('🛡️ [DraftManager] ADAS ON: Saving with auto-delete (60s)', { marker });
-                const pendingDeletion = Date.now() + 60000; // 60 seconds from now
+                // ADAS ON: Save with auto-delete (pending deletion with countdown)
+                const windowMs = this.getAdasWindowMs();
+                console.log(`🛡️ [DraftManager] ADAS ON: Saving with auto-delete (${windowMs / 1000}s)`, { marker });
+                const pendingDeletion = Date.now() + windowMs;
                 await this.saveDraftWithPendingDeletion(
                     processingDraft.channelUrl,
                     processingDraft.threadId,
@@ -1275,6 +1319,68 @@ WVFavs.DraftManager = class DraftManager {
         });
     }
 
+    /**
+     * Submit the active composer in page context (presses Enter in the editor)
+     * Used by ScheduledSendManager after restoring a scheduled message
+     */
+    async submitEditorInPageContext() {
+        return new Promise((resolve) => {
+            const requestId = `draft-submit-${Date.now()}-${Math.random()}`;
+
+            // Set up response listener
+            const responseHandler = (event) => {
+                if (event.detail.requestId === requestId) {
+                    document.removeEventListener('wv-fav-api-response', responseHandler);
+                    resolve(event.detail.data);
+                }
+            };
+
+            document.addEventListener('wv-fav-api-response', responseHandler);
+
+            // Send request to page context
+            document.dispatchEvent(new CustomEvent('wv-fav-api-request', {
+                detail: {
+                    requestId,
+                    action: 'submitLexicalEditor',
+                    data: {}
+                }
+            }));
+
+            // Timeout after 2 seconds
+            setTimeout(() => {
+                document.removeEventListener('wv-fav-api-response', responseHandler);
+                resolve({ success: false, error: 'Timeout' });
+            }, 2000);
+        });
+    }
+
+    /**
+     * Empty the composer without treating it as a deletion (no ADAS countdown)
+     * Only acts when the given context is the one currently open
+     * @returns {Promise<boolean>} Whether the composer was cleared
+     */
+    async clearComposer(channelUrl, threadId = null) {
+        if (channelUrl !== this.currentChannelUrl || (threadId || null) !== (this.currentThreadId || null)) {
+            return false;
+        }
+
+        if (this.saveDebounceTimer) {
+            clearTimeout(this.saveDebounceTimer);
+            this.saveDebounceTimer = null;
+        }
+        this.currentDraftContent = null;
+
+        this.isRestoringDraft = true;
+        const result = await this.setLexicalEditorStateInPageContext(this.config.emptyEditorState);
+
+        // Outlast the MutationObserver throttle so the cleared editor isn't captured as a deletion
+        setTimeout(() => {
+            this.isRestoringDraft = false;
+        }, 300);
+
+        return !!result?.success;
+    }
+
     /**
      * Save draft for current or specified channel and thread context
      */
@@ -1317,9 +1423,6 @@ WVFavs.DraftManager = class DraftManager {
                 return;
             }
 
-            // Load all drafts
-            const drafts = this.getAllDrafts();
-
             // Generate storage key based on context
             const draftKey = this.getDraftKey(targetChannel, targetThreadId);
 
@@ -1330,7 +1433,7 @@ WVFavs.DraftManager = class DraftManager {
             }
 
             // Save draft with metadata
-            drafts[draftKey] = {
+            const draft = {
                 lexicalState: lexicalState,
                 textContent: textContent,
                 timestamp: Date.now(),
@@ -1338,8 +1441,8 @@ WVFavs.DraftManager = class DraftManager {
                 parentMessageCreatedAt: parentMessageCreatedAt  // Store parent message timestamp
             };
 
-            // Save to localStorage
-            localStorage.setItem(this.config.storageKey, JSON.stringify(drafts));
+            this.writeDraft(draftKey, draft);
+            this.recordRevision(draftKey, draft);
 
             // Dispatch event for real-time panel updates
             document.dispatchEvent(new CustomEvent('wv-draft-updated'));
@@ -1347,13 +1450,13 @@ WVFavs.DraftManager = class DraftManager {
             // Update drafts button badge count
             this.updateDraftsButtonBadge();
 
-            console.log('💾 [DraftManager] Draft saved to localStorage:', {
+            console.log('💾 [DraftManager] Draft saved:', {
                 key: draftKey.substring(0, 60) + (draftKey.length > 60 ? '...' : ''),
                 context: isThreadContext ? 'thread' : 'main',
                 threadId: targetThreadId ? targetThreadId.substring(0, 20) : 'null',
                 textLength: textContent.length,
                 preview: textContent.substring(0, 30),
-                totalDrafts: Object.keys(drafts).length
+                totalDrafts: Object.keys(this.drafts).length
             });
 
             this.logger.debug('✅ Draft saved:', {
@@ -1496,6 +1599,21 @@ WVFavs.DraftManager = class DraftManager {
         }
     }
 
+    /**
+     * Delete several drafts at once (Drafts panel bulk delete and stale cleanup)
+     * @param {Array<string>} draftKeys - Draft keys from getDraftKey()
+     */
+    deleteDrafts(draftKeys) {
+        const existingKeys = draftKeys.filter(key => this.drafts[key]);
+        if (existingKeys.length === 0) return;
+
+        this.removeDrafts(existingKeys);
+        document.dispatchEvent(new CustomEvent('wv-draft-updated'));
+        this.updateDraftsButtonBadge();
+
+        this.logger.debug('🗑️ Drafts deleted:', existingKeys.length);
+    }
+
     /**
      * Clear draft for specified channel and thread context
      */
@@ -1519,11 +1637,8 @@ WVFavs.DraftManager = class DraftManager {
                 return;
             }
 
-            const drafts = this.getAllDrafts();
-            
-            if (drafts[draftKey]) {
-                delete drafts[draftKey];
-                localStorage.setItem(this.config.storageKey, JSON.stringify(drafts));
+            if (this.drafts[draftKey]) {
+                this.removeDrafts([draftKey]);
 
                 // Dispatch event for real-time panel updates
                 document.dispatchEvent(new CustomEvent('wv-draft-updated'));
@@ -1546,18 +1661,375 @@ WVFavs.DraftManager = class DraftManager {
     }
 
     /**
-     * Get all drafts from localStorage
+     * Open the drafts database and load both stores into memory, migrating
+     * drafts left in localStorage by older versions. Falls back to localStorage
+     * when IndexedDB is unavailable (e.g. blocked by browser settings).
      */
-    getAllDrafts() {
+    async loadStorage() {
+        try {
+            this.db = await this.openDatabase();
+
+            const [draftRecords, revisionRecords, sentRecords] = await Promise.all([
+                this.readAllRecords('drafts'),
+                this.readAllRecords('revisions'),
+                this.readAllRecords('sent')
+            ]);
+            draftRecords.forEach(({ key, ...draft }) => { this.drafts[key] = draft; });
+            revisionRecords.forEach(({ key, revisions }) => { this.revisions[key] = revisions; });
+            sentRecords.forEach(({ key, messages }) => { this.sentArchive[key] = messages; });
+
+            // Drafts are already in memory; a failed migration keeps the localStorage copy for next time
+            this.migrateFromLocalStorage().catch(error => {
+                this.logger.warn('⚠️ Failed to migrate drafts from localStorage:', error);
+            });
+        } catch (error) {
+            this.logger.warn('⚠️ Drafts database unavailable, using localStorage:', error);
+            this.db = null;
+            this.drafts = this.readLegacy(this.config.storageKey);
+            this.revisions = this.readLegacy(this.config.revisionsStorageKey);
+            this.sentArchive = this.readLegacy(this.config.sentStorageKey);
+        }
+
+        this.logger.debug('📦 Drafts loaded:', Object.keys(this.drafts).length);
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.config.dbName, this.config.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('drafts')) {
+                    db.createObjectStore('drafts', { keyPath: 'key' });
+                }
+
+                if (!db.objectStoreNames.contains('revisions')) {
+                    db.createObjectStore('revisions', { keyPath: 'key' });
+                }
+
+                if (!db.objectStoreNames.contains('sent')) {
+                    db.createObjectStore('sent', { keyPath: 'key' });
+                }
+            };
+        });
+    }
+
+    readAllRecords(storeName) {
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    readLegacy(storageKey) {
         try {
-            const data = localStorage.getItem(this.config.storageKey);
-            return data ? JSON.parse(data) : {};
+            return JSON.parse(localStorage.getItem(storageKey) || '{}');
         } catch (error) {
-            this.logger.error('❌ Error loading drafts from localStorage:', error);
+            this.logger.error('❌ Error reading legacy drafts from localStorage:', error);
             return {};
         }
     }
 
+    /**
+     * One-time move of the old single-blob localStorage drafts into IndexedDB
+     * If both have a draft for the same chat, the newer one wins. The old keys
+     * are only removed once every write has committed, so a failed write is
+     * retried on the next load instead of losing the draft.
+     */
+    async migrateFromLocalStorage() {
+        const legacyDrafts = this.readLegacy(this.config.storageKey);
+        const legacyRevisions = this.readLegacy(this.config.revisionsStorageKey);
+        const draftKeys = Object.keys(legacyDrafts);
+        if (draftKeys.length === 0 && Object.keys(legacyRevisions).length === 0) return;
+
+        const writes = [];
+        let migrated = 0;
+        draftKeys.forEach(key => {
+            const draft = legacyDrafts[key];
+            if (!this.drafts[key] || (draft.timestamp || 0) > (this.drafts[key].timestamp || 0)) {
+                writes.push(this.writeDraft(key, draft));
+                migrated++;
+            }
+        });
+
+        Object.entries(legacyRevisions).forEach(([key, revisions]) => {
+            if (!this.revisions[key] && this.drafts[key]) {
+                writes.push(this.writeRevisions(key, revisions));
+            }
+        });
+
+        const results = await Promise.all(writes);
+        if (results.includes(false)) {
+            this.logger.warn('⚠️ Some drafts could not be moved to IndexedDB, keeping the localStorage copy');
+            return;
+        }
+
+        localStorage.removeItem(this.config.storageKey);
+        localStorage.removeItem(this.config.revisionsStorageKey);
+
+        console.log(`📦 [DraftManager] Migrated ${migrated} drafts from localStorage to IndexedDB`);
+        if (this.logger.analytics) {
+            this.logger.analytics('drafts_migrated_to_indexeddb', { draft_count: migrated });
+        }
+    }
+
+    /**
+     * Apply draft changes made in other WorkVivo tabs
+     */
+    setupCrossTabSync() {
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        this.syncChannel = new BroadcastChannel(this.config.syncChannelName);
+        this.syncChannel.onmessage = (event) => {
+            const message = event.data || {};
+
+            switch (message.type) {
+                case 'put':
+                    this.drafts[message.key] = message.draft;
+                    break;
+                case 'delete':
+                    message.keys.forEach(key => {
+                        delete this.drafts[key];
+                        delete this.revisions[key];
+                    });
+                    break;
+                case 'revisions':
+                    this.revisions[message.key] = message.revisions;
+                    return; // History only, nothing visible changed
+                case 'sent':
+                    if (message.messages.length > 0) {
+                        this.sentArchive[message.key] = message.messages;
+                    } else {
+                        delete this.sentArchive[message.key];
+                    }
+                    document.dispatchEvent(new CustomEvent('wv-sent-archive-updated'));
+                    return;
+                case 'clear':
+                    this.drafts = {};
+                    this.revisions = {};
+                    break;
+                default:
+                    return;
+            }
+
+            document.dispatchEvent(new CustomEvent('wv-draft-updated'));
+            this.updateDraftsButtonBadge();
+        };
+    }
+
+    broadcast(message) {
+        try {
+            this.syncChannel?.postMessage(message);
+        } catch (error) {
+            this.logger.warn('⚠️ Could not broadcast draft change:', error);
+        }
+    }
+
+    /**
+     * Resolve true once a transaction commits, false if it fails or aborts
+     */
+    transactionDone(tx) {
+        return new Promise(resolve => {
+            tx.addEventListener('complete', () => resolve(true));
+            tx.addEventListener('error', () => resolve(false));
+            tx.addEventListener('abort', () => resolve(false));
+        });
+    }
+
+    /**
+     * Store one draft (memory, IndexedDB and other tabs)
+     * @returns {Promise<boolean>} Whether the write was stored
+     */
+    writeDraft(draftKey, draft) {
+        this.drafts[draftKey] = draft;
+
+        let done = Promise.resolve(true);
+        if (this.db) {
+            const tx = this.db.transaction(['drafts'], 'readwrite');
+            tx.objectStore('drafts').put({ key: draftKey, ...draft });
+            tx.onerror = () => this.logger.error('❌ Error writing draft:', tx.error);
+            done = this.transactionDone(tx);
+        } else {
+            this.writeLegacy();
+        }
+
+        this.broadcast({ type: 'put', key: draftKey, draft });
+        return done;
+    }
+
+    /**
+     * Delete drafts and their revision histories
+     */
+    removeDrafts(draftKeys) {
+        draftKeys.forEach(key => {
+            delete this.drafts[key];
+            delete this.revisions[key];
+        });
+
+        if (this.db) {
+            const tx = this.db.transaction(['drafts', 'revisions'], 'readwrite');
+            draftKeys.forEach(key => {
+                tx.objectStore('drafts').delete(key);
+                tx.objectStore('revisions').delete(key);
+            });
+            tx.onerror = () => this.logger.error('❌ Error deleting drafts:', tx.error);
+        } else {
+            this.writeLegacy();
+        }
+
+        this.broadcast({ type: 'delete', keys: draftKeys });
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether the write was stored
+     */
+    writeRevisions(draftKey, revisions) {
+        this.revisions[draftKey] = revisions;
+
+        let done = Promise.resolve(true);
+        if (this.db) {
+            const tx = this.db.transaction(['revisions'], 'readwrite');
+            tx.objectStore('revisions').put({ key: draftKey, revisions });
+            // History is a nice-to-have; never let it break draft saving (e.g. quota exceeded)
+            tx.onerror = () => this.logger.warn('⚠️ Could not save draft revisions:', tx.error);
+            done = this.transactionDone(tx);
+        } else {
+            this.writeLegacy();
+        }
+
+        this.broadcast({ type: 'revisions', key: draftKey, revisions });
+        return done;
+    }
+
+    /**
+     * localStorage fallback: rewrite both blobs
+     */
+    writeLegacy() {
+        try {
+            localStorage.setItem(this.config.storageKey, JSON.stringify(this.drafts));
+        } catch (error) {
+            this.logger.error('❌ Error saving drafts to localStorage:', error);
+        }
+
+        try {
+            localStorage.setItem(this.config.revisionsStorageKey, JSON.stringify(this.revisions));
+            localStorage.setItem(this.config.sentStorageKey, JSON.stringify(this.sentArchive));
+        } catch (error) {
+            this.logger.warn('⚠️ Could not save draft revisions:', error);
+        }
+    }
+
+    /**
+     * How long ADAS keeps a cleared draft (adasWindowSeconds setting)
+     */
+    getAdasWindowMs() {
+        const seconds = Number(WVFavs.Settings?.get('adasWindowSeconds')) || this.config.defaultAdasWindowSeconds;
+        return seconds * 1000;
+    }
+
+    getSentArchiveSize() {
+        const size = WVFavs.Settings?.get('sentArchiveSize');
+        return size === undefined || size === null ? this.config.defaultSentArchiveSize : Number(size) || 0;
+    }
+
+    /**
+     * Keep a sent message (with its Lexical state) in the channel's recently sent archive
+     * @param {Object} content - Captured draft content { channelUrl, threadId, lexicalState, textContent }
+     */
+    archiveSentMessage(content) {
+        const limit = this.getSentArchiveSize();
+        const channelUrl = content.channelUrl || this.currentChannelUrl;
+        if (limit <= 0 || !channelUrl) return;
+
+        const now = Date.now();
+        const entry = {
+            id: `sent-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            channelUrl,
+            threadId: content.threadId ?? this.currentThreadId ?? null,
+            textContent: content.textContent,
+            lexicalState: content.lexicalState,
+            sentAt: now,
+            delivered: false // Set when the server echoes the message back (markSentDelivered)
+        };
+
+        this.writeSentArchive(channelUrl, [entry, ...(this.sentArchive[channelUrl] || [])].slice(0, limit));
+    }
+
+    /**
+     * The server echoed a message back: mark the matching archived message as delivered
+     */
+    markSentDelivered(channelUrl, message) {
+        if (!channelUrl || typeof message !== 'string') return;
+
+        const messages = this.sentArchive[channelUrl] || [];
+        const index = messages.findIndex(entry =>
+            !entry.delivered &&
+            Date.now() - entry.sentAt < this.config.sentConfirmWindowMs &&
+            this.calculateSimilarity(entry.textContent, message) >= 60
+        );
+        if (index === -1) return;
+
+        const updated = [...messages];
+        updated[index] = { ...updated[index], delivered: true };
+        this.writeSentArchive(channelUrl, updated);
+    }
+
+    /**
+     * Recently sent messages across all channels, newest first
+     * Entries that were never confirmed within sentConfirmWindowMs get unconfirmed: true
+     */
+    getSentArchive() {
+        const now = Date.now();
+        return Object.values(this.sentArchive)
+            .flat()
+            .map(entry => ({
+                ...entry,
+                unconfirmed: !entry.delivered && now - entry.sentAt > this.config.sentConfirmWindowMs
+            }))
+            .sort((a, b) => b.sentAt - a.sentAt);
+    }
+
+    removeSentMessage(channelUrl, id) {
+        this.writeSentArchive(channelUrl, (this.sentArchive[channelUrl] || []).filter(entry => entry.id !== id));
+    }
+
+    clearSentArchive() {
+        Object.keys(this.sentArchive).forEach(channelUrl => this.writeSentArchive(channelUrl, []));
+    }
+
+    writeSentArchive(channelUrl, messages) {
+        if (messages.length > 0) {
+            this.sentArchive[channelUrl] = messages;
+        } else {
+            delete this.sentArchive[channelUrl];
+        }
+
+        if (this.db) {
+            const tx = this.db.transaction(['sent'], 'readwrite');
+            const store = tx.objectStore('sent');
+            messages.length > 0 ? store.put({ key: channelUrl, messages }) : store.delete(channelUrl);
+            tx.onerror = () => this.logger.warn('⚠️ Could not save sent archive:', tx.error);
+        } else {
+            this.writeLegacy();
+        }
+
+        this.broadcast({ type: 'sent', key: channelUrl, messages });
+        document.dispatchEvent(new CustomEvent('wv-sent-archive-updated'));
+    }
+
+    /**
+     * Get all drafts, keyed by draft key
+     * Returns a copy, so callers can't change stored drafts by accident
+     */
+    getAllDrafts() {
+        return { ...this.drafts };
+    }
+
     /**
      * Get draft for specific channel and thread context (for debugging)
      */
@@ -1567,6 +2039,144 @@ WVFavs.DraftManager = class DraftManager {
         return drafts[draftKey] || null;
     }
 
+    /**
+     * Write a draft record for a channel and thread context (e.g. a scheduled message put back as a draft)
+     */
+    setDraft(channelUrl, threadId, draft) {
+        try {
+            const draftKey = this.getDraftKey(channelUrl, threadId);
+            const record = {
+                lexicalState: draft.lexicalState,
+                textContent: draft.textContent,
+                timestamp: draft.timestamp || Date.now(),
+                threadId: threadId || null,
+                parentMessageCreatedAt: draft.parentMessageCreatedAt || null
+            };
+            this.writeDraft(draftKey, record);
+            this.recordRevision(draftKey, record);
+
+            // Dispatch event for real-time panel updates
+            document.dispatchEvent(new CustomEvent('wv-draft-updated'));
+            this.updateDraftsButtonBadge();
+        } catch (error) {
+            this.logger.error('❌ Error writing draft:', error);
+        }
+    }
+
+    /**
+     * Get all revision histories
+     * @returns {Object} { [draftKey]: [{ id, textContent, lexicalState, createdAt, timestamp }] } oldest first
+     */
+    getAllRevisions() {
+        return { ...this.revisions };
+    }
+
+    /**
+     * Revisions for a draft, newest first
+     */
+    getRevisions(draftKey) {
+        return [...(this.revisions[draftKey] || [])].reverse();
+    }
+
+    /**
+     * Snapshot a saved draft into its history
+     * Edits within revisionIntervalMs update the latest snapshot, so a typing session is one revision,
+     * but removing several words always starts a new one so the removed text stays recoverable
+     */
+    recordRevision(draftKey, draft) {
+        const textContent = draft?.textContent || '';
+        if (!textContent.trim()) return;
+
+        const revisions = [...(this.revisions[draftKey] || [])];
+        const latest = revisions[revisions.length - 1];
+        if (latest && latest.textContent === textContent) return;
+
+        const now = Date.now();
+        const snapshot = {
+            id: `rev-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            textContent,
+            lexicalState: draft.lexicalState,
+            createdAt: now,
+            timestamp: now
+        };
+
+        const removedWords = latest
+            ? WVFavs.Helpers.diffWords(latest.textContent, textContent)
+                .filter(part => part.type === 'removed')
+                .reduce((count, part) => count + part.text.trim().split(/\s+/).filter(Boolean).length, 0)
+            : 0;
+
+        if (latest && now - latest.createdAt < this.config.revisionIntervalMs &&
+            removedWords < this.config.revisionMinRemovedWords) {
+            revisions[revisions.length - 1] = { ...snapshot, id: latest.id, createdAt: latest.createdAt };
+        } else {
+            revisions.push(snapshot);
+        }
+
+        this.writeRevisions(draftKey, revisions.slice(-this.config.maxRevisionsPerDraft));
+    }
+
+    /**
+     * Make an older revision the current draft, and put it in the editor if that chat/thread is open
+     * The text being replaced is snapshotted first, so a restore can itself be undone
+     * @returns {Promise<{success: boolean, appliedToEditor?: boolean}>}
+     */
+    async restoreRevision(draftKey, revisionId) {
+        const revision = (this.revisions[draftKey] || []).find(rev => rev.id === revisionId);
+        if (!revision) {
+            return { success: false };
+        }
+
+        const { channelUrl, threadId } = this.parseDraftKey(draftKey);
+        const isOpen = channelUrl === this.currentChannelUrl && (threadId || null) === (this.currentThreadId || null);
+
+        if (isOpen) {
+            // Capture unsaved typing before it's replaced
+            if (this.saveDebounceTimer) {
+                clearTimeout(this.saveDebounceTimer);
+                this.saveDebounceTimer = null;
+            }
+            await this.saveDraft(channelUrl, threadId);
+        }
+
+        // Start a fresh snapshot for the restored text
+        const revisions = this.revisions[draftKey] || [];
+        if (revisions.length > 0) {
+            this.writeRevisions(draftKey, [
+                ...revisions.slice(0, -1),
+                { ...revisions[revisions.length - 1], createdAt: 0 }
+            ]);
+        }
+
+        const existing = this.drafts[draftKey];
+        this.setDraft(channelUrl, threadId, {
+            lexicalState: revision.lexicalState,
+            textContent: revision.textContent,
+            parentMessageCreatedAt: existing?.parentMessageCreatedAt
+        });
+
+        let appliedToEditor = false;
+        if (isOpen) {
+            this.isRestoringDraft = true;
+            const result = await this.setLexicalEditorStateInPageContext(revision.lexicalState);
+            appliedToEditor = !!result?.success;
+
+            setTimeout(async () => {
+                this.isRestoringDraft = false;
+                await this.captureDraftToMemory();
+            }, 150);
+        }
+
+        if (this.logger.analytics) {
+            this.logger.analytics('draft_revision_restored', {
+                age_ms: Date.now() - revision.timestamp,
+                applied_to_editor: appliedToEditor
+            });
+        }
+
+        return { success: true, appliedToEditor };
+    }
+
     /**
      * Get parent message timestamp (for thread drafts)
      * This helps navigateToMention load the correct message history
@@ -1658,7 +2268,28 @@ WVFavs.DraftManager = class DraftManager {
      */
     clearAllDrafts() {
         try {
-            localStorage.removeItem(this.config.storageKey);
+            this.drafts = {};
+            this.revisions = {};
+
+            if (this.db) {
+                const tx = this.db.transaction(['drafts', 'revisions'], 'readwrite');
+                tx.objectStore('drafts').clear();
+                tx.objectStore('revisions').clear();
+                tx.onerror = () => this.logger.error('❌ Error clearing drafts database:', tx.error);
+
+                // A copy kept by an unfinished migration would bring the drafts back on reload;
+                // drop it only once the clear has committed
+                this.transactionDone(tx).then(cleared => {
+                    if (!cleared) return;
+                    localStorage.removeItem(this.config.storageKey);
+                    localStorage.removeItem(this.config.revisionsStorageKey);
+                });
+            } else {
+                localStorage.removeItem(this.config.storageKey);
+                localStorage.removeItem(this.config.revisionsStorageKey);
+            }
+
+            this.broadcast({ type: 'clear' });
             this.logger.info('🗑️ All drafts cleared');
         } catch (error) {
             this.logger.error('❌ Error clearing all drafts:', error);
@@ -1765,6 +2396,12 @@ WVFavs.DraftManager = class DraftManager {
             });
         });
 
+        // Stop cross-tab sync
+        if (this.syncChannel) {
+            this.syncChannel.close();
+            this.syncChannel = null;
+        }
+
         // Reset flags
         this.isRestoringDraft = false;
 
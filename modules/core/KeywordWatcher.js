@@ -0,0 +1,215 @@
+/**
+ * KeywordWatcher - Alerts for watched words in real-time messages
+ *
+ * Matches incoming WebSocket messages against the `watchKeywords` setting and keeps
+ * the hits for the Mentions panel's "Watched" tab. Entries are plain words/prefixes
+ * (case-insensitive, e.g. "payments-api", "INC-") or regexes written as /pattern/flags.
+ *
+ * The options page loads this file too, to validate entries with compileEntry().
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.KeywordWatcher = class KeywordWatcher {
+    constructor(app) {
+        this.app = app;
+        this.wsManager = null;
+        this.hitsKey = 'wv_keyword_hits';
+        this.maxHits = 200;
+        this.hits = this.loadHits();
+
+        // Compiled patterns are cached until the watch-list changes
+        this.patternsSource = null;
+        this.patterns = [];
+    }
+
+    async init() {
+        this.wsManager = this.app.getWebSocketManager();
+        if (!this.wsManager) {
+            this.app?.logger?.warn('⚠️ WebSocketStateManager not available, keyword alerts disabled');
+            return;
+        }
+
+        this.wsManager.on('message:received', (data) => {
+            this.handleMessage(data).catch(error => {
+                this.app?.logger?.warn('⚠️ Failed to check message for watched keywords:', error);
+            });
+        });
+    }
+
+    /**
+     * Parse one watch-list entry
+     * @param {string} entry - Plain term or /regex/flags
+     * @returns {RegExp} Pattern (throws on invalid regex)
+     */
+    static compileEntry(entry) {
+        const regexMatch = entry.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexMatch) {
+            const flags = regexMatch[2].replace(/g/g, '');
+            return new RegExp(regexMatch[1], flags);
+        }
+
+        // Plain terms match whole words, but only where the term itself starts/ends with a word character,
+        // so "INC-" matches "INC-1234" and "api" doesn't match "rapid"
+        const escaped = entry.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const start = /^[\p{L}\p{N}_]/u.test(entry) ? '(?<![\\p{L}\\p{N}_])' : '';
+        const end = /[\p{L}\p{N}_]$/u.test(entry) ? '(?![\\p{L}\\p{N}_])' : '';
+        return new RegExp(`${start}${escaped}${end}`, 'iu');
+    }
+
+    getPatterns() {
+        const entries = (this.app.settings.get('watchKeywords') || [])
+            .map(entry => String(entry).trim())
+            .filter(Boolean);
+        const source = JSON.stringify(entries);
+
+        if (source !== this.patternsSource) {
+            this.patternsSource = source;
+            this.patterns = [];
+            entries.forEach(entry => {
+                try {
+                    this.patterns.push({ entry, regex: KeywordWatcher.compileEntry(entry) });
+                } catch (error) {
+                    this.app?.logger?.warn('⚠️ Invalid watch keyword, skipping:', entry, error.message);
+                }
+            });
+        }
+
+        return this.patterns;
+    }
+
+    /**
+     * Watch-list entries found in a message
+     * @param {string} text - Message text
+     * @returns {Array<string>} Matching entries
+     */
+    findMatches(text) {
+        if (!text) return [];
+
+        // Match against display text, not mention markup
+        const plain = text.replace(/@\[([^\]]+)\]\([^)]+\)/g, '@$1');
+        return this.getPatterns()
+            .filter(pattern => pattern.regex.test(plain))
+            .map(pattern => pattern.entry);
+    }
+
+    /**
+     * Check a real-time message against the watch-list
+     * @param {Object} data - wv-chat-message detail
+     */
+    async handleMessage(data) {
+        if (!data?.messageId || typeof data.message !== 'string') return;
+        if (this.hits.some(hit => hit.messageId === data.messageId)) return;
+
+        const matchedTerms = this.findMatches(data.message);
+        if (matchedTerms.length === 0) return;
+
+        // Own messages don't need alerts
+        const user = await this.app.userIdentity?.getCurrentUser();
+        if (user?.id && String(data.user?.userId) === String(user.id)) return;
+
+        let channelName = null;
+        try {
+            channelName = (await WVFavs.APIManager.getChannelInfo(data.channelUrl))?.name || null;
+        } catch (error) {
+            // Channel name is filled in later by the panel
+        }
+
+        this.hits.unshift({
+            messageId: data.messageId,
+            channelUrl: data.channelUrl,
+            channelName,
+            message: data.message,
+            sender: {
+                id: data.user?.userId,
+                name: data.user?.nickname,
+                profile_url: data.user?.profileUrl
+            },
+            createdAt: data.timestamp || Date.now(),
+            parentMessageId: data.parentMessageId || null,
+            isThreadReply: !!data.isThreadReply,
+            matchedTerms,
+            seen: false
+        });
+        this.hits = this.hits.slice(0, this.maxHits);
+        this.persistHits();
+
+        this.app?.logger?.log('👀 Watched keyword hit:', { messageId: data.messageId, matchedTerms });
+        if (this.app.logger) {
+            this.app?.logger?.analytics('keyword_alert_matched', {
+                terms_matched: matchedTerms.length
+            });
+        }
+
+        this.updateBadge();
+        window.dispatchEvent(new CustomEvent('wv-keyword-hit', { detail: { messageId: data.messageId } }));
+    }
+
+    /**
+     * Hits in the shape MentionsPanel renders
+     * @returns {Array} Mention-like objects, newest first
+     */
+    getHitsAsMentions() {
+        return this.hits.map(hit => ({
+            message_id: hit.messageId,
+            message: hit.message,
+            created_at: hit.createdAt,
+            sender: hit.sender,
+            channel_url: hit.channelUrl,
+            channel_name: hit.channelName,
+            is_reply: hit.isThreadReply,
+            parent_message_id: hit.parentMessageId,
+            matched_terms: hit.matchedTerms,
+            is_watch_hit: true
+        }));
+    }
+
+    getHit(messageId) {
+        return this.getHitsAsMentions().find(hit => String(hit.message_id) === String(messageId)) || null;
+    }
+
+    getUnseenCount() {
+        return this.hits.filter(hit => !hit.seen).length;
+    }
+
+    markAllSeen() {
+        if (this.getUnseenCount() === 0) return;
+
+        this.hits.forEach(hit => { hit.seen = true; });
+        this.persistHits();
+        this.updateBadge();
+    }
+
+    removeHit(messageId) {
+        this.hits = this.hits.filter(hit => String(hit.messageId) !== String(messageId));
+        this.persistHits();
+        this.updateBadge();
+    }
+
+    clearHits() {
+        this.hits = [];
+        this.persistHits();
+        this.updateBadge();
+    }
+
+    updateBadge() {
+        WVFavs.DomManager?.updateButtonGroupBadge('mentions', this.getUnseenCount());
+    }
+
+    loadHits() {
+        try {
+            return JSON.parse(localStorage.getItem(this.hitsKey) || '[]');
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to load keyword hits:', error);
+            return [];
+        }
+    }
+
+    persistHits() {
+        try {
+            localStorage.setItem(this.hitsKey, JSON.stringify(this.hits));
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to save keyword hits:', error);
+        }
+    }
+};
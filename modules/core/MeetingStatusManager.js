@@ -0,0 +1,320 @@
+/**
+ * MeetingStatusManager - Calendar-driven "In a meeting" status
+ *
+ * While a Google Calendar event is in progress, sets the user's status to
+ * "🚀 In a meeting" with the event's end as the expiry, so it shows as
+ * "In a meeting until HH:MM". When the meeting is over, the status the user had
+ * before is put back (or cleared if it expired in the meantime).
+ *
+ * Back-to-back meetings are merged into one status. If the user sets a status by
+ * hand during a meeting, the automation steps back until that meeting ends.
+ *
+ * Rules (settings): ignore declined events, all-day events and focus time.
+ * State lives in localStorage so every WorkVivo tab (and a reload) agrees on what
+ * the automation changed; a Web Lock lets only one tab check and change the status at a time.
+ *
+ * Storage: localStorage with key 'wv_meeting_status'
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.MeetingStatusManager = class MeetingStatusManager {
+    constructor(app) {
+        this.app = app;
+        this.storageKey = 'wv_meeting_status';
+        this.lockName = 'wv-meeting-status';
+        this.checkInterval = null;
+        this.isChecking = false;
+        this.isApplying = false;
+        this.lastError = null;
+
+        this.config = {
+            checkIntervalMs: 60 * 1000,
+            statusText: '🚀 In a meeting',
+            // Treat a meeting starting within this long after the previous one ends as back-to-back
+            mergeGapMs: 60 * 1000
+        };
+    }
+
+    async init() {
+        // A status saved from the dialog while we're active means the user wants it kept
+        window.addEventListener('wv-status-updated', () => {
+            if (this.isApplying) return;
+
+            const state = this.getState();
+            if (state.active) {
+                this.app?.logger?.log('📅 Status changed by hand, pausing meeting status until the meeting ends');
+                this.setState({ active: false, skipUntil: state.until });
+            }
+        });
+
+        // Another tab applied or restored the status
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.notifyChanged();
+            }
+        });
+
+        this.checkInterval = setInterval(() => this.check(), this.config.checkIntervalMs);
+        this.check();
+    }
+
+    isEnabled() {
+        return this.app.settings?.get('autoMeetingStatus') === true;
+    }
+
+    getRules() {
+        const settings = WVFavs.Settings.getAll();
+        return {
+            ignoreDeclined: settings.meetingStatusIgnoreDeclined !== false,
+            ignoreAllDay: settings.meetingStatusIgnoreAllDay !== false,
+            ignoreFocusTime: settings.meetingStatusIgnoreFocusTime !== false
+        };
+    }
+
+    getState() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to load meeting status state:', error);
+            return {};
+        }
+    }
+
+    setState(state) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(state));
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to save meeting status state:', error);
+        }
+        this.notifyChanged();
+    }
+
+    notifyChanged() {
+        window.dispatchEvent(new CustomEvent('wv-meeting-status-changed', {
+            detail: this.getAutomationState()
+        }));
+    }
+
+    /**
+     * Summary for the status dialog
+     * @returns {{enabled: boolean, active: boolean, title: string|null, until: number|null, paused: boolean, error: string|null}}
+     */
+    getAutomationState() {
+        const state = this.getState();
+        const now = Math.floor(Date.now() / 1000);
+
+        return {
+            enabled: this.isEnabled(),
+            active: !!state.active,
+            title: state.active ? state.title || null : null,
+            until: state.active ? state.until : null,
+            paused: !state.active && !!state.skipUntil && state.skipUntil > now,
+            error: this.lastError
+        };
+    }
+
+    /**
+     * Turn the automation on or off (from the status dialog)
+     */
+    async setEnabled(enabled) {
+        await this.app.settings.set({ autoMeetingStatus: enabled });
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('meeting_status_toggled', { enabled });
+        }
+
+        await this.check();
+    }
+
+    /**
+     * Compare the calendar with the current state and set or restore the status
+     * If another tab is already checking, this one skips the round.
+     */
+    async check() {
+        if (this.isChecking) return;
+        this.isChecking = true;
+        const previousError = this.lastError;
+
+        try {
+            await navigator.locks.request(this.lockName, { ifAvailable: true }, async (lock) => {
+                if (lock) {
+                    await this.checkLocked();
+                }
+            });
+        } catch (error) {
+            this.lastError = error.message;
+            this.app?.logger?.warn('⚠️ Meeting status check failed:', error);
+        } finally {
+            this.isChecking = false;
+            if (this.lastError !== previousError) {
+                this.notifyChanged();
+            }
+        }
+    }
+
+    /**
+     * check() body, run while holding the status lock
+     */
+    async checkLocked() {
+        const state = this.getState();
+
+        if (!this.isEnabled()) {
+            if (state.active) {
+                await this.restoreStatus(state);
+            }
+            return;
+        }
+
+        const rules = this.getRules();
+        const { isSignedIn, meetings } = await this.app.googleMeetManager.getUpcomingMeetings({
+            hoursAhead: 12,
+            maxResults: 20,
+            includeDeclined: !rules.ignoreDeclined,
+            includeAllDay: !rules.ignoreAllDay,
+            includeFocusTime: !rules.ignoreFocusTime
+        });
+
+        this.lastError = isSignedIn ? null : 'NOT_SIGNED_IN';
+
+        const current = isSignedIn ? this.findCurrentMeeting(meetings) : null;
+
+        if (current && !(state.skipUntil && current.until <= state.skipUntil)) {
+            if (!state.active || state.until !== current.until) {
+                await this.applyStatus(state, current);
+            }
+        } else if (state.active) {
+            await this.restoreStatus(state);
+        } else if (state.skipUntil && state.skipUntil <= Math.floor(Date.now() / 1000)) {
+            this.setState({});
+        }
+    }
+
+    /**
+     * The meeting in progress, extended through back-to-back meetings
+     * @param {Array} meetings - From GoogleMeetManager.getUpcomingMeetings(), soonest first
+     * @returns {{eventId: string, title: string, until: number}|null} until is a Unix timestamp
+     */
+    findCurrentMeeting(meetings) {
+        const now = Date.now();
+        const timed = meetings.map(meeting => ({
+            ...meeting,
+            startMs: this.parseEventTime(meeting.start, meeting.allDay),
+            endMs: this.parseEventTime(meeting.end, meeting.allDay)
+        }));
+
+        const inProgress = timed
+            .filter(meeting => meeting.startMs <= now && meeting.endMs > now)
+            .sort((a, b) => b.endMs - a.endMs)[0];
+        if (!inProgress) return null;
+
+        let endMs = inProgress.endMs;
+        let extended = true;
+        while (extended) {
+            extended = false;
+            timed.forEach(meeting => {
+                if (meeting.startMs <= endMs + this.config.mergeGapMs && meeting.endMs > endMs) {
+                    endMs = meeting.endMs;
+                    extended = true;
+                }
+            });
+        }
+
+        return {
+            eventId: inProgress.id,
+            title: inProgress.title,
+            until: Math.floor(endMs / 1000)
+        };
+    }
+
+    /**
+     * All-day events come as plain dates, which should mean local midnight
+     */
+    parseEventTime(value, allDay) {
+        if (allDay) {
+            const [year, month, day] = value.split('-').map(Number);
+            return new Date(year, month - 1, day).getTime();
+        }
+        return new Date(value).getTime();
+    }
+
+    async applyStatus(state, meeting) {
+        const userIdentity = this.app.userIdentity;
+
+        // Remember what to put back - keep the original when moving on to the next meeting
+        let previous = state.active ? state.previous : null;
+        if (!state.active) {
+            const profile = await userIdentity.fetchCurrentUserProfile(true);
+
+            // Already applied elsewhere - the live status is ours, not the one to restore
+            const latest = this.getState();
+            if (latest.active) {
+                this.app?.logger?.debug('📅 Meeting status already applied, skipping');
+                return;
+            }
+            previous = userIdentity.getUserStatus(profile);
+            if (previous?.status === this.config.statusText) {
+                previous = null;
+            }
+        }
+
+        this.isApplying = true;
+        try {
+            await userIdentity.updateUserStatus(this.config.statusText, meeting.until);
+        } finally {
+            this.isApplying = false;
+        }
+
+        this.setState({
+            active: true,
+            eventId: meeting.eventId,
+            title: meeting.title,
+            until: meeting.until,
+            previous
+        });
+
+        await WVFavs.DomManager?.refreshSidebarStatus();
+        this.app?.logger?.log('📅 Meeting status set until', new Date(meeting.until * 1000).toLocaleTimeString());
+
+        if (this.app.analytics && !state.active) {
+            this.app.analytics.trackEvent('meeting_status_applied', {
+                had_previous_status: !!previous?.status
+            });
+        }
+    }
+
+    async restoreStatus(state) {
+        const userIdentity = this.app.userIdentity;
+        const profile = await userIdentity.fetchCurrentUserProfile(true);
+        const current = userIdentity.getUserStatus(profile);
+
+        // Someone (another device, the WorkVivo profile page) replaced our status - leave it
+        const ours = !current.status || current.status === this.config.statusText;
+        const previous = state.previous;
+        const now = Math.floor(Date.now() / 1000);
+
+        if (ours) {
+            this.isApplying = true;
+            try {
+                if (previous?.status && (!previous.expiry || previous.expiry > now)) {
+                    await userIdentity.updateUserStatus(previous.status, previous.expiry);
+                } else if (current.status) {
+                    await userIdentity.clearUserStatus();
+                }
+            } finally {
+                this.isApplying = false;
+            }
+            await WVFavs.DomManager?.refreshSidebarStatus();
+        }
+
+        this.setState({});
+        this.app?.logger?.log('📅 Meeting over, status restored');
+    }
+
+    destroy() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+};
@@ -0,0 +1,187 @@
+/**
+ * MentionNotifier - Desktop notifications for real-time @mentions
+ *
+ * Listens to WebSocketStateManager's message:received events, picks out messages that
+ * mention the current user and asks the background worker to raise a system notification.
+ * Clicking the notification focuses this tab and navigates to the message.
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.MentionNotifier = class MentionNotifier {
+    constructor(app) {
+        this.app = app;
+        this.wsManager = null;
+        this.notifiedIds = new Set(); // Message IDs already notified (WebSocket can repeat events)
+    }
+
+    async init() {
+        this.wsManager = this.app.getWebSocketManager();
+        if (!this.wsManager) {
+            this.app?.logger?.warn('⚠️ WebSocketStateManager not available, mention notifications disabled');
+            return;
+        }
+
+        this.wsManager.on('message:received', (data) => {
+            this.handleMessage(data).catch(error => {
+                this.app?.logger?.warn('⚠️ Failed to process message for mention notification:', error);
+            });
+        });
+    }
+
+    /**
+     * Check a real-time message and notify if it mentions the current user
+     * @param {Object} data - wv-chat-message detail
+     */
+    async handleMessage(data) {
+        if (!data || data.silent || !data.messageId || this.notifiedIds.has(data.messageId)) return;
+        if (this.app.settings.get('enableMentionNotifications') === false) return;
+
+        const user = await this.app.userIdentity?.getCurrentUser();
+        if (!user?.id || String(data.user?.userId) === String(user.id)) return;
+        if (!this.isMentioned(data, user)) return;
+
+        this.notifiedIds.add(data.messageId);
+
+        if (this.isChannelMuted(data.channelUrl)) {
+            this.app?.logger?.debug('🔕 Mention in muted channel, skipping notification');
+            return;
+        }
+
+        if (this.isQuietHours()) {
+            this.app?.logger?.debug('🌙 Quiet hours, skipping mention notification');
+            return;
+        }
+
+        // No need to notify when the user is looking at the message already
+        const currentChannel = this.app.threadManager?.getCurrentChannel();
+        if (document.visibilityState === 'visible' && document.hasFocus() &&
+            currentChannel === data.channelUrl && !data.isThreadReply) {
+            return;
+        }
+
+        await this.showNotification(data);
+    }
+
+    /**
+     * Whether a message mentions the user, via mentioned_users or inline mention markup
+     */
+    isMentioned(data, user) {
+        const userId = String(user.id);
+
+        if ((data.mentions || []).some(m => String(m.user_id ?? m.userId) === userId)) {
+            return true;
+        }
+
+        // Mentions are embedded as @[Name](person:id)
+        return typeof data.message === 'string' && data.message.includes(`(person:${userId})`);
+    }
+
+    /**
+     * Check whether the current time falls in the configured quiet hours
+     * Handles ranges that cross midnight (e.g. 22:00 - 08:00)
+     */
+    isQuietHours(now = new Date()) {
+        if (!this.app.settings.get('mentionQuietHoursEnabled')) return false;
+
+        const toMinutes = (value) => {
+            const [hours, minutes] = String(value || '').split(':').map(Number);
+            return isNaN(hours) ? null : hours * 60 + (minutes || 0);
+        };
+
+        const start = toMinutes(this.app.settings.get('mentionQuietHoursStart'));
+        const end = toMinutes(this.app.settings.get('mentionQuietHoursEnd'));
+        if (start === null || end === null || start === end) return false;
+
+        const current = now.getHours() * 60 + now.getMinutes();
+        return start < end
+            ? current >= start && current < end
+            : current >= start || current < end;
+    }
+
+    getMutedChannels() {
+        return this.app.settings.get('mutedMentionChannels') || [];
+    }
+
+    isChannelMuted(channelUrl) {
+        return this.getMutedChannels().some(channel => channel.channelUrl === channelUrl);
+    }
+
+    /**
+     * Mute or unmute mention notifications for a channel
+     * @param {string} channelUrl - Channel URL
+     * @param {boolean} muted - New state
+     * @param {string|null} name - Channel name shown in options
+     */
+    async setChannelMuted(channelUrl, muted, name = null) {
+        const others = this.getMutedChannels().filter(channel => channel.channelUrl !== channelUrl);
+        const mutedMentionChannels = muted
+            ? [...others, { channelUrl, name: name || channelUrl }]
+            : others;
+
+        await this.app.settings.set({ mutedMentionChannels });
+        this.app?.logger?.log(`${muted ? '🔕 Muted' : '🔔 Unmuted'} mention notifications for`, channelUrl);
+    }
+
+    /**
+     * Ask the background worker to show the notification
+     */
+    async showNotification(data) {
+        let channelName = null;
+        try {
+            const channelInfo = await WVFavs.APIManager.getChannelInfo(data.channelUrl);
+            channelName = channelInfo?.name || null;
+        } catch (error) {
+            // Channel name is optional
+        }
+
+        const sender = data.user?.nickname || 'Someone';
+        const snippet = (data.message || '').replace(/@\[([^\]]+)\]\([^)]+\)/g, '@$1');
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'showMentionNotification',
+            notification: {
+                title: channelName ? `${sender} in ${channelName}` : `${sender} mentioned you`,
+                message: snippet.length > 180 ? snippet.substring(0, 177) + '...' : snippet,
+                contextMessage: data.isThreadReply ? 'Thread reply' : 'Mention',
+                channelUrl: data.channelUrl,
+                messageId: data.messageId,
+                parentMessageId: data.parentMessageId || null,
+                isThreadReply: !!data.isThreadReply,
+                createdAt: data.timestamp || Date.now()
+            }
+        });
+
+        if (response?.success) {
+            this.app?.logger?.log('🔔 Mention notification shown:', data.messageId);
+            if (this.app.logger) {
+                this.app?.logger?.analytics('mention_notification_shown', {
+                    is_thread_reply: !!data.isThreadReply
+                });
+            }
+        }
+    }
+
+    /**
+     * Navigate to a mention after its notification was clicked
+     */
+    async openFromNotification(notification) {
+        const { channelUrl, messageId, parentMessageId, isThreadReply, createdAt } = notification;
+
+        if (this.app.logger) {
+            this.app?.logger?.analytics('mention_notification_clicked', {
+                is_thread_reply: !!isThreadReply
+            });
+        }
+
+        this.app.mentionsManager?.markAsRead(messageId);
+
+        await WVFavs.DomManager.navigateToMention(
+            channelUrl,
+            isThreadReply && parentMessageId ? parentMessageId : messageId,
+            !!(isThreadReply && parentMessageId),
+            isThreadReply ? messageId : null,
+            createdAt
+        );
+    }
+};
@@ -16,6 +16,12 @@ WVFavs.MentionsManager = class MentionsManager {
         this.currentUserId = null;
         this.mightHaveMoreMentions = true; // Track if we should refetch on Load More
         this.lastSearchMode = null; // Track whether last search was for all channels or single channel
+
+        // Snooze/done state keyed by message id: { status, snoozeUntil, updatedAt, mention }
+        // status is 'snoozed', 'done' or 'resurfaced' (snooze expired, shown as unread again)
+        this.mentionStatesKey = 'wv_mention_states';
+        this.mentionStates = this.loadMentionStates();
+        this.snoozeCheckInterval = null;
     }
 
     /**
@@ -38,6 +44,10 @@ WVFavs.MentionsManager = class MentionsManager {
             this.currentUserId = event.detail.id;
             this.app?.logger?.log('📧 User updated, new ID:', this.currentUserId);
         });
+
+        // Bring snoozed mentions back when due
+        this.processDueSnoozes();
+        this.snoozeCheckInterval = setInterval(() => this.processDueSnoozes(), 60 * 1000);
     }
 
     /**
@@ -668,7 +678,7 @@ WVFavs.MentionsManager = class MentionsManager {
      * @returns {number} Count of unread mentions
      */
     getUnreadCount() {
-        return this.mentions.filter(m => !m.is_read).length;
+        return this.categorizeMentions().unread.length;
     }
 
     /**
@@ -676,23 +686,222 @@ WVFavs.MentionsManager = class MentionsManager {
      * @param {string} messageId - Message ID to mark as read
      */
     markAsRead(messageId) {
-        const mention = this.mentions.find(m => m.message_id === messageId);
+        // Dataset values are strings, message_id is a number
+        const mention = this.mentions.find(m => String(m.message_id) === String(messageId));
         if (mention) {
             mention.is_read = true;
             // TODO: Persist read status to storage
             this.app?.logger?.log('📧 Marked mention as read:', messageId);
         }
+
+        // A resurfaced snooze has done its job once it's been opened
+        if (this.getMentionState(messageId)?.status === 'resurfaced') {
+            delete this.mentionStates[String(messageId)];
+            this.persistMentionStates();
+        }
     }
 
     /**
      * Get mentions categorized by read status
-     * @returns {Object} Object with unread and read arrays
+     * Snoozed and done mentions are kept out of unread/read
+     * @returns {Object} Object with unread, read, snoozed and done arrays
      */
     categorizeMentions() {
+        const active = this.getActiveMentions();
         return {
-            unread: this.mentions.filter(m => !m.is_read),
-            read: this.mentions.filter(m => m.is_read)
+            unread: active.filter(m => !m.is_read),
+            read: active.filter(m => m.is_read),
+            snoozed: this.getMentionsByState('snoozed'),
+            done: this.getMentionsByState('done')
+        };
+    }
+
+    /**
+     * Loaded mentions that aren't snoozed or done, plus resurfaced snoozes
+     * that have scrolled out of the loaded pages
+     * @returns {Array} Mentions, newest first
+     */
+    getActiveMentions() {
+        const loadedIds = new Set(this.mentions.map(m => String(m.message_id)));
+
+        const active = this.mentions.filter(m => {
+            const status = this.getMentionState(m.message_id)?.status;
+            return status !== 'snoozed' && status !== 'done';
+        });
+
+        Object.entries(this.mentionStates).forEach(([id, state]) => {
+            if (state.status === 'resurfaced' && !loadedIds.has(id) && state.mention) {
+                active.push({ ...state.mention, is_read: false });
+            }
+        });
+
+        return active.sort((a, b) => b.created_at - a.created_at);
+    }
+
+    /**
+     * Mentions with a given snooze/done status, preferring the loaded copy over the stored snapshot
+     * @param {string} status - 'snoozed' or 'done'
+     * @returns {Array} Snoozed: soonest due first. Done: most recently done first.
+     */
+    getMentionsByState(status) {
+        const loadedById = new Map(this.mentions.map(m => [String(m.message_id), m]));
+
+        return Object.entries(this.mentionStates)
+            .filter(([id, state]) => state.status === status && (loadedById.has(id) || state.mention))
+            .sort(([, a], [, b]) => status === 'snoozed'
+                ? a.snoozeUntil - b.snoozeUntil
+                : b.updatedAt - a.updatedAt)
+            .map(([id, state]) => ({
+                ...(loadedById.get(id) || state.mention),
+                snooze_until: state.snoozeUntil || null,
+                state_updated_at: state.updatedAt
+            }));
+    }
+
+    /**
+     * Get the snooze/done state for a mention
+     * @param {string|number} messageId - Message ID
+     * @returns {Object|null} State record or null
+     */
+    getMentionState(messageId) {
+        return this.mentionStates[String(messageId)] || null;
+    }
+
+    /**
+     * Snooze a mention until a given time
+     * @param {Object} mention - Mention object
+     * @param {number} until - Timestamp (ms) when it should reappear as unread
+     */
+    snoozeMention(mention, until) {
+        const id = String(mention.message_id);
+        this.mentionStates[id] = {
+            id,
+            status: 'snoozed',
+            snoozeUntil: until,
+            updatedAt: Date.now(),
+            mention: this.createMentionSnapshot(mention)
         };
+        this.persistMentionStates();
+        this.app?.logger?.log('📧 Snoozed mention until', new Date(until).toLocaleString(), id);
+    }
+
+    /**
+     * Mark a mention as done (hidden from unread/all)
+     * @param {Object} mention - Mention object
+     */
+    markMentionDone(mention) {
+        const id = String(mention.message_id);
+        this.mentionStates[id] = {
+            id,
+            status: 'done',
+            snoozeUntil: null,
+            updatedAt: Date.now(),
+            mention: this.createMentionSnapshot(mention)
+        };
+        mention.is_read = true;
+        this.persistMentionStates();
+        this.app?.logger?.log('📧 Marked mention as done:', id);
+    }
+
+    /**
+     * Move a snoozed or done mention back to the inbox
+     * @param {string|number} messageId - Message ID
+     */
+    restoreMention(messageId) {
+        delete this.mentionStates[String(messageId)];
+        this.persistMentionStates();
+        this.app?.logger?.log('📧 Restored mention to inbox:', messageId);
+    }
+
+    /**
+     * Turn expired snoozes into unread mentions
+     * @returns {Array<string>} Message IDs that resurfaced
+     */
+    processDueSnoozes() {
+        const now = Date.now();
+        const resurfaced = [];
+
+        Object.entries(this.mentionStates).forEach(([id, state]) => {
+            if (state.status === 'snoozed' && state.snoozeUntil <= now) {
+                state.status = 'resurfaced';
+                state.updatedAt = now;
+                resurfaced.push(id);
+
+                const loaded = this.mentions.find(m => String(m.message_id) === id);
+                if (loaded) {
+                    loaded.is_read = false;
+                }
+            }
+        });
+
+        if (resurfaced.length > 0) {
+            this.persistMentionStates();
+            this.app?.logger?.log('⏰ Snoozed mentions are due:', resurfaced);
+            window.dispatchEvent(new CustomEvent('wv-mentions-snooze-due', {
+                detail: { messageIds: resurfaced }
+            }));
+        }
+
+        return resurfaced;
+    }
+
+    /**
+     * Preset snooze times
+     * @returns {Array<{id: string, label: string, until: number}>}
+     */
+    getSnoozeOptions() {
+        const times = WVFavs.Helpers.getLaterPresetTimes();
+
+        return [
+            { id: '1h', label: '1 hour', until: times.inOneHour },
+            { id: 'tomorrow', label: 'Tomorrow, 9:00', until: times.tomorrowMorning },
+            { id: 'nextWeek', label: 'Next week, Mon 9:00', until: times.nextWeekMorning }
+        ];
+    }
+
+    /**
+     * Keep just enough of a mention to render it when it's no longer in the loaded pages
+     */
+    createMentionSnapshot(mention) {
+        return {
+            message_id: mention.message_id,
+            message: mention.message,
+            message_type: mention.message_type,
+            created_at: mention.created_at,
+            sender: mention.sender,
+            channel_url: mention.channel_url,
+            channel_type: mention.channel_type,
+            channel_name: mention.channel_name,
+            is_reply: mention.is_reply,
+            parent_message_id: mention.parent_message_id
+        };
+    }
+
+    loadMentionStates() {
+        try {
+            const states = JSON.parse(localStorage.getItem(this.mentionStatesKey) || '{}');
+
+            // Forget done mentions after 90 days
+            const cutoff = Date.now() - 90 * 24 * 60 * 60 * 1000;
+            Object.keys(states).forEach(id => {
+                if (states[id].status === 'done' && states[id].updatedAt < cutoff) {
+                    delete states[id];
+                }
+            });
+
+            return states;
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to load mention states:', error);
+            return {};
+        }
+    }
+
+    persistMentionStates() {
+        try {
+            localStorage.setItem(this.mentionStatesKey, JSON.stringify(this.mentionStates));
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to save mention states:', error);
+        }
     }
 
     /**
@@ -0,0 +1,472 @@
+/**
+ * MessageIndex - Local full-text index of messages seen in intercepted traffic
+ *
+ * ThreadManager feeds it every /messages?, changelogs and thread replies payload.
+ * Messages are persisted to IndexedDB with an inverted index (term -> message IDs),
+ * so SearchManager can answer queries instantly, offline, and across every channel
+ * the user has scrolled through, only calling the Sendbird API for misses.
+ *
+ * Storage:
+ * - messages: one record per message (keyPath messageId)
+ * - terms: inverted index entries { term, ids: [messageId, ...] }
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.MessageIndex = class MessageIndex {
+    constructor(app) {
+        this.app = app;
+        this.dbName = 'wv_message_index';
+        this.version = 1;
+        this.db = null;
+        this.isReady = false;
+
+        this.config = {
+            flushDelay: 1000,                  // Batch writes from rapid scroll loads
+            maxMessages: 20000,                // Oldest messages are pruned beyond this
+            pruneInterval: 10 * 60 * 1000,     // Check size at most every 10 minutes
+            minTermLength: 2,
+            maxTermsPerMessage: 200,
+            maxCandidates: 2000                // Cap on IDs read back for one query
+        };
+
+        this.pendingMessages = new Map(); // messageId -> normalized record awaiting flush
+        this.pendingDeletes = new Set();
+        this.indexedVersions = new Map(); // messageId -> updatedAt indexed this session
+        this.flushTimer = null;
+        this.lastPruneAt = 0;
+    }
+
+    async init() {
+        await this.initDB();
+        await this.pruneIfNeeded();
+    }
+
+    initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onerror = () => {
+                this.app?.logger?.error('❌ MessageIndex failed to open:', request.error);
+                reject(request.error);
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.isReady = true;
+                this.app?.logger?.log('🗂️ MessageIndex database ready');
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('messages')) {
+                    const messageStore = db.createObjectStore('messages', { keyPath: 'messageId' });
+                    messageStore.createIndex('channelUrl', 'channelUrl', { unique: false });
+                    messageStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('terms')) {
+                    db.createObjectStore('terms', { keyPath: 'term' });
+                }
+            };
+        });
+    }
+
+    /**
+     * Split text into index terms (lowercase words, mention markup reduced to names)
+     * @param {string} text - Message text
+     * @returns {Array<string>} Unique terms
+     */
+    tokenize(text) {
+        if (!text) return [];
+
+        const words = text
+            .toLowerCase()
+            .replace(/@\[([^\]]+)\]\([^)]+\)/g, '$1')
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word.length >= this.config.minTermLength && word.length <= 40);
+
+        return [...new Set(words)].slice(0, this.config.maxTermsPerMessage);
+    }
+
+    /**
+     * Convert a Sendbird message into an index record
+     */
+    normalizeMessage(msg, channelUrl) {
+        if (!msg || !msg.message_id) return null;
+
+        // File messages have no text; index the file name instead
+        const text = msg.message || msg.name || msg.file?.name || '';
+        if (!text) return null;
+
+        return {
+            messageId: msg.message_id,
+            channelUrl: msg.channel_url || channelUrl,
+            message: text,
+            userId: msg.user?.user_id || 'unknown',
+            nickname: msg.user?.nickname || 'Unknown User',
+            profileUrl: msg.user?.profile_url || null,
+            createdAt: msg.created_at || Date.now(),
+            updatedAt: msg.updated_at || msg.created_at || 0,
+            parentMessageId: msg.parent_message_id || null,
+            type: msg.type || 'MESG',
+            customType: msg.custom_type || null,
+            terms: this.tokenize(text)
+        };
+    }
+
+    /**
+     * Queue messages for indexing (written in batches)
+     * @param {string} channelUrl - Channel the messages belong to
+     * @param {Array} messages - Raw Sendbird messages
+     */
+    indexMessages(channelUrl, messages) {
+        if (!this.isReady || !Array.isArray(messages)) return;
+
+        let queued = 0;
+        messages.forEach(msg => {
+            const record = this.normalizeMessage(msg, channelUrl);
+            if (!record) return;
+
+            // Interceptor re-sends the whole channel on every scroll load; skip unchanged messages
+            if (this.indexedVersions.get(record.messageId) === record.updatedAt) return;
+
+            this.pendingMessages.set(record.messageId, record);
+            this.pendingDeletes.delete(record.messageId);
+            queued++;
+        });
+
+        if (queued > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Queue messages for removal (deleted in changelogs)
+     * @param {Array} messageIds - Deleted message IDs
+     */
+    removeMessages(messageIds) {
+        if (!this.isReady || !Array.isArray(messageIds) || messageIds.length === 0) return;
+
+        messageIds.forEach(id => {
+            this.pendingDeletes.add(id);
+            this.pendingMessages.delete(id);
+        });
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(error => {
+                this.app?.logger?.warn('⚠️ MessageIndex flush failed:', error);
+            });
+        }, this.config.flushDelay);
+    }
+
+    /**
+     * Write queued messages and deletions in one transaction, updating the inverted index
+     */
+    flush() {
+        if (!this.isReady || (this.pendingMessages.size === 0 && this.pendingDeletes.size === 0)) {
+            return Promise.resolve();
+        }
+
+        const upserts = [...this.pendingMessages.values()];
+        const deletes = [...this.pendingDeletes];
+        this.pendingMessages.clear();
+        this.pendingDeletes.clear();
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(['messages', 'terms'], 'readwrite');
+            const messageStore = tx.objectStore('messages');
+            const termStore = tx.objectStore('terms');
+
+            // term -> { add: Set, remove: Set }
+            const termChanges = new Map();
+            const change = (term) => {
+                if (!termChanges.has(term)) {
+                    termChanges.set(term, { add: new Set(), remove: new Set() });
+                }
+                return termChanges.get(term);
+            };
+
+            const ids = [...upserts.map(r => r.messageId), ...deletes];
+            const upsertById = new Map(upserts.map(r => [r.messageId, r]));
+            let pending = ids.length;
+
+            // Step 2: apply collected term changes once all existing records are read
+            const applyTermChanges = () => {
+                termChanges.forEach((changes, term) => {
+                    const req = termStore.get(term);
+                    req.onsuccess = () => {
+                        const termIds = new Set(req.result?.ids || []);
+                        changes.remove.forEach(id => termIds.delete(id));
+                        changes.add.forEach(id => termIds.add(id));
+
+                        if (termIds.size === 0) {
+                            termStore.delete(term);
+                        } else {
+                            termStore.put({ term, ids: [...termIds] });
+                        }
+                    };
+                });
+            };
+
+            // Step 1: read existing records to know which terms to drop
+            ids.forEach(id => {
+                const req = messageStore.get(id);
+                req.onsuccess = () => {
+                    const existing = req.result;
+                    const record = upsertById.get(id);
+                    const oldTerms = new Set(existing?.terms || []);
+                    const newTerms = new Set(record?.terms || []);
+
+                    oldTerms.forEach(term => {
+                        if (!newTerms.has(term)) change(term).remove.add(id);
+                    });
+                    newTerms.forEach(term => {
+                        if (!oldTerms.has(term)) change(term).add.add(id);
+                    });
+
+                    if (record) {
+                        messageStore.put(record);
+                    } else if (existing) {
+                        messageStore.delete(id);
+                    }
+
+                    pending--;
+                    if (pending === 0) {
+                        applyTermChanges();
+                    }
+                };
+            });
+
+            tx.oncomplete = () => {
+                upserts.forEach(r => this.indexedVersions.set(r.messageId, r.updatedAt));
+                deletes.forEach(id => this.indexedVersions.delete(id));
+                this.app?.logger?.debug(`🗂️ MessageIndex: indexed ${upserts.length}, removed ${deletes.length}`);
+                resolve();
+
+                if (Date.now() - this.lastPruneAt > this.config.pruneInterval) {
+                    this.pruneIfNeeded().catch(error => {
+                        this.app?.logger?.warn('⚠️ MessageIndex prune failed:', error);
+                    });
+                }
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Search the local index
+     * All query terms must match (prefix match per term)
+     * @param {string} text - Search text (filters already removed)
+     * @param {Object} options
+     * @param {string|null} options.channelUrl - Restrict to one channel
+     * @param {boolean} options.exactMatch - Require the whole text as a phrase
+     * @param {Object|null} options.filters - after/before bounds are applied here
+     * @param {Function|null} options.filter - Extra test on each parsed result, run before the limit
+     * @param {number} options.limit - Maximum results
+     * @returns {Promise<Array>} Results in SearchManager's parsed result shape, newest first
+     */
+    async search(text, options = {}) {
+        if (!this.isReady) return [];
+
+        const { channelUrl = null, exactMatch = false, filters = null, filter = null, limit = 50 } = options;
+        const terms = this.tokenize(text);
+        if (terms.length === 0) return [];
+
+        // Flush pending writes so just-loaded messages are searchable
+        await this.flush().catch(() => {});
+
+        const candidateIds = await this.findCandidateIds(terms);
+        if (candidateIds.length === 0) return [];
+
+        // Message IDs grow over time, so the cap keeps the newest candidates
+        candidateIds.sort((a, b) => b - a);
+        const records = await this.getMessages(candidateIds.slice(0, this.config.maxCandidates));
+        const phrase = text.trim().toLowerCase();
+
+        return records
+            .filter(record => {
+                if (channelUrl && record.channelUrl !== channelUrl) return false;
+                if (filters?.after && record.createdAt < filters.after) return false;
+                if (filters?.before && record.createdAt >= filters.before) return false;
+                if (exactMatch && !record.message.toLowerCase().includes(phrase)) return false;
+                return true;
+            })
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(record => ({
+                messageId: record.messageId,
+                message: record.message,
+                user: {
+                    userId: record.userId,
+                    nickname: record.nickname,
+                    profileUrl: record.profileUrl
+                },
+                createdAt: record.createdAt,
+                channelUrl: record.channelUrl,
+                parentMessageId: record.parentMessageId,
+                isThread: !!record.parentMessageId,
+                type: record.type,
+                customType: record.customType,
+                source: 'local'
+            }))
+            .filter(result => !filter || filter(result))
+            .slice(0, limit);
+    }
+
+    /**
+     * Intersect message IDs across terms, treating each term as a prefix
+     * @returns {Promise<Array>} Matching message IDs
+     */
+    findCandidateIds(terms) {
+        return new Promise((resolve) => {
+            const tx = this.db.transaction(['terms'], 'readonly');
+            const termStore = tx.objectStore('terms');
+            const idSets = new Array(terms.length);
+
+            terms.forEach((term, index) => {
+                const ids = new Set();
+                idSets[index] = ids;
+
+                const range = IDBKeyRange.bound(term, term + '\uffff');
+                const cursorReq = termStore.openCursor(range);
+                cursorReq.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.value.ids.forEach(id => ids.add(id));
+                        cursor.continue();
+                    }
+                };
+            });
+
+            tx.oncomplete = () => {
+                // Intersect starting from the smallest set
+                const sorted = [...idSets].sort((a, b) => a.size - b.size);
+                const [smallest, ...rest] = sorted;
+                resolve([...smallest].filter(id => rest.every(set => set.has(id))));
+            };
+            tx.onerror = () => resolve([]);
+        });
+    }
+
+    getMessages(ids) {
+        return new Promise((resolve) => {
+            const tx = this.db.transaction(['messages'], 'readonly');
+            const store = tx.objectStore('messages');
+            const records = [];
+
+            ids.forEach(id => {
+                const req = store.get(id);
+                req.onsuccess = () => {
+                    if (req.result) records.push(req.result);
+                };
+            });
+
+            tx.oncomplete = () => resolve(records);
+            tx.onerror = () => resolve(records);
+        });
+    }
+
+    /**
+     * Indexed messages of one channel, including ones still waiting to be flushed
+     * @param {string} channelUrl - Channel URL
+     * @param {number} since - Only messages created after this time
+     * @returns {Promise<Array>} Index records
+     */
+    getChannelMessages(channelUrl, since = 0) {
+        if (!this.isReady) return Promise.resolve([]);
+
+        const pending = [...this.pendingMessages.values()]
+            .filter(record => record.channelUrl === channelUrl && record.createdAt > since);
+
+        return new Promise((resolve) => {
+            const records = new Map();
+            const tx = this.db.transaction(['messages'], 'readonly');
+            const req = tx.objectStore('messages').index('channelUrl').getAll(channelUrl);
+
+            req.onsuccess = () => {
+                (req.result || []).forEach(record => {
+                    if (record.createdAt > since) records.set(record.messageId, record);
+                });
+            };
+
+            tx.oncomplete = () => {
+                pending.forEach(record => records.set(record.messageId, record));
+                resolve([...records.values()]);
+            };
+            tx.onerror = () => resolve(pending);
+        });
+    }
+
+    /**
+     * Count indexed messages
+     * @returns {Promise<number>}
+     */
+    countMessages() {
+        if (!this.isReady) return Promise.resolve(0);
+
+        return new Promise((resolve) => {
+            const tx = this.db.transaction(['messages'], 'readonly');
+            const req = tx.objectStore('messages').count();
+            req.onsuccess = () => resolve(req.result || 0);
+            req.onerror = () => resolve(0);
+        });
+    }
+
+    /**
+     * Remove the oldest messages when the index grows past maxMessages
+     */
+    async pruneIfNeeded() {
+        if (!this.isReady) return;
+        this.lastPruneAt = Date.now();
+
+        const count = await this.countMessages();
+        const excess = count - this.config.maxMessages;
+        if (excess <= 0) return;
+
+        const oldestIds = await new Promise((resolve) => {
+            const ids = [];
+            const tx = this.db.transaction(['messages'], 'readonly');
+            const cursorReq = tx.objectStore('messages').index('createdAt').openKeyCursor();
+            cursorReq.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor && ids.length < excess) {
+                    ids.push(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+            tx.oncomplete = () => resolve(ids);
+            tx.onerror = () => resolve(ids);
+        });
+
+        this.app?.logger?.log(`🧹 MessageIndex: pruning ${oldestIds.length} oldest messages`);
+        oldestIds.forEach(id => this.pendingDeletes.add(id));
+        await this.flush();
+    }
+
+    /**
+     * Delete everything in the index
+     */
+    clear() {
+        if (!this.isReady) return Promise.resolve();
+
+        this.pendingMessages.clear();
+        this.pendingDeletes.clear();
+        this.indexedVersions.clear();
+
+        return new Promise((resolve) => {
+            const tx = this.db.transaction(['messages', 'terms'], 'readwrite');
+            tx.objectStore('messages').clear();
+            tx.objectStore('terms').clear();
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => resolve();
+        });
+    }
+};
@@ -1,6 +1,10 @@
 /**
  * PollManager - Handles creating and managing polls via Sendbird API
  * Integrates with Sendbird Platform API v3
+ *
+ * Poll messages are picked up from intercepted /messages responses (wv-thread-messages)
+ * and live websocket traffic (MESG, VOTE, PEDI), so PollUI can render vote bars without
+ * fetching every poll. Vote-count changes from other users are re-dispatched as wv-poll-voted.
  */
 
 var WVFavs = WVFavs || {};
@@ -9,6 +13,8 @@ WVFavs.PollManager = class PollManager {
     constructor(app) {
         this.app = app;
         this.polls = new Map(); // pollId -> poll object
+        this.messagePolls = new Map(); // messageId -> { pollId, channelUrl }
+        this.myVotes = new Map(); // pollId -> option IDs the current user voted for
         this.isInitialized = false;
     }
 
@@ -54,9 +60,162 @@ WVFavs.PollManager = class PollManager {
 
         // Listen for poll closed events
         window.addEventListener('wv-poll-closed', (event) => {
-            const { pollId } = event.detail;
+            const { pollId, poll } = event.detail;
+            if (poll) this.polls.set(pollId, poll);
             this.app?.logger?.log('📊 Poll closed:', pollId);
         });
+
+        // Poll messages in channel history
+        window.addEventListener('wv-thread-messages', (event) => {
+            const { channelUrl, messages } = event.detail || {};
+            this.trackPollMessages(channelUrl, messages || []);
+        });
+
+        // Poll messages arriving live
+        window.addEventListener('wv-chat-message', (event) => {
+            const { messageId, channelUrl, poll } = event.detail || {};
+            if (poll?.id) {
+                this.trackPollMessages(channelUrl, [{ message_id: messageId, poll }]);
+            }
+        });
+
+        // Someone (possibly us, from another tab) voted
+        window.addEventListener('wv-poll-vote-received', (event) => {
+            const { pollId, voteCounts } = event.detail || {};
+            if (pollId) {
+                this.applyRemoteVoteCounts(pollId, voteCounts || []).catch(error => {
+                    this.app?.logger?.warn('⚠️ Failed to apply poll vote update:', error);
+                });
+            }
+        });
+
+        // Poll edited or closed elsewhere
+        window.addEventListener('wv-poll-update-received', (event) => {
+            const { poll } = event.detail || {};
+            if (!poll?.id) return;
+
+            this.storePoll(poll);
+            window.dispatchEvent(new CustomEvent(poll.status === 'closed' ? 'wv-poll-closed' : 'wv-poll-updated', {
+                detail: { pollId: poll.id, poll: this.polls.get(poll.id) }
+            }));
+        });
+    }
+
+    /**
+     * Remember which messages carry polls and cache their poll objects
+     * @param {string} channelUrl - Channel the messages belong to
+     * @param {Array<Object>} messages - Raw Sendbird messages
+     */
+    trackPollMessages(channelUrl, messages) {
+        const found = [];
+
+        messages.forEach(message => {
+            const pollId = message.poll?.id || message.poll_id;
+            if (!pollId || !message.message_id) return;
+
+            const messageId = String(message.message_id);
+            if (!this.messagePolls.has(messageId)) {
+                found.push(messageId);
+            }
+            this.messagePolls.set(messageId, { pollId, channelUrl });
+
+            if (message.poll?.options) {
+                this.storePoll(message.poll);
+            }
+        });
+
+        if (found.length > 0) {
+            window.dispatchEvent(new CustomEvent('wv-poll-messages-found', {
+                detail: { channelUrl, messageIds: found }
+            }));
+        }
+    }
+
+    /**
+     * Cache a poll unless we already hold a newer copy
+     */
+    storePoll(poll) {
+        const cached = this.polls.get(poll.id);
+        if (cached && (cached.updated_at || 0) > (poll.updated_at || 0)) {
+            return;
+        }
+
+        this.polls.set(poll.id, poll);
+        if (Array.isArray(poll.voted_option_ids)) {
+            this.myVotes.set(poll.id, poll.voted_option_ids);
+        }
+    }
+
+    /**
+     * Merge vote counts from a VOTE websocket event into the cached poll
+     * @param {number} pollId - Poll ID
+     * @param {Array<Object>} voteCounts - [{ option_id, vote_count }]
+     */
+    async applyRemoteVoteCounts(pollId, voteCounts) {
+        let poll = this.polls.get(pollId);
+        if (!poll) {
+            // Not rendered from history - fetch the whole poll instead of guessing the options
+            poll = await this.getPoll(pollId);
+        } else {
+            const counts = new Map(voteCounts.map(count => [count.option_id, count.vote_count]));
+            poll = {
+                ...poll,
+                options: (poll.options || []).map(option => (
+                    counts.has(option.id) ? { ...option, vote_count: counts.get(option.id) } : option
+                ))
+            };
+            this.polls.set(pollId, poll);
+        }
+
+        window.dispatchEvent(new CustomEvent('wv-poll-voted', {
+            detail: { pollId, optionIds: null, poll, remote: true }
+        }));
+    }
+
+    /**
+     * Poll attached to a message, if we have seen one
+     * @param {string|number} messageId - Sendbird message ID
+     * @returns {{pollId: number, channelUrl: string, poll: Object|null}|null}
+     */
+    getPollForMessage(messageId) {
+        const entry = this.messagePolls.get(String(messageId));
+        if (!entry) return null;
+        return { ...entry, poll: this.polls.get(entry.pollId) || null };
+    }
+
+    /**
+     * Option IDs the current user voted for
+     * @param {number} pollId - Poll ID
+     * @returns {Array<number>}
+     */
+    getMyVotes(pollId) {
+        return this.myVotes.get(pollId) || [];
+    }
+
+    /**
+     * Closed by hand or past its close date (close_at is in seconds, -1 = never)
+     */
+    isPollClosed(poll) {
+        return poll.status === 'closed' || (poll.close_at > 0 && poll.close_at * 1000 <= Date.now());
+    }
+
+    /**
+     * Anonymous polls keep voter names out of the results; the flag lives in poll.data.text
+     */
+    isPollAnonymous(poll) {
+        try {
+            return !!JSON.parse(poll.data?.text || '{}').anonymous;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether the current user created the poll (and so may close it)
+     */
+    isPollCreator(poll) {
+        const creator = poll?.created_by?.user_id || poll?.created_by;
+        return !!creator && String(creator) === String(this.currentUserId);
     }
 
     /**
@@ -214,6 +373,7 @@ WVFavs.PollManager = class PollManager {
             const response = await this.makePollAPIRequest(url, 'POST', payload);
 
             if (response && response.message_id) {
+                this.trackPollMessages(channelUrl, [{ ...response, poll_id: response.poll?.id || pollId }]);
                 this.app?.logger?.log('✅ Poll message sent successfully:', response.message_id);
                 return response;
             } else {
@@ -279,6 +439,7 @@ WVFavs.PollManager = class PollManager {
             if (response && response.id) {
                 // Update stored poll
                 this.polls.set(pollId, response);
+                this.myVotes.set(pollId, optionIds);
 
                 // Dispatch poll voted event
                 window.dispatchEvent(new CustomEvent('wv-poll-voted', {
@@ -331,6 +492,9 @@ WVFavs.PollManager = class PollManager {
             if (response && response.id) {
                 // Update stored poll
                 this.polls.set(pollId, response);
+                if (Array.isArray(response.voted_option_ids)) {
+                    this.myVotes.set(pollId, response.voted_option_ids);
+                }
 
                 this.app?.logger?.log('✅ Fetched poll successfully:', pollId);
                 return response;
@@ -391,7 +555,7 @@ WVFavs.PollManager = class PollManager {
 
                 // Dispatch poll closed event
                 window.dispatchEvent(new CustomEvent('wv-poll-closed', {
-                    detail: { pollId }
+                    detail: { pollId, poll: response }
                 }));
 
                 this.app?.logger?.log('✅ Poll closed successfully:', pollId);
@@ -405,6 +569,110 @@ WVFavs.PollManager = class PollManager {
         }
     }
 
+    /**
+     * Reopen a closed poll (creator only)
+     * Sendbird keeps closed polls editable, so this clears the close date and sets the status back.
+     * @param {number} pollId - Poll ID to reopen
+     * @returns {Promise<Object>} Updated poll object
+     */
+    async reopenPoll(pollId) {
+        if (!this.isInitialized) {
+            throw new Error('PollManager not initialized');
+        }
+
+        if (!pollId) {
+            throw new Error('Poll ID is required');
+        }
+
+        // Extract Sendbird App ID
+        const sendbirdAppId = await this.extractSendbirdAppId();
+        if (!sendbirdAppId) {
+            throw new Error('Cannot extract Sendbird App ID');
+        }
+
+        const url = `https://api-${sendbirdAppId}.sendbird.com/v3/polls/${pollId}`;
+
+        const payload = {
+            status: 'open',
+            close_at: -1
+        };
+
+        this.app?.logger?.log('📊 Reopening poll:', pollId);
+
+        try {
+            const response = await this.makePollAPIRequest(url, 'PUT', payload);
+
+            if (response && response.id) {
+                this.polls.set(pollId, response);
+
+                window.dispatchEvent(new CustomEvent('wv-poll-updated', {
+                    detail: { pollId, poll: response }
+                }));
+
+                this.app?.logger?.log('✅ Poll reopened successfully:', pollId);
+                return response;
+            } else {
+                throw new Error('Invalid reopen poll response');
+            }
+        } catch (error) {
+            this.app?.logger?.log('❌ Error reopening poll:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the users who voted for an option
+     * @param {number} pollId - Poll ID
+     * @param {number} optionId - Option ID
+     * @returns {Promise<Array<Object>>} Voters ({ user_id, nickname, ... })
+     */
+    async getOptionVoters(pollId, optionId) {
+        if (!this.isInitialized) {
+            throw new Error('PollManager not initialized');
+        }
+
+        // Extract Sendbird App ID
+        const sendbirdAppId = await this.extractSendbirdAppId();
+        if (!sendbirdAppId) {
+            throw new Error('Cannot extract Sendbird App ID');
+        }
+
+        const voters = [];
+        let token = '';
+
+        // Page through the voter list - 100 per request is the API maximum
+        do {
+            let url = `https://api-${sendbirdAppId}.sendbird.com/v3/polls/${pollId}/options/${optionId}/voters?limit=100`;
+            if (token) {
+                url += `&token=${encodeURIComponent(token)}`;
+            }
+
+            const response = await this.makePollAPIRequest(url, 'GET');
+            voters.push(...(response?.voters || []));
+            token = response?.next || '';
+        } while (token);
+
+        return voters;
+    }
+
+    /**
+     * IDs of polls posted in a channel, newest message first
+     * @param {string} channelUrl - Channel URL
+     * @returns {Array<number>}
+     */
+    getChannelPollIds(channelUrl) {
+        const pollIds = [];
+
+        Array.from(this.messagePolls.entries())
+            .filter(([, entry]) => entry.channelUrl === channelUrl)
+            .sort(([a], [b]) => Number(b) - Number(a))
+            .forEach(([, entry]) => {
+                if (!pollIds.includes(entry.pollId)) pollIds.push(entry.pollId);
+            });
+
+        return pollIds;
+    }
+
     /**
      * Add a poll option (if allow_user_suggestion enabled)
      * @param {number} pollId - Poll ID to add option to
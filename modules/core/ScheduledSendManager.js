@@ -0,0 +1,411 @@
+/**
+ * ScheduledSendManager - "Send later" for drafts
+ *
+ * A scheduled message is a draft's Lexical state plus a send time. The queue lives in
+ * localStorage so it survives reloads; whichever WorkVivo tab is open at the due time
+ * claims the message, opens the chat/thread, restores the state into the composer via
+ * DraftManager and submits it. Tabs take turns through a Web Lock, so only one sends at a time.
+ *
+ * Messages more than `maxLateMs` overdue (e.g. the browser was closed) are not sent
+ * automatically; they're marked missed and wait for the user in the Drafts panel. The same
+ * goes for a message whose tab went away mid-send: it may already be in the chat, so it's
+ * marked interrupted instead of being sent again.
+ *
+ * Storage: localStorage with key 'wv_scheduled_messages'
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.ScheduledSendManager = class ScheduledSendManager {
+    constructor(app) {
+        this.app = app;
+        this.storageKey = 'wv_scheduled_messages';
+        this.lockName = 'wv-scheduled-send';
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.checkInterval = null;
+        this.isSending = false;
+        this.lastKeyTime = 0;
+
+        this.config = {
+            checkIntervalMs: 15000,
+            maxLateMs: 15 * 60 * 1000,     // Overdue beyond this → missed, not sent
+            busyDelayMs: 30 * 1000,        // Retry delay while the user is typing
+            typingGraceMs: 15 * 1000,      // Keystrokes this recent mean "busy"
+            confirmTimeoutMs: 8000         // Wait for a send signal after submitting
+        };
+    }
+
+    async init() {
+        // Don't take over the composer while the user is typing
+        document.addEventListener('keydown', () => {
+            this.lastKeyTime = Date.now();
+        }, true);
+
+        // Another tab changed the queue
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey) {
+                this.notifyChanged();
+            }
+        });
+
+        this.checkInterval = setInterval(() => this.processDue(), this.config.checkIntervalMs);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.processDue();
+            }
+        });
+
+        this.processDue();
+    }
+
+    /**
+     * Preset send times for the picker
+     */
+    getScheduleOptions() {
+        const times = WVFavs.Helpers.getLaterPresetTimes();
+
+        return [
+            { id: '1h', label: 'In 1 hour', sendAt: times.inOneHour },
+            { id: 'tomorrow', label: 'Tomorrow, 9:00', sendAt: times.tomorrowMorning },
+            { id: 'nextWeek', label: 'Next week, Mon 9:00', sendAt: times.nextWeekMorning }
+        ];
+    }
+
+    getAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to load scheduled messages:', error);
+            return [];
+        }
+    }
+
+    get(id) {
+        return this.getAll().find(item => item.id === id) || null;
+    }
+
+    /**
+     * Scheduled messages, soonest first
+     */
+    getPending() {
+        return this.getAll().sort((a, b) => a.sendAt - b.sendAt);
+    }
+
+    persist(items) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(items));
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to save scheduled messages:', error);
+        }
+        this.notifyChanged();
+    }
+
+    update(id, changes) {
+        const items = this.getAll();
+        const item = items.find(entry => entry.id === id);
+        if (!item) return null;
+
+        Object.assign(item, changes);
+        this.persist(items);
+        return item;
+    }
+
+    notifyChanged() {
+        document.dispatchEvent(new CustomEvent('wv-scheduled-updated'));
+    }
+
+    /**
+     * Schedule a draft and take it out of the drafts list
+     * @param {Object} draft - Draft record (enriched by DraftsPanel: channelUrl, threadId, channelName)
+     * @param {number} sendAt - Timestamp to send at
+     */
+    async schedule(draft, sendAt) {
+        const item = {
+            id: `sched-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            channelUrl: draft.channelUrl,
+            threadId: draft.threadId || null,
+            channelName: draft.channelName || null,
+            lexicalState: draft.lexicalState,
+            textContent: draft.textContent || '',
+            parentMessageCreatedAt: draft.parentMessageCreatedAt || null,
+            sendAt,
+            createdAt: Date.now(),
+            status: 'pending',
+            error: null
+        };
+
+        this.persist([...this.getAll(), item]);
+
+        // The draft now lives in the queue; empty the composer if it's showing it
+        const draftManager = this.app.draftManager;
+        if (draftManager) {
+            await draftManager.clearComposer(item.channelUrl, item.threadId);
+            draftManager.clearDraft(item.channelUrl, item.threadId);
+        }
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('message_scheduled', {
+                delay_minutes: Math.round((sendAt - Date.now()) / 60000),
+                is_thread: !!item.threadId
+            });
+        }
+
+        this.app?.logger?.log('⏰ Message scheduled:', { id: item.id, sendAt: new Date(sendAt).toISOString() });
+        return item;
+    }
+
+    reschedule(id, sendAt) {
+        return this.update(id, { sendAt, status: 'pending', error: null, claimedBy: null, claimedAt: null, deferredUntil: null });
+    }
+
+    /**
+     * Remove from the queue without sending
+     * @param {boolean} keepAsDraft - Put the message back into Drafts
+     */
+    unschedule(id, keepAsDraft = true) {
+        const item = this.get(id);
+        if (!item) return null;
+
+        this.persist(this.getAll().filter(entry => entry.id !== id));
+
+        if (keepAsDraft && this.app.draftManager) {
+            this.app.draftManager.setDraft(item.channelUrl, item.threadId, {
+                lexicalState: item.lexicalState,
+                textContent: item.textContent,
+                parentMessageCreatedAt: item.parentMessageCreatedAt
+            });
+        }
+
+        return item;
+    }
+
+    /**
+     * Send due messages, one at a time across all tabs
+     */
+    async processDue() {
+        if (this.isSending) return;
+
+        this.isSending = true;
+        try {
+            // Held for the whole send; if another tab has it, that tab handles the queue
+            await navigator.locks.request(this.lockName, { ifAvailable: true }, async (lock) => {
+                if (lock) {
+                    await this.processDueLocked();
+                }
+            });
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Scheduled send check failed:', error);
+        } finally {
+            this.isSending = false;
+        }
+    }
+
+    /**
+     * processDue() body, run while holding the send lock
+     */
+    async processDueLocked() {
+        const now = Date.now();
+        const items = this.getAll();
+
+        // Overdue by too much: leave it for the user rather than send it out of context
+        const missed = items.filter(item => item.status === 'pending' && now - item.sendAt > this.config.maxLateMs);
+        missed.forEach(item => {
+            item.status = 'missed';
+            item.error = 'Not sent on time';
+        });
+
+        // Nobody else can be sending while we hold the lock, so these lost their tab mid-send.
+        // The message may have gone out - let the user check rather than risk posting it twice.
+        const interrupted = items.filter(item => item.status === 'sending');
+        interrupted.forEach(item => {
+            item.status = 'interrupted';
+            item.error = 'Sending was interrupted — check the chat before sending again';
+            item.claimedBy = null;
+            item.claimedAt = null;
+        });
+
+        if (missed.length > 0 || interrupted.length > 0) {
+            this.persist(items);
+        }
+        if (missed.length > 0) {
+            WVFavs.DomManager?.showSnackbar(
+                `${missed.length} scheduled message${missed.length > 1 ? 's were' : ' was'} not sent on time — see Drafts`,
+                'error'
+            );
+        }
+        if (interrupted.length > 0) {
+            WVFavs.DomManager?.showSnackbar(
+                `${interrupted.length} scheduled message${interrupted.length > 1 ? 's' : ''} may not have been sent — see Drafts`,
+                'error'
+            );
+            if (this.app.analytics) {
+                this.app.analytics.trackEvent('scheduled_message_failed', { reason: 'interrupted' });
+            }
+        }
+
+        const due = this.getPending().find(item =>
+            item.status === 'pending' && item.sendAt <= now && (!item.deferredUntil || item.deferredUntil <= now)
+        );
+        if (!due) return;
+
+        if (now - this.lastKeyTime < this.config.typingGraceMs) {
+            this.app?.logger?.debug('⏳ User is typing, delaying scheduled message');
+            this.update(due.id, { deferredUntil: now + this.config.busyDelayMs });
+            return;
+        }
+
+        this.update(due.id, { status: 'sending', claimedBy: this.tabId, claimedAt: now });
+        await this.send(due);
+    }
+
+    /**
+     * Open the message's chat/thread, restore it into the composer and submit it
+     */
+    async send(item) {
+        const draftManager = this.app.draftManager;
+        if (!draftManager) {
+            this.markFailed(item, 'Drafts are disabled');
+            return;
+        }
+
+        const previousChannel = this.app.threadManager?.getCurrentChannel();
+        const label = item.channelName || 'chat';
+
+        try {
+            await this.openContext(item.channelUrl, item.threadId);
+            if (this.app.threadManager?.getCurrentChannel() !== item.channelUrl) {
+                throw new Error('Could not open the chat');
+            }
+
+            this.focusComposer(!!item.threadId);
+
+            // Keep whatever is already in the composer (usually an auto-restored draft) and put it back afterwards
+            const existing = await draftManager.getLexicalEditorStateFromPageContext();
+            const stash = existing?.success && existing.textContent?.trim() ? existing : null;
+
+            draftManager.isRestoringDraft = true;
+            const restored = await draftManager.setLexicalEditorStateInPageContext(item.lexicalState);
+            if (!restored?.success) {
+                draftManager.isRestoringDraft = false;
+                throw new Error(restored?.error || 'Message box not found');
+            }
+
+            const sent = this.waitForSendSignal();
+            const submitted = await draftManager.submitEditorInPageContext();
+            if (!submitted?.success) {
+                draftManager.isRestoringDraft = false;
+                throw new Error(submitted?.error || 'Could not submit the message');
+            }
+
+            let confirmed = await sent;
+            if (!confirmed) {
+                // No signal: trust an emptied composer
+                const after = await draftManager.getLexicalEditorStateFromPageContext();
+                confirmed = after?.success && !after.textContent?.trim();
+            }
+            draftManager.isRestoringDraft = false;
+
+            if (!confirmed) {
+                throw new Error('WorkVivo did not send the message');
+            }
+
+            this.persist(this.getAll().filter(entry => entry.id !== item.id));
+            WVFavs.DomManager?.showSnackbar(`Scheduled message sent to ${label}`, 'success');
+
+            if (this.app.analytics) {
+                this.app.analytics.trackEvent('scheduled_message_sent', {
+                    late_seconds: Math.max(0, Math.round((Date.now() - item.sendAt) / 1000)),
+                    is_thread: !!item.threadId
+                });
+            }
+
+            if (stash) {
+                // Wait out DraftManager's post-send window before putting the user's text back
+                await new Promise(resolve => setTimeout(resolve, 600));
+                draftManager.setDraft(item.channelUrl, item.threadId, stash);
+                await draftManager.restoreDraft(item.channelUrl, item.threadId);
+            }
+
+            if (previousChannel && previousChannel !== item.channelUrl) {
+                await this.openContext(previousChannel, null);
+            }
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Scheduled message failed:', error);
+            this.markFailed(item, error.message);
+        }
+    }
+
+    markFailed(item, reason) {
+        this.update(item.id, { status: 'failed', error: reason, claimedBy: null, claimedAt: null });
+        WVFavs.DomManager?.showSnackbar(`Scheduled message to ${item.channelName || 'chat'} failed: ${reason}`, 'error');
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('scheduled_message_failed', { reason });
+        }
+    }
+
+    /**
+     * Resolve true on the first send signal DraftManager also listens for, false on timeout
+     */
+    waitForSendSignal() {
+        const events = ['wv-websocket-message-sent', 'wv-message-sanitise-called', 'wv-websocket-message-confirmed'];
+
+        return new Promise(resolve => {
+            const done = (result) => {
+                events.forEach(name => window.removeEventListener(name, onSignal));
+                clearTimeout(timer);
+                resolve(result);
+            };
+            const onSignal = () => done(true);
+            const timer = setTimeout(() => done(false), this.config.confirmTimeoutMs);
+
+            events.forEach(name => window.addEventListener(name, onSignal));
+        });
+    }
+
+    /**
+     * Navigate to a chat and optionally open a thread (same tiers as the Drafts panel)
+     */
+    async openContext(channelUrl, threadId = null) {
+        if (this.app.threadManager?.getCurrentChannel() !== channelUrl) {
+            // TIER 1: WebpackNavigator, TIER 2: ReactFiberNav
+            let opened = false;
+            if (this.app.webpackNav && this.app.webpackNav.initialized) {
+                const result = await this.app.webpackNav.navigateToMessage({
+                    message_id: null,
+                    channel_url: channelUrl,
+                    parent_message_id: null
+                });
+                opened = !!result?.success;
+            }
+            if (!opened && this.app.reactFiberNav) {
+                await this.app.reactFiberNav.openChannelByUrl(channelUrl);
+            }
+            // Wait for channel messages to load
+            await new Promise(resolve => setTimeout(resolve, 800));
+        }
+
+        if (threadId) {
+            await WVFavs.DomManager.openThreadById(threadId);
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+
+        // Let DraftManager finish its own restore before touching the composer
+        await new Promise(resolve => setTimeout(resolve, 300 + (this.app.draftManager?.config.restoreDelayMs || 0)));
+    }
+
+    /**
+     * Focus the main or thread composer; page-script picks the focused editor
+     */
+    focusComposer(isThread) {
+        const section = document.querySelector(isThread ? '[data-testid="thread-message-section"]' : '[data-testid="message-section"]');
+        section?.querySelector('div[contenteditable="true"][role="textbox"]')?.focus();
+    }
+
+    destroy() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+};
@@ -12,10 +12,13 @@ WVFavs.SearchManager = class SearchManager {
         this.currentChannelUrl = null;
         this.advancedQuery = false; // Track if current search uses advanced query
         this.exactMatch = false; // Track if current search uses exact match
+        this.filters = null; // Parsed from:/in:/after:/before:/has:/-term filters for current search
         this.results = [];
         this.nextToken = null;
         this.hasMore = false;
+        this.pendingServerSearch = false; // Results so far came from the local index; server not queried yet
         this.isSearching = false;
+        this.savedSearchesKey = 'wv_saved_searches';
     }
 
     /**
@@ -43,10 +46,12 @@ WVFavs.SearchManager = class SearchManager {
      * @param {boolean} options.advancedQuery - Enable Sendbird advanced search with AND/OR operators
      * @param {boolean} options.exactMatch - Enable exact match search
      * @param {string|null} options.nextToken - Pagination token (optional)
+     * @param {Object|null} options.filters - Filters from parseSearchQuery (optional)
+     * @param {boolean} options.skipLocalIndex - Go straight to the Sendbird API (optional)
      * @returns {Promise<Object>} Search results with pagination info
      */
     async searchMessages(channelUrl, query, options = {}) {
-        const { advancedQuery = false, exactMatch = false, nextToken = null } = options;
+        const { advancedQuery = false, exactMatch = false, nextToken = null, filters = null, skipLocalIndex = false } = options;
         if (!query || query.trim().length === 0) {
             this.app?.logger?.log('⚠️ Invalid search parameters:', { channelUrl, query });
             return { results: [], hasMore: false, nextToken: null };
@@ -55,50 +60,41 @@ WVFavs.SearchManager = class SearchManager {
         this.isSearching = true;
 
         try {
-            // Extract Sendbird app ID from page (like MentionsManager does)
-            const sendbirdAppId = this.extractSendbirdAppId();
-            if (!sendbirdAppId) {
-                throw new Error('Could not extract Sendbird App ID');
-            }
-
-            // Build search URL
-            const baseUrl = `https://api-${sendbirdAppId}.sendbird.com/v3/search/messages`;
-
-            // Build URL with required parameters (sort by timestamp for chronological order)
-            let url = `${baseUrl}?query=${encodeURIComponent(query.trim())}&limit=20&sort_field=ts`;
-
-            // Add channel URL if searching specific channel, otherwise use user_id for global search
-            if (channelUrl) {
-                url += `&channel_url=${encodeURIComponent(channelUrl)}`;
-            } else {
-                // Global search: use user_id to search across all user's channels
-                const userId = await this.getCurrentUserId();
-                if (!userId) {
-                    throw new Error('Could not get current user ID for global search');
+            // Answer new searches from the local index first; the API is only hit for misses
+            if (!nextToken && !skipLocalIndex) {
+                const localResults = await this.searchLocalIndex(channelUrl, query, { advancedQuery, exactMatch, filters });
+
+                if (localResults.length > 0) {
+                    this.currentQuery = query;
+                    this.currentChannelUrl = channelUrl;
+                    this.advancedQuery = advancedQuery;
+                    this.exactMatch = exactMatch;
+                    this.filters = filters;
+                    this.results = localResults;
+                    this.nextToken = null;
+                    this.hasMore = true;
+                    this.pendingServerSearch = true;
+
+                    this.app?.logger?.log('⚡ Search answered from local index:', { resultsCount: localResults.length });
+
+                    return {
+                        results: localResults,
+                        totalResults: localResults.length,
+                        hasMore: true,
+                        nextToken: null,
+                        fromLocalIndex: true
+                    };
                 }
-                url += `&user_id=${encodeURIComponent(userId)}`;
             }
 
-            // Add advanced query parameter if enabled
-            if (advancedQuery) {
-                url += '&advanced_query=true';
-            }
-
-            // Add exact match parameter if enabled
-            if (exactMatch) {
-                url += '&exact_match=true';
-            }
-
-            // Add pagination token if provided
-            if (nextToken) {
-                url += `&token=${encodeURIComponent(nextToken)}`;
-            }
+            const url = await this.buildSearchUrl(channelUrl, query, { advancedQuery, exactMatch, nextToken, filters });
 
             this.app?.logger?.log('🔍 Searching messages:', {
                 channelUrl: channelUrl ? channelUrl.substring(0, 40) + '...' : 'all channels (user_id)',
                 query,
                 advancedQuery,
                 exactMatch,
+                filters,
                 url: url.substring(0, 150) + '...',
                 hasNextToken: !!nextToken
             });
@@ -110,8 +106,18 @@ WVFavs.SearchManager = class SearchManager {
                 throw new Error('No response from search API');
             }
 
-            // Parse results
-            const searchResults = this.parseSearchResults(response);
+            // Parse results and apply filters Sendbird can't handle
+            let searchResults = this.parseSearchResults(response);
+            searchResults.results = this.applyPostFilters(searchResults.results, filters);
+
+            // Post-filters can empty a whole page; look a few pages further before giving up
+            let extraPages = 0;
+            while (filters && searchResults.results.length === 0 && searchResults.hasMore && searchResults.nextToken && extraPages < 3) {
+                const nextUrl = await this.buildSearchUrl(channelUrl, query, { advancedQuery, exactMatch, nextToken: searchResults.nextToken, filters });
+                searchResults = this.parseSearchResults(await this.makeSendbirdMessageSearchRequest(nextUrl));
+                searchResults.results = this.applyPostFilters(searchResults.results, filters);
+                extraPages++;
+            }
 
             // Update state if this is a new search (not pagination)
             if (!nextToken) {
@@ -119,14 +125,18 @@ WVFavs.SearchManager = class SearchManager {
                 this.currentChannelUrl = channelUrl;
                 this.advancedQuery = advancedQuery;
                 this.exactMatch = exactMatch;
+                this.filters = filters;
                 this.results = searchResults.results;
             } else {
-                // Append results for pagination
+                // Append results for pagination (skipping any already shown from the local index)
+                const seenIds = new Set(this.results.map(r => r.messageId));
+                searchResults.results = searchResults.results.filter(r => !seenIds.has(r.messageId));
                 this.results = [...this.results, ...searchResults.results];
             }
 
             this.nextToken = searchResults.nextToken;
             this.hasMore = searchResults.hasMore;
+            this.pendingServerSearch = false;
 
             this.app?.logger?.log('✅ Search completed:', {
                 resultsCount: searchResults.results.length,
@@ -149,6 +159,375 @@ WVFavs.SearchManager = class SearchManager {
         }
     }
 
+    /**
+     * Search messages already seen in this browser (see MessageIndex)
+     * Advanced and wildcard queries use Sendbird syntax the local index can't evaluate.
+     * @param {string|null} channelUrl - Channel URL (null for all channels)
+     * @param {string} query - Search term
+     * @param {Object} options - advancedQuery, exactMatch, filters
+     * @returns {Promise<Array>} Parsed results, or [] when the index can't answer
+     */
+    async searchLocalIndex(channelUrl, query, options = {}) {
+        const { advancedQuery = false, exactMatch = false, filters = null } = options;
+        const messageIndex = this.app.messageIndex;
+
+        if (!messageIndex || advancedQuery || /[*~]/.test(query)) {
+            return [];
+        }
+
+        try {
+            if (filters?.in) {
+                channelUrl = await this.resolveChannelFilter(filters.in);
+            }
+            await this.resolveExcludedChannel(filters);
+
+            // Post-filters run inside the index search so the limit counts only matches
+            return await messageIndex.search(query, {
+                channelUrl,
+                exactMatch,
+                filters,
+                filter: result => this.applyPostFilters([result], filters).length > 0,
+                limit: 50
+            });
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Local index search failed, falling back to API:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Build a Sendbird message search URL
+     * @param {string|null} channelUrl - Channel URL (null for all channels)
+     * @param {string} query - Search term
+     * @param {Object} options - advancedQuery, exactMatch, nextToken, filters
+     * @returns {Promise<string>} Request URL
+     */
+    async buildSearchUrl(channelUrl, query, options = {}) {
+        const { advancedQuery = false, exactMatch = false, nextToken = null, filters = null } = options;
+
+        // in:#channel overrides the panel's scope
+        if (filters?.in) {
+            channelUrl = await this.resolveChannelFilter(filters.in);
+        }
+        await this.resolveExcludedChannel(filters);
+
+        // Extract Sendbird app ID from page (like MentionsManager does)
+        const sendbirdAppId = this.extractSendbirdAppId();
+        if (!sendbirdAppId) {
+            throw new Error('Could not extract Sendbird App ID');
+        }
+
+        // Build search URL
+        const baseUrl = `https://api-${sendbirdAppId}.sendbird.com/v3/search/messages`;
+
+        // Build URL with required parameters (sort by timestamp for chronological order)
+        let url = `${baseUrl}?query=${encodeURIComponent(query.trim())}&limit=20&sort_field=ts`;
+
+        // Add channel URL if searching specific channel, otherwise use user_id for global search
+        if (channelUrl) {
+            url += `&channel_url=${encodeURIComponent(channelUrl)}`;
+        } else {
+            // Global search: use user_id to search across all user's channels
+            const userId = await this.getCurrentUserId();
+            if (!userId) {
+                throw new Error('Could not get current user ID for global search');
+            }
+            url += `&user_id=${encodeURIComponent(userId)}`;
+        }
+
+        // Add advanced query parameter if enabled
+        if (advancedQuery) {
+            url += '&advanced_query=true';
+        }
+
+        // Add exact match parameter if enabled
+        if (exactMatch) {
+            url += '&exact_match=true';
+        }
+
+        // Date range filters map to Sendbird's message timestamp bounds
+        if (filters?.after) {
+            url += `&message_ts_from=${filters.after}`;
+        }
+        if (filters?.before) {
+            url += `&message_ts_to=${filters.before}`;
+        }
+
+        // Add pagination token if provided
+        if (nextToken) {
+            url += `&token=${encodeURIComponent(nextToken)}`;
+        }
+
+        return url;
+    }
+
+    /**
+     * Run a search without touching the current search state (used for saved search badges)
+     * @param {string|null} channelUrl - Channel URL (null for all channels)
+     * @param {string} query - Search term
+     * @param {Object} options - advancedQuery, exactMatch
+     * @returns {Promise<Object>} Parsed first page of results
+     */
+    async peekSearch(channelUrl, query, options = {}) {
+        const url = await this.buildSearchUrl(channelUrl, query, options);
+        const response = await this.makeSendbirdMessageSearchRequest(url);
+        const parsed = this.parseSearchResults(response);
+        parsed.results = this.applyPostFilters(parsed.results, options.filters);
+        return parsed;
+    }
+
+    /**
+     * Split a query into search text and filters
+     * Supported: from:name, in:#channel, after:YYYY-MM-DD, before:YYYY-MM-DD,
+     * has:link, has:file and -term. Values with spaces can be quoted: from:"Jane Doe"
+     * Operators can be negated: -from:, -in:, -has: exclude matches; -after:X means
+     * on or before X and -before:X means on or after X.
+     * @param {string} query - Query as typed
+     * @returns {Object} { text, filters } - filters is null when none were used
+     */
+    parseSearchQuery(query) {
+        const filters = {
+            from: [], in: null, after: null, before: null, has: [], exclude: [],
+            notFrom: [], notIn: null, notHas: []
+        };
+        const textParts = [];
+        let hasFilters = false;
+
+        const tokenPattern = /(-?)(?:(from|in|after|before|has):)?("[^"]*"|\S+)/gi;
+        let match;
+
+        while ((match = tokenPattern.exec(query)) !== null) {
+            const [token, negate, key, rawValue] = match;
+            const value = rawValue.replace(/^"|"$/g, '').trim();
+
+            if (!key) {
+                if (negate && value) {
+                    filters.exclude.push(value.toLowerCase());
+                    hasFilters = true;
+                } else {
+                    textParts.push(token);
+                }
+                continue;
+            }
+
+            if (!value) continue;
+            hasFilters = true;
+
+            const operator = key.toLowerCase();
+            const dayMs = 24 * 60 * 60 * 1000;
+
+            switch (operator) {
+                case 'from':
+                    (negate ? filters.notFrom : filters.from).push(value.replace(/^@/, '').toLowerCase());
+                    break;
+                case 'in':
+                    if (negate) {
+                        filters.notIn = value.replace(/^#/, '');
+                    } else {
+                        filters.in = value.replace(/^#/, '');
+                    }
+                    break;
+                case 'after':
+                case 'before': {
+                    const day = this.parseFilterDate(value);
+                    if (day === null) throw new Error(`Invalid date in ${negate}${operator}:${value} (use YYYY-MM-DD)`);
+
+                    // after:X starts the day following X; before:X ends before X.
+                    // Negated, the bounds flip: -after:X ends with X, -before:X starts at X.
+                    if ((operator === 'after') !== !!negate) {
+                        filters.after = operator === 'after' ? day + dayMs : day;
+                    } else {
+                        filters.before = operator === 'before' ? day : day + dayMs;
+                    }
+                    break;
+                }
+                case 'has':
+                    (negate ? filters.notHas : filters.has).push(value.toLowerCase());
+                    break;
+            }
+        }
+
+        return {
+            text: textParts.join(' ').trim(),
+            filters: hasFilters ? filters : null
+        };
+    }
+
+    /**
+     * Parse YYYY-MM-DD as local midnight
+     * @returns {number|null} Timestamp in ms
+     */
+    parseFilterDate(value) {
+        const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (!match) return null;
+
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return isNaN(date.getTime()) ? null : date.getTime();
+    }
+
+    /**
+     * Resolve an in: filter to a channel URL using the local chat database
+     * @param {string} name - Channel name without '#'
+     * @returns {Promise<string>} Channel URL
+     */
+    async resolveChannelFilter(name) {
+        const db = this.app.smartUserDB;
+        let chat = await db?.getChatByName(name);
+
+        if (!chat && db) {
+            const needle = name.toLowerCase();
+            const chats = await db.getAllChats();
+            chat = chats.find(c => c.name && c.name.toLowerCase().includes(needle));
+        }
+
+        const channelUrl = chat?.channel_url || null;
+        if (!channelUrl) {
+            throw new Error(`No channel found matching "#${name}"`);
+        }
+
+        return channelUrl;
+    }
+
+    /**
+     * Resolve a -in:#channel filter to its channel URL (once per search)
+     * @param {Object|null} filters - Filters from parseSearchQuery
+     */
+    async resolveExcludedChannel(filters) {
+        if (filters?.notIn && !filters.notInUrl) {
+            filters.notInUrl = await this.resolveChannelFilter(filters.notIn);
+        }
+    }
+
+    /**
+     * Apply filters the Sendbird search API doesn't support (sender, attachments, negation)
+     * @param {Array} results - Parsed results
+     * @param {Object|null} filters - Filters from parseSearchQuery
+     * @returns {Array} Filtered results
+     */
+    applyPostFilters(results, filters) {
+        if (!filters) return results;
+
+        return results.filter(result => {
+            const text = (result.message || '').toLowerCase();
+
+            if (filters.from.length > 0) {
+                const nickname = (result.user.nickname || '').toLowerCase();
+                const userId = String(result.user.userId).toLowerCase();
+                if (!filters.from.some(from => nickname.includes(from) || userId === from)) {
+                    return false;
+                }
+            }
+
+            if (filters.notFrom.length > 0) {
+                const nickname = (result.user.nickname || '').toLowerCase();
+                const userId = String(result.user.userId).toLowerCase();
+                if (filters.notFrom.some(from => nickname.includes(from) || userId === from)) {
+                    return false;
+                }
+            }
+
+            if (filters.notInUrl && result.channelUrl === filters.notInUrl) {
+                return false;
+            }
+
+            const hasLink = /(https?:\/\/|www\.)\S+/i.test(result.message || '');
+            const hasFile = result.type === 'FILE';
+
+            if ((filters.has.includes('link') && !hasLink) || (filters.notHas.includes('link') && hasLink)) {
+                return false;
+            }
+
+            if ((filters.has.includes('file') && !hasFile) || (filters.notHas.includes('file') && hasFile)) {
+                return false;
+            }
+
+            if (filters.exclude.some(term => text.includes(term))) {
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Get saved searches for a scope
+     * @param {string|null} channelUrl - Channel URL, or null for global saved searches
+     * @returns {Array} Saved searches, newest first
+     */
+    getSavedSearches(channelUrl = null) {
+        return this.loadSavedSearches()
+            .filter(saved => (saved.channelUrl || null) === (channelUrl || null))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Save a named search
+     * @param {Object} search - { name, query, searchMode, channelUrl }
+     * @returns {Object} Saved search record
+     */
+    addSavedSearch({ name, query, searchMode, channelUrl = null }) {
+        const now = Date.now();
+        const record = {
+            id: `search_${now}_${Math.random().toString(36).substr(2, 6)}`,
+            name,
+            query,
+            searchMode,
+            channelUrl,
+            createdAt: now,
+            lastViewedAt: now,
+            lastCheckedAt: 0,
+            newCount: 0
+        };
+
+        const all = this.loadSavedSearches();
+        all.push(record);
+        this.persistSavedSearches(all);
+
+        this.app?.logger?.log('💾 Saved search:', { name, query, scope: channelUrl ? 'channel' : 'global' });
+        return record;
+    }
+
+    /**
+     * Update fields on a saved search
+     * @param {string} id - Saved search ID
+     * @param {Object} changes - Fields to merge
+     */
+    updateSavedSearch(id, changes) {
+        const all = this.loadSavedSearches();
+        const index = all.findIndex(saved => saved.id === id);
+        if (index === -1) return null;
+
+        all[index] = { ...all[index], ...changes };
+        this.persistSavedSearches(all);
+        return all[index];
+    }
+
+    /**
+     * Delete a saved search
+     * @param {string} id - Saved search ID
+     */
+    deleteSavedSearch(id) {
+        this.persistSavedSearches(this.loadSavedSearches().filter(saved => saved.id !== id));
+    }
+
+    loadSavedSearches() {
+        try {
+            const data = localStorage.getItem(this.savedSearchesKey);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to load saved searches:', error);
+            return [];
+        }
+    }
+
+    persistSavedSearches(savedSearches) {
+        try {
+            localStorage.setItem(this.savedSearchesKey, JSON.stringify(savedSearches));
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to persist saved searches:', error);
+        }
+    }
+
     /**
      * Legacy method for backward compatibility
      * @deprecated Use searchMessages instead
@@ -206,6 +585,32 @@ WVFavs.SearchManager = class SearchManager {
      * @returns {Promise<Object>} Additional search results
      */
     async loadMore() {
+        // First "load more" after local results queries the server and merges its first page
+        if (this.pendingServerSearch && this.currentQuery) {
+            const localResults = this.results;
+            const localIds = new Set(localResults.map(r => r.messageId));
+
+            const response = await this.searchMessages(
+                this.currentChannelUrl,
+                this.currentQuery,
+                {
+                    advancedQuery: this.advancedQuery,
+                    exactMatch: this.exactMatch,
+                    filters: this.filters,
+                    skipLocalIndex: true
+                }
+            );
+
+            const newResults = response.results.filter(r => !localIds.has(r.messageId));
+            this.results = [...localResults, ...newResults];
+
+            return {
+                ...response,
+                results: newResults,
+                totalResults: this.results.length
+            };
+        }
+
         if (!this.hasMore || !this.nextToken || !this.currentQuery) {
             this.app?.logger?.log('⚠️ Cannot load more:', {
                 hasMore: this.hasMore,
@@ -221,7 +626,8 @@ WVFavs.SearchManager = class SearchManager {
             {
                 advancedQuery: this.advancedQuery,
                 exactMatch: this.exactMatch,
-                nextToken: this.nextToken
+                nextToken: this.nextToken,
+                filters: this.filters
             }
         );
     }
@@ -234,9 +640,11 @@ WVFavs.SearchManager = class SearchManager {
         this.currentChannelUrl = null;
         this.advancedQuery = false;
         this.exactMatch = false;
+        this.filters = null;
         this.results = [];
         this.nextToken = null;
         this.hasMore = false;
+        this.pendingServerSearch = false;
         this.isSearching = false;
         this.app?.logger?.log('🔄 Search state reset');
     }
@@ -254,7 +662,15 @@ WVFavs.SearchManager = class SearchManager {
      * @returns {boolean} True if pagination available
      */
     hasMoreResults() {
-        return this.hasMore && !!this.nextToken;
+        return this.hasMore && (!!this.nextToken || this.pendingServerSearch);
+    }
+
+    /**
+     * Check if current results came from the local index only
+     * @returns {boolean} True if the next page will be the first server query
+     */
+    isPendingServerSearch() {
+        return this.pendingServerSearch;
     }
 
     /**
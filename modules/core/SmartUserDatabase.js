@@ -4,7 +4,7 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
     constructor(ttl = 30 * 24 * 60 * 60 * 1000, logger = null) {
         this.ttl = ttl;
         this.dbName = 'wv_smart_user_db';
-        this.version = 5; // Incremented for removing unused search fields
+        this.version = 6; // Incremented for pinned chat folders
         this.db = null;
         this.isReady = false;
         this.logger = logger || (window.WVFavs?.Logger ? new window.WVFavs.Logger() : { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} });
@@ -165,6 +165,12 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
                 if (!db.objectStoreNames.contains('stats')) {
                     db.createObjectStore('stats', { keyPath: 'key' });
                 }
+
+                // User-defined folders for grouping pinned chats
+                if (!db.objectStoreNames.contains('pinFolders')) {
+                    const folderStore = db.createObjectStore('pinFolders', { keyPath: 'id' });
+                    folderStore.createIndex('order', 'order', { unique: false });
+                }
             };
         });
     }
@@ -281,6 +287,7 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
                     isRecent: existingUser?.isRecent || false,
                     lastOpenedTime: existingUser?.lastOpenedTime || null,
                     pinnedAt: existingUser?.pinnedAt || null,
+                    pinFolderId: existingUser?.pinFolderId || null,
                     interactionCount: existingUser?.interactionCount || 0,
                     // Frequency-based interaction metrics (hybrid approach)
                     interactionMetrics: this.initializeInteractionMetrics(existingUser?.interactionMetrics),
@@ -1123,6 +1130,7 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
                     if (dup.isPinned && !keeper.isPinned) {
                         keeper.isPinned = true;
                         keeper.pinnedAt = dup.pinnedAt || keeper.pinnedAt;
+                        keeper.pinFolderId = dup.pinFolderId || keeper.pinFolderId || null;
                     }
 
                     // Preserve highest interaction count
@@ -1201,6 +1209,7 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
                     if (dup.isPinned && !keeper.isPinned) {
                         keeper.isPinned = true;
                         keeper.pinnedAt = dup.pinnedAt || keeper.pinnedAt;
+                        keeper.pinFolderId = dup.pinFolderId || keeper.pinFolderId || null;
                     }
 
                     // Preserve highest interaction count
@@ -2333,6 +2342,7 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
                         // Merge with existing record, preserving interaction data
                         verifiedRecord.isPinned = existingRecord.isPinned || false;
                         verifiedRecord.pinnedAt = existingRecord.pinnedAt || null;
+                        verifiedRecord.pinFolderId = existingRecord.pinFolderId || null;
                         verifiedRecord.interactionCount = existingRecord.interactionCount || 0;
                         verifiedRecord.interactionMetrics = existingRecord.interactionMetrics || null;
 
@@ -3055,8 +3065,8 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
         return results;
     }
 
-    // Pin a chat (set isPinned flag)
-    async pinChat(chatId) {
+    // Pin a chat (set isPinned flag), optionally straight into a folder
+    async pinChat(chatId, folderId = null) {
         if (!this.isReady) return false;
 
         try {
@@ -3104,6 +3114,7 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
                     chat.isPinned = true;
                     chat.pinnedAt = Date.now();
                     chat.pinnedOrder = newPinnedOrder; // Assign position at the end
+                    chat.pinFolderId = folderId;
                     chat.lastUpdated = Date.now();
 
                     this.logger.debug(`📌 Pinning chat "${chatName}" at position ${newPinnedOrder}`);
@@ -3164,6 +3175,7 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
                     chat.isPinned = false;
                     chat.pinnedAt = null;
                     chat.pinnedOrder = undefined; // Clear the pinnedOrder field
+                    chat.pinFolderId = null; // Leave any folder when unpinned
                     chat.lastUpdated = Date.now();
 
                     this.logger.debug(`📍 Unpinning chat "${chatName}" and clearing pinnedOrder`);
@@ -3242,6 +3254,110 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
         }
     }
 
+    // Get all pinned chat folders, sorted by their display order
+    async getPinFolders() {
+        if (!this.isReady) return [];
+
+        try {
+            const tx = this.db.transaction(['pinFolders'], 'readonly');
+            const store = tx.objectStore('pinFolders');
+            const request = store.getAll();
+
+            return new Promise((resolve) => {
+                request.onsuccess = () => {
+                    const folders = (request.result || []).sort((a, b) => (a.order || 0) - (b.order || 0));
+                    resolve(folders);
+                };
+                request.onerror = () => resolve([]);
+            });
+        } catch (error) {
+            this.logger.warn('⚠️ Failed to get pin folders:', error);
+            return [];
+        }
+    }
+
+    // Create a new pinned chat folder at the end of the list
+    async createPinFolder(name) {
+        if (!this.isReady || !name || !name.trim()) return null;
+
+        const folders = await this.getPinFolders();
+        const maxOrder = folders.reduce((max, folder) => Math.max(max, folder.order || 0), -1);
+
+        const folder = {
+            id: `folder_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            name: name.trim(),
+            order: maxOrder + 1,
+            collapsed: false,
+            createdAt: Date.now()
+        };
+
+        const saved = await this.savePinFolder(folder);
+        return saved ? folder : null;
+    }
+
+    // Insert or update a pinned chat folder (name, order, collapse state)
+    async savePinFolder(folder) {
+        if (!this.isReady || !folder || !folder.id) return false;
+
+        try {
+            const tx = this.db.transaction(['pinFolders'], 'readwrite');
+            const store = tx.objectStore('pinFolders');
+            store.put({ ...folder, lastUpdated: Date.now() });
+
+            return new Promise((resolve) => {
+                tx.oncomplete = () => {
+                    this.logger.debug(`📁 Pin folder saved: ${folder.name}`);
+                    resolve(true);
+                };
+                tx.onerror = () => {
+                    this.logger.error(`❌ Pin folder save failed: ${folder.name}`);
+                    resolve(false);
+                };
+            });
+        } catch (error) {
+            this.logger.warn('⚠️ Failed to save pin folder:', error);
+            return false;
+        }
+    }
+
+    // Delete a folder; its chats stay pinned and move back to the unfiled group
+    async deletePinFolder(folderId) {
+        if (!this.isReady || !folderId) return false;
+
+        try {
+            const tx = this.db.transaction(['pinFolders', 'users'], 'readwrite');
+            const folderStore = tx.objectStore('pinFolders');
+            const userStore = tx.objectStore('users');
+
+            folderStore.delete(folderId);
+
+            const request = userStore.getAll();
+            request.onsuccess = () => {
+                (request.result || [])
+                    .filter(chat => chat.pinFolderId === folderId)
+                    .forEach(chat => {
+                        chat.pinFolderId = null;
+                        chat.lastUpdated = Date.now();
+                        userStore.put(chat);
+                    });
+            };
+
+            return new Promise((resolve) => {
+                tx.oncomplete = () => {
+                    this.logger.debug(`🗑️ Pin folder deleted: ${folderId}`);
+                    resolve(true);
+                };
+                tx.onerror = () => {
+                    this.logger.error(`❌ Pin folder delete failed: ${folderId}`);
+                    resolve(false);
+                };
+            });
+        } catch (error) {
+            this.logger.warn('⚠️ Failed to delete pin folder:', error);
+            return false;
+        }
+    }
+
     // Get recent chats (last 5, excluding pinned)
     async getRecentChats() {
         if (!this.isReady) return [];
@@ -3587,6 +3703,7 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
                 const preservedData = {
                     isPinned: nameBasedRecord.isPinned,
                     pinnedAt: nameBasedRecord.pinnedAt,
+                    pinFolderId: nameBasedRecord.pinFolderId,
                     isRecent: nameBasedRecord.isRecent,
                     lastOpenedTime: nameBasedRecord.lastOpenedTime,
                     interactionCount: nameBasedRecord.interactionCount,
@@ -3610,6 +3727,7 @@ WVFavs.SmartUserDatabase = class SmartUserDatabase {
                             ...apiRecord,
                             isPinned: preservedData.isPinned || apiRecord.isPinned,
                             pinnedAt: preservedData.pinnedAt || apiRecord.pinnedAt,
+                            pinFolderId: preservedData.pinFolderId || apiRecord.pinFolderId || null,
                             isRecent: preservedData.isRecent || apiRecord.isRecent,
                             lastOpenedTime: Math.max(preservedData.lastOpenedTime || 0, apiRecord.lastOpenedTime || 0),
                             interactionCount: (preservedData.interactionCount || 0) + (apiRecord.interactionCount || 0),
@@ -0,0 +1,334 @@
+/**
+ * SnippetManager - Reusable message templates
+ *
+ * Snippets are stored next to drafts in localStorage ('wv_snippets') and inserted into the
+ * Lexical composer either from the Drafts panel or by typing ;;name followed by Tab or Space.
+ *
+ * Placeholders are filled in at insert time:
+ *   {date} {day} {time} {channel} {recipient_first_name} {my_first_name}
+ * and {cursor} marks where the caret ends up. Placeholders that can't be resolved
+ * (e.g. {recipient_first_name} outside a direct chat) are left as typed so they stand out.
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.SnippetManager = class SnippetManager {
+    constructor(app) {
+        this.app = app;
+        this.storageKey = 'wv_snippets';
+        this.triggerPrefix = ';;';
+        this.cursorMarker = '{cursor}';
+        this.lastComposer = null; // Composer the user last typed in, for inserts from the panel
+        this.keydownHandler = null;
+        this.focusHandler = null;
+    }
+
+    async init() {
+        this.keydownHandler = (e) => this.handleKeydown(e);
+        this.focusHandler = (e) => {
+            const composer = this.getComposerFromTarget(e.target);
+            if (composer) this.lastComposer = composer;
+        };
+
+        // Capture phase so the expansion key never reaches Lexical
+        document.addEventListener('keydown', this.keydownHandler, true);
+        document.addEventListener('focusin', this.focusHandler, true);
+
+        this.app?.logger?.log('✂️ SnippetManager initialized with', this.getAll().length, 'snippets');
+    }
+
+    getComposerFromTarget(target) {
+        return target?.closest?.('div[contenteditable="true"][role="textbox"], div[contenteditable="true"][data-lexical-editor="true"]') || null;
+    }
+
+    /**
+     * Snippet names are what follows the trigger, so keep them to word characters and dashes
+     * @returns {string} Normalized name ('' when nothing usable is left)
+     */
+    static normalizeName(name) {
+        return String(name || '')
+            .trim()
+            .toLowerCase()
+            .replace(/\s+/g, '-')
+            .replace(/[^\w-]/g, '');
+    }
+
+    getAll() {
+        try {
+            const snippets = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(snippets) ? snippets.sort((a, b) => a.name.localeCompare(b.name)) : [];
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to load snippets:', error);
+            return [];
+        }
+    }
+
+    get(id) {
+        return this.getAll().find(snippet => snippet.id === id) || null;
+    }
+
+    getByName(name) {
+        const normalized = SnippetManager.normalizeName(name);
+        return this.getAll().find(snippet => snippet.name === normalized) || null;
+    }
+
+    persist(snippets) {
+        localStorage.setItem(this.storageKey, JSON.stringify(snippets));
+        document.dispatchEvent(new CustomEvent('wv-snippets-updated'));
+    }
+
+    /**
+     * Create or update a snippet
+     * @param {Object} snippet - { id?, name, body }
+     * @returns {Object} Saved snippet
+     * @throws {Error} With a user-facing message when the name or body is invalid
+     */
+    save({ id = null, name, body }) {
+        const normalized = SnippetManager.normalizeName(name);
+        if (!normalized) {
+            throw new Error('Give the snippet a name (letters, numbers, - or _)');
+        }
+        if (!String(body || '').trim()) {
+            throw new Error('Snippet text is empty');
+        }
+
+        const snippets = this.getAll();
+        if (snippets.some(snippet => snippet.name === normalized && snippet.id !== id)) {
+            throw new Error(`A snippet called "${normalized}" already exists`);
+        }
+
+        const now = Date.now();
+        let saved = snippets.find(snippet => snippet.id === id);
+        if (saved) {
+            Object.assign(saved, { name: normalized, body, updatedAt: now });
+        } else {
+            saved = {
+                id: `snip_${now}_${Math.random().toString(36).slice(2, 8)}`,
+                name: normalized,
+                body,
+                createdAt: now,
+                updatedAt: now,
+                useCount: 0
+            };
+            snippets.push(saved);
+        }
+
+        this.persist(snippets);
+        return saved;
+    }
+
+    remove(id) {
+        this.persist(this.getAll().filter(snippet => snippet.id !== id));
+    }
+
+    /**
+     * Export all snippets as a JSON string
+     */
+    exportJSON() {
+        return JSON.stringify({
+            version: chrome.runtime.getManifest().version,
+            exportDate: new Date().toISOString(),
+            snippets: this.getAll().map(({ name, body }) => ({ name, body }))
+        }, null, 2);
+    }
+
+    /**
+     * Import snippets from an exported file (or a bare array of { name, body })
+     * Snippets with an existing name are overwritten.
+     * @returns {{added: number, updated: number, skipped: number}}
+     * @throws {Error} When the file isn't a snippet export
+     */
+    importJSON(text) {
+        const data = JSON.parse(text);
+        const incoming = Array.isArray(data) ? data : data?.snippets;
+        if (!Array.isArray(incoming)) {
+            throw new Error('Not a snippets file');
+        }
+
+        const result = { added: 0, updated: 0, skipped: 0 };
+        incoming.forEach(entry => {
+            const existing = this.getByName(entry?.name);
+            try {
+                this.save({ id: existing?.id || null, name: entry?.name, body: entry?.body });
+                existing ? result.updated++ : result.added++;
+            } catch (error) {
+                result.skipped++;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Values for placeholders in the current chat
+     */
+    async buildContext() {
+        const now = new Date();
+        const context = {
+            date: now.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' }),
+            day: now.toLocaleDateString(undefined, { weekday: 'long' }),
+            time: now.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+        };
+
+        const channelUrl = this.app.draftManager?.currentChannelUrl || this.app.threadManager?.getCurrentChannel();
+        if (channelUrl) {
+            try {
+                const channelInfo = await WVFavs.APIManager.getChannelInfo(channelUrl);
+                if (channelInfo?.name) {
+                    context.channel = channelInfo.name;
+                    // Direct chats are named after the other person
+                    if (channelInfo.is_distinct === true) {
+                        context.recipient_first_name = channelInfo.name.trim().split(/\s+/)[0];
+                    }
+                }
+            } catch (error) {
+                // Leave channel placeholders unresolved
+            }
+        }
+
+        const user = await this.app.userIdentity?.getCurrentUser();
+        const userName = user?.name || user?.nickname;
+        if (userName) {
+            context.my_first_name = userName.trim().split(/\s+/)[0];
+        }
+
+        return context;
+    }
+
+    /**
+     * Fill in placeholders and find the cursor position
+     * @returns {{text: string, cursorOffset: number}} cursorOffset is an index into text
+     */
+    async expand(body) {
+        const context = await this.buildContext();
+        const filled = body.replace(/\{(\w+)\}/g, (match, key) => (
+            key === 'cursor' ? match : (context[key] ?? match)
+        ));
+
+        const cursorIndex = filled.indexOf(this.cursorMarker);
+        const text = filled.split(this.cursorMarker).join('');
+        return {
+            text,
+            cursorOffset: cursorIndex === -1 ? text.length : cursorIndex
+        };
+    }
+
+    /**
+     * Expand ;;name when followed by Tab or Space
+     */
+    handleKeydown(e) {
+        if (e.key !== 'Tab' && e.key !== ' ') return;
+        if (e.shiftKey || e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return;
+        if (!this.getComposerFromTarget(e.target)) return;
+
+        const selection = window.getSelection();
+        if (!selection?.isCollapsed || selection.anchorNode?.nodeType !== Node.TEXT_NODE) return;
+
+        const textNode = selection.anchorNode;
+        const before = textNode.textContent.slice(0, selection.anchorOffset);
+        const match = before.match(/(?:^|\s);;([\w-]+)$/);
+        if (!match) return;
+
+        const snippet = this.getByName(match[1]);
+        if (!snippet) return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        // Select the trigger so the snippet replaces it
+        const triggerLength = this.triggerPrefix.length + match[1].length;
+        const range = document.createRange();
+        range.setStart(textNode, selection.anchorOffset - triggerLength);
+        range.setEnd(textNode, selection.anchorOffset);
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        this.insertSnippet(snippet, 'trigger').catch(error => {
+            this.app?.logger?.warn('⚠️ Failed to expand snippet:', error);
+        });
+    }
+
+    /**
+     * Insert a snippet from the Drafts panel at the end of the last used composer
+     */
+    async insertFromPanel(id) {
+        const snippet = this.get(id);
+        if (!snippet) return false;
+
+        const composer = (this.lastComposer?.isConnected && this.lastComposer) ||
+            document.querySelector('[data-testid="message-section"] div[contenteditable="true"][role="textbox"]');
+        if (!composer) return false;
+
+        composer.focus();
+        const range = document.createRange();
+        range.selectNodeContents(composer);
+        range.collapse(false);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        await this.insertSnippet(snippet, 'panel');
+        return true;
+    }
+
+    /**
+     * Replace the composer selection with the expanded snippet
+     * A synthetic paste goes through Lexical's own paste handling, which keeps line breaks
+     * and lets DraftManager pick up the change like any other edit.
+     */
+    async insertSnippet(snippet, source) {
+        const { text, cursorOffset } = await this.expand(snippet.body);
+
+        // Let Lexical sync its selection with the DOM selection first
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        const composer = this.getComposerFromTarget(document.activeElement);
+        if (!composer) return;
+
+        const clipboardData = new DataTransfer();
+        clipboardData.setData('text/plain', text);
+        composer.dispatchEvent(new ClipboardEvent('paste', {
+            clipboardData,
+            bubbles: true,
+            cancelable: true
+        }));
+
+        // Caret lands after the pasted text; walk back to the {cursor} marker
+        const stepsBack = text.length - cursorOffset;
+        if (stepsBack > 0) {
+            await new Promise(resolve => setTimeout(resolve, 30));
+            const selection = window.getSelection();
+            for (let i = 0; i < stepsBack; i++) {
+                selection.modify('move', 'backward', 'character');
+            }
+        }
+
+        this.recordUse(snippet.id);
+
+        if (this.app.logger) {
+            this.app?.logger?.analytics('snippet_inserted', {
+                source,
+                has_cursor_marker: snippet.body.includes(this.cursorMarker)
+            });
+        }
+    }
+
+    recordUse(id) {
+        const snippets = this.getAll();
+        const snippet = snippets.find(s => s.id === id);
+        if (!snippet) return;
+
+        snippet.useCount = (snippet.useCount || 0) + 1;
+        snippet.lastUsedAt = Date.now();
+        localStorage.setItem(this.storageKey, JSON.stringify(snippets));
+    }
+
+    destroy() {
+        if (this.keydownHandler) {
+            document.removeEventListener('keydown', this.keydownHandler, true);
+            document.removeEventListener('focusin', this.focusHandler, true);
+            this.keydownHandler = null;
+            this.focusHandler = null;
+        }
+    }
+};
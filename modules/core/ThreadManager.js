@@ -5,9 +5,13 @@
  * detects when threads are opened/closed, and maintains thread read status.
  *
  * Storage Strategy:
- * - In-memory: Full thread data (session lifetime)
- * - localStorage: Thread metadata (persistent, ~80 KB for 1000 channels)
- * - Reads Workvivo's localStorage 'threadReads' for read status
+ * - In-memory: Full thread data, plus all loaded replies of recent threads for catch-up digests (session lifetime)
+ * - IndexedDB 'wv_threads': thread parents (reply counts, last reply), per-channel metadata,
+ *   the user's read markers and followed threads - so the thread panel and unread badges
+ *   come back after a reload or after a channel is evicted from memory.
+ *   Reads are served from in-memory copies; writes go through per record.
+ *   Falls back to localStorage (metadata + followed threads only) when IndexedDB is unavailable.
+ * - Reads Workvivo's localStorage 'threadReads' for read status, alongside our own markers
  *
  * @version 1.0.0
  */
@@ -23,17 +27,36 @@ WVFavs.ThreadManager = class ThreadManager {
         this.channelMessages = new Map(); // channelUrl -> Map(messageId -> message data)
         this.channelThreads = new Map();  // channelUrl -> threads[]
         this.threadReplies = new Map();   // parentMessageId -> replies[] (last 2 replies per thread)
+        this.threadReplyLog = new Map();  // parentMessageId -> { channelUrl, replies: Map } (all loaded replies, for catch-up)
+        this.catchUpBaselines = new Map(); // messageId -> last read time before the thread was opened with unread replies
         this.currentChannelUrl = null;
         this.currentOpenThreadId = null;
         this.isThreadPanelOpen = false;
         this.channelChangeDebounce = null; // Debounce timer for rapid channel changes
 
+        // Followed threads ("My threads" inbox) - kept for all channels, not just the open one
+        this.followedThreads = {};          // parentMessageId -> followed thread entry
+        this.unfollowedThreads = new Set(); // Explicit unfollows, so auto-follow doesn't re-add them
+        this.currentUserId = null;
+
+        // Persistent store (see Storage Strategy)
+        this.db = null;
+        this.channelMetadata = {};        // channelUrl -> { unreadCount, totalCount, lastUpdate, version }
+        this.readMarkers = new Map();     // `${userId}::${messageId}` -> readAt
+        this.storedThreadSignatures = new Map(); // messageId -> signature of the last stored record
+
         // Configuration
         this.config = {
             localStorageKey: 'wv_thread_metadata',
             metadataVersion: 1,
             maxChannelsInMemory: 50,  // LRU cache limit
-            metadataTTL: 5 * 60 * 1000  // 5 minutes
+            metadataTTL: 5 * 60 * 1000,  // 5 minutes
+            followedStorageKey: 'wv_followed_threads',
+            maxFollowedThreads: 200,      // Oldest (by last reply) are dropped beyond this
+            maxDigestThreads: 30,         // Threads whose full replies are kept for catch-up
+            dbName: 'wv_threads',
+            dbVersion: 1,
+            threadRecordTTL: 90 * 24 * 60 * 60 * 1000  // Stored threads with no reply for 90 days are pruned
         };
 
         // Feature flag
@@ -50,15 +73,15 @@ WVFavs.ThreadManager = class ThreadManager {
         try {
             this.logger.info('🧵 Starting ThreadManager initialization...');
 
+            // Load persisted metadata, read markers and followed threads before any data arrives
+            await this.loadThreadStore();
+
             // Listen for intercepted data from inject-fetch-interceptor.js
             this.setupEventListeners();
 
             // Initialize WebSocket for real-time updates
             this.initializeWebSocket();
 
-            // Load metadata from localStorage
-            this.loadMetadataFromStorage();
-
             // Initial thread panel check
             this.detectOpenThread();
 
@@ -300,6 +323,11 @@ WVFavs.ThreadManager = class ThreadManager {
             this.logger.debug(`⏭️ Skipping wv-channel-changed dispatch - channel unchanged`);
         }
 
+        // Channel not in memory (new session or evicted) - render from the persisted threads right away
+        if (!this.channelThreads.has(eventChannelUrl)) {
+            await this.restoreChannelThreads(eventChannelUrl);
+        }
+
         // Get threads for this channel
         const threads = this.channelThreads.get(eventChannelUrl) || [];
 
@@ -411,13 +439,12 @@ WVFavs.ThreadManager = class ThreadManager {
      */
     initializeWebSocket() {
         try {
-            if (!window.WVFavs || !window.WVFavs.WebSocketStateManager) {
+            this.wsManager = this.app.getWebSocketManager();
+            if (!this.wsManager) {
                 this.logger.warn('⚠️ WebSocketStateManager not available, skipping WebSocket initialization (extension will still work via API polling)');
                 return;
             }
 
-            this.wsManager = new window.WVFavs.WebSocketStateManager();
-
             // Listen for real-time message events
             this.wsManager.on('message:received', (data) => {
                 try {
@@ -489,6 +516,24 @@ WVFavs.ThreadManager = class ThreadManager {
 
         this.logger.debug('🔄 Updating thread with reply:', { parentMessageId, channelUrl, hasThreadInfo: !!threadInfo });
 
+        // Followed threads are tracked in every channel, not only the open one
+        this.trackFollowedReply(data).catch(error => {
+            this.logger.warn('⚠️ Failed to update followed thread:', error);
+        });
+
+        // Keep an already loaded catch-up log current
+        if (this.threadReplyLog.has(parentMessageId) && data.messageId) {
+            this.recordThreadReplies(channelUrl, parentMessageId, [{
+                messageId: data.messageId,
+                message: data.message || '',
+                userId: data.user?.userId,
+                user: data.user?.nickname || 'Unknown',
+                userAvatar: data.user?.profileUrl || null,
+                createdAt: data.timestamp || Date.now(),
+                files: []
+            }]);
+        }
+
         // Get message cache for channel
         const messageCache = this.channelMessages.get(channelUrl);
         if (!messageCache) {
@@ -687,6 +732,13 @@ WVFavs.ThreadManager = class ThreadManager {
 
         this.logger.debug(`💾 Cached ${data.messages.length} messages (${threadsFound} with threads)`);
 
+        // Feed the local full-text search index
+        this.app?.messageIndex?.indexMessages(channelUrl, data.messages);
+
+        this.syncFollowedThreads(channelUrl, data.messages).catch(error => {
+            this.logger.warn('⚠️ Failed to sync followed threads:', error);
+        });
+
         // Extract and cache threads
         const threads = this.extractThreads(channelUrl);
         this.channelThreads.set(channelUrl, threads);
@@ -714,12 +766,22 @@ WVFavs.ThreadManager = class ThreadManager {
 
         this.logger.debug(`🔄 Processing changelogs for ${channelUrl}`);
 
+        // Keep the local search index in sync with edits and deletions
+        if (this.app?.messageIndex) {
+            this.app.messageIndex.indexMessages(channelUrl, data.updated || []);
+            this.app.messageIndex.removeMessages(data.deleted || []);
+        }
+
         const messageCache = this.channelMessages.get(channelUrl);
         if (!messageCache) {
             this.logger.debug('⚠️ No message cache for channel, skipping changelogs');
             return;
         }
 
+        this.syncFollowedThreads(channelUrl, data.updated || []).catch(error => {
+            this.logger.warn('⚠️ Failed to sync followed threads:', error);
+        });
+
         let updatedCount = 0;
         let deletedCount = 0;
 
@@ -759,6 +821,7 @@ WVFavs.ThreadManager = class ThreadManager {
                     deletedCount++;
                 }
             });
+            this.deleteThreadRecords(data.deleted);
         }
 
         this.logger.debug(`📝 Updated: ${updatedCount}, Deleted: ${deletedCount}`);
@@ -787,6 +850,12 @@ WVFavs.ThreadManager = class ThreadManager {
 
         this.logger.debug(`💬 Processing ${replies.length} replies for thread ${parentMessageId}`);
 
+        // Index replies so thread messages are searchable locally too
+        this.app?.messageIndex?.indexMessages(
+            channelUrl,
+            replies.map(reply => ({ ...reply, parent_message_id: reply.parent_message_id || parentMessageId }))
+        );
+
         // Store only the last 2 replies for this thread
         const lastTwoReplies = replies
             .sort((a, b) => b.created_at - a.created_at) // Most recent first
@@ -801,6 +870,11 @@ WVFavs.ThreadManager = class ThreadManager {
             }));
 
         this.threadReplies.set(parentMessageId, lastTwoReplies);
+        this.recordThreadReplies(channelUrl, parentMessageId, replies.map(reply => this.normalizeDigestReply(reply)));
+
+        this.autoFollowFromReplies(channelUrl, parentMessageId, replies).catch(error => {
+            this.logger.warn('⚠️ Failed to auto-follow thread:', error);
+        });
 
         this.logger.debug(`💾 Cached ${lastTwoReplies.length} replies for thread ${parentMessageId}`);
 
@@ -823,7 +897,7 @@ WVFavs.ThreadManager = class ThreadManager {
         const messageCache = this.channelMessages.get(channelUrl);
         if (!messageCache) return [];
 
-        const threadReads = JSON.parse(localStorage.getItem('threadReads') || '{}');
+        const threadReads = this.readWorkvivoThreadReads();
         const threads = [];
 
         for (const [msgId, msg] of messageCache) {
@@ -834,7 +908,7 @@ WVFavs.ThreadManager = class ThreadManager {
                     continue;
                 }
 
-                const lastRead = threadReads[msgId] || 0;
+                const lastRead = this.getLastReadAt(msgId, threadReads);
                 const lastReply = msg.thread_info.last_replied_at || 0;
                 const isUnread = lastReply > lastRead;
 
@@ -867,24 +941,30 @@ WVFavs.ThreadManager = class ThreadManager {
     }
 
     /**
-     * Update metadata in localStorage
+     * Update channel metadata and persist the channel's thread parents
      */
     updateMetadata(channelUrl, threads) {
         try {
-            const metadata = this.loadMetadataFromStorage();
-
-            metadata[channelUrl] = {
+            this.channelMetadata[channelUrl] = {
                 unreadCount: threads.filter(t => t.isUnread).length,
                 totalCount: threads.length,
                 lastUpdate: Date.now(),
                 version: this.config.metadataVersion
             };
 
-            localStorage.setItem(this.config.localStorageKey, JSON.stringify(metadata));
+            if (this.db) {
+                const tx = this.db.transaction(['channels'], 'readwrite');
+                tx.objectStore('channels').put({ channelUrl, ...this.channelMetadata[channelUrl] });
+                tx.onerror = () => this.logger.warn('⚠️ Failed to store thread metadata:', tx.error);
+
+                this.writeChannelThreads(channelUrl);
+            } else {
+                localStorage.setItem(this.config.localStorageKey, JSON.stringify(this.channelMetadata));
+            }
 
-            this.logger.debug(`💾 Updated metadata for ${channelUrl}:`, metadata[channelUrl]);
+            this.logger.debug(`💾 Updated metadata for ${channelUrl}:`, this.channelMetadata[channelUrl]);
         } catch (error) {
-            this.logger.warn('⚠️ Failed to update metadata in localStorage:', error);
+            this.logger.warn('⚠️ Failed to update thread metadata:', error);
         }
     }
 
@@ -954,16 +1034,10 @@ WVFavs.ThreadManager = class ThreadManager {
     }
 
     /**
-     * Load metadata from localStorage
+     * Channel metadata (loaded from the thread store at init)
      */
     loadMetadataFromStorage() {
-        try {
-            const data = localStorage.getItem(this.config.localStorageKey);
-            return data ? JSON.parse(data) : {};
-        } catch (error) {
-            this.logger.warn('⚠️ Failed to load metadata from localStorage:', error);
-            return {};
-        }
+        return this.channelMetadata;
     }
 
     /**
@@ -1000,9 +1074,12 @@ WVFavs.ThreadManager = class ThreadManager {
                             this.logger.debug(`🎯 Detected open thread: ${msgId}`);
 
                             // Mark as read in localStorage
+                            this.rememberCatchUpBaseline(msgId);
                             const threadReads = JSON.parse(localStorage.getItem('threadReads') || '{}');
                             threadReads[msgId] = Date.now();
                             localStorage.setItem('threadReads', JSON.stringify(threadReads));
+                            this.setReadMarker(msgId, threadReads[msgId]);
+                            this.markFollowedThreadRead(msgId);
 
                             // Track analytics
                             if (this.logger.analytics) {
@@ -1209,6 +1286,8 @@ WVFavs.ThreadManager = class ThreadManager {
 
         this.logger.debug(`📖 Marking thread as read: ${messageId}`);
 
+        this.rememberCatchUpBaseline(messageId);
+
         // Update threadReads in localStorage with a timestamp that's definitely in the future
         // Add 1000ms buffer to handle any clock skew or timing issues
         const threadReads = JSON.parse(localStorage.getItem('threadReads') || '{}');
@@ -1217,6 +1296,10 @@ WVFavs.ThreadManager = class ThreadManager {
 
         this.logger.debug(`✅ Thread ${messageId} marked as read at ${threadReads[messageId]}`);
 
+        this.setReadMarker(messageId, threadReads[messageId]);
+
+        this.markFollowedThreadRead(messageId);
+
         // Don't set currentOpenThreadId here - let detectOpenThread handle it
         // This prevents the thread from being excluded from the list prematurely
 
@@ -1258,6 +1341,835 @@ WVFavs.ThreadManager = class ThreadManager {
         };
     }
 
+    /**
+     * Messages held in memory for a channel - main messages plus loaded thread replies -
+     * in the same shape as MessageIndex records, with thread info on thread parents
+     * @param {string} channelUrl - Channel URL
+     * @returns {Array} Message records
+     */
+    getChannelMessages(channelUrl) {
+        const records = [];
+
+        for (const [messageId, msg] of this.channelMessages.get(channelUrl) || []) {
+            records.push({
+                messageId,
+                channelUrl,
+                message: msg.message || msg.name || msg.file?.name || '',
+                userId: msg.user?.user_id || 'unknown',
+                nickname: msg.user?.nickname || msg.user?.name || 'Unknown User',
+                profileUrl: msg.user?.profile_url || msg.user?.avatar || null,
+                createdAt: msg.created_at,
+                parentMessageId: msg.parent_message_id || null,
+                type: msg.type || 'MESG',
+                replyCount: msg.thread_info?.reply_count || 0,
+                lastRepliedAt: msg.thread_info?.last_replied_at || 0
+            });
+        }
+
+        for (const [parentMessageId, log] of this.threadReplyLog) {
+            if (log.channelUrl !== channelUrl) continue;
+            log.replies.forEach(reply => records.push({
+                messageId: reply.messageId,
+                channelUrl,
+                message: reply.message || reply.files[0]?.name || '',
+                userId: reply.userId || 'unknown',
+                nickname: reply.user,
+                profileUrl: reply.userAvatar,
+                createdAt: reply.createdAt,
+                parentMessageId,
+                type: reply.files.length > 0 ? 'FILE' : 'MESG',
+                replyCount: 0,
+                lastRepliedAt: 0
+            }));
+        }
+
+        return records;
+    }
+
+    /**
+     * Reply shape kept for catch-up digests
+     */
+    normalizeDigestReply(reply) {
+        const files = reply.file ? [reply.file] : (reply.files || []);
+
+        return {
+            messageId: reply.message_id,
+            message: reply.message || '',
+            userId: reply.user?.user_id,
+            user: reply.user?.nickname || reply.user?.name || 'Unknown',
+            userAvatar: reply.user?.profile_url || reply.user?.avatar || null,
+            createdAt: reply.created_at,
+            files: files
+                .filter(file => file?.url)
+                .map(file => ({ name: file.name || file.file_name || 'File', url: file.url, type: file.type || '' }))
+        };
+    }
+
+    /**
+     * Add replies to a thread's catch-up log (least recently updated threads are dropped first)
+     */
+    recordThreadReplies(channelUrl, parentMessageId, replies) {
+        const log = this.threadReplyLog.get(parentMessageId) || { channelUrl, replies: new Map() };
+        replies.forEach(reply => {
+            if (reply.messageId) log.replies.set(reply.messageId, reply);
+        });
+
+        // Re-insert so Map order tracks recency
+        this.threadReplyLog.delete(parentMessageId);
+        this.threadReplyLog.set(parentMessageId, log);
+
+        while (this.threadReplyLog.size > this.config.maxDigestThreads) {
+            this.threadReplyLog.delete(this.threadReplyLog.keys().next().value);
+        }
+    }
+
+    /**
+     * Keep the pre-open read time of a thread with unread replies, so its catch-up
+     * still shows what was new after the thread is marked read
+     */
+    rememberCatchUpBaseline(messageId) {
+        const parent = this.channelMessages.get(this.currentChannelUrl)?.get(messageId);
+        const lastReply = parent?.thread_info?.last_replied_at || 0;
+        const lastRead = this.getLastReadAt(messageId);
+
+        if (lastReply > lastRead) {
+            this.catchUpBaselines.set(messageId, lastRead);
+        }
+    }
+
+    getCatchUpSince(messageId) {
+        return this.catchUpBaselines.has(messageId)
+            ? this.catchUpBaselines.get(messageId)
+            : this.getLastReadAt(messageId);
+    }
+
+    /**
+     * Number of loaded replies the catch-up digest would show
+     * @returns {number|null} null when the thread's replies haven't been loaded this session
+     */
+    getCatchUpCount(messageId) {
+        const log = this.threadReplyLog.get(messageId);
+        if (!log) return null;
+
+        const since = this.getCatchUpSince(messageId);
+        return [...log.replies.values()].filter(reply => (reply.createdAt || 0) > since).length;
+    }
+
+    /**
+     * Extractive catch-up digest of the replies since the user's last read
+     * Built only from replies already loaded by Workvivo - nothing is fetched or sent anywhere.
+     * @param {string} parentMessageId - Thread parent message ID
+     * @returns {Promise<Object|null>} Digest, or null when the replies aren't loaded
+     */
+    async getThreadDigest(parentMessageId) {
+        const log = this.threadReplyLog.get(parentMessageId);
+        if (!log) return null;
+
+        const since = this.getCatchUpSince(parentMessageId);
+        const replies = [...log.replies.values()].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+        const newReplies = replies.filter(reply => (reply.createdAt || 0) > since);
+
+        const currentUser = await this.app?.userIdentity?.getCurrentUser().catch(() => null);
+        const myId = currentUser?.id ? String(currentUser.id) : null;
+        const myFirstName = (currentUser?.name || currentUser?.nickname || '').trim().split(/\s+/)[0] || '';
+        const namePattern = myFirstName.length >= 3
+            ? new RegExp(`(?<![\\p{L}\\p{N}_])${myFirstName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}_])`, 'iu')
+            : null;
+
+        const participants = new Map();
+        const highlights = [];
+        const links = new Map();
+        const files = [];
+
+        newReplies.forEach(reply => {
+            const isMine = myId && String(reply.userId) === myId;
+            const participantKey = String(reply.userId || reply.user);
+            if (!participants.has(participantKey)) {
+                participants.set(participantKey, {
+                    userId: reply.userId,
+                    name: reply.user,
+                    avatar: reply.userAvatar,
+                    isMe: !!isMine,
+                    replies: []
+                });
+            }
+            participants.get(participantKey).replies.push(reply);
+
+            // Display text without mention markup or URLs, for question/name detection
+            const plain = reply.message
+                .replace(/@\[([^\]]+)\]\([^)]+\)/g, '@$1')
+                .replace(/https?:\/\/\S+/g, '');
+
+            if (!isMine) {
+                const reasons = [];
+                if (/\?(\s|$)/.test(plain)) reasons.push('question');
+                if ((myId && reply.message.includes(`(person:${myId})`)) || namePattern?.test(plain)) {
+                    reasons.push('mention');
+                }
+                if (reasons.length > 0) highlights.push({ reply, reasons });
+            }
+
+            (reply.message.match(/https?:\/\/[^\s<>()\[\]"']+/g) || []).forEach(url => {
+                const cleanUrl = url.replace(/[.,;:!?]+$/, '');
+                if (!links.has(cleanUrl)) links.set(cleanUrl, { url: cleanUrl, reply });
+            });
+
+            reply.files.forEach(file => files.push({ ...file, reply }));
+        });
+
+        const parent = this.channelMessages.get(log.channelUrl)?.get(parentMessageId);
+
+        return {
+            parentMessageId,
+            channelUrl: log.channelUrl,
+            parentMessage: parent?.message || '',
+            since,
+            replyCount: parent?.thread_info?.reply_count || replies.length,
+            loadedReplies: replies.length,
+            newReplies,
+            participants: [...participants.values()].sort((a, b) => b.replies.length - a.replies.length),
+            highlights,
+            links: [...links.values()],
+            files,
+            myFirstName: namePattern ? myFirstName : null,
+            myId
+        };
+    }
+
+    /**
+     * Open the thread store and load metadata, read markers and followed threads into memory
+     */
+    async loadThreadStore() {
+        try {
+            this.db = await this.openDatabase();
+
+            const [channelRecords, readRecords, followedRecords, stateRecords] = await Promise.all([
+                this.readAllRecords('channels'),
+                this.readAllRecords('reads'),
+                this.readAllRecords('followed'),
+                this.readAllRecords('state')
+            ]);
+            channelRecords.forEach(({ channelUrl, ...metadata }) => { this.channelMetadata[channelUrl] = metadata; });
+            readRecords.forEach(({ key, readAt }) => { this.readMarkers.set(key, readAt); });
+            followedRecords.forEach(entry => { this.followedThreads[entry.messageId] = entry; });
+            this.unfollowedThreads = new Set(stateRecords.find(record => record.key === 'unfollowed')?.ids || []);
+
+            this.migrateThreadsFromLocalStorage();
+            this.pruneThreadRecords();
+        } catch (error) {
+            this.logger.warn('⚠️ Thread database unavailable, using localStorage:', error);
+            this.db = null;
+            try {
+                this.channelMetadata = JSON.parse(localStorage.getItem(this.config.localStorageKey) || '{}');
+            } catch (parseError) {
+                this.channelMetadata = {};
+            }
+            this.loadFollowedThreads();
+        }
+
+        this.logger.debug('📦 Thread store loaded:', {
+            channels: Object.keys(this.channelMetadata).length,
+            readMarkers: this.readMarkers.size,
+            followed: Object.keys(this.followedThreads).length
+        });
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.config.dbName, this.config.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('threads')) {
+                    const threads = db.createObjectStore('threads', { keyPath: 'messageId' });
+                    threads.createIndex('channelUrl', 'channelUrl', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('channels')) {
+                    db.createObjectStore('channels', { keyPath: 'channelUrl' });
+                }
+
+                if (!db.objectStoreNames.contains('reads')) {
+                    db.createObjectStore('reads', { keyPath: 'key' });
+                }
+
+                if (!db.objectStoreNames.contains('followed')) {
+                    db.createObjectStore('followed', { keyPath: 'messageId' });
+                }
+
+                if (!db.objectStoreNames.contains('state')) {
+                    db.createObjectStore('state', { keyPath: 'key' });
+                }
+            };
+        });
+    }
+
+    readAllRecords(storeName, indexName = null, query = undefined) {
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction([storeName], 'readonly').objectStore(storeName);
+            const request = (indexName ? store.index(indexName) : store).getAll(query);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Resolve true once a transaction commits, false if it fails or aborts
+     */
+    transactionDone(tx) {
+        return new Promise(resolve => {
+            tx.addEventListener('complete', () => resolve(true));
+            tx.addEventListener('error', () => resolve(false));
+            tx.addEventListener('abort', () => resolve(false));
+        });
+    }
+
+    /**
+     * One-time move of the localStorage metadata and followed threads into IndexedDB
+     * The old keys are removed only after both stores have committed
+     */
+    async migrateThreadsFromLocalStorage() {
+        const hasLegacyMetadata = localStorage.getItem(this.config.localStorageKey) !== null;
+        const hasLegacyFollowed = localStorage.getItem(this.config.followedStorageKey) !== null;
+        if (!hasLegacyMetadata && !hasLegacyFollowed) return;
+
+        try {
+            const legacyMetadata = JSON.parse(localStorage.getItem(this.config.localStorageKey) || '{}');
+            const tx = this.db.transaction(['channels'], 'readwrite');
+            tx.onerror = () => this.logger.warn('⚠️ Failed to migrate thread metadata:', tx.error);
+            Object.entries(legacyMetadata).forEach(([channelUrl, metadata]) => {
+                if ((this.channelMetadata[channelUrl]?.lastUpdate || 0) >= (metadata.lastUpdate || 0)) return;
+                this.channelMetadata[channelUrl] = metadata;
+                tx.objectStore('channels').put({ channelUrl, ...metadata });
+            });
+            const writes = [this.transactionDone(tx)];
+
+            if (hasLegacyFollowed) {
+                const followedBefore = { ...this.followedThreads };
+                const unfollowedBefore = this.unfollowedThreads;
+                this.loadFollowedThreads();
+                this.followedThreads = { ...this.followedThreads, ...followedBefore };
+                this.unfollowedThreads = new Set([...this.unfollowedThreads, ...unfollowedBefore]);
+                writes.push(this.saveFollowedThreads(Object.keys(this.followedThreads)));
+            }
+
+            const results = await Promise.all(writes);
+            if (results.includes(false)) {
+                this.logger.warn('⚠️ Thread metadata migration incomplete, keeping the localStorage copy');
+                return;
+            }
+
+            localStorage.removeItem(this.config.localStorageKey);
+            localStorage.removeItem(this.config.followedStorageKey);
+
+            this.logger.info('📦 Migrated thread metadata to IndexedDB:', {
+                channels: Object.keys(legacyMetadata).length,
+                followed: Object.keys(this.followedThreads).length
+            });
+        } catch (error) {
+            this.logger.warn('⚠️ Failed to migrate thread metadata from localStorage:', error);
+        }
+    }
+
+    /**
+     * Drop stored threads that haven't had a reply within threadRecordTTL
+     */
+    pruneThreadRecords() {
+        const cutoff = Date.now() - this.config.threadRecordTTL;
+        const tx = this.db.transaction(['threads'], 'readwrite');
+        const request = tx.objectStore('threads').openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            if ((cursor.value.thread_info?.last_replied_at || 0) < cutoff && !this.followedThreads[cursor.value.messageId]) {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+        tx.onerror = () => this.logger.warn('⚠️ Failed to prune stored threads:', tx.error);
+    }
+
+    /**
+     * Persist the thread parents of a channel (only records that changed since the last write)
+     */
+    writeChannelThreads(channelUrl) {
+        const messageCache = this.channelMessages.get(channelUrl);
+        if (!this.db || !messageCache) return;
+
+        const records = [];
+        for (const [messageId, msg] of messageCache) {
+            if (!msg.thread_info || !(msg.thread_info.reply_count > 0)) continue;
+
+            const lastTwoReplies = this.threadReplies.get(messageId) || [];
+            const signature = this.getThreadRecordSignature(msg.thread_info, msg.message, lastTwoReplies);
+            if (this.storedThreadSignatures.get(messageId) === signature) continue;
+
+            this.storedThreadSignatures.set(messageId, signature);
+            records.push({
+                messageId,
+                channelUrl,
+                message: msg.message || '',
+                user: {
+                    user_id: msg.user?.user_id,
+                    nickname: msg.user?.nickname || msg.user?.name,
+                    profile_url: msg.user?.profile_url || msg.user?.avatar || null
+                },
+                created_at: msg.created_at,
+                thread_info: {
+                    reply_count: msg.thread_info.reply_count,
+                    last_replied_at: msg.thread_info.last_replied_at,
+                    updated_at: msg.thread_info.updated_at
+                },
+                hasAttachment: !!(msg.file || msg.files?.length > 0 || msg.type === 'file'),
+                lastTwoReplies
+            });
+        }
+
+        if (records.length === 0) return;
+
+        const tx = this.db.transaction(['threads'], 'readwrite');
+        records.forEach(record => tx.objectStore('threads').put(record));
+        tx.onerror = () => this.logger.warn('⚠️ Failed to store threads:', tx.error);
+    }
+
+    getThreadRecordSignature(threadInfo, message, lastTwoReplies) {
+        return `${threadInfo.reply_count}:${threadInfo.last_replied_at}:${(message || '').length}:${lastTwoReplies?.length || 0}`;
+    }
+
+    deleteThreadRecords(messageIds) {
+        messageIds.forEach(messageId => this.storedThreadSignatures.delete(messageId));
+        if (!this.db || messageIds.length === 0) return;
+
+        const tx = this.db.transaction(['threads'], 'readwrite');
+        messageIds.forEach(messageId => tx.objectStore('threads').delete(messageId));
+        tx.onerror = () => this.logger.warn('⚠️ Failed to delete stored threads:', tx.error);
+    }
+
+    /**
+     * Load a channel's stored thread parents into the message cache
+     * Messages already in memory win - they're at least as fresh as the store.
+     * @returns {Promise<boolean>} Whether any threads were restored
+     */
+    async restoreChannelThreads(channelUrl) {
+        if (!this.db || !channelUrl) return false;
+
+        let records;
+        try {
+            records = await this.readAllRecords('threads', 'channelUrl', channelUrl);
+        } catch (error) {
+            this.logger.warn('⚠️ Failed to read stored threads:', error);
+            return false;
+        }
+        if (records.length === 0) return false;
+
+        if (!this.channelMessages.has(channelUrl)) {
+            this.channelMessages.set(channelUrl, new Map());
+        }
+        const messageCache = this.channelMessages.get(channelUrl);
+
+        records.forEach(record => {
+            if (!this.threadReplies.has(record.messageId) && record.lastTwoReplies?.length) {
+                this.threadReplies.set(record.messageId, record.lastTwoReplies);
+            }
+            if (messageCache.has(record.messageId)) return;
+
+            messageCache.set(record.messageId, {
+                message_id: record.messageId,
+                message: record.message,
+                user: record.user,
+                created_at: record.created_at,
+                thread_info: record.thread_info,
+                type: record.hasAttachment ? 'file' : 'text',
+                restoredFromStore: true
+            });
+            this.storedThreadSignatures.set(
+                record.messageId,
+                this.getThreadRecordSignature(record.thread_info, record.message, record.lastTwoReplies)
+            );
+        });
+
+        await this.getCurrentUserId().catch(() => null);
+        const threads = this.extractThreads(channelUrl);
+        this.channelThreads.set(channelUrl, threads);
+
+        this.logger.debug(`📦 Restored ${records.length} stored threads for ${channelUrl}`);
+        return true;
+    }
+
+    /**
+     * Workvivo's own thread read timestamps
+     */
+    readWorkvivoThreadReads() {
+        try {
+            return JSON.parse(localStorage.getItem('threadReads') || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Latest read time for a thread, from Workvivo's threadReads and our stored markers
+     */
+    getLastReadAt(messageId, threadReads = this.readWorkvivoThreadReads()) {
+        const marker = this.currentUserId ? this.readMarkers.get(`${this.currentUserId}::${messageId}`) : 0;
+        return Math.max(threadReads[messageId] || 0, marker || 0);
+    }
+
+    /**
+     * Store the current user's read marker for a thread
+     */
+    setReadMarker(messageId, readAt = Date.now()) {
+        this.getCurrentUserId().then(userId => {
+            if (!userId) return;
+
+            const key = `${userId}::${messageId}`;
+            this.readMarkers.set(key, readAt);
+
+            if (this.db) {
+                const tx = this.db.transaction(['reads'], 'readwrite');
+                tx.objectStore('reads').put({ key, userId, messageId, readAt });
+                tx.onerror = () => this.logger.warn('⚠️ Failed to store read marker:', tx.error);
+            }
+        }).catch(error => {
+            this.logger.warn('⚠️ Failed to store read marker:', error);
+        });
+    }
+
+    /**
+     * Current user's ID (UserIdentityManager starts after ThreadManager, so resolve lazily)
+     */
+    async getCurrentUserId() {
+        if (!this.currentUserId) {
+            const user = await this.app?.userIdentity?.getCurrentUser();
+            this.currentUserId = user?.id ? String(user.id) : null;
+        }
+        return this.currentUserId;
+    }
+
+    /**
+     * Load followed threads saved in localStorage (fallback store and pre-IndexedDB data)
+     */
+    loadFollowedThreads() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.config.followedStorageKey) || '{}');
+            this.followedThreads = data.threads || {};
+            this.unfollowedThreads = new Set(data.unfollowed || []);
+        } catch (error) {
+            this.logger.warn('⚠️ Failed to load followed threads:', error);
+            this.followedThreads = {};
+            this.unfollowedThreads = new Set();
+        }
+    }
+
+    /**
+     * Save followed threads and let the inbox and sidebar badge know
+     * @param {Array} messageIds - Threads that were followed, unfollowed or updated
+     */
+    persistFollowedThreads(messageIds) {
+        const changed = new Set(messageIds);
+
+        // Drop the threads that have been quiet the longest once over the limit
+        const entries = Object.values(this.followedThreads);
+        if (entries.length > this.config.maxFollowedThreads) {
+            entries
+                .sort((a, b) => (b.lastRepliedAt || 0) - (a.lastRepliedAt || 0))
+                .slice(this.config.maxFollowedThreads)
+                .forEach(entry => {
+                    delete this.followedThreads[entry.messageId];
+                    changed.add(entry.messageId);
+                });
+        }
+
+        this.saveFollowedThreads([...changed]);
+        this.updateFollowedBadge();
+        window.dispatchEvent(new CustomEvent('wv-followed-threads-updated'));
+    }
+
+    /**
+     * Write the given followed threads (deleting the ones no longer followed)
+     * @param {Array} messageIds - Threads to write
+     * @returns {Promise<boolean>} Whether the write was stored
+     */
+    saveFollowedThreads(messageIds) {
+        const unfollowed = [...this.unfollowedThreads].slice(-500);
+
+        if (this.db) {
+            const tx = this.db.transaction(['followed', 'state'], 'readwrite');
+            const store = tx.objectStore('followed');
+            messageIds.forEach(messageId => {
+                const entry = this.followedThreads[messageId];
+                if (entry) {
+                    store.put(entry);
+                } else {
+                    store.delete(messageId);
+                }
+            });
+            tx.objectStore('state').put({ key: 'unfollowed', ids: unfollowed });
+            tx.onerror = () => this.logger.warn('⚠️ Failed to save followed threads:', tx.error);
+            return this.transactionDone(tx);
+        }
+
+        try {
+            localStorage.setItem(this.config.followedStorageKey, JSON.stringify({
+                threads: this.followedThreads,
+                unfollowed
+            }));
+            return Promise.resolve(true);
+        } catch (error) {
+            this.logger.warn('⚠️ Failed to save followed threads:', error);
+            return Promise.resolve(false);
+        }
+    }
+
+    updateFollowedBadge() {
+        WVFavs.DomManager?.updateButtonGroupBadge('threads', this.getFollowedUnreadCount());
+    }
+
+    /**
+     * Followed thread entry from a cached message or a thread list item
+     */
+    buildFollowedEntry(channelUrl, thread, existing = null) {
+        return {
+            messageId: thread.messageId,
+            channelUrl,
+            channelName: existing?.channelName || null,
+            message: thread.message ?? existing?.message ?? '',
+            user: thread.user ?? existing?.user ?? 'Unknown',
+            userAvatar: thread.userAvatar ?? existing?.userAvatar ?? null,
+            createdAt: thread.createdAt ?? existing?.createdAt ?? null,
+            replyCount: thread.replyCount ?? existing?.replyCount ?? 0,
+            lastRepliedAt: thread.lastRepliedAt ?? existing?.lastRepliedAt ?? 0,
+            lastReadAt: existing?.lastReadAt ?? Date.now(),
+            unreadCount: existing?.unreadCount ?? 0,
+            followedAt: existing?.followedAt ?? Date.now(),
+            autoFollowed: existing?.autoFollowed ?? false
+        };
+    }
+
+    messageToThread(msg) {
+        return {
+            messageId: msg.message_id,
+            message: msg.message || '',
+            user: msg.user?.nickname || msg.user?.name || 'Unknown',
+            userAvatar: msg.user?.profile_url || msg.user?.avatar || null,
+            createdAt: msg.created_at,
+            replyCount: msg.thread_info?.reply_count || 0,
+            lastRepliedAt: msg.thread_info?.last_replied_at || 0
+        };
+    }
+
+    /**
+     * PUBLIC API: Whether a thread is followed
+     */
+    isFollowing(messageId) {
+        return !!this.followedThreads[messageId];
+    }
+
+    /**
+     * PUBLIC API: Follow a thread
+     * @param {string} channelUrl - Channel the thread is in
+     * @param {Object} thread - Thread list item (see extractThreads) or { messageId }
+     * @param {Object} options - { auto: true } when followed because the user took part
+     */
+    followThread(channelUrl, thread, { auto = false } = {}) {
+        const messageId = thread?.messageId;
+        if (!channelUrl || !messageId) return;
+        if (auto && (this.unfollowedThreads.has(messageId) || this.app?.settings?.get('autoFollowThreads') === false)) return;
+
+        const cached = this.channelMessages.get(channelUrl)?.get(messageId);
+        const details = cached ? { ...thread, ...this.messageToThread(cached) } : thread;
+
+        this.followedThreads[messageId] = {
+            ...this.buildFollowedEntry(channelUrl, details, this.followedThreads[messageId]),
+            autoFollowed: this.followedThreads[messageId]?.autoFollowed ?? auto
+        };
+        this.unfollowedThreads.delete(messageId);
+        this.persistFollowedThreads([messageId]);
+
+        this.logger.debug(`🔔 ${auto ? 'Auto-followed' : 'Followed'} thread ${messageId}`);
+        if (!auto && this.logger.analytics) {
+            this.logger.analytics('thread_followed', { reply_count: details.replyCount || 0 });
+        }
+    }
+
+    /**
+     * PUBLIC API: Stop following a thread
+     */
+    unfollowThread(messageId) {
+        if (!this.followedThreads[messageId]) return;
+
+        delete this.followedThreads[messageId];
+        this.unfollowedThreads.add(messageId);
+        this.persistFollowedThreads([messageId]);
+
+        this.logger.debug(`🔕 Unfollowed thread ${messageId}`);
+        if (this.logger.analytics) {
+            this.logger.analytics('thread_unfollowed', {});
+        }
+    }
+
+    /**
+     * PUBLIC API: Followed threads across all channels, most recent reply first
+     */
+    getFollowedThreads() {
+        return Object.values(this.followedThreads)
+            .map(entry => ({ ...entry, isUnread: entry.unreadCount > 0 }))
+            .sort((a, b) => (b.lastRepliedAt || 0) - (a.lastRepliedAt || 0));
+    }
+
+    /**
+     * PUBLIC API: Number of followed threads with unread replies
+     */
+    getFollowedUnreadCount() {
+        return Object.values(this.followedThreads).filter(entry => entry.unreadCount > 0).length;
+    }
+
+    /**
+     * PUBLIC API: Clear the unread count of a followed thread
+     */
+    markFollowedThreadRead(messageId) {
+        const entry = this.followedThreads[messageId];
+        if (!entry) return;
+
+        entry.lastReadAt = Date.now();
+        if (entry.unreadCount === 0) return;
+
+        entry.unreadCount = 0;
+        this.persistFollowedThreads([messageId]);
+    }
+
+    /**
+     * PUBLIC API: Clear unread counts of all followed threads
+     */
+    markAllFollowedThreadsRead() {
+        const now = Date.now();
+        Object.values(this.followedThreads).forEach(entry => {
+            entry.unreadCount = 0;
+            entry.lastReadAt = now;
+        });
+        this.persistFollowedThreads(Object.keys(this.followedThreads));
+    }
+
+    /**
+     * PUBLIC API: Remember a followed thread's channel name (resolved by the inbox)
+     */
+    setFollowedChannelName(channelUrl, channelName) {
+        const changed = [];
+        Object.values(this.followedThreads).forEach(entry => {
+            if (entry.channelUrl === channelUrl && entry.channelName !== channelName) {
+                entry.channelName = channelName;
+                changed.push(entry.messageId);
+            }
+        });
+
+        if (changed.length > 0) {
+            this.saveFollowedThreads(changed);
+        }
+    }
+
+    /**
+     * Real-time reply: count it as unread for followed threads, auto-follow on own replies
+     */
+    async trackFollowedReply(data) {
+        const { parentMessageId, channelUrl, threadInfo } = data;
+        if (!parentMessageId || !channelUrl) return;
+
+        const currentUserId = await this.getCurrentUserId();
+        const isOwnReply = !!currentUserId && String(data.user?.userId) === currentUserId;
+
+        if (isOwnReply && !this.isFollowing(parentMessageId)) {
+            this.followThread(channelUrl, { messageId: parentMessageId }, { auto: true });
+        }
+
+        const entry = this.followedThreads[parentMessageId];
+        if (!entry) return;
+
+        entry.replyCount = threadInfo?.replyCount || entry.replyCount + 1;
+        entry.lastRepliedAt = threadInfo?.lastRepliedAt || data.timestamp || Date.now();
+
+        const isOpen = this.isThreadPanelOpen && this.currentOpenThreadId === parentMessageId;
+        if (isOwnReply || isOpen) {
+            entry.unreadCount = 0;
+            entry.lastReadAt = Date.now();
+        } else {
+            entry.unreadCount += 1;
+        }
+
+        this.persistFollowedThreads([parentMessageId]);
+    }
+
+    /**
+     * Messages from the API: refresh followed threads and auto-follow threads the user started
+     */
+    async syncFollowedThreads(channelUrl, messages) {
+        const threadMessages = messages.filter(msg => msg.thread_info?.reply_count > 0);
+        if (threadMessages.length === 0) return;
+
+        const currentUserId = await this.getCurrentUserId();
+        const threadReads = this.readWorkvivoThreadReads();
+        const changed = [];
+
+        threadMessages.forEach(msg => {
+            const messageId = msg.message_id;
+            const isOwnThread = !!currentUserId && String(msg.user?.user_id) === currentUserId;
+
+            if (!this.isFollowing(messageId)) {
+                if (isOwnThread) {
+                    this.followThread(channelUrl, this.messageToThread(msg), { auto: true });
+                }
+                return;
+            }
+
+            const entry = this.followedThreads[messageId];
+            const thread = this.messageToThread(msg);
+            const newReplies = Math.max(0, thread.replyCount - (entry.replyCount || 0));
+            const lastRead = Math.max(entry.lastReadAt || 0, this.getLastReadAt(messageId, threadReads));
+            const before = JSON.stringify(entry);
+
+            // Read in Workvivo (or here) since the last reply, otherwise count replies we haven't seen
+            if (lastRead >= thread.lastRepliedAt) {
+                entry.unreadCount = 0;
+            } else if (newReplies > 0) {
+                entry.unreadCount += newReplies;
+            }
+
+            Object.assign(entry, {
+                message: thread.message,
+                replyCount: Math.max(thread.replyCount, entry.replyCount || 0),
+                lastRepliedAt: Math.max(thread.lastRepliedAt, entry.lastRepliedAt || 0)
+            });
+
+            if (JSON.stringify(entry) !== before) changed.push(messageId);
+        });
+
+        if (changed.length > 0) {
+            this.persistFollowedThreads(changed);
+        }
+    }
+
+    /**
+     * Thread replies from the API: auto-follow when the user has replied
+     */
+    async autoFollowFromReplies(channelUrl, parentMessageId, replies) {
+        if (this.isFollowing(parentMessageId)) return;
+
+        const currentUserId = await this.getCurrentUserId();
+        if (!currentUserId) return;
+
+        if (replies.some(reply => String(reply.user?.user_id) === currentUserId)) {
+            this.followThread(channelUrl, {
+                messageId: parentMessageId,
+                replyCount: replies.length,
+                lastRepliedAt: Math.max(...replies.map(reply => reply.created_at || 0))
+            }, { auto: true });
+        }
+    }
+
     /**
      * Cleanup - call on extension unload
      */
@@ -1265,6 +2177,11 @@ WVFavs.ThreadManager = class ThreadManager {
         this.channelMessages.clear();
         this.channelThreads.clear();
 
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+
         this.logger.info('🧹 ThreadManager destroyed');
     }
 };
@@ -255,14 +255,31 @@
                     }
                 };
 
+                // Remember which chat the meeting came from so the Upcoming panel can post
+                // a "joining" notice back into it
+                const channelUrl = this.app.threadManager?.getCurrentChannel();
+                if (channelUrl) {
+                    const chatInfo = window.WVFavs?.DomDataExtractor?.extractActiveSidebarChatInfo();
+                    event.extendedProperties = {
+                        private: {
+                            wvChannelUrl: channelUrl,
+                            wvChannelName: chatInfo?.name || ''
+                        }
+                    };
+                }
+
                 // Add attendees if provided (e.g. for 1:1 chats where we know the email)
                 if (attendees.length > 0) {
                     event.attendees = attendees.map(email => ({ email }));
                     event.guestsCanSeeOtherGuests = true;
                 }
 
+                // sendUpdates=all makes Calendar email the invite; without it attendees are added silently
+                const eventsUrl = 'https://www.googleapis.com/calendar/v3/calendars/primary/events?conferenceDataVersion=1' +
+                    (attendees.length > 0 ? '&sendUpdates=all' : '');
+
                 const response = await fetch(
-                    'https://www.googleapis.com/calendar/v3/calendars/primary/events?conferenceDataVersion=1',
+                    eventsUrl,
                     {
                         method: 'POST',
                         headers: {
@@ -324,6 +341,36 @@
             }
         }
 
+        /**
+         * Get the next meetings from the primary calendar
+         * The calendar request runs in the background script, which owns token refresh
+         * @param {Object} options - { hoursAhead, maxResults, includeDeclined, includeAllDay, includeFocusTime }
+         * @returns {Promise<{isSignedIn: boolean, meetings: Array}>}
+         * @throws {Error} PERMISSION_DENIED when the token lacks calendar access
+         */
+        async getUpcomingMeetings(options = {}) {
+            return new Promise((resolve, reject) => {
+                chrome.runtime.sendMessage(
+                    { action: 'GET_UPCOMING_MEETINGS', options },
+                    (response) => {
+                        if (chrome.runtime.lastError) {
+                            reject(new Error(chrome.runtime.lastError.message));
+                            return;
+                        }
+
+                        if (response && response.success) {
+                            resolve({
+                                isSignedIn: response.isSignedIn,
+                                meetings: response.meetings || []
+                            });
+                        } else {
+                            reject(new Error(response?.error || 'Failed to load upcoming meetings'));
+                        }
+                    }
+                );
+            });
+        }
+
         /**
          * Generate a unique request ID for conference data
          */
@@ -0,0 +1,427 @@
+/**
+ * ActivityPanel - Activity digest for the open channel
+ * Summarizes a time window (24 hours / 7 days / 30 days): messages per participant, busiest
+ * hours, most shared links, new threads and questions nobody answered.
+ * Works only from messages already seen in this browser - ThreadManager's in-memory cache
+ * and the local MessageIndex - so it covers what the user has scrolled through.
+ * The panel shell comes from SidebarPanel (sidebar overlay).
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.ActivityPanel = class ActivityPanel extends WVFavs.SidebarPanel {
+    constructor(app) {
+        super(app);
+        this.windowKey = '7d';
+        this.icon = '<path d="M3 3v18h18"/><path d="M7 15l4-4 3 3 5-6"/>';
+
+        this.windows = {
+            '24h': { label: '24 hours', ms: 24 * 60 * 60 * 1000 },
+            '7d': { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+            '30d': { label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 }
+        };
+
+        // A question counts as answered once someone else posts within this long after it
+        this.answerWindowMs = 30 * 60 * 1000;
+
+        // Follow the user to another chat while the panel is open
+        window.addEventListener('wv-channel-changed', () => {
+            if (this.currentPanel && document.body.contains(this.currentPanel)) {
+                this.renderDigest(this.currentPanel);
+            }
+        });
+    }
+
+    /**
+     * Open the activity panel for the current channel
+     */
+    async openPanel() {
+        if (document.querySelector('.wv-favorites-activity-panel')) {
+            this.app?.logger?.log('📊 Activity panel already open');
+            return;
+        }
+
+        const panel = this.createPanelElement();
+        document.body.appendChild(panel);
+        this.currentPanel = panel;
+
+        this.addPanelAnimations();
+        const digest = await this.renderDigest(panel);
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('activity_panel_opened', {
+                time_window: this.windowKey,
+                message_count: digest?.messageCount || 0
+            });
+        }
+    }
+
+    createPanelElement() {
+        const { panel, header } = this.createPanelShell({
+            prefix: 'activity',
+            title: 'Activity',
+            icon: this.icon,
+            iconColor: '#0d9488',
+            headerExtra: `
+                <div class="wv-activity-channel" style="font-size: 12px; color: #6b7280; margin-bottom: 8px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></div>
+                <div style="display: flex; align-items: center; gap: 6px;">
+                    ${Object.entries(this.windows).map(([key, { label }]) => `
+                        <button class="wv-activity-window" data-window="${key}" style="padding: 3px 10px; border: 1px solid #e5e7eb; border-radius: 999px; font-size: 11px; cursor: pointer;">${label}</button>
+                    `).join('')}
+                </div>
+            `
+        });
+
+        header.querySelectorAll('.wv-activity-window').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.window === this.windowKey) return;
+                this.windowKey = button.dataset.window;
+                this.renderDigest(panel);
+
+                if (this.app.analytics) {
+                    this.app.analytics.trackEvent('activity_window_changed', { time_window: this.windowKey });
+                }
+            });
+        });
+
+        return panel;
+    }
+
+    /**
+     * Messages of a channel from memory and the local index, merged by ID
+     * In-memory copies win - they carry thread info the index doesn't keep.
+     */
+    async collectMessages(channelUrl, since) {
+        const messages = new Map();
+
+        const indexed = await this.app.messageIndex?.getChannelMessages(channelUrl, since).catch(() => []) || [];
+        indexed.forEach(record => messages.set(record.messageId, { ...record, replyCount: 0, lastRepliedAt: 0 }));
+
+        (this.app.threadManager?.getChannelMessages(channelUrl) || []).forEach(record => {
+            messages.set(record.messageId, record);
+        });
+
+        return [...messages.values()]
+            .filter(record => record.createdAt > since)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Aggregate messages into the digest shown in the panel
+     * @param {Array} messages - Message records, oldest first
+     * @returns {Object} Digest
+     */
+    buildDigest(messages) {
+        const participants = new Map();
+        const hours = new Array(24).fill(0);
+        const links = new Map();
+
+        messages.forEach(msg => {
+            const participant = participants.get(msg.userId) || { name: msg.nickname, avatar: msg.profileUrl, count: 0 };
+            participant.count++;
+            participants.set(msg.userId, participant);
+
+            hours[new Date(msg.createdAt).getHours()]++;
+
+            const urls = new Set((msg.message.match(/https?:\/\/[^\s<>()\[\]"']+/g) || [])
+                .map(url => url.replace(/[.,;:!?]+$/, '')));
+            urls.forEach(url => {
+                const link = links.get(url) || { url, count: 0, sharedBy: msg.nickname };
+                link.count++;
+                links.set(url, link);
+            });
+        });
+
+        const mainMessages = messages.filter(msg => !msg.parentMessageId);
+        const now = Date.now();
+
+        const newThreads = mainMessages
+            .filter(msg => msg.replyCount > 0)
+            .sort((a, b) => b.replyCount - a.replyCount)
+            .slice(0, 5);
+
+        const unansweredQuestions = mainMessages
+            .filter((msg, index) => {
+                if (msg.replyCount > 0 || msg.type === 'FILE') return false;
+                if (now - msg.createdAt < this.answerWindowMs) return false;
+
+                const plain = msg.message
+                    .replace(/@\[([^\]]+)\]\([^)]+\)/g, '@$1')
+                    .replace(/https?:\/\/\S+/g, '');
+                if (!/\?(\s|$)/.test(plain)) return false;
+
+                // Answered inline: someone else posted in the main chat shortly after
+                return !mainMessages.slice(index + 1).some(other =>
+                    other.userId !== msg.userId && other.createdAt - msg.createdAt <= this.answerWindowMs
+                );
+            })
+            .reverse()
+            .slice(0, 5);
+
+        return {
+            messageCount: messages.length,
+            participants: [...participants.values()].sort((a, b) => b.count - a.count),
+            hours,
+            links: [...links.values()].sort((a, b) => b.count - a.count).slice(0, 5),
+            newThreads,
+            unansweredQuestions,
+            oldestLoadedAt: messages[0]?.createdAt || null
+        };
+    }
+
+    /**
+     * Render the digest for the current channel and time window
+     * @returns {Promise<Object|null>} Digest that was rendered
+     */
+    async renderDigest(panel) {
+        const body = panel.querySelector('.wv-activity-body');
+        const footer = panel.querySelector('.wv-activity-footer');
+        const channelLabel = panel.querySelector('.wv-activity-channel');
+
+        panel.querySelectorAll('.wv-activity-window').forEach(button => {
+            const active = button.dataset.window === this.windowKey;
+            button.classList.toggle('wv-active', active);
+            button.style.background = active ? '#0d9488' : 'white';
+            button.style.borderColor = active ? '#0d9488' : '#e5e7eb';
+            button.style.color = active ? 'white' : '#475569';
+        });
+
+        const channelUrl = this.app.threadManager?.getCurrentChannel();
+        if (!channelUrl) {
+            channelLabel.textContent = '';
+            footer.textContent = '';
+            body.innerHTML = this.renderEmptyState('Open a chat to see its activity');
+            return null;
+        }
+
+        // Render is async - drop results for a channel or window the user already left
+        const renderKey = `${channelUrl}|${this.windowKey}`;
+        panel.dataset.renderKey = renderKey;
+
+        const timeWindow = this.windows[this.windowKey];
+        const since = Date.now() - timeWindow.ms;
+        const messages = await this.collectMessages(channelUrl, since);
+        if (panel.dataset.renderKey !== renderKey) return null;
+
+        const digest = this.buildDigest(messages);
+        this.resolveChannelName(panel, channelUrl);
+
+        footer.textContent = digest.messageCount === 0
+            ? 'Based on messages loaded in this browser'
+            : `Based on ${digest.messageCount} loaded ${digest.messageCount === 1 ? 'message' : 'messages'} - scroll up in the chat to include older ones`;
+
+        if (digest.messageCount === 0) {
+            body.innerHTML = this.renderEmptyState(`No messages in the last ${timeWindow.label}`);
+            return digest;
+        }
+
+        body.innerHTML = '';
+        body.appendChild(this.createSummary(digest));
+        body.appendChild(this.createParticipantsSection(digest));
+        body.appendChild(this.createHoursSection(digest));
+        if (digest.newThreads.length > 0) {
+            body.appendChild(this.createMessageSection('New threads', digest.newThreads, msg =>
+                `💬 ${msg.replyCount} ${msg.replyCount === 1 ? 'reply' : 'replies'}`
+            ));
+        }
+        if (digest.unansweredQuestions.length > 0) {
+            body.appendChild(this.createMessageSection('Unanswered questions', digest.unansweredQuestions, msg =>
+                this.formatTimestamp(msg.createdAt)
+            ));
+        }
+        if (digest.links.length > 0) {
+            body.appendChild(this.createLinksSection(digest));
+        }
+
+        return digest;
+    }
+
+    createSummary(digest) {
+        const summary = document.createElement('div');
+        summary.className = 'wv-activity-summary';
+        summary.style.cssText = 'display: flex; gap: 8px; margin: 4px 0 8px;';
+
+        [
+            [digest.messageCount, digest.messageCount === 1 ? 'message' : 'messages'],
+            [digest.participants.length, digest.participants.length === 1 ? 'person' : 'people'],
+            [digest.newThreads.length, digest.newThreads.length === 1 ? 'thread' : 'threads']
+        ].forEach(([value, label]) => {
+            const stat = document.createElement('div');
+            stat.className = 'wv-activity-stat';
+            stat.style.cssText = 'flex: 1; padding: 8px; border-radius: 8px; background: #f0fdfa; text-align: center;';
+            stat.innerHTML = `
+                <div style="font-size: 16px; font-weight: 700; color: #0f766e;">${value}</div>
+                <div style="font-size: 11px; color: #6b7280;">${label}</div>
+            `;
+            summary.appendChild(stat);
+        });
+
+        return summary;
+    }
+
+    createParticipantsSection(digest) {
+        const section = this.createSection('Messages per participant');
+        const max = digest.participants[0]?.count || 1;
+
+        digest.participants.slice(0, 10).forEach(participant => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 6px; font-size: 12px;';
+            row.innerHTML = `
+                ${participant.avatar
+                    ? '<img class="wv-activity-avatar" style="width: 20px; height: 20px; border-radius: 50%; object-fit: cover; flex-shrink: 0;" alt="">'
+                    : '<span style="width: 20px; height: 20px; border-radius: 50%; background: #e5e7eb; flex-shrink: 0;"></span>'}
+                <div style="flex: 1; min-width: 0;">
+                    <div style="display: flex; justify-content: space-between; gap: 6px; color: #374151;">
+                        <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(participant.name)}</span>
+                        <span style="color: #6b7280; flex-shrink: 0;">${participant.count}</span>
+                    </div>
+                    <div class="wv-activity-bar-track" style="height: 4px; border-radius: 2px; background: #f3f4f6; margin-top: 2px;">
+                        <div style="height: 100%; width: ${Math.max(4, Math.round(participant.count / max * 100))}%; border-radius: 2px; background: #14b8a6;"></div>
+                    </div>
+                </div>
+            `;
+            // escapeHtml leaves quotes alone, so URLs go in through the DOM
+            const avatar = row.querySelector('.wv-activity-avatar');
+            if (avatar) avatar.src = participant.avatar;
+            section.appendChild(row);
+        });
+
+        if (digest.participants.length > 10) {
+            const more = document.createElement('div');
+            more.style.cssText = 'font-size: 11px; color: #9ca3af;';
+            more.textContent = `+ ${digest.participants.length - 10} more`;
+            section.appendChild(more);
+        }
+
+        return section;
+    }
+
+    createHoursSection(digest) {
+        const section = this.createSection('Busiest hours');
+        const max = Math.max(...digest.hours, 1);
+
+        const busiest = digest.hours
+            .map((count, hour) => ({ hour, count }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 3)
+            .map(entry => this.formatHour(entry.hour));
+
+        const chart = document.createElement('div');
+        chart.className = 'wv-activity-hours';
+        chart.style.cssText = 'display: flex; align-items: flex-end; gap: 2px; height: 48px;';
+        digest.hours.forEach((count, hour) => {
+            const bar = document.createElement('div');
+            bar.title = `${this.formatHour(hour)}: ${count} ${count === 1 ? 'message' : 'messages'}`;
+            bar.style.cssText = `
+                flex: 1;
+                height: ${count > 0 ? Math.max(8, Math.round(count / max * 100)) : 2}%;
+                background: ${count === max ? '#0d9488' : '#99f6e4'};
+                border-radius: 2px 2px 0 0;
+            `;
+            chart.appendChild(bar);
+        });
+
+        const axis = document.createElement('div');
+        axis.style.cssText = 'display: flex; justify-content: space-between; font-size: 10px; color: #9ca3af; margin-top: 2px;';
+        axis.innerHTML = [0, 6, 12, 18, 23].map(hour => `<span>${this.formatHour(hour)}</span>`).join('');
+
+        const note = document.createElement('div');
+        note.style.cssText = 'font-size: 11px; color: #6b7280; margin-top: 4px;';
+        note.textContent = `Most active: ${busiest.join(', ')}`;
+
+        section.appendChild(chart);
+        section.appendChild(axis);
+        section.appendChild(note);
+        return section;
+    }
+
+    /**
+     * List of messages (new threads, questions) - clicking one jumps to it
+     */
+    createMessageSection(title, messages, describe) {
+        const section = this.createSection(title);
+
+        messages.forEach(msg => {
+            const row = document.createElement('div');
+            row.className = 'wv-activity-message';
+            row.style.cssText = 'padding: 6px 8px; margin-bottom: 4px; border-radius: 6px; cursor: pointer; font-size: 12px; line-height: 1.4;';
+            row.innerHTML = `
+                <div style="display: flex; justify-content: space-between; gap: 6px; font-size: 11px; color: #9ca3af; margin-bottom: 2px;">
+                    <strong style="color: #4b5563; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(msg.nickname)}</strong>
+                    <span style="flex-shrink: 0;">${this.escapeHtml(describe(msg))}</span>
+                </div>
+                <div style="color: #374151; overflow: hidden; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical;">${this.escapeHtml(this.cleanMessageText(msg.message))}</div>
+            `;
+
+            row.addEventListener('mouseenter', () => { row.style.background = '#f9fafb'; });
+            row.addEventListener('mouseleave', () => { row.style.background = ''; });
+            row.addEventListener('click', () => {
+                WVFavs.DomManager.navigateToMention(msg.channelUrl, msg.messageId, msg.replyCount > 0, null, msg.createdAt);
+            });
+
+            section.appendChild(row);
+        });
+
+        return section;
+    }
+
+    createLinksSection(digest) {
+        const section = this.createSection('Top shared links');
+
+        digest.links.forEach(link => {
+            const row = document.createElement('a');
+            row.href = link.url;
+            row.target = '_blank';
+            row.rel = 'noopener noreferrer';
+            row.title = link.url;
+            row.style.cssText = 'display: flex; gap: 6px; font-size: 12px; color: #2563eb; text-decoration: none; margin-bottom: 4px;';
+            row.innerHTML = `
+                <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap; flex: 1;">🔗 ${this.escapeHtml(this.formatLinkLabel(link.url))}</span>
+                <span style="color: #9ca3af; flex-shrink: 0;">${link.count > 1 ? `×${link.count}` : this.escapeHtml(link.sharedBy)}</span>
+            `;
+            section.appendChild(row);
+        });
+
+        return section;
+    }
+
+    createSection(title) {
+        const section = document.createElement('div');
+        section.className = 'wv-activity-section';
+        section.style.cssText = 'margin-bottom: 12px;';
+
+        const heading = document.createElement('div');
+        heading.style.cssText = 'font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; margin: 8px 0 6px;';
+        heading.textContent = title;
+        section.appendChild(heading);
+
+        return section;
+    }
+
+    async resolveChannelName(panel, channelUrl) {
+        const label = panel.querySelector('.wv-activity-channel');
+        try {
+            const channelName = (await WVFavs.APIManager.getChannelInfo(channelUrl))?.name;
+            if (channelName && panel.dataset.renderKey?.startsWith(`${channelUrl}|`)) {
+                label.textContent = channelName;
+            }
+        } catch (error) {
+            // Channel name is optional
+        }
+    }
+
+    formatHour(hour) {
+        return new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, { hour: 'numeric' });
+    }
+
+    formatLinkLabel(url) {
+        try {
+            const parsed = new URL(url);
+            const path = parsed.pathname.length > 1 ? parsed.pathname : '';
+            return `${parsed.hostname.replace(/^www\./, '')}${path}`;
+        } catch (error) {
+            return url;
+        }
+    }
+};
@@ -190,6 +190,7 @@ WVFavs.DomManager = new (class DomManager {
                 </button>
                 <div class="wv-favorites-accordion-content" id="wv-favorites-content" style="display: ${initiallyOpen ? 'block' : 'none'};">
                     <div class="wv-favorites-container"></div>
+                    <button type="button" class="wv-favorites-new-folder-btn" title="Group pinned chats into a folder">+ New folder</button>
                 </div>
             </div>
         `;
@@ -198,6 +199,15 @@ WVFavs.DomManager = new (class DomManager {
 
         this.setupAccordion();
 
+        const newFolderBtn = this.pinnedContainer.querySelector('.wv-favorites-new-folder-btn');
+        if (newFolderBtn) {
+            newFolderBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.createPinFolder();
+            });
+        }
+
         await this.renderPinnedChats();
     }
 
@@ -266,6 +276,53 @@ WVFavs.DomManager = new (class DomManager {
             });
         }
 
+        // Create Threads inbox button (followed threads across all chats)
+        let threadsButton = null;
+        if (this.app.threadInboxPanel && settings.enableThreadsPanel !== false) {
+            threadsButton = this.createButtonGroupButton({
+            icon: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+            </svg>`,
+            label: 'Threads',
+            className: 'wv-favorites-threads-group-btn',
+            onClick: async () => {
+                await this.app.threadInboxPanel.openPanel();
+            }
+            });
+        }
+
+        // Create Activity button (digest of the open channel)
+        let activityButton = null;
+        if (this.app.activityPanel && settings.enableActivityPanel !== false) {
+            activityButton = this.createButtonGroupButton({
+            icon: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M3 3v18h18"/>
+                <path d="M7 15l4-4 3 3 5-6"/>
+            </svg>`,
+            label: 'Activity',
+            className: 'wv-favorites-activity-group-btn',
+            onClick: async () => {
+                await this.app.activityPanel.openPanel();
+            }
+            });
+        }
+
+        // Create Upcoming button (next calendar meetings; added by a refresh once GoogleMeetManager is up)
+        let upcomingButton = null;
+        if (this.app.upcomingMeetingsPanel && settings.enableUpcomingMeetings !== false) {
+            upcomingButton = this.createButtonGroupButton({
+            icon: `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="3" y="4" width="18" height="18" rx="2"/>
+                <path d="M16 2v4M8 2v4M3 10h18"/>
+            </svg>`,
+            label: 'Upcoming',
+            className: 'wv-favorites-upcoming-group-btn',
+            onClick: async () => {
+                await this.app.upcomingMeetingsPanel.openPanel();
+            }
+            });
+        }
+
         // Create Global Search button (only if enabled and feature stability allows)
         let searchButton = null;
         const searchManagerEnabled = this.app.isFeatureEnabled ? this.app.isFeatureEnabled('searchManager') : true;
@@ -287,6 +344,9 @@ WVFavs.DomManager = new (class DomManager {
         // Add buttons to group (only those that were created)
         if (draftsButton) this.buttonGroup.appendChild(draftsButton);
         if (mentionsButton) this.buttonGroup.appendChild(mentionsButton);
+        if (threadsButton) this.buttonGroup.appendChild(threadsButton);
+        if (activityButton) this.buttonGroup.appendChild(activityButton);
+        if (upcomingButton) this.buttonGroup.appendChild(upcomingButton);
         if (searchButton) this.buttonGroup.appendChild(searchButton);
 
         // Insert after header but before scroll container (so it stays fixed)
@@ -305,6 +365,18 @@ WVFavs.DomManager = new (class DomManager {
             }
         }
 
+        // Update mentions button badge with new watched keyword hits
+        const watchedCount = this.app.keywordWatcher?.getUnseenCount() || 0;
+        if (watchedCount > 0) {
+            this.updateButtonGroupBadge('mentions', watchedCount);
+        }
+
+        // Update threads button badge with followed threads that have new replies
+        const followedUnreadCount = this.app.threadManager?.getFollowedUnreadCount() || 0;
+        if (followedUnreadCount > 0) {
+            this.updateButtonGroupBadge('threads', followedUnreadCount);
+        }
+
         this.app?.logger?.log('✅ Button group added to sidebar');
     }
 
@@ -401,18 +473,9 @@ WVFavs.DomManager = new (class DomManager {
         // Get layout setting
         const layout = this.app.settings?.get('pinnedChatsLayout') || 'carousel';
 
-        // Apply appropriate layout class
-        container.classList.remove('wv-favorites-carousel-scroll', 'wv-favorites-grid', 'wv-grid-3', 'wv-grid-4');
-        if (layout === 'grid-3') {
-            container.classList.add('wv-favorites-grid', 'wv-grid-3');
-        } else if (layout === 'grid-4') {
-            container.classList.add('wv-favorites-grid', 'wv-grid-4');
-        } else {
-            container.classList.add('wv-favorites-carousel-scroll');
-        }
-
-        // Get pinned chats from IndexedDB and find their current records
+        // Get pinned chats and user-defined folders from IndexedDB
         const pinnedChats = await this.app.smartUserDB.getPinnedChats();
+        const folders = await this.app.smartUserDB.getPinFolders();
         // Reduced logging: only log count unless debug mode is enabled
         if (this.app.settings?.get('debugLogging')) {
             this.app?.logger?.debug('🔍 Raw pinned chats from DB:', pinnedChats.length, pinnedChats.map(c => ({ id: c.id, name: c.name, isPinned: c.isPinned })));
@@ -437,7 +500,8 @@ WVFavs.DomManager = new (class DomManager {
                         _pinnedRecordId: chat.id, // Keep original pinned record ID for database updates
                         isPinned: true, // Ensure it's marked as pinned
                         pinnedAt: chat.pinnedAt, // Preserve original pin date
-                        pinnedOrder: chat.pinnedOrder // Preserve pinned order
+                        pinnedOrder: chat.pinnedOrder, // Preserve pinned order
+                        pinFolderId: chat.pinFolderId || null // Preserve folder assignment
                     };
 
                     // DEBUG: Log avatar data for this pinned chat
@@ -473,13 +537,19 @@ WVFavs.DomManager = new (class DomManager {
         }
 
         // Check if content has changed to avoid unnecessary re-rendering
-        const currentChatIds = pinnedChatsArray.map(([chatId]) => chatId).sort().join(',');
+        // (folder assignments, names and collapse state are part of the rendered content)
+        const currentChatIds = [
+            pinnedChatsArray.map(([chatId, chatData]) => `${chatId}@${chatData.pinFolderId || ''}`).sort().join(','),
+            folders.map(folder => `${folder.id}:${folder.name}:${folder.collapsed ? 1 : 0}`).join(','),
+            layout
+        ].join('|');
         if (this._lastRenderedChatIds === currentChatIds) {
             return; // No changes, skip re-rendering
         }
         this._lastRenderedChatIds = currentChatIds;
 
         container.innerHTML = '';
+        container.classList.toggle('wv-favorites-folders', folders.length > 0 && pinnedChatsArray.length > 0);
 
         if (pinnedChatsArray.length === 0) {
             this.pinnedContainer.classList.remove('wv-has-pinned');
@@ -493,97 +563,311 @@ WVFavs.DomManager = new (class DomManager {
 
         this.pinnedContainer.classList.add('wv-has-pinned');
 
-        pinnedChatsArray.forEach(([chatId, chatData]) => {
-            const pinnedCard = document.createElement('div');
-            pinnedCard.className = 'wv-favorites-pinned-card';
-            pinnedCard.setAttribute('data-chat-id', chatId);
-            pinnedCard.setAttribute('draggable', 'true');
+        // Without folders, keep the flat carousel/grid as a single unfiled group
+        if (folders.length === 0) {
+            const group = this.createPinnedGroup(null, layout);
+            pinnedChatsArray.forEach(([chatId, chatData]) => {
+                group.appendChild(this.createPinnedCard(chatId, chatData));
+            });
+            container.appendChild(group);
+            this.setupPinnedGroup(group, layout);
+            return;
+        }
 
-            const displayName = WVFavs.Helpers.getDisplayName(chatData);
+        // With folders: unfiled chats first, then one collapsible group per folder
+        const folderIds = new Set(folders.map(folder => folder.id));
+        const unfiled = pinnedChatsArray.filter(([, chatData]) => !folderIds.has(chatData.pinFolderId));
 
-            pinnedCard.innerHTML = `
-                <div class="wv-favorites-card-content" title="${displayName}">
-                    <div class="wv-favorites-card-avatar">
-                        ${this.renderSavedAvatar(chatData)}
-                        <div class="wv-favorites-card-unpin" title="Unpin ${displayName}">×</div>
-                    </div>
-                    <div class="wv-favorites-card-name">${displayName}</div>
-                </div>
-            `;
+        if (unfiled.length > 0) {
+            const unfiledGroup = this.createPinnedGroup(null, layout);
+            unfiled.forEach(([chatId, chatData]) => {
+                unfiledGroup.appendChild(this.createPinnedCard(chatId, chatData));
+            });
+            container.appendChild(unfiledGroup);
+            this.setupPinnedGroup(unfiledGroup, layout);
+        }
 
-            const cardContent = pinnedCard.querySelector('.wv-favorites-card-content');
-            cardContent.addEventListener('click', (e) => {
-                if (!e.target.closest('.wv-favorites-card-unpin')) {
-                    this.app?.logger?.log('🎯 Pinned chat clicked:', {
-                        name: chatData.name,
-                        id: chatData.id,
-                        navigation: chatData.navigation
-                    });
-                    this.navigateToChat(chatData, 'pinned_chat_card_click');
-                }
+        folders.forEach(folder => {
+            const folderChats = pinnedChatsArray.filter(([, chatData]) => chatData.pinFolderId === folder.id);
+
+            const folderSection = document.createElement('div');
+            folderSection.className = 'wv-favorites-folder';
+            folderSection.setAttribute('data-folder-id', folder.id);
+            folderSection.appendChild(this.createPinFolderHeader(folder, folderChats.length));
+
+            const group = this.createPinnedGroup(folder.id, layout);
+            group.style.display = folder.collapsed ? 'none' : '';
+            folderChats.forEach(([chatId, chatData]) => {
+                group.appendChild(this.createPinnedCard(chatId, chatData));
             });
+            folderSection.appendChild(group);
 
-            const unpinBtn = pinnedCard.querySelector('.wv-favorites-card-unpin');
-            if (unpinBtn) {
-                unpinBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    e.preventDefault();
-                    this.app.unpinChat(chatId);
+            container.appendChild(folderSection);
+            this.setupPinnedGroup(group, layout);
+        });
+    }
+
+    /**
+     * Apply the configured carousel/grid layout classes to a pinned chats container
+     * @param {HTMLElement} element - Container holding pinned cards
+     * @param {string|null} layout - 'carousel', 'grid-3', 'grid-4', or null to clear
+     */
+    applyPinnedLayout(element, layout) {
+        element.classList.remove('wv-favorites-carousel-scroll', 'wv-favorites-grid', 'wv-grid-3', 'wv-grid-4');
+        if (!layout) return;
+
+        if (layout === 'grid-3') {
+            element.classList.add('wv-favorites-grid', 'wv-grid-3');
+        } else if (layout === 'grid-4') {
+            element.classList.add('wv-favorites-grid', 'wv-grid-4');
+        } else {
+            element.classList.add('wv-favorites-carousel-scroll');
+        }
+    }
+
+    /**
+     * Create the card list for one folder (or the unfiled group when folderId is null)
+     */
+    createPinnedGroup(folderId, layout) {
+        const group = document.createElement('div');
+        group.className = 'wv-favorites-folder-chats';
+        group.setAttribute('data-pin-folder', folderId || '');
+        this.applyPinnedLayout(group, layout);
+        return group;
+    }
+
+    setupPinnedGroup(group, layout) {
+        this.setupCarouselDragAndDrop(group);
+
+        // Only setup drag scrolling and scrollbar for carousel mode
+        if (layout === 'carousel') {
+            this.setupCarouselDragScrolling(group);
+            this.applyScrollbarSetting(group);
+        }
+    }
+
+    createPinnedCard(chatId, chatData) {
+        const pinnedCard = document.createElement('div');
+        pinnedCard.className = 'wv-favorites-pinned-card';
+        pinnedCard.setAttribute('data-chat-id', chatId);
+        pinnedCard.setAttribute('draggable', 'true');
+
+        const displayName = WVFavs.Helpers.getDisplayName(chatData);
+
+        pinnedCard.innerHTML = `
+            <div class="wv-favorites-card-content" title="${displayName}">
+                <div class="wv-favorites-card-avatar">
+                    ${this.renderSavedAvatar(chatData)}
+                    <div class="wv-favorites-card-unpin" title="Unpin ${displayName}">×</div>
+                </div>
+                <div class="wv-favorites-card-name">${displayName}</div>
+            </div>
+        `;
+
+        const cardContent = pinnedCard.querySelector('.wv-favorites-card-content');
+        cardContent.addEventListener('click', (e) => {
+            if (!e.target.closest('.wv-favorites-card-unpin')) {
+                this.app?.logger?.log('🎯 Pinned chat clicked:', {
+                    name: chatData.name,
+                    id: chatData.id,
+                    navigation: chatData.navigation
                 });
+                this.navigateToChat(chatData, 'pinned_chat_card_click');
             }
+        });
 
-            container.appendChild(pinnedCard);
+        const unpinBtn = pinnedCard.querySelector('.wv-favorites-card-unpin');
+        if (unpinBtn) {
+            unpinBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                this.app.unpinChat(chatId);
+            });
+        }
+
+        return pinnedCard;
+    }
+
+    createPinFolderHeader(folder, chatCount) {
+        const header = document.createElement('div');
+        header.className = 'wv-favorites-folder-header';
+        header.innerHTML = `
+            <button type="button" class="wv-favorites-folder-toggle" aria-expanded="${!folder.collapsed}">
+                <svg class="wv-favorites-folder-chevron" width="10" height="10" viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M7 10l5 5 5-5z"/>
+                </svg>
+                <span class="wv-favorites-folder-name">${this.escapeHtml(folder.name)}</span>
+                <span class="wv-favorites-folder-count">${chatCount}</span>
+            </button>
+            <button type="button" class="wv-favorites-folder-action" data-action="rename" title="Rename folder">${this.getEditIconSvg()}</button>
+            <button type="button" class="wv-favorites-folder-action" data-action="delete" title="Delete folder">×</button>
+        `;
+
+        const toggle = header.querySelector('.wv-favorites-folder-toggle');
+        toggle.addEventListener('click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            folder.collapsed = !folder.collapsed;
+            toggle.setAttribute('aria-expanded', (!folder.collapsed).toString());
+            const group = header.parentNode?.querySelector('.wv-favorites-folder-chats');
+            if (group) {
+                group.style.display = folder.collapsed ? 'none' : '';
+            }
+
+            await this.app.smartUserDB.savePinFolder(folder);
         });
 
-        this.setupCarouselDragAndDrop(container);
+        header.querySelector('[data-action="rename"]').addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.renamePinFolder(folder);
+        });
 
-        // Only setup drag scrolling and scrollbar for carousel mode
-        if (layout === 'carousel') {
-            this.setupCarouselDragScrolling(container);
-            this.applyScrollbarSetting(container);
+        header.querySelector('[data-action="delete"]').addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.deletePinFolder(folder);
+        });
+
+        // Dropping a card on the header files it into the folder, even when collapsed
+        header.addEventListener('dragover', (e) => {
+            if (!this.pinDragState?.element) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            header.classList.add('wv-drag-over');
+        });
+
+        header.addEventListener('dragleave', () => {
+            header.classList.remove('wv-drag-over');
+        });
+
+        header.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            header.classList.remove('wv-drag-over');
+
+            const drag = this.pinDragState;
+            const group = header.parentNode?.querySelector('.wv-favorites-folder-chats');
+            if (!drag?.element || !group) return;
+
+            group.appendChild(drag.element);
+            drag.element.classList.remove('wv-dragging-card');
+            if (drag.placeholder && drag.placeholder.parentNode) {
+                drag.placeholder.remove();
+            }
+            drag.element = null;
+            drag.chatId = null;
+            drag.placeholder = null;
+
+            await this.savePinnedLayoutFromDom();
+        });
+
+        return header;
+    }
+
+    async createPinFolder() {
+        const name = prompt('Folder name (e.g. Release, Oncall, 1:1s):');
+        if (!name || !name.trim()) return;
+
+        const folder = await this.app.smartUserDB.createPinFolder(name);
+        if (!folder) {
+            this.showSnackbar('Failed to create folder', 'warning');
+            return;
+        }
+
+        if (this.app.logger && typeof this.app?.logger?.analytics === 'function') {
+            this.app?.logger?.analytics('pin_folder_created', {});
         }
+        this.showSnackbar(`Folder "${folder.name}" created - drag chats into it`);
+        this.lastRenderTime = 0; // Bypass render throttle for immediate feedback
+        await this.renderPinnedChats();
+    }
+
+    async renamePinFolder(folder) {
+        const name = prompt('Rename folder:', folder.name);
+        if (!name || !name.trim() || name.trim() === folder.name) return;
+
+        folder.name = name.trim();
+        await this.app.smartUserDB.savePinFolder(folder);
+        this.lastRenderTime = 0;
+        await this.renderPinnedChats();
+    }
+
+    async deletePinFolder(folder) {
+        const confirmed = confirm(`Delete folder "${folder.name}"? Its chats stay pinned.`);
+        if (!confirmed) return;
+
+        await this.app.smartUserDB.deletePinFolder(folder.id);
+        this.showSnackbar(`Folder "${folder.name}" deleted`);
+        this.lastRenderTime = 0;
+        await this.renderPinnedChats();
+    }
+
+    /**
+     * Persist the current on-screen order and folder of every pinned card
+     */
+    async savePinnedLayoutFromDom() {
+        if (!this.pinnedContainer) return;
+
+        const cards = Array.from(this.pinnedContainer.querySelectorAll('.wv-favorites-pinned-card:not(.wv-drag-placeholder)'));
+        const newOrder = cards.map(card => card.getAttribute('data-chat-id'));
+        const folderAssignments = new Map(cards.map(card => {
+            const group = card.closest('.wv-favorites-folder-chats');
+            return [card.getAttribute('data-chat-id'), group?.getAttribute('data-pin-folder') || null];
+        }));
+
+        this.app?.logger?.log('🔄 New order after drop:', newOrder);
+
+        await this.reorderPinnedChats(newOrder, folderAssignments);
     }
 
     setupCarouselDragAndDrop(container) {
-        let draggedElement = null;
-        let draggedChatId = null;
-        let placeholder = null;
+        // Drag state is shared by every pinned group so cards can be dragged between folders
+        if (!this.pinDragState) {
+            this.pinDragState = { element: null, chatId: null, placeholder: null };
+        }
+        const drag = this.pinDragState;
         let lastDragOverTime = 0;
         const dragOverThrottle = 50; // ms - limit dragover to 20 times per second max
 
+        const resetDrag = () => {
+            if (drag.element) {
+                drag.element.classList.remove('wv-dragging-card');
+                drag.element = null;
+                drag.chatId = null;
+            }
+            // Remove placeholder
+            if (drag.placeholder && drag.placeholder.parentNode) {
+                drag.placeholder.remove();
+            }
+            drag.placeholder = null;
+        };
+
         container.addEventListener('dragstart', (e) => {
             const card = e.target.closest('.wv-favorites-pinned-card');
             if (card) {
-                draggedElement = card;
-                draggedChatId = card.getAttribute('data-chat-id');
+                drag.element = card;
+                drag.chatId = card.getAttribute('data-chat-id');
 
                 // Create placeholder element
-                placeholder = card.cloneNode(true);
-                placeholder.classList.add('wv-drag-placeholder');
-                placeholder.classList.remove('wv-dragging-card');
-                placeholder.style.opacity = '0.4';
+                drag.placeholder = card.cloneNode(true);
+                drag.placeholder.classList.add('wv-drag-placeholder');
+                drag.placeholder.classList.remove('wv-dragging-card');
+                drag.placeholder.style.opacity = '0.4';
 
                 card.classList.add('wv-dragging-card');
                 e.dataTransfer.effectAllowed = 'move';
                 e.dataTransfer.setData('text/html', card.innerHTML);
 
-                this.app?.logger?.log('🎯 Started dragging card:', draggedChatId);
+                this.app?.logger?.log('🎯 Started dragging card:', drag.chatId);
             }
         });
 
-        container.addEventListener('dragend', (e) => {
-            if (draggedElement) {
-                draggedElement.classList.remove('wv-dragging-card');
-                draggedElement = null;
-                draggedChatId = null;
-            }
-            // Remove placeholder
-            if (placeholder && placeholder.parentNode) {
-                placeholder.remove();
-                placeholder = null;
-            }
+        container.addEventListener('dragend', () => {
+            resetDrag();
             // Remove all drag-over indicators
-            container.querySelectorAll('.wv-drag-over').forEach(el => {
+            (this.pinnedContainer || container).querySelectorAll('.wv-drag-over').forEach(el => {
                 el.classList.remove('wv-drag-over');
             });
         });
@@ -599,15 +883,16 @@ WVFavs.DomManager = new (class DomManager {
             }
             lastDragOverTime = now;
 
-            if (!draggedElement || !placeholder) return;
+            const placeholder = drag.placeholder;
+            if (!drag.element || !placeholder) return;
 
             // Find the drop position using both X and Y coordinates
             const afterElement = this.getDragAfterElement(container, e.clientX, e.clientY);
 
-            // Check if placeholder needs to move
-            const needsMove = afterElement == null
+            // Check if placeholder needs to move (including into this group from another folder)
+            const needsMove = placeholder.parentNode !== container || (afterElement == null
                 ? placeholder.nextElementSibling !== null // If afterElement is null, check if placeholder is already last
-                : placeholder.nextElementSibling !== afterElement; // Otherwise, check if it's already before afterElement
+                : placeholder.nextElementSibling !== afterElement); // Otherwise, check if it's already before afterElement
 
             // Only move placeholder if position changes
             if (needsMove) {
@@ -623,40 +908,21 @@ WVFavs.DomManager = new (class DomManager {
             e.preventDefault();
             e.stopPropagation();
 
-            if (draggedElement && draggedChatId && placeholder) {
-                // Get the position where placeholder is
-                const placeholderIndex = Array.from(container.children).indexOf(placeholder);
-
+            const placeholder = drag.placeholder;
+            if (drag.element && drag.chatId && placeholder) {
                 // Move the actual dragged element to placeholder position
-                if (placeholderIndex >= 0) {
-                    const nextSibling = placeholder.nextElementSibling;
-                    if (nextSibling) {
-                        container.insertBefore(draggedElement, nextSibling);
-                    } else {
-                        container.appendChild(draggedElement);
-                    }
+                if (placeholder.parentNode === container) {
+                    container.insertBefore(drag.element, placeholder);
                 }
 
-                // Get all cards in their new order (excluding placeholder)
-                const cards = Array.from(container.querySelectorAll('.wv-favorites-pinned-card:not(.wv-drag-placeholder)'));
-                const newOrder = cards.map(card => card.getAttribute('data-chat-id'));
-
-                this.app?.logger?.log('🔄 New order after drop:', newOrder);
+                resetDrag();
 
-                // Reorder pinned chats in the database
-                await this.reorderPinnedChats(newOrder);
+                // Reorder pinned chats (and their folders) in the database
+                await this.savePinnedLayoutFromDom();
             }
 
             // Clean up
-            if (draggedElement) {
-                draggedElement.classList.remove('wv-dragging-card');
-                draggedElement = null;
-                draggedChatId = null;
-            }
-            if (placeholder && placeholder.parentNode) {
-                placeholder.remove();
-                placeholder = null;
-            }
+            resetDrag();
         });
     }
 
@@ -697,7 +963,7 @@ WVFavs.DomManager = new (class DomManager {
         return closestElement;
     }
 
-    async reorderPinnedChats(newOrder) {
+    async reorderPinnedChats(newOrder, folderAssignments = null) {
         try {
             // Get all pinned chats from the database
             const pinnedChats = await this.app.smartUserDB.getPinnedChats();
@@ -727,6 +993,9 @@ WVFavs.DomManager = new (class DomManager {
 
                 if (chat) {
                     chat.pinnedOrder = index;
+                    if (folderAssignments) {
+                        chat.pinFolderId = folderAssignments.get(chatId) || null;
+                    }
                     matchedIds.add(chat.id); // Use the original chat.id from DB
                     matchedCount++;
                 } else {
@@ -744,10 +1013,12 @@ WVFavs.DomManager = new (class DomManager {
             // Update ALL pinned chats in the database with new order
             for (const chat of pinnedChats) {
                 if (matchedIds.has(chat.id)) {
-                    // Update with the new pinnedOrder
-                    await this.app.smartUserDB.updateUserProfile(chat.id, {
-                        pinnedOrder: chat.pinnedOrder
-                    });
+                    // Update with the new pinnedOrder (and folder, when dragged between folders)
+                    const updates = { pinnedOrder: chat.pinnedOrder };
+                    if (folderAssignments) {
+                        updates.pinFolderId = chat.pinFolderId;
+                    }
+                    await this.app.smartUserDB.updateUserProfile(chat.id, updates);
                 } else {
                     // This chat wasn't in the reordered list - set pinnedOrder to undefined
                     // so it falls back to lastOpenedTime sorting
@@ -2628,14 +2899,176 @@ WVFavs.DomManager = new (class DomManager {
         }); // End forEach
     }
 
+    /**
+     * Detect whether a chat is a group chat using the DB.
+     * Rules (in priority order):
+     *   1. userId set on record  → definitely DM
+     *   2. is_distinct === true  → verified DM
+     *   3. member_count > 2      → definitely group
+     *   4. Anything else         → default to DM (safer: avoid false positives)
+     * NOTE: is_distinct defaults to false for unverified records, so we cannot
+     * use isGroup() (which checks is_distinct !== true) as a positive group signal.
+     * @param {string} channelUrl - Channel URL of the chat
+     * @returns {Promise<boolean>}
+     */
+    async detectGroupChat(channelUrl) {
+        let isGroupChat = false;
+        try {
+            if (channelUrl && this.app.smartUserDB) {
+                const chatRecord = await this.app.smartUserDB.getChatByChannelUrl(channelUrl);
+                if (chatRecord) {
+                    // Validate user IDs are numeric (channel URLs are truthy but not valid user IDs)
+                    const isNumericId = (id) => id != null && /^\d+$/.test(String(id));
+                    const hasUserId = isNumericId(chatRecord.userId) || isNumericId(chatRecord.user_id);
+                    if (hasUserId || chatRecord.is_distinct === true) {
+                        isGroupChat = false; // confirmed DM — userId and is_distinct are reliable
+                    } else if (chatRecord.member_count && chatRecord.member_count > 2) {
+                        isGroupChat = true;  // confirmed group — member_count is reliable
+                    }
+                    // type:'channel' alone is NOT used — DOM extraction corrupts type on DM records
+                }
+            }
+            this.app?.logger?.debug('🔍 Group chat check:', { channelUrl, isGroupChat });
+        } catch (error) {
+            this.app?.logger?.warn('🔍 Could not check whether chat is a group:', error.message);
+        }
+
+        return isGroupChat;
+    }
+
+    /**
+     * Members of a group chat who can be invited to a Google Meet
+     * Members come from WorkVivo's channel member search (by chat name, then by the first
+     * listed member for unnamed groups); emails from the user database, with a live user
+     * search for a few members the database doesn't know yet.
+     * @param {string} channelUrl - Channel URL of the group chat
+     * @param {string} chatName - Chat name shown in the sidebar
+     * @returns {Promise<Array<{userId: string, name: string, email: string|null}>>} Other members, sorted by name
+     */
+    async resolveMeetAttendeeCandidates(channelUrl, chatName) {
+        if (!channelUrl || !chatName) return [];
+
+        const MAX_LIVE_LOOKUPS = 10;
+
+        try {
+            const queries = [chatName.trim(), chatName.split(',')[0].trim()]
+                .filter((query, index, all) => query && all.indexOf(query) === index);
+
+            let members = null;
+            for (const query of queries) {
+                const response = await WVFavs.APIManager.getChannelMembers(query);
+                const channel = response?.channels?.find(c => c.channel_url === channelUrl);
+                if (channel?.members?.length) {
+                    members = channel.members;
+                    break;
+                }
+            }
+
+            if (!members) {
+                this.app?.logger?.warn('📧 Could not find members for group chat:', chatName);
+                return [];
+            }
+
+            const currentUser = await this.app.userIdentity?.getCurrentUser();
+            const myId = currentUser?.id != null ? String(currentUser.id) : null;
+
+            const others = members.filter(member => member.user_id && String(member.user_id) !== myId);
+            const candidates = await Promise.all(others.map(async (member) => {
+                const userId = String(member.user_id);
+
+                // User records may be keyed by a numeric or a string ID
+                const userRecord = await this.app.smartUserDB?.getUserById(userId) ||
+                    (/^\d+$/.test(userId) ? await this.app.smartUserDB?.getUserById(Number(userId)) : null);
+
+                return {
+                    userId,
+                    name: userRecord?.name || member.nickname || userId,
+                    email: userRecord?.email || null
+                };
+            }));
+
+            // Live searches for members the database has no email for, side by side
+            await Promise.all(candidates.filter(c => !c.email).slice(0, MAX_LIVE_LOOKUPS).map(async (candidate) => {
+                const results = await this.app.apiManager?.comprehensiveSearch(candidate.name).catch(() => null);
+                candidate.email = results?.users?.find(u => String(u.id) === candidate.userId || String(u.user_id) === candidate.userId)?.email || null;
+            }));
+
+            this.app?.logger?.log(`📧 Resolved ${candidates.filter(c => c.email).length}/${candidates.length} member emails for calendar invites`);
+            return candidates.sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            this.app?.logger?.warn('📧 Could not resolve group chat members:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Checkbox list of chat members for calendar invites
+     * Everyone with a known email starts ticked; members without one are listed but can't be picked.
+     * @param {Array<Object>} candidates - From resolveMeetAttendeeCandidates
+     * @returns {{element: HTMLElement, getSelectedEmails: Function}}
+     */
+    createMeetAttendeeChecklist(candidates) {
+        const container = document.createElement('div');
+        container.className = 'wv-meet-attendees';
+
+        const invitable = candidates.filter(c => c.email).length;
+        container.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+                <span style="font-size: 12px; font-weight: 500; color: #374151;">Send calendar invites to</span>
+                ${invitable > 1 ? '<button type="button" class="wv-meet-attendees-toggle" style="padding: 0; border: none; background: none; color: #1a73e8; font-size: 11px; cursor: pointer;">None</button>' : ''}
+            </div>
+            <div class="wv-meet-attendees-list" style="max-height: 150px; overflow-y: auto; border: 1px solid #e5e7eb; border-radius: 8px; padding: 4px 8px;"></div>
+        `;
+
+        const list = container.querySelector('.wv-meet-attendees-list');
+        candidates.forEach(candidate => {
+            const row = document.createElement('label');
+            row.style.cssText = `display: flex; align-items: center; gap: 8px; padding: 4px 0; font-size: 12px; color: #475569; ${candidate.email ? 'cursor: pointer;' : 'opacity: 0.5; cursor: not-allowed;'}`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = candidate.email || '';
+            checkbox.checked = !!candidate.email;
+            checkbox.disabled = !candidate.email;
+            checkbox.style.cssText = 'width: 14px; height: 14px; accent-color: #1a73e8; flex-shrink: 0;';
+
+            const label = document.createElement('span');
+            label.style.cssText = 'min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            label.textContent = candidate.email ? candidate.name : `${candidate.name} (no email found)`;
+            label.title = candidate.email || '';
+
+            row.appendChild(checkbox);
+            row.appendChild(label);
+            list.appendChild(row);
+        });
+
+        const checkboxes = () => Array.from(list.querySelectorAll('input[type="checkbox"]:not(:disabled)'));
+        const toggleBtn = container.querySelector('.wv-meet-attendees-toggle');
+        const updateToggle = () => {
+            if (toggleBtn) toggleBtn.textContent = checkboxes().every(cb => cb.checked) ? 'None' : 'All';
+        };
+        toggleBtn?.addEventListener('click', () => {
+            const selectAll = toggleBtn.textContent === 'All';
+            checkboxes().forEach(cb => { cb.checked = selectAll; });
+            updateToggle();
+        });
+        list.addEventListener('change', updateToggle);
+
+        return {
+            element: container,
+            getSelectedEmails: () => checkboxes().filter(cb => cb.checked).map(cb => cb.value)
+        };
+    }
+
     /**
      * Show confirmation dialog for Google Meet creation
      * @param {string} defaultTitle - Default meeting title
      * @param {string} defaultInviteText - Default invite text
      * @param {number} defaultDuration - Default duration in minutes
-     * @returns {Promise<Object|null>} Meeting details or null if cancelled
+     * @param {Array<Object>} attendeeCandidates - Group chat members to offer calendar invites to
+     * @returns {Promise<Object|null>} Meeting details (with picked attendee emails) or null if cancelled
      */
-    async showGoogleMeetConfirmDialog(defaultTitle, defaultInviteText, defaultDuration) {
+    async showGoogleMeetConfirmDialog(defaultTitle, defaultInviteText, defaultDuration, attendeeCandidates = []) {
         return new Promise((resolve) => {
             // Create overlay
             const overlay = document.createElement('div');
@@ -2733,6 +3166,8 @@ WVFavs.DomManager = new (class DomManager {
                     </select>
                 </div>
 
+                <div id="meetAttendees" style="margin-bottom: 24px; display: none;"></div>
+
                 <div style="display: flex; gap: 12px; justify-content: flex-end;">
                     <button
                         id="cancelBtn"
@@ -2762,6 +3197,14 @@ WVFavs.DomManager = new (class DomManager {
             const cancelBtn = dialog.querySelector('#cancelBtn');
             const createBtn = dialog.querySelector('#createBtn');
 
+            let attendeeChecklist = null;
+            if (attendeeCandidates.length > 0) {
+                attendeeChecklist = this.createMeetAttendeeChecklist(attendeeCandidates);
+                const attendeesSlot = dialog.querySelector('#meetAttendees');
+                attendeesSlot.appendChild(attendeeChecklist.element);
+                attendeesSlot.style.display = 'block';
+            }
+
             // Focus the title input
             titleInput.focus();
             titleInput.select();
@@ -2781,7 +3224,8 @@ WVFavs.DomManager = new (class DomManager {
                 close({
                     title: titleInput.value.trim(),
                     inviteText: inviteTextInput.value,
-                    duration: parseInt(durationSelect.value)
+                    duration: parseInt(durationSelect.value),
+                    attendees: attendeeChecklist ? attendeeChecklist.getSelectedEmails() : []
                 });
             };
 
@@ -2829,13 +3273,22 @@ WVFavs.DomManager = new (class DomManager {
             let meetingTitle = chatInfo?.name ? `Meeting with ${chatInfo.name}` : 'Quick Meeting';
             let duration = defaultDuration;
             let customInviteText = defaultInviteText;
+            let attendees = [];
+
+            // Group chats: offer the members for calendar invites, which needs the dialog
+            const channelUrl = this.app.threadManager?.getCurrentChannel();
+            const attendeeCandidates = await this.detectGroupChat(channelUrl)
+                ? await this.resolveMeetAttendeeCandidates(channelUrl, chatInfo?.name)
+                : [];
+            const showDialog = confirmBeforeCreate || attendeeCandidates.length > 0;
 
             // Show confirmation dialog if enabled
-            if (confirmBeforeCreate) {
+            if (showDialog) {
                 const result = await this.showGoogleMeetConfirmDialog(
                     meetingTitle,
                     defaultInviteText,
-                    defaultDuration
+                    defaultDuration,
+                    attendeeCandidates
                 );
 
                 // User cancelled
@@ -2848,6 +3301,7 @@ WVFavs.DomManager = new (class DomManager {
                 meetingTitle = result.title || meetingTitle;
                 duration = result.duration;
                 customInviteText = result.inviteText;
+                attendees = result.attendees;
             }
 
             // Show loading state
@@ -2863,7 +3317,7 @@ WVFavs.DomManager = new (class DomManager {
 
             // Create meeting
             this.app?.logger?.debug('📹 Requesting meeting creation...');
-            const { meetLink } = await this.app.googleMeetManager.createInstantMeeting(meetingTitle, duration);
+            const { meetLink } = await this.app.googleMeetManager.createInstantMeeting(meetingTitle, duration, null, attendees);
             this.app?.logger?.debug('📹 Meeting created successfully:', meetLink);
 
             // Restore button first (before trying to insert)
@@ -2875,7 +3329,7 @@ WVFavs.DomManager = new (class DomManager {
             // Pass the button so we can find the closest input to it
             // If dialog was shown, use the custom invite text from there
             try {
-                await this.insertMeetLinkIntoChat(meetLink, button, confirmBeforeCreate ? customInviteText : null);
+                await this.insertMeetLinkIntoChat(meetLink, button, showDialog ? customInviteText : null);
             } catch (insertError) {
                 this.app?.logger?.error('Failed to insert meet link, but meeting was created:', insertError);
                 // Copy to clipboard as fallback
@@ -3113,40 +3567,8 @@ WVFavs.DomManager = new (class DomManager {
         ];
 
         const chatInfo = window.WVFavs?.DomDataExtractor?.extractActiveSidebarChatInfo();
-
-        // Detect group chat using the DB.
-        // Rules (in priority order):
-        //   1. userId set on record  → definitely DM
-        //   2. is_distinct === true  → verified DM
-        //   3. member_count > 2      → definitely group
-        //   4. Anything else         → default to DM (safer: avoid false positives)
-        // NOTE: is_distinct defaults to false for unverified records, so we cannot
-        // use isGroup() (which checks is_distinct !== true) as a positive group signal.
-        let isGroupChat = false;
-        try {
-            const channelUrl = this.app.threadManager?.getCurrentChannel();
-            console.log('🔍 [MEET-DEBUG] channelUrl:', channelUrl);
-            if (channelUrl && this.app.smartUserDB) {
-                const chatRecord = await this.app.smartUserDB.getChatByChannelUrl(channelUrl);
-                console.log('🔍 [MEET-DEBUG] chatRecord:', chatRecord ? {
-                    name: chatRecord.name, type: chatRecord.type,
-                    is_distinct: chatRecord.is_distinct, member_count: chatRecord.member_count,
-                    userId: chatRecord.userId, user_id: chatRecord.user_id, isVerified: chatRecord.isVerified
-                } : 'NOT FOUND');
-                if (chatRecord) {
-                    // Validate user IDs are numeric (channel URLs are truthy but not valid user IDs)
-                    const isNumericId = (id) => id != null && /^\d+$/.test(String(id));
-                    const hasUserId = isNumericId(chatRecord.userId) || isNumericId(chatRecord.user_id);
-                    if (hasUserId || chatRecord.is_distinct === true) {
-                        isGroupChat = false; // confirmed DM — userId and is_distinct are reliable
-                    } else if (chatRecord.member_count && chatRecord.member_count > 2) {
-                        isGroupChat = true;  // confirmed group — member_count is reliable
-                    }
-                    // type:'channel' alone is NOT used — DOM extraction corrupts type on DM records
-                }
-            }
-            console.log('🔍 [MEET-DEBUG] isGroupChat result:', isGroupChat);
-        } catch (e) { console.error('🔍 [MEET-DEBUG] Error:', e); }
+        const channelUrl = this.app.threadManager?.getCurrentChannel();
+        const isGroupChat = await this.detectGroupChat(channelUrl);
 
         // Non-linear snap map: 0–60% of track covers 5–60 min, 60–100% covers 60–180 min
         const snapMap = [
@@ -3483,32 +3905,42 @@ WVFavs.DomManager = new (class DomManager {
         // ── Preview ───────────────────────────────────────────────────────
         picker.appendChild(preview);
 
-        // ── Calendar invite toggle ────────────────────────────────────────
-        const toggleRow = document.createElement('label');
-        toggleRow.style.cssText = `display:flex;align-items:center;gap:8px;margin-bottom:${isGroupChat ? '6px' : '14px'};user-select:none;${isGroupChat ? 'opacity:0.45;cursor:not-allowed;' : 'cursor:pointer;'}`;
-
-        const toggleCheckbox = document.createElement('input');
-        toggleCheckbox.type = 'checkbox';
-        toggleCheckbox.checked = sendCalendarInvite;
-        toggleCheckbox.disabled = isGroupChat;
-        toggleCheckbox.style.cssText = `width:14px;height:14px;accent-color:#1a73e8;flex-shrink:0;cursor:${isGroupChat ? 'not-allowed' : 'pointer'};`;
+        // ── Calendar invite toggle (DMs) / member checklist (groups) ─────
+        let attendeeChecklist = null;
         if (!isGroupChat) {
-            toggleCheckbox.addEventListener('change', () => { sendCalendarInvite = toggleCheckbox.checked; });
-        }
+            const toggleRow = document.createElement('label');
+            toggleRow.style.cssText = 'display:flex;align-items:center;gap:8px;margin-bottom:14px;user-select:none;cursor:pointer;';
 
-        const toggleLabelEl = document.createElement('span');
-        toggleLabelEl.style.cssText = 'font-size:12px;color:#475569;';
-        toggleLabelEl.textContent = 'Send calendar invite to recipient';
+            const toggleCheckbox = document.createElement('input');
+            toggleCheckbox.type = 'checkbox';
+            toggleCheckbox.checked = sendCalendarInvite;
+            toggleCheckbox.style.cssText = 'width:14px;height:14px;accent-color:#1a73e8;flex-shrink:0;cursor:pointer;';
+            toggleCheckbox.addEventListener('change', () => { sendCalendarInvite = toggleCheckbox.checked; });
 
-        toggleRow.appendChild(toggleCheckbox);
-        toggleRow.appendChild(toggleLabelEl);
-        picker.appendChild(toggleRow);
+            const toggleLabelEl = document.createElement('span');
+            toggleLabelEl.style.cssText = 'font-size:12px;color:#475569;';
+            toggleLabelEl.textContent = 'Send calendar invite to recipient';
 
-        if (isGroupChat) {
-            const groupDisclaimer = document.createElement('div');
-            groupDisclaimer.style.cssText = 'font-size:11px;color:#9ca3af;margin-bottom:14px;display:flex;align-items:center;gap:5px;';
-            groupDisclaimer.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="flex-shrink:0;color:#f59e0b;"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg><span>Calendar invites are not available for group chats</span>`;
-            picker.appendChild(groupDisclaimer);
+            toggleRow.appendChild(toggleCheckbox);
+            toggleRow.appendChild(toggleLabelEl);
+            picker.appendChild(toggleRow);
+        } else {
+            // Members load after the picker is shown - the lookup can take a few searches
+            const attendeesSlot = document.createElement('div');
+            attendeesSlot.style.cssText = 'font-size:11px;color:#9ca3af;margin-bottom:14px;';
+            attendeesSlot.textContent = 'Loading chat members for calendar invites...';
+            picker.appendChild(attendeesSlot);
+
+            this.resolveMeetAttendeeCandidates(channelUrl, chatInfo?.name).then(candidates => {
+                if (!attendeesSlot.isConnected) return;
+                if (candidates.length === 0) {
+                    attendeesSlot.textContent = 'Couldn\'t load the members of this chat - no calendar invites will be sent';
+                    return;
+                }
+                attendeeChecklist = this.createMeetAttendeeChecklist(candidates);
+                attendeesSlot.textContent = '';
+                attendeesSlot.appendChild(attendeeChecklist.element);
+            });
         }
 
         // ── Create button ─────────────────────────────────────────────────
@@ -3538,7 +3970,8 @@ WVFavs.DomManager = new (class DomManager {
             picker.remove();
             const meetingTitle = titleInput.value.trim() || (chatInfo?.name ? `Meeting with ${chatInfo.name}` : 'Quick Meeting');
             const description = descInput.value.trim();
-            await this.handleScheduleGoogleMeet(anchorEl, startTime, selectedDuration, sendCalendarInvite, meetingTitle, description);
+            const groupAttendees = isGroupChat ? (attendeeChecklist?.getSelectedEmails() || []) : null;
+            await this.handleScheduleGoogleMeet(anchorEl, startTime, selectedDuration, sendCalendarInvite, meetingTitle, description, groupAttendees);
         });
         picker.appendChild(createButton);
 
@@ -3567,8 +4000,11 @@ WVFavs.DomManager = new (class DomManager {
      * @param {Date|null} startTime - Exact start time, or null for "now"
      * @param {number} durationMinutes - Duration of the meeting in minutes
      * @param {boolean} sendCalendarInvite - Whether to add attendees to the Calendar event
+     * @param {string} meetingTitle - Meeting title (defaults to "Meeting with <chat>")
+     * @param {string} description - Calendar event description
+     * @param {Array<string>|null} groupAttendees - Emails picked in a group chat (null for DMs)
      */
-    async handleScheduleGoogleMeet(anchorEl, startTime, durationMinutes, sendCalendarInvite = true, meetingTitle = '', description = '') {
+    async handleScheduleGoogleMeet(anchorEl, startTime, durationMinutes, sendCalendarInvite = true, meetingTitle = '', description = '', groupAttendees = null) {
         try {
             if (!this.app.googleMeetManager) {
                 this.showSnackbar('Google Meet not initialized', 'error');
@@ -3582,9 +4018,10 @@ WVFavs.DomManager = new (class DomManager {
             const chatInfo = window.WVFavs?.DomDataExtractor?.extractActiveSidebarChatInfo();
             if (!meetingTitle) meetingTitle = chatInfo?.name ? `Meeting with ${chatInfo.name}` : 'Quick Meeting';
 
-            // Try to resolve attendee email for 1:1 chats (only if calendar invite is enabled)
-            const attendees = [];
-            if (sendCalendarInvite && chatInfo?.name) {
+            // Group chats pass the members picked in the picker; for 1:1 chats resolve the
+            // recipient's email (only if calendar invite is enabled)
+            const attendees = Array.isArray(groupAttendees) ? [...groupAttendees] : [];
+            if (!Array.isArray(groupAttendees) && sendCalendarInvite && chatInfo?.name) {
                 try {
                     let userRecord = null;
 
@@ -4844,9 +5281,67 @@ WVFavs.DomManager = new (class DomManager {
                 <span>💬 ${thread.replyCount} ${thread.replyCount === 1 ? 'reply' : 'replies'}</span>
                 ${thread.isUnread ? '<span style="color: #dc2626; font-weight: 500;">● Unread</span>' : ''}
                 ${thread.hasMention ? '<span style="background: linear-gradient(135deg, #9333ea 0%, #7c3aed 100%); color: white; padding: 2px 8px; border-radius: 12px; font-size: 11px; font-weight: 600;">@mentioned</span>' : ''}
+                <button class="wv-thread-catch-up-btn" style="
+                    display: none;
+                    margin-left: auto;
+                    background: #fffbeb;
+                    border: 1px solid #fde68a;
+                    border-radius: 12px;
+                    padding: 1px 8px;
+                    font-size: 11px;
+                    color: #92400e;
+                    cursor: pointer;
+                " title="Replies since you last read this thread"></button>
+                <button class="wv-thread-follow-btn" style="
+                    margin-left: auto;
+                    background: transparent;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 12px;
+                    padding: 1px 8px;
+                    font-size: 11px;
+                    cursor: pointer;
+                "></button>
             </div>
         `;
 
+        // Follow toggle - followed threads show up in the "My threads" inbox
+        const followBtn = item.querySelector('.wv-thread-follow-btn');
+        const renderFollowState = () => {
+            const following = this.app.threadManager?.isFollowing(thread.messageId);
+            followBtn.textContent = following ? '✓ Following' : 'Follow';
+            followBtn.title = following ? 'Stop following this thread' : 'Follow this thread in My threads';
+            followBtn.style.color = following ? '#6366f1' : '#6b7280';
+            followBtn.style.borderColor = following ? '#c7d2fe' : '#e5e7eb';
+        };
+        renderFollowState();
+
+        followBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const threadManager = this.app.threadManager;
+            if (threadManager.isFollowing(thread.messageId)) {
+                threadManager.unfollowThread(thread.messageId);
+            } else {
+                threadManager.followThread(threadManager.getCurrentChannel(), thread);
+            }
+            renderFollowState();
+        });
+
+        // Catch-up digest - only once Workvivo has loaded the thread's replies
+        const catchUpBtn = item.querySelector('.wv-thread-catch-up-btn');
+        const catchUpCount = this.app.threadDigestView ? this.app.threadManager?.getCatchUpCount(thread.messageId) : null;
+        if (catchUpCount !== null && catchUpCount !== undefined && panelElement) {
+            catchUpBtn.textContent = catchUpCount > 0 ? `⚡ Catch up (${catchUpCount})` : '⚡ Catch up';
+            catchUpBtn.style.display = '';
+            followBtn.style.marginLeft = '0';
+
+            catchUpBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.app.threadDigestView.show(panelElement, thread).catch(error => {
+                    this.app?.logger?.warn('⚠️ Failed to show thread catch-up:', error);
+                });
+            });
+        }
+
         // Hover effect
         item.addEventListener('mouseenter', () => {
             item.style.background = thread.isUnread ? '#fee2e2' : '#f9fafb';
@@ -1,6 +1,6 @@
 /**
  * DraftsPanel - UI component for displaying all draft messages
- * Shows saved drafts from localStorage with channel info and navigation
+ * Shows saved drafts from DraftManager with channel info and navigation
  * Design and positioning matches MentionsPanel (sidebar overlay)
  */
 
@@ -11,32 +11,27 @@ WVFavs.DraftsPanel = class DraftsPanel {
         this.app = app;
         this.currentPanel = null;
         this.isLoading = false;
-        this.storageListener = null;
         this.currentDraftsList = []; // Track current drafts for incremental updates
 
+        // Search, sort, filter and multi-select state (kept while the panel is closed)
+        this.viewState = {
+            query: '',
+            sort: 'newest',  // 'newest' | 'oldest' | 'channel' | 'length'
+            filter: 'all',   // 'all' | 'main' | 'thread' | 'pending'
+            selecting: false,
+            selected: new Set() // Draft keys
+        };
+        this.staleBannerDismissed = false;
+
         // Set up real-time updates for drafts panel
         this.setupRealtimeUpdates();
     }
 
     /**
-     * Setup real-time updates when localStorage changes
+     * Setup real-time updates when drafts change
      */
     setupRealtimeUpdates() {
-        // Listen for storage changes (when drafts are saved/deleted)
-        this.storageListener = (e) => {
-            // Only care about wv_draft_lexical changes
-            if (e.key === 'wv_draft_lexical' || e.key === null) {
-                // If panel is open, refresh it
-                if (this.currentPanel && document.body.contains(this.currentPanel)) {
-                    console.log('🔄 [DraftsPanel] localStorage changed, refreshing panel');
-                    this.refreshPanel();
-                }
-            }
-        };
-
-        window.addEventListener('storage', this.storageListener);
-
-        // Also listen to custom event for same-tab updates (storage event doesn't fire in same tab)
+        // DraftManager fires wv-draft-updated for changes in this tab and for changes synced from other tabs
         this.customStorageListener = () => {
             if (this.currentPanel && document.body.contains(this.currentPanel)) {
                 console.log('🔄 [DraftsPanel] Draft updated, refreshing panel');
@@ -45,6 +40,27 @@ WVFavs.DraftsPanel = class DraftsPanel {
         };
 
         document.addEventListener('wv-draft-updated', this.customStorageListener);
+
+        // Scheduled messages changed (scheduled, sent, failed, or edited in another tab)
+        document.addEventListener('wv-scheduled-updated', () => {
+            if (this.currentPanel && document.body.contains(this.currentPanel)) {
+                this.renderScheduledList(this.currentPanel);
+            }
+        });
+
+        // Recently sent archive changed (message sent, delivery confirmed, or edited in another tab)
+        document.addEventListener('wv-sent-archive-updated', () => {
+            if (this.currentPanel?.querySelector('.wv-drafts-sent')) {
+                this.renderSentList(this.currentPanel);
+            }
+        });
+
+        // Snippets changed (saved, deleted or imported)
+        document.addEventListener('wv-snippets-updated', () => {
+            if (this.currentPanel?.querySelector('.wv-drafts-snippets')) {
+                this.renderSnippetsList(this.currentPanel);
+            }
+        });
     }
 
     /**
@@ -78,6 +94,15 @@ WVFavs.DraftsPanel = class DraftsPanel {
         const listContainer = this.currentPanel.querySelector('.wv-favorites-drafts-list');
         if (!listContainer) return;
 
+        this.updateToolbar(this.currentPanel, newDraftsList);
+
+        // Search/filter/sort/selection decide what's shown and in which order, so redraw the whole list
+        if (this.isViewCustomized()) {
+            this.renderDraftsList(listContainer, newDraftsList);
+            this.attachDraftClickHandlers(this.currentPanel, newDraftsList);
+            return;
+        }
+
         // Check if we need to transition from empty state to having drafts
         const hasEmptyState = !listContainer.querySelector('.wv-favorites-draft-item');
         const willHaveDrafts = newDraftsList.length > 0;
@@ -264,8 +289,10 @@ WVFavs.DraftsPanel = class DraftsPanel {
             // Update panel content
             const listContainer = panel.querySelector('.wv-favorites-drafts-list');
             if (listContainer) {
+                this.updateToolbar(panel, draftsList);
                 this.renderDraftsList(listContainer, draftsList);
                 this.attachDraftClickHandlers(panel, draftsList);
+                this.renderScheduledList(panel);
 
                 // CRITICAL: Update footer buttons after loading drafts
                 this.updateFooterButtons(panel, draftsList);
@@ -502,6 +529,48 @@ WVFavs.DraftsPanel = class DraftsPanel {
                     <h3 style="margin: 0; font-size: 15px; font-weight: 600; color: #111827;">Drafts${count > 0 ? ` (${count})` : ''}</h3>
                 </div>
                 <div style="display: flex; align-items: center; gap: 4px;">
+                    ${this.app.draftManager?.getSentArchiveSize() > 0 || this.app.draftManager?.getSentArchive().length > 0 ? `
+                    <button class="wv-favorites-drafts-sent" style="
+                        background: transparent;
+                        border: none;
+                        cursor: pointer;
+                        padding: 4px;
+                        border-radius: 6px;
+                        color: #6b7280;
+                        display: flex;
+                        align-items: center;
+                        transition: background 0.15s;
+                        flex-shrink: 0;
+                    " title="Recently sent messages">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="22" y1="2" x2="11" y2="13"/>
+                            <polygon points="22 2 15 22 11 13 2 9 22 2"/>
+                        </svg>
+                    </button>
+                    ` : ''}
+                    ${this.app.snippetManager ? `
+                    <button class="wv-favorites-drafts-snippets" style="
+                        background: transparent;
+                        border: none;
+                        cursor: pointer;
+                        padding: 4px 8px;
+                        border-radius: 6px;
+                        color: #10b981;
+                        display: flex;
+                        align-items: center;
+                        gap: 4px;
+                        font-size: 12px;
+                        font-weight: 500;
+                        transition: background 0.15s;
+                        flex-shrink: 0;
+                    " title="Snippets (type ;;name + Tab in a message)">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="16 18 22 12 16 6"/>
+                            <polyline points="8 6 2 12 8 18"/>
+                        </svg>
+                        Snippets
+                    </button>
+                    ` : ''}
                     ${count > 0 ? `
                     <button class="wv-favorites-drafts-clear-all" style="
                         background: transparent;
@@ -550,6 +619,22 @@ WVFavs.DraftsPanel = class DraftsPanel {
 
         panel.appendChild(header);
 
+        // Scheduled messages (hidden while the queue is empty)
+        const scheduledEl = document.createElement('div');
+        scheduledEl.className = 'wv-drafts-scheduled';
+        scheduledEl.style.cssText = `
+            display: none;
+            max-height: 40%;
+            overflow-y: auto;
+            padding: 8px 8px 0;
+            border-bottom: 1px solid #e5e7eb;
+            flex-shrink: 0;
+        `;
+        panel.appendChild(scheduledEl);
+
+        // Search, sort, filters and bulk actions (hidden until there are drafts)
+        panel.appendChild(this.createToolbar());
+
         // Drafts list (show loading state or actual drafts)
         const draftListEl = document.createElement('div');
         draftListEl.className = 'wv-favorites-drafts-list';
@@ -622,7 +707,7 @@ WVFavs.DraftsPanel = class DraftsPanel {
                         cursor: pointer;
                         user-select: none;
                         margin-bottom: 0;
-                    " title="Accidental Deletion Assistance - Saves deleted drafts with 60s countdown">
+                    " title="Accidental Deletion Assistance - Saves deleted drafts with a ${this.formatDuration(this.app.draftManager?.getAdasWindowMs() || 60000)} countdown">
                         <input type="checkbox" class="wv-drafts-adas-toggle" ${adasEnabled ? 'checked' : ''}
                             style="width: 14px; height: 14px; cursor: pointer;">
                         <span style="color: #475569; font-weight: 500; margin-bottom: 0; font-size: 12px;">
@@ -719,6 +804,28 @@ WVFavs.DraftsPanel = class DraftsPanel {
             closeBtn.style.background = 'transparent';
         });
 
+        const sentBtn = header.querySelector('.wv-favorites-drafts-sent');
+        if (sentBtn) {
+            sentBtn.addEventListener('click', () => this.showSentArchive());
+            sentBtn.addEventListener('mouseenter', () => {
+                sentBtn.style.background = '#f3f4f6';
+            });
+            sentBtn.addEventListener('mouseleave', () => {
+                sentBtn.style.background = 'transparent';
+            });
+        }
+
+        const snippetsBtn = header.querySelector('.wv-favorites-drafts-snippets');
+        if (snippetsBtn) {
+            snippetsBtn.addEventListener('click', () => this.showSnippets());
+            snippetsBtn.addEventListener('mouseenter', () => {
+                snippetsBtn.style.background = '#ecfdf5';
+            });
+            snippetsBtn.addEventListener('mouseleave', () => {
+                snippetsBtn.style.background = 'transparent';
+            });
+        }
+
         // Setup clear all button (if it exists)
         const clearAllBtn = header.querySelector('.wv-favorites-drafts-clear-all');
         if (clearAllBtn) {
@@ -838,8 +945,17 @@ WVFavs.DraftsPanel = class DraftsPanel {
             return;
         }
 
+        const visibleDrafts = this.applyView(draftsList);
+        if (visibleDrafts.length === 0) {
+            listElement.innerHTML = `
+                <div style="padding: 40px 20px; text-align: center;">
+                    <p style="margin: 0; font-size: 13px; color: #9ca3af;">No drafts match</p>
+                </div>
+            `;
+        }
+
         // Render draft items
-        draftsList.forEach(draft => {
+        visibleDrafts.forEach(draft => {
             const draftItem = this.createDraftItem(draft);
             listElement.appendChild(draftItem);
         });
@@ -847,7 +963,325 @@ WVFavs.DraftsPanel = class DraftsPanel {
         // Update header count
         const header = this.currentPanel?.querySelector('h3');
         if (header) {
-            header.textContent = `Drafts (${draftsList.length})`;
+            header.textContent = visibleDrafts.length === draftsList.length
+                ? `Drafts (${draftsList.length})`
+                : `Drafts (${visibleDrafts.length} of ${draftsList.length})`;
+        }
+
+        this.updateBulkBar(draftsList);
+    }
+
+    /**
+     * Whether search, filter, sort or selection differ from the plain newest-first list
+     */
+    isViewCustomized() {
+        const view = this.viewState;
+        return !!view.query.trim() || view.sort !== 'newest' || view.filter !== 'all' || view.selecting;
+    }
+
+    /**
+     * Drafts to show, after search, filter and sort
+     */
+    applyView(draftsList) {
+        const { query, sort, filter } = this.viewState;
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        const visible = draftsList.filter(draft => {
+            if (filter === 'main' && draft.isThread) return false;
+            if (filter === 'thread' && !draft.isThread) return false;
+            if (filter === 'pending' && !draft.pendingDeletion) return false;
+
+            if (terms.length === 0) return true;
+            const haystack = `${draft.textContent || ''} ${draft.channelName || ''}`.toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+
+        const comparators = {
+            newest: (a, b) => (b.timestamp || 0) - (a.timestamp || 0),
+            oldest: (a, b) => (a.timestamp || 0) - (b.timestamp || 0),
+            channel: (a, b) => (a.channelName || '').localeCompare(b.channelName || '') || (b.timestamp || 0) - (a.timestamp || 0),
+            length: (a, b) => (b.textContent?.length || 0) - (a.textContent?.length || 0)
+        };
+
+        return visible.sort(comparators[sort] || comparators.newest);
+    }
+
+    /**
+     * Redraw the list from the cached drafts (after search/sort/filter/selection changes)
+     */
+    rerenderDraftsList() {
+        const listContainer = this.currentPanel?.querySelector('.wv-favorites-drafts-list');
+        if (!listContainer) return;
+
+        this.renderDraftsList(listContainer, this.currentDraftsList);
+        this.attachDraftClickHandlers(this.currentPanel, this.currentDraftsList);
+    }
+
+    /**
+     * Drafts older than the staleDraftDays setting (pending deletions expire on their own)
+     */
+    getStaleDrafts(draftsList = this.currentDraftsList) {
+        const days = Number(WVFavs.Settings.get('staleDraftDays')) || 0;
+        if (days <= 0) return [];
+
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        return draftsList.filter(draft => !draft.pendingDeletion && (draft.timestamp || 0) < cutoff);
+    }
+
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'wv-drafts-toolbar';
+        toolbar.style.cssText = `
+            display: none;
+            padding: 8px 8px 0;
+            flex-shrink: 0;
+        `;
+
+        const view = this.viewState;
+        const chipStyle = 'border: 1px solid #e5e7eb; border-radius: 999px; padding: 2px 10px; font-size: 11px; cursor: pointer; background: white; color: #475569;';
+        const bulkButtonStyle = 'background: transparent; border: 1px solid #e5e7eb; border-radius: 6px; padding: 3px 8px; font-size: 11px; font-weight: 600; cursor: pointer; color: #475569;';
+
+        toolbar.innerHTML = `
+            <div class="wv-drafts-stale-banner" style="display: none; align-items: center; gap: 6px; padding: 6px 8px; margin-bottom: 6px; border-radius: 6px; background: #fffbeb; border: 1px solid #fde68a; font-size: 12px; color: #92400e;"></div>
+            <div style="display: flex; gap: 6px; align-items: center;">
+                <input class="wv-drafts-search" type="search" placeholder="Search drafts" value="${this.escapeHtml(view.query)}" style="
+                    flex: 1;
+                    min-width: 0;
+                    padding: 5px 8px;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 6px;
+                    font-size: 12px;
+                    outline: none;
+                ">
+                <select class="wv-drafts-sort" title="Sort drafts" style="padding: 4px; border: 1px solid #e5e7eb; border-radius: 6px; font-size: 12px; background: white; color: #475569;">
+                    <option value="newest" ${view.sort === 'newest' ? 'selected' : ''}>Newest</option>
+                    <option value="oldest" ${view.sort === 'oldest' ? 'selected' : ''}>Oldest</option>
+                    <option value="channel" ${view.sort === 'channel' ? 'selected' : ''}>Chat A–Z</option>
+                    <option value="length" ${view.sort === 'length' ? 'selected' : ''}>Longest</option>
+                </select>
+                <button class="wv-drafts-select-toggle" title="Select drafts" style="background: transparent; border: 1px solid #e5e7eb; border-radius: 6px; padding: 4px; cursor: pointer; color: #6b7280; display: flex;">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="9 11 12 14 22 4"/>
+                        <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/>
+                    </svg>
+                </button>
+            </div>
+            <div class="wv-drafts-filters" style="display: flex; gap: 4px; margin-top: 6px; flex-wrap: wrap;">
+                <button class="wv-drafts-filter" data-filter="all" style="${chipStyle}">All</button>
+                <button class="wv-drafts-filter" data-filter="main" style="${chipStyle}">Main chat</button>
+                <button class="wv-drafts-filter" data-filter="thread" style="${chipStyle}">Threads</button>
+                <button class="wv-drafts-filter" data-filter="pending" style="${chipStyle}">Pending deletion</button>
+            </div>
+            <div class="wv-drafts-bulkbar" style="display: none; align-items: center; gap: 4px; margin-top: 6px; padding: 6px 8px; border-radius: 6px; background: #f1f5f9;">
+                <span class="wv-drafts-bulk-count" style="flex: 1; font-size: 12px; font-weight: 600; color: #334155;"></span>
+                <button class="wv-drafts-bulk-action" data-bulk="all" style="${bulkButtonStyle}">All</button>
+                <button class="wv-drafts-bulk-action" data-bulk="export" style="${bulkButtonStyle}">Export</button>
+                <button class="wv-drafts-bulk-action" data-bulk="delete" style="${bulkButtonStyle} color: #ef4444;">Delete</button>
+                <button class="wv-drafts-bulk-action" data-bulk="done" style="${bulkButtonStyle}">Done</button>
+            </div>
+        `;
+
+        let searchTimer = null;
+        toolbar.querySelector('.wv-drafts-search').addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                view.query = e.target.value;
+                this.rerenderDraftsList();
+            }, 150);
+        });
+
+        toolbar.querySelector('.wv-drafts-sort').addEventListener('change', (e) => {
+            view.sort = e.target.value;
+            this.rerenderDraftsList();
+        });
+
+        toolbar.querySelectorAll('.wv-drafts-filter').forEach(chip => {
+            chip.addEventListener('click', () => {
+                view.filter = chip.dataset.filter;
+                this.updateFilterChips(toolbar);
+                this.rerenderDraftsList();
+            });
+        });
+
+        toolbar.querySelector('.wv-drafts-select-toggle').addEventListener('click', () => {
+            this.setSelecting(!view.selecting);
+        });
+
+        toolbar.querySelectorAll('.wv-drafts-bulk-action').forEach(button => {
+            button.addEventListener('click', () => this.handleBulkAction(button.dataset.bulk));
+        });
+
+        this.updateFilterChips(toolbar);
+        return toolbar;
+    }
+
+    updateFilterChips(toolbar) {
+        toolbar.querySelectorAll('.wv-drafts-filter').forEach(chip => {
+            const active = chip.dataset.filter === this.viewState.filter;
+            chip.classList.toggle('wv-active', active);
+            chip.style.background = active ? '#10b981' : 'white';
+            chip.style.borderColor = active ? '#10b981' : '#e5e7eb';
+            chip.style.color = active ? 'white' : '#475569';
+        });
+    }
+
+    /**
+     * Show the toolbar once there are drafts, and the stale-draft suggestion when it applies
+     */
+    updateToolbar(panel, draftsList) {
+        const toolbar = panel?.querySelector('.wv-drafts-toolbar');
+        if (!toolbar) return;
+
+        toolbar.style.display = draftsList.length > 0 ? 'block' : 'none';
+
+        const banner = toolbar.querySelector('.wv-drafts-stale-banner');
+        const staleDrafts = this.getStaleDrafts(draftsList);
+        if (staleDrafts.length === 0 || this.staleBannerDismissed) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        const days = Number(WVFavs.Settings.get('staleDraftDays'));
+        banner.innerHTML = `
+            <span style="flex: 1;">${staleDrafts.length} draft${staleDrafts.length === 1 ? ' is' : 's are'} older than ${days} days</span>
+            <button class="wv-drafts-stale-review" style="background: transparent; border: none; cursor: pointer; font-size: 12px; font-weight: 600; color: #92400e; text-decoration: underline;">Review</button>
+            <button class="wv-drafts-stale-delete" style="background: transparent; border: none; cursor: pointer; font-size: 12px; font-weight: 600; color: #dc2626; text-decoration: underline;">Delete</button>
+            <button class="wv-drafts-stale-dismiss" style="background: transparent; border: none; cursor: pointer; font-size: 14px; color: #92400e; line-height: 1;" title="Dismiss">×</button>
+        `;
+        banner.style.display = 'flex';
+
+        banner.querySelector('.wv-drafts-stale-review').addEventListener('click', () => {
+            this.viewState.sort = 'oldest';
+            toolbar.querySelector('.wv-drafts-sort').value = 'oldest';
+            this.viewState.selected = new Set(staleDrafts.map(draft => draft.key));
+            this.setSelecting(true, false);
+        });
+
+        banner.querySelector('.wv-drafts-stale-delete').addEventListener('click', () => {
+            if (!confirm(`Delete ${staleDrafts.length} draft${staleDrafts.length === 1 ? '' : 's'} older than ${days} days?`)) return;
+            this.deleteDrafts(staleDrafts.map(draft => draft.key), 'stale_cleanup');
+        });
+
+        banner.querySelector('.wv-drafts-stale-dismiss').addEventListener('click', () => {
+            this.staleBannerDismissed = true;
+            banner.style.display = 'none';
+        });
+    }
+
+    /**
+     * Turn multi-select on or off
+     * @param {boolean} selecting - New state
+     * @param {boolean} clearSelection - Start from an empty selection
+     */
+    setSelecting(selecting, clearSelection = true) {
+        this.viewState.selecting = selecting;
+        if (clearSelection || !selecting) {
+            this.viewState.selected = new Set();
+        }
+
+        const toggle = this.currentPanel?.querySelector('.wv-drafts-select-toggle');
+        if (toggle) {
+            toggle.style.background = selecting ? '#ecfdf5' : 'transparent';
+            toggle.style.color = selecting ? '#059669' : '#6b7280';
+        }
+
+        this.rerenderDraftsList();
+    }
+
+    updateBulkBar(draftsList = this.currentDraftsList) {
+        const bulkBar = this.currentPanel?.querySelector('.wv-drafts-bulkbar');
+        if (!bulkBar) return;
+
+        // Drop selections for drafts that are gone (sent, deleted or expired)
+        const existingKeys = new Set(draftsList.map(draft => draft.key));
+        this.viewState.selected.forEach(key => {
+            if (!existingKeys.has(key)) this.viewState.selected.delete(key);
+        });
+
+        bulkBar.style.display = this.viewState.selecting ? 'flex' : 'none';
+        bulkBar.querySelector('.wv-drafts-bulk-count').textContent = `${this.viewState.selected.size} selected`;
+    }
+
+    toggleDraftSelected(draftKey, item) {
+        const selected = this.viewState.selected;
+        selected.has(draftKey) ? selected.delete(draftKey) : selected.add(draftKey);
+
+        const checkbox = item.querySelector('.wv-draft-select');
+        if (checkbox) checkbox.checked = selected.has(draftKey);
+        item.classList.toggle('wv-draft-selected', selected.has(draftKey));
+        item.style.background = selected.has(draftKey) ? '#ecfdf5' : (item.dataset.pendingDeletion ? '#fef3c7' : 'white');
+
+        this.updateBulkBar();
+    }
+
+    async handleBulkAction(action) {
+        const selectedKeys = [...this.viewState.selected];
+
+        if (action === 'done') {
+            this.setSelecting(false);
+        } else if (action === 'all') {
+            // Select everything currently visible, or clear when it already is
+            const visibleKeys = this.applyView(this.currentDraftsList).map(draft => draft.key);
+            const allSelected = visibleKeys.every(key => this.viewState.selected.has(key));
+            this.viewState.selected = allSelected ? new Set() : new Set(visibleKeys);
+            this.rerenderDraftsList();
+        } else if (selectedKeys.length === 0) {
+            WVFavs.DomManager?.showSnackbar('Select some drafts first', 'info');
+        } else if (action === 'export') {
+            this.exportDrafts(selectedKeys);
+        } else if (action === 'delete') {
+            if (!confirm(`Delete ${selectedKeys.length} draft${selectedKeys.length === 1 ? '' : 's'}? This can't be undone.`)) return;
+            this.deleteDrafts(selectedKeys, 'bulk');
+            this.setSelecting(false);
+        }
+    }
+
+    deleteDrafts(draftKeys, source) {
+        this.app.draftManager?.deleteDrafts(draftKeys);
+        WVFavs.DomManager?.showSnackbar(`Deleted ${draftKeys.length} draft${draftKeys.length === 1 ? '' : 's'}`, 'success');
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('drafts_bulk_deleted', {
+                source,
+                draft_count: draftKeys.length
+            });
+        }
+    }
+
+    /**
+     * Download selected drafts as JSON (text plus Lexical state, so formatting survives)
+     */
+    exportDrafts(draftKeys) {
+        const keys = new Set(draftKeys);
+        const drafts = this.currentDraftsList
+            .filter(draft => keys.has(draft.key))
+            .map(draft => ({
+                channelName: draft.channelName,
+                channelUrl: draft.channelUrl,
+                threadId: draft.threadId || null,
+                textContent: draft.textContent,
+                lexicalState: draft.lexicalState,
+                savedAt: new Date(draft.timestamp || Date.now()).toISOString()
+            }));
+
+        const data = JSON.stringify({
+            version: chrome.runtime.getManifest().version,
+            exportDate: new Date().toISOString(),
+            drafts
+        }, null, 2);
+
+        const blob = new Blob([data], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `workvivo-drafts-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('drafts_exported', { draft_count: drafts.length });
         }
     }
 
@@ -855,8 +1289,11 @@ WVFavs.DraftsPanel = class DraftsPanel {
      * Create a single draft item (matching MentionsPanel card design)
      */
     createDraftItem(draft) {
+        const isSelecting = this.viewState.selecting;
+        const isSelected = isSelecting && this.viewState.selected.has(draft.key);
+
         const item = document.createElement('div');
-        item.className = 'wv-favorites-draft-item';
+        item.className = isSelected ? 'wv-favorites-draft-item wv-draft-selected' : 'wv-favorites-draft-item';
         item.dataset.draftKey = draft.key;
         item.dataset.channelUrl = draft.channelUrl;
         item.dataset.threadId = draft.threadId || '';
@@ -868,7 +1305,7 @@ WVFavs.DraftsPanel = class DraftsPanel {
         }
 
         // Different styling for pending deletion drafts
-        const backgroundColor = hasPendingDeletion ? '#fef3c7' : 'white';
+        const backgroundColor = isSelected ? '#ecfdf5' : (hasPendingDeletion ? '#fef3c7' : 'white');
         const borderColor = hasPendingDeletion ? '#fbbf24' : '#e5e7eb';
 
         item.style.cssText = `
@@ -1006,6 +1443,52 @@ WVFavs.DraftsPanel = class DraftsPanel {
             </button>
         `;
 
+        // Version history button
+        const historyButton = `
+            <button class="wv-favorites-draft-history" style="
+                background: none;
+                border: none;
+                padding: 4px;
+                cursor: pointer;
+                color: #9ca3af;
+                border-radius: 4px;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                transition: all 0.2s;
+                flex-shrink: 0;
+            " title="Version history">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M3 3v5h5"/>
+                    <path d="M3.05 13A9 9 0 1 0 6 5.3L3 8"/>
+                    <polyline points="12 7 12 12 15 14"/>
+                </svg>
+            </button>
+        `;
+
+        // Send later button (only for regular drafts)
+        const canSchedule = !hasPendingDeletion && !!this.app.scheduledSend;
+        const scheduleButton = canSchedule ? `
+            <button class="wv-favorites-draft-schedule" style="
+                background: none;
+                border: none;
+                padding: 4px;
+                cursor: pointer;
+                color: #9ca3af;
+                border-radius: 4px;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                transition: all 0.2s;
+                flex-shrink: 0;
+            " title="Send later">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle cx="12" cy="12" r="10"/>
+                    <polyline points="12 6 12 12 16 14"/>
+                </svg>
+            </button>
+        ` : '';
+
         // Countdown timer for pending deletion drafts
         const countdownHtml = hasPendingDeletion ? `
             <div class="wv-draft-countdown" style="
@@ -1024,8 +1507,19 @@ WVFavs.DraftsPanel = class DraftsPanel {
             </div>
         ` : '';
 
+        const selectHtml = isSelecting ? `
+            <input type="checkbox" class="wv-draft-select" ${isSelected ? 'checked' : ''} style="
+                align-self: center;
+                width: 16px;
+                height: 16px;
+                flex-shrink: 0;
+                cursor: pointer;
+            ">
+        ` : '';
+
         item.innerHTML = `
             <div style="display: flex; gap: 12px;">
+                ${selectHtml}
                 ${avatarHtml}
                 <div style="flex: 1; min-width: 0; display: flex; flex-direction: column; gap: 8px;">
                     <!-- Channel name + thread badge + action button -->
@@ -1044,7 +1538,11 @@ WVFavs.DraftsPanel = class DraftsPanel {
                             min-width: 0;
                         ">${this.escapeHtml(draft.channelName)}</span>
                         ${threadBadge}
-                        ${actionButton}
+                        <div style="display: flex; align-items: center; gap: 2px; margin-left: auto; flex-shrink: 0;">
+                            ${historyButton}
+                            ${scheduleButton}
+                            ${actionButton}
+                        </div>
                     </div>
 
                     <!-- Message preview -->
@@ -1068,6 +1566,16 @@ WVFavs.DraftsPanel = class DraftsPanel {
             </div>
         `;
 
+        // In select mode a click anywhere on the card toggles it, instead of opening the chat or
+        // hitting the card's buttons (capture phase runs before those handlers)
+        if (isSelecting) {
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                this.toggleDraftSelected(draft.key, item);
+            }, true);
+        }
+
         // Hover effects
         const hoverBorderColor = hasPendingDeletion ? '#f59e0b' : '#cbd5e1';
         const normalBorderColor = hasPendingDeletion ? '#fbbf24' : '#e5e7eb';
@@ -1126,9 +1634,854 @@ WVFavs.DraftsPanel = class DraftsPanel {
             });
         }
 
+        const historyBtn = item.querySelector('.wv-favorites-draft-history');
+        historyBtn.addEventListener('mouseenter', () => {
+            historyBtn.style.background = '#f1f5f9';
+            historyBtn.style.color = '#475569';
+        });
+
+        historyBtn.addEventListener('mouseleave', () => {
+            historyBtn.style.background = 'none';
+            historyBtn.style.color = '#9ca3af';
+        });
+
+        historyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showDraftHistory(draft);
+        });
+
+        if (canSchedule) {
+            const scheduleBtn = item.querySelector('.wv-favorites-draft-schedule');
+            scheduleBtn.addEventListener('mouseenter', () => {
+                scheduleBtn.style.background = '#e0e7ff';
+                scheduleBtn.style.color = '#4f46e5';
+            });
+
+            scheduleBtn.addEventListener('mouseleave', () => {
+                scheduleBtn.style.background = 'none';
+                scheduleBtn.style.color = '#9ca3af';
+            });
+
+            scheduleBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showScheduleMenu(scheduleBtn, 'Send later', async (sendAt) => {
+                    await this.app.scheduledSend.schedule(draft, sendAt);
+                    WVFavs.DomManager?.showSnackbar(`Message scheduled for ${this.formatSendAt(sendAt)}`, 'success');
+                });
+            });
+        }
+
         return item;
     }
 
+    /**
+     * Version history view: timeline of revisions, word diff, and restore
+     * Shown over the drafts list; Back returns to it
+     */
+    showDraftHistory(draft) {
+        const panel = this.currentPanel;
+        const draftManager = this.app.draftManager;
+        if (!panel || !draftManager) return;
+
+        panel.querySelector('.wv-drafts-history')?.remove();
+
+        const revisions = draftManager.getRevisions(draft.key); // Newest first
+        let selectedIndex = revisions.length > 1 ? 1 : 0;
+        let compareTo = 'previous'; // 'previous' or 'current'
+
+        const view = document.createElement('div');
+        view.className = 'wv-drafts-history';
+        view.style.cssText = `
+            position: absolute;
+            inset: 0;
+            background: white;
+            z-index: 2;
+            display: flex;
+            flex-direction: column;
+        `;
+
+        view.innerHTML = `
+            <div class="wv-drafts-history-header" style="padding: 10px 12px; border-bottom: 1px solid #e5e7eb; background: #f9fafb; display: flex; align-items: center; gap: 8px; flex-shrink: 0;">
+                <button class="wv-drafts-history-back" style="background: transparent; border: none; cursor: pointer; padding: 4px; border-radius: 6px; color: #6b7280; display: flex;" title="Back to drafts">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 18 9 12 15 6"/></svg>
+                </button>
+                <div style="min-width: 0;">
+                    <div style="font-size: 15px; font-weight: 600; color: #111827;">Version history</div>
+                    <div style="font-size: 11px; color: #6b7280; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                        ${this.escapeHtml(draft.channelName || '')}${draft.isThread ? ' · Thread' : ''}
+                    </div>
+                </div>
+            </div>
+            <div class="wv-drafts-history-timeline" style="max-height: 40%; overflow-y: auto; padding: 8px; border-bottom: 1px solid #e5e7eb; flex-shrink: 0;"></div>
+            <div style="display: flex; gap: 4px; padding: 8px 12px 0; font-size: 11px; flex-shrink: 0;">
+                <span style="color: #6b7280; align-self: center;">Compare with</span>
+                <button class="wv-drafts-history-compare" data-compare="previous" style="border: 1px solid #e5e7eb; border-radius: 4px; padding: 2px 8px; cursor: pointer; font-size: 11px;">Previous</button>
+                <button class="wv-drafts-history-compare" data-compare="current" style="border: 1px solid #e5e7eb; border-radius: 4px; padding: 2px 8px; cursor: pointer; font-size: 11px;">Current</button>
+            </div>
+            <div class="wv-drafts-history-diff" style="flex: 1; overflow-y: auto; padding: 8px 12px; font-size: 13px; line-height: 1.5; color: #334155; white-space: pre-wrap; word-break: break-word;"></div>
+            <div style="padding: 10px 12px; border-top: 1px solid #e2e8f0; background: #f8fafc; flex-shrink: 0;">
+                <button class="wv-drafts-history-restore" style="width: 100%; padding: 8px; border: none; border-radius: 6px; background: #10b981; color: white; font-size: 13px; font-weight: 600; cursor: pointer;">
+                    Restore this version
+                </button>
+            </div>
+        `;
+
+        const timeline = view.querySelector('.wv-drafts-history-timeline');
+        const diffEl = view.querySelector('.wv-drafts-history-diff');
+        const restoreBtn = view.querySelector('.wv-drafts-history-restore');
+
+        const wordCount = (text) => (text || '').trim().split(/\s+/).filter(Boolean).length;
+        const changeSummary = (index) => {
+            const older = revisions[index + 1];
+            if (!older) return 'First version';
+
+            let added = 0;
+            let removed = 0;
+            WVFavs.Helpers.diffWords(older.textContent, revisions[index].textContent).forEach(part => {
+                if (part.type === 'added') added += wordCount(part.text);
+                if (part.type === 'removed') removed += wordCount(part.text);
+            });
+            return `+${added} / −${removed} words`;
+        };
+
+        const renderDiff = () => {
+            const selected = revisions[selectedIndex];
+            const base = compareTo === 'current' ? revisions[0] : revisions[selectedIndex + 1];
+
+            // Diff reads as "what changed from base to selected" for previous,
+            // and "what restoring would change" for current
+            const parts = compareTo === 'current'
+                ? WVFavs.Helpers.diffWords(base.textContent, selected.textContent)
+                : WVFavs.Helpers.diffWords(base ? base.textContent : '', selected.textContent);
+
+            diffEl.innerHTML = parts.map(part => {
+                const text = this.escapeHtml(part.text);
+                if (part.type === 'added') {
+                    return `<span class="wv-draft-diff-added" style="background: #dcfce7; color: #166534; border-radius: 2px;">${text}</span>`;
+                }
+                if (part.type === 'removed') {
+                    return `<span class="wv-draft-diff-removed" style="background: #fee2e2; color: #991b1b; text-decoration: line-through; border-radius: 2px;">${text}</span>`;
+                }
+                return text;
+            }).join('');
+
+            view.querySelectorAll('.wv-drafts-history-compare').forEach(btn => {
+                const active = btn.dataset.compare === compareTo;
+                btn.style.background = active ? '#10b981' : 'white';
+                btn.style.color = active ? 'white' : '#475569';
+            });
+
+            restoreBtn.disabled = selectedIndex === 0;
+            restoreBtn.style.opacity = selectedIndex === 0 ? '0.5' : '1';
+            restoreBtn.style.cursor = selectedIndex === 0 ? 'default' : 'pointer';
+            restoreBtn.textContent = selectedIndex === 0 ? 'This is the current version' : 'Restore this version';
+        };
+
+        const renderTimeline = () => {
+            timeline.innerHTML = revisions.map((revision, index) => `
+                <div class="wv-drafts-history-entry" data-index="${index}" style="
+                    padding: 8px 10px;
+                    border-radius: 6px;
+                    margin-bottom: 4px;
+                    cursor: pointer;
+                    border: 1px solid ${index === selectedIndex ? '#10b981' : 'transparent'};
+                    background: ${index === selectedIndex ? '#ecfdf5' : 'transparent'};
+                ">
+                    <div style="display: flex; justify-content: space-between; gap: 8px; font-size: 12px;">
+                        <span style="font-weight: 600; color: #1e293b;" title="${new Date(revision.timestamp).toLocaleString()}">
+                            ${index === 0 ? 'Current' : this.formatTimestamp(revision.timestamp)}
+                        </span>
+                        <span style="color: #94a3b8; font-size: 11px;">${changeSummary(index)}</span>
+                    </div>
+                    <div style="font-size: 12px; color: #64748b; margin-top: 2px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                        ${this.escapeHtml(this.cleanMessageText(revision.textContent))}
+                    </div>
+                </div>
+            `).join('');
+
+            timeline.querySelectorAll('.wv-drafts-history-entry').forEach(entry => {
+                entry.addEventListener('click', () => {
+                    selectedIndex = Number(entry.dataset.index);
+                    renderTimeline();
+                    renderDiff();
+                });
+            });
+        };
+
+        view.querySelector('.wv-drafts-history-back').addEventListener('click', () => view.remove());
+
+        if (revisions.length === 0) {
+            timeline.innerHTML = '<p style="margin: 0; padding: 20px; text-align: center; font-size: 13px; color: #9ca3af;">No history yet — versions are kept from now on</p>';
+            view.querySelectorAll('.wv-drafts-history-compare').forEach(btn => { btn.style.display = 'none'; });
+            restoreBtn.style.display = 'none';
+        } else {
+            view.querySelectorAll('.wv-drafts-history-compare').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    compareTo = btn.dataset.compare;
+                    renderDiff();
+                });
+            });
+
+            restoreBtn.addEventListener('click', async () => {
+                if (selectedIndex === 0) return;
+
+                const result = await draftManager.restoreRevision(draft.key, revisions[selectedIndex].id);
+                if (!result.success) {
+                    WVFavs.DomManager?.showSnackbar('Could not restore this version', 'error');
+                    return;
+                }
+
+                view.remove();
+                if (result.appliedToEditor) {
+                    WVFavs.DomManager?.showSnackbar('Version restored', 'success');
+                } else {
+                    // Not open: the restored text is now the saved draft, so opening the chat brings it up
+                    await this.openDraft(draft);
+                    WVFavs.DomManager?.showSnackbar('Version restored', 'success');
+                }
+            });
+
+            renderTimeline();
+            renderDiff();
+        }
+
+        panel.appendChild(view);
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('draft_history_opened', { revisions: revisions.length });
+        }
+    }
+
+    /**
+     * Snippets view: list, insert, edit, and JSON import/export
+     * Shown over the drafts list like version history
+     */
+    showSnippets() {
+        const panel = this.currentPanel;
+        const snippetManager = this.app.snippetManager;
+        if (!panel || !snippetManager) return;
+
+        panel.querySelector('.wv-drafts-snippets')?.remove();
+
+        const view = document.createElement('div');
+        view.className = 'wv-drafts-snippets';
+        view.style.cssText = `
+            position: absolute;
+            inset: 0;
+            background: white;
+            z-index: 2;
+            display: flex;
+            flex-direction: column;
+        `;
+
+        const smallButtonStyle = 'background: transparent; border: 1px solid #e5e7eb; border-radius: 6px; padding: 4px 8px; font-size: 11px; font-weight: 600; color: #475569; cursor: pointer;';
+
+        view.innerHTML = `
+            <div class="wv-drafts-snippets-header" style="padding: 10px 12px; border-bottom: 1px solid #e5e7eb; background: #f9fafb; display: flex; align-items: center; gap: 8px; flex-shrink: 0;">
+                <button class="wv-drafts-snippets-back" style="background: transparent; border: none; cursor: pointer; padding: 4px; border-radius: 6px; color: #6b7280; display: flex;" title="Back to drafts">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 18 9 12 15 6"/></svg>
+                </button>
+                <div style="flex: 1; font-size: 15px; font-weight: 600; color: #111827;">Snippets</div>
+                <button class="wv-drafts-snippets-import wv-drafts-snippets-small" style="${smallButtonStyle}" title="Import snippets from a JSON file">Import</button>
+                <button class="wv-drafts-snippets-export wv-drafts-snippets-small" style="${smallButtonStyle}" title="Export snippets as JSON">Export</button>
+            </div>
+            <div class="wv-drafts-snippets-hint" style="padding: 8px 12px; font-size: 11px; color: #64748b; line-height: 1.5; border-bottom: 1px solid #e5e7eb; flex-shrink: 0;">
+                Type <code>;;name</code> then Tab in any message box. Placeholders:
+                <code>{date}</code> <code>{day}</code> <code>{time}</code> <code>{channel}</code>
+                <code>{recipient_first_name}</code> <code>{my_first_name}</code>, and <code>{cursor}</code> for where to keep typing.
+            </div>
+            <div class="wv-drafts-snippets-list" style="flex: 1; overflow-y: auto; padding: 8px; min-height: 0;"></div>
+            <form class="wv-drafts-snippets-form" style="display: none; padding: 10px 12px; border-top: 1px solid #e2e8f0; flex-shrink: 0; flex-direction: column; gap: 6px;">
+                <input class="wv-drafts-snippets-name" type="text" placeholder="name (used as ;;name)" maxlength="32" style="padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 13px;">
+                <textarea class="wv-drafts-snippets-body" rows="6" placeholder="Standup {date}&#10;Yesterday: {cursor}&#10;Today:&#10;Blockers:" style="padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 13px; resize: vertical; font-family: inherit;"></textarea>
+                <div class="wv-drafts-snippets-error" style="display: none; font-size: 11px; color: #dc2626;"></div>
+                <div style="display: flex; gap: 6px; justify-content: flex-end;">
+                    <button type="button" class="wv-drafts-snippets-cancel wv-drafts-snippets-small" style="${smallButtonStyle}">Cancel</button>
+                    <button type="submit" style="background: #10b981; border: none; border-radius: 6px; padding: 4px 12px; font-size: 11px; font-weight: 600; color: white; cursor: pointer;">Save</button>
+                </div>
+            </form>
+            <div class="wv-drafts-snippets-footer" style="padding: 10px 12px; border-top: 1px solid #e2e8f0; background: #f8fafc; flex-shrink: 0;">
+                <button class="wv-drafts-snippets-new" style="width: 100%; padding: 8px; border: none; border-radius: 6px; background: #10b981; color: white; font-size: 13px; font-weight: 600; cursor: pointer;">
+                    New snippet
+                </button>
+            </div>
+        `;
+
+        const form = view.querySelector('.wv-drafts-snippets-form');
+        const footer = view.querySelector('.wv-drafts-snippets-footer');
+        const nameInput = view.querySelector('.wv-drafts-snippets-name');
+        const bodyInput = view.querySelector('.wv-drafts-snippets-body');
+        const errorEl = view.querySelector('.wv-drafts-snippets-error');
+
+        view.closeSnippetForm = () => {
+            form.style.display = 'none';
+            footer.style.display = '';
+            delete form.dataset.snippetId;
+        };
+        view.openSnippetForm = (snippet = null) => {
+            form.dataset.snippetId = snippet?.id || '';
+            nameInput.value = snippet?.name || '';
+            bodyInput.value = snippet?.body || '';
+            errorEl.style.display = 'none';
+            form.style.display = 'flex';
+            footer.style.display = 'none';
+            (snippet ? bodyInput : nameInput).focus();
+        };
+
+        view.querySelector('.wv-drafts-snippets-back').addEventListener('click', () => view.remove());
+        view.querySelector('.wv-drafts-snippets-new').addEventListener('click', () => view.openSnippetForm());
+        view.querySelector('.wv-drafts-snippets-cancel').addEventListener('click', () => view.closeSnippetForm());
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                const saved = snippetManager.save({
+                    id: form.dataset.snippetId || null,
+                    name: nameInput.value,
+                    body: bodyInput.value
+                });
+                view.closeSnippetForm();
+                WVFavs.DomManager?.showSnackbar(`Saved ;;${saved.name}`, 'success');
+            } catch (error) {
+                errorEl.textContent = error.message;
+                errorEl.style.display = 'block';
+            }
+        });
+
+        view.querySelector('.wv-drafts-snippets-export').addEventListener('click', () => {
+            const blob = new Blob([snippetManager.exportJSON()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `workvivo-snippets-${new Date().toISOString().split('T')[0]}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        });
+
+        view.querySelector('.wv-drafts-snippets-import').addEventListener('click', () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.json';
+            input.onchange = async () => {
+                const file = input.files[0];
+                if (!file) return;
+
+                try {
+                    const result = snippetManager.importJSON(await file.text());
+                    const skipped = result.skipped > 0 ? `, ${result.skipped} skipped` : '';
+                    WVFavs.DomManager?.showSnackbar(`Imported ${result.added} new, ${result.updated} updated${skipped}`, 'success');
+                } catch (error) {
+                    WVFavs.DomManager?.showSnackbar(`Import failed: ${error.message}`, 'error');
+                }
+            };
+            input.click();
+        });
+
+        panel.appendChild(view);
+        this.renderSnippetsList(panel);
+    }
+
+    renderSnippetsList(panel) {
+        const view = panel.querySelector('.wv-drafts-snippets');
+        const listEl = view?.querySelector('.wv-drafts-snippets-list');
+        if (!listEl) return;
+
+        const snippets = this.app.snippetManager.getAll();
+        if (snippets.length === 0) {
+            listEl.innerHTML = '<p style="margin: 0; padding: 30px 20px; text-align: center; font-size: 13px; color: #9ca3af;">No snippets yet. Save your standup, handover or incident template to reuse it.</p>';
+            return;
+        }
+
+        const actionStyle = 'background: transparent; border: 1px solid #e5e7eb; border-radius: 4px; padding: 2px 8px; font-size: 11px; cursor: pointer; color: #475569;';
+
+        listEl.innerHTML = snippets.map(snippet => `
+            <div class="wv-snippet-item" data-snippet-id="${this.escapeHtml(snippet.id)}" style="padding: 8px 10px; border: 1px solid #e5e7eb; border-radius: 8px; margin-bottom: 6px;">
+                <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+                    <span style="font-size: 13px; font-weight: 600; color: #1e293b; font-family: monospace;">;;${this.escapeHtml(snippet.name)}</span>
+                    <div style="display: flex; gap: 4px; flex-shrink: 0;">
+                        <button class="wv-snippet-action" data-action="insert" style="${actionStyle} color: #059669; border-color: #a7f3d0;">Insert</button>
+                        <button class="wv-snippet-action" data-action="edit" style="${actionStyle}">Edit</button>
+                        <button class="wv-snippet-action" data-action="delete" style="${actionStyle} color: #dc2626;" title="Delete snippet">✕</button>
+                    </div>
+                </div>
+                <div style="font-size: 12px; color: #64748b; margin-top: 4px; white-space: pre-wrap; max-height: 54px; overflow: hidden;">${this.escapeHtml(snippet.body)}</div>
+            </div>
+        `).join('');
+
+        listEl.querySelectorAll('.wv-snippet-action').forEach(button => {
+            button.addEventListener('click', async () => {
+                const id = button.closest('.wv-snippet-item').dataset.snippetId;
+                const snippet = this.app.snippetManager.get(id);
+                if (!snippet) return;
+
+                if (button.dataset.action === 'insert') {
+                    const inserted = await this.app.snippetManager.insertFromPanel(id);
+                    if (inserted) {
+                        this.closePanel();
+                    } else {
+                        WVFavs.DomManager?.showSnackbar('Open a chat to insert a snippet', 'error');
+                    }
+                } else if (button.dataset.action === 'edit') {
+                    view.openSnippetForm(snippet);
+                } else if (button.dataset.action === 'delete' && confirm(`Delete snippet ;;${snippet.name}?`)) {
+                    this.app.snippetManager.remove(id);
+                }
+            });
+        });
+    }
+
+    /**
+     * Recently sent view: last sent messages per chat, to re-use or recover
+     * Shown over the drafts list like version history
+     */
+    showSentArchive() {
+        const panel = this.currentPanel;
+        if (!panel || !this.app.draftManager) return;
+
+        panel.querySelector('.wv-drafts-sent')?.remove();
+
+        const view = document.createElement('div');
+        view.className = 'wv-drafts-sent';
+        view.style.cssText = `
+            position: absolute;
+            inset: 0;
+            background: white;
+            z-index: 2;
+            display: flex;
+            flex-direction: column;
+        `;
+
+        view.innerHTML = `
+            <div class="wv-drafts-sent-header" style="padding: 10px 12px; border-bottom: 1px solid #e5e7eb; background: #f9fafb; display: flex; align-items: center; gap: 8px; flex-shrink: 0;">
+                <button class="wv-drafts-sent-back" style="background: transparent; border: none; cursor: pointer; padding: 4px; border-radius: 6px; color: #6b7280; display: flex;" title="Back to drafts">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 18 9 12 15 6"/></svg>
+                </button>
+                <div style="flex: 1; font-size: 15px; font-weight: 600; color: #111827;">Recently sent</div>
+                <button class="wv-drafts-sent-clear" style="background: transparent; border: none; cursor: pointer; padding: 4px 8px; border-radius: 6px; color: #ef4444; font-size: 12px; font-weight: 500;">Clear</button>
+            </div>
+            <div class="wv-drafts-sent-list" style="flex: 1; overflow-y: auto; padding: 8px; min-height: 0;"></div>
+        `;
+
+        view.querySelector('.wv-drafts-sent-back').addEventListener('click', () => view.remove());
+        view.querySelector('.wv-drafts-sent-clear').addEventListener('click', () => {
+            if (confirm('Clear all recently sent messages?')) {
+                this.app.draftManager.clearSentArchive();
+            }
+        });
+
+        panel.appendChild(view);
+        this.renderSentList(panel);
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('sent_archive_opened', {
+                message_count: this.app.draftManager.getSentArchive().length
+            });
+        }
+    }
+
+    async renderSentList(panel) {
+        const listEl = panel.querySelector('.wv-drafts-sent-list');
+        if (!listEl) return;
+
+        const entries = this.app.draftManager.getSentArchive();
+        if (entries.length === 0) {
+            const size = this.app.draftManager.getSentArchiveSize();
+            listEl.innerHTML = `<p style="margin: 0; padding: 30px 20px; text-align: center; font-size: 13px; color: #9ca3af;">
+                ${size > 0 ? `Your last ${size} messages in each chat will show up here.` : 'The recently sent archive is turned off in settings.'}
+            </p>`;
+            return;
+        }
+
+        // Channel names (cached by APIManager after the first lookup)
+        const names = {};
+        await Promise.all([...new Set(entries.map(entry => entry.channelUrl))].map(async channelUrl => {
+            try {
+                names[channelUrl] = (await WVFavs.APIManager.getChannelInfo(channelUrl))?.name;
+            } catch (error) {
+                // Fall back to the URL-derived name
+            }
+        }));
+
+        const actionStyle = 'background: transparent; border: 1px solid #e5e7eb; border-radius: 4px; padding: 2px 8px; font-size: 11px; cursor: pointer; color: #475569;';
+
+        listEl.innerHTML = entries.map(entry => `
+            <div class="wv-sent-item" data-sent-id="${this.escapeHtml(entry.id)}" data-channel-url="${this.escapeHtml(entry.channelUrl)}" style="padding: 8px 10px; border: 1px solid ${entry.unconfirmed ? '#fecaca' : '#e5e7eb'}; border-radius: 8px; margin-bottom: 6px;">
+                <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; font-size: 12px;">
+                    <span style="font-weight: 600; color: #1e293b; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                        ${this.escapeHtml(names[entry.channelUrl] || this.extractNameFromUrl(entry.channelUrl))}${entry.threadId ? ' · Thread' : ''}
+                    </span>
+                    <span style="color: #94a3b8; font-size: 11px; flex-shrink: 0;" title="${new Date(entry.sentAt).toLocaleString()}">${this.formatTimestamp(entry.sentAt)}</span>
+                </div>
+                ${entry.unconfirmed ? '<div style="font-size: 11px; color: #dc2626; margin-top: 2px;">⚠️ WorkVivo never confirmed this message</div>' : ''}
+                <div style="font-size: 12px; color: #64748b; margin-top: 4px; white-space: pre-wrap; max-height: 54px; overflow: hidden;">${this.escapeHtml(this.cleanMessageText(entry.textContent))}</div>
+                <div style="display: flex; gap: 4px; margin-top: 6px;">
+                    <button class="wv-sent-action" data-action="reuse" style="${actionStyle} color: #059669; border-color: #a7f3d0;" title="Put this message back in the chat's message box">Re-use</button>
+                    <button class="wv-sent-action" data-action="copy" style="${actionStyle}">Copy</button>
+                    <button class="wv-sent-action" data-action="remove" style="${actionStyle} color: #dc2626; margin-left: auto;" title="Remove from archive">✕</button>
+                </div>
+            </div>
+        `).join('');
+
+        listEl.querySelectorAll('.wv-sent-action').forEach(button => {
+            button.addEventListener('click', async () => {
+                const item = button.closest('.wv-sent-item');
+                const entry = entries.find(e => e.id === item.dataset.sentId);
+                if (!entry) return;
+
+                await this.handleSentAction(button.dataset.action, entry);
+            });
+        });
+    }
+
+    async handleSentAction(action, entry) {
+        const draftManager = this.app.draftManager;
+
+        if (action === 'copy') {
+            try {
+                await navigator.clipboard.writeText(entry.textContent);
+                WVFavs.DomManager?.showSnackbar('Copied to clipboard', 'success');
+            } catch (error) {
+                WVFavs.DomManager?.showSnackbar('Could not copy', 'error');
+            }
+        } else if (action === 'remove') {
+            draftManager.removeSentMessage(entry.channelUrl, entry.id);
+        } else if (action === 'reuse') {
+            const existing = draftManager.getDraft(entry.channelUrl, entry.threadId);
+            if (existing && !existing.pendingDeletion &&
+                !confirm('This chat already has a draft. Replace it with this message?')) {
+                return;
+            }
+
+            draftManager.setDraft(entry.channelUrl, entry.threadId, {
+                lexicalState: entry.lexicalState,
+                textContent: entry.textContent
+            });
+
+            this.currentPanel?.querySelector('.wv-drafts-sent')?.remove();
+            await this.openDraft({ channelUrl: entry.channelUrl, threadId: entry.threadId, isThread: !!entry.threadId });
+
+            if (this.app.analytics) {
+                this.app.analytics.trackEvent('sent_message_reused', {
+                    was_unconfirmed: !!entry.unconfirmed,
+                    age_ms: Date.now() - entry.sentAt
+                });
+            }
+        }
+    }
+
+    /**
+     * Render pending scheduled messages above the drafts list
+     */
+    renderScheduledList(panel) {
+        const container = panel.querySelector('.wv-drafts-scheduled');
+        const scheduledSend = this.app.scheduledSend;
+        if (!container || !scheduledSend) return;
+
+        const items = scheduledSend.getPending();
+        container.style.display = items.length > 0 ? 'block' : 'none';
+        if (items.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const statusLine = (item) => {
+            if (item.status === 'failed' || item.status === 'missed' || item.status === 'interrupted') {
+                return `<span style="color: #dc2626;">⚠️ ${this.escapeHtml(item.error || 'Not sent')} · was due ${this.formatSendAt(item.sendAt)}</span>`;
+            }
+            if (item.status === 'sending') {
+                return '<span style="color: #4f46e5;">Sending...</span>';
+            }
+            return `<span>Sends ${this.formatSendAt(item.sendAt)}</span>`;
+        };
+
+        const button = (action, label, color = '#6b7280') => `
+            <button class="wv-scheduled-action" data-action="${action}" style="
+                background: none;
+                border: 1px solid #e5e7eb;
+                padding: 2px 8px;
+                border-radius: 4px;
+                cursor: pointer;
+                color: ${color};
+                font-size: 11px;
+                font-weight: 500;
+            ">${label}</button>
+        `;
+
+        container.innerHTML = `
+            <div style="font-size: 11px; font-weight: 600; color: #6b7280; text-transform: uppercase; padding: 0 4px 6px;">
+                Scheduled (${items.length})
+            </div>
+            ${items.map(item => `
+                <div class="wv-scheduled-item" data-scheduled-id="${this.escapeHtml(item.id)}" style="
+                    background: #eef2ff;
+                    border: 1px solid #c7d2fe;
+                    border-radius: 8px;
+                    padding: 8px 10px;
+                    margin-bottom: 8px;
+                    font-size: 12px;
+                ">
+                    <div style="display: flex; align-items: center; gap: 6px;">
+                        <span style="font-weight: 600; color: #1e293b; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; flex: 1; min-width: 0;">
+                            ${this.escapeHtml(item.channelName || this.extractNameFromUrl(item.channelUrl))}
+                        </span>
+                        ${item.threadId ? '<span style="padding: 1px 6px; background: #e0e7ff; border-radius: 4px; font-size: 10px; color: #4338ca;">Thread</span>' : ''}
+                    </div>
+                    <div style="color: #475569; margin-top: 4px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                        ${this.escapeHtml(this.cleanMessageText(item.textContent))}
+                    </div>
+                    <div style="color: #6366f1; font-size: 11px; margin-top: 4px;">${statusLine(item)}</div>
+                    ${item.status === 'sending' ? '' : `
+                        <div style="display: flex; gap: 4px; margin-top: 6px;">
+                            ${item.status === 'pending' ? '' : button('sendNow', item.status === 'interrupted' ? 'Send again' : 'Send now', '#4f46e5')}
+                            ${button('reschedule', 'Reschedule')}
+                            ${button('edit', 'Edit')}
+                            ${button('cancel', 'Cancel', '#ef4444')}
+                        </div>
+                    `}
+                </div>
+            `).join('')}
+        `;
+
+        container.querySelectorAll('.wv-scheduled-action').forEach(actionBtn => {
+            actionBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const id = actionBtn.closest('.wv-scheduled-item').dataset.scheduledId;
+                this.handleScheduledAction(actionBtn, id, actionBtn.dataset.action);
+            });
+        });
+    }
+
+    async handleScheduledAction(anchor, id, action) {
+        const scheduledSend = this.app.scheduledSend;
+        const item = scheduledSend.get(id);
+        if (!item) return;
+
+        switch (action) {
+            case 'sendNow':
+                scheduledSend.reschedule(id, Date.now());
+                scheduledSend.processDue();
+                break;
+
+            case 'reschedule':
+                this.showScheduleMenu(anchor, 'Reschedule', (sendAt) => {
+                    scheduledSend.reschedule(id, sendAt);
+                    WVFavs.DomManager?.showSnackbar(`Rescheduled for ${this.formatSendAt(sendAt)}`, 'success');
+                });
+                break;
+
+            case 'edit':
+                // Back to a draft, opened in its chat for editing
+                scheduledSend.unschedule(id, true);
+                try {
+                    await this.openDraft({ channelUrl: item.channelUrl, threadId: item.threadId, isThread: !!item.threadId });
+                } catch (error) {
+                    this.app?.logger?.error('❌ Error opening scheduled message for editing:', error);
+                }
+                break;
+
+            case 'cancel':
+                scheduledSend.unschedule(id, true);
+                WVFavs.DomManager?.showSnackbar('Schedule cancelled — message moved back to drafts', 'info');
+                break;
+        }
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('scheduled_message_action', { action });
+        }
+    }
+
+    /**
+     * Send time picker: presets plus a custom date/time
+     * @param {HTMLElement} anchor - Button the menu opens under
+     * @param {string} title - Menu heading
+     * @param {Function} onPick - Called with the chosen timestamp
+     */
+    showScheduleMenu(anchor, title, onPick) {
+        const panel = this.currentPanel;
+        if (!panel) return;
+        panel.querySelector('.wv-drafts-schedule-menu')?.remove();
+
+        const menu = document.createElement('div');
+        menu.className = 'wv-drafts-schedule-menu';
+
+        const panelRect = panel.getBoundingClientRect();
+        const anchorRect = anchor.getBoundingClientRect();
+        menu.style.cssText = `
+            position: absolute;
+            top: ${anchorRect.bottom - panelRect.top + 4}px;
+            right: ${Math.max(8, panelRect.right - anchorRect.right)}px;
+            width: 210px;
+            background: white;
+            border: 1px solid #e5e7eb;
+            border-radius: 8px;
+            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+            padding: 4px;
+            z-index: 10001;
+            font-size: 13px;
+        `;
+
+        // Default the custom picker to an hour from now
+        const defaultCustom = new Date(Date.now() + 60 * 60 * 1000);
+        defaultCustom.setSeconds(0, 0);
+        const localValue = new Date(defaultCustom.getTime() - defaultCustom.getTimezoneOffset() * 60000)
+            .toISOString().slice(0, 16);
+
+        menu.innerHTML = `
+            <div style="padding: 6px 8px; font-size: 11px; font-weight: 600; color: #6b7280; text-transform: uppercase;">${this.escapeHtml(title)}</div>
+            ${this.app.scheduledSend.getScheduleOptions().map(option => `
+                <button class="wv-drafts-schedule-option" data-send-at="${option.sendAt}" style="
+                    display: block;
+                    width: 100%;
+                    text-align: left;
+                    padding: 6px 8px;
+                    border: none;
+                    border-radius: 4px;
+                    background: transparent;
+                    color: #111827;
+                    cursor: pointer;
+                    font-size: 13px;
+                ">${option.label}</button>
+            `).join('')}
+            <div style="border-top: 1px solid #f3f4f6; margin: 4px 0; padding: 6px 8px 2px;">
+                <div style="font-size: 11px; color: #6b7280; margin-bottom: 4px;">Custom</div>
+                <div style="display: flex; gap: 4px;">
+                    <input type="datetime-local" class="wv-drafts-schedule-custom" value="${localValue}" style="
+                        flex: 1;
+                        min-width: 0;
+                        padding: 4px;
+                        border: 1px solid #d1d5db;
+                        border-radius: 4px;
+                        font-size: 12px;
+                    ">
+                    <button class="wv-drafts-schedule-custom-btn" style="
+                        padding: 4px 8px;
+                        border: none;
+                        border-radius: 4px;
+                        background: #10b981;
+                        color: white;
+                        cursor: pointer;
+                        font-size: 12px;
+                    ">Set</button>
+                </div>
+            </div>
+        `;
+
+        const closeMenu = () => {
+            menu.remove();
+            document.removeEventListener('mousedown', handleOutside, true);
+        };
+        const handleOutside = (e) => {
+            if (!menu.contains(e.target) && e.target !== anchor) {
+                closeMenu();
+            }
+        };
+
+        const apply = async (sendAt) => {
+            if (!sendAt || isNaN(sendAt) || sendAt <= Date.now()) {
+                WVFavs.DomManager?.showSnackbar('Pick a time in the future', 'error');
+                return;
+            }
+
+            closeMenu();
+            await onPick(sendAt);
+        };
+
+        menu.addEventListener('click', (e) => e.stopPropagation());
+
+        menu.querySelectorAll('.wv-drafts-schedule-option').forEach(option => {
+            option.addEventListener('mouseenter', () => { option.style.background = '#f3f4f6'; });
+            option.addEventListener('mouseleave', () => { option.style.background = 'transparent'; });
+            option.addEventListener('click', () => apply(Number(option.dataset.sendAt)));
+        });
+
+        menu.querySelector('.wv-drafts-schedule-custom-btn').addEventListener('click', () => {
+            const value = menu.querySelector('.wv-drafts-schedule-custom').value;
+            apply(value ? new Date(value).getTime() : null);
+        });
+
+        panel.appendChild(menu);
+        document.addEventListener('mousedown', handleOutside, true);
+    }
+
+    /**
+     * Format a send time, e.g. "today 14:30", "Mon 09:00"
+     */
+    formatSendAt(timestamp) {
+        const date = new Date(timestamp);
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        const dayDiff = Math.floor((date - startOfToday) / (24 * 60 * 60 * 1000));
+
+        if (dayDiff === 0) return `today ${time}`;
+        if (dayDiff === 1) return `tomorrow ${time}`;
+        if (dayDiff > 1 && dayDiff < 7) return `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+        return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+    }
+
+    /**
+     * Navigate to a draft's chat (and thread) and restore it into the editor
+     */
+    async openDraft(draft) {
+        // Use openThreadById for thread drafts (doesn't need timestamp)
+        if (draft.isThread) {
+            console.log('Thread draft - navigating to channel and opening thread');
+            // Navigate to channel first
+            const currentChannel = this.app.threadManager?.getCurrentChannel();
+            if (currentChannel !== draft.channelUrl) {
+                console.log('Navigating to channel:', draft.channelUrl);
+                // TIER 1: Try WebpackNavigator first (most reliable after WorkVivo updates)
+                if (this.app.webpackNav && this.app.webpackNav.initialized) {
+                    const result = await this.app.webpackNav.navigateToMessage({
+                        message_id: null,
+                        channel_url: draft.channelUrl,
+                        parent_message_id: null
+                    });
+                    if (!result.success && this.app.reactFiberNav) {
+                        // TIER 2: Fallback to ReactFiberNav
+                        await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
+                    }
+                } else if (this.app.reactFiberNav) {
+                    await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
+                }
+                // Wait longer for channel messages to load
+                await new Promise(resolve => setTimeout(resolve, 800));
+            }
+
+            // Open thread via DomManager
+            console.log('Opening thread:', draft.threadId);
+            await WVFavs.DomManager.openThreadById(draft.threadId);
+            await new Promise(resolve => setTimeout(resolve, 500));
+        } else {
+            console.log('Main chat draft - navigating to channel');
+            // Main chat - just navigate to channel
+            // TIER 1: Try WebpackNavigator first (most reliable after WorkVivo updates)
+            if (this.app.webpackNav && this.app.webpackNav.initialized) {
+                const result = await this.app.webpackNav.navigateToMessage({
+                    message_id: null,
+                    channel_url: draft.channelUrl,
+                    parent_message_id: null
+                });
+                if (!result.success && this.app.reactFiberNav) {
+                    // TIER 2: Fallback to ReactFiberNav
+                    await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
+                }
+            } else if (this.app.reactFiberNav) {
+                await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
+            }
+            await new Promise(resolve => setTimeout(resolve, 800));
+        }
+
+        // Restore the draft content - add extra delay for editor to be ready
+        console.log('Restoring draft content');
+        await new Promise(resolve => setTimeout(resolve, 300));
+        await this.app.draftManager?.restoreDraft(draft.channelUrl, draft.threadId);
+        console.log('✅ Draft navigation complete');
+    }
+
     /**
      * Attach click handler to a single draft item
      */
@@ -1148,61 +2501,7 @@ WVFavs.DraftsPanel = class DraftsPanel {
             this.app?.logger?.log('📝 Navigating to draft:', draft);
 
             try {
-                // Use openThreadById for thread drafts (doesn't need timestamp)
-                if (draft.isThread) {
-                    console.log('Thread draft - navigating to channel and opening thread');
-                    // Navigate to channel first
-                    const currentChannel = this.app.threadManager?.getCurrentChannel();
-                    if (currentChannel !== draft.channelUrl) {
-                        console.log('Navigating to channel:', draft.channelUrl);
-                        // TIER 1: Try WebpackNavigator first (most reliable after WorkVivo updates)
-                        if (this.app.webpackNav && this.app.webpackNav.initialized) {
-                            const result = await this.app.webpackNav.navigateToMessage({
-                                message_id: null,
-                                channel_url: draft.channelUrl,
-                                parent_message_id: null
-                            });
-                            if (!result.success && this.app.reactFiberNav) {
-                                // TIER 2: Fallback to ReactFiberNav
-                                await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
-                            }
-                        } else if (this.app.reactFiberNav) {
-                            await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
-                        }
-                        // Wait longer for channel messages to load
-                        await new Promise(resolve => setTimeout(resolve, 800));
-                    }
-
-                    // Open thread via DomManager
-                    console.log('Opening thread:', draft.threadId);
-                    await WVFavs.DomManager.openThreadById(draft.threadId);
-                    await new Promise(resolve => setTimeout(resolve, 500));
-                } else {
-                    console.log('Main chat draft - navigating to channel');
-                    // Main chat - just navigate to channel
-                    // TIER 1: Try WebpackNavigator first (most reliable after WorkVivo updates)
-                    if (this.app.webpackNav && this.app.webpackNav.initialized) {
-                        const result = await this.app.webpackNav.navigateToMessage({
-                            message_id: null,
-                            channel_url: draft.channelUrl,
-                            parent_message_id: null
-                        });
-                        if (!result.success && this.app.reactFiberNav) {
-                            // TIER 2: Fallback to ReactFiberNav
-                            await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
-                        }
-                    } else if (this.app.reactFiberNav) {
-                        await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
-                    }
-                    await new Promise(resolve => setTimeout(resolve, 800));
-                }
-
-                // Restore the draft content - add extra delay for editor to be ready
-                console.log('Restoring draft content');
-                await new Promise(resolve => setTimeout(resolve, 300));
-                await this.app.draftManager?.restoreDraft(draft.channelUrl, draft.threadId);
-                console.log('✅ Draft navigation complete');
-
+                await this.openDraft(draft);
             } catch (error) {
                 console.error('❌ ERROR:', error);
                 console.error('Error message:', error.message);
@@ -1238,61 +2537,7 @@ WVFavs.DraftsPanel = class DraftsPanel {
                     this.app?.logger?.log('📝 Navigating to draft:', draft);
 
                     try {
-                        // Use openThreadById for thread drafts (doesn't need timestamp)
-                        if (draft.isThread) {
-                            console.log('Thread draft - navigating to channel and opening thread');
-                            // Navigate to channel first
-                            const currentChannel = this.app.threadManager?.getCurrentChannel();
-                            if (currentChannel !== draft.channelUrl) {
-                                console.log('Navigating to channel:', draft.channelUrl);
-                                // TIER 1: Try WebpackNavigator first (most reliable after WorkVivo updates)
-                                if (this.app.webpackNav && this.app.webpackNav.initialized) {
-                                    const result = await this.app.webpackNav.navigateToMessage({
-                                        message_id: null,
-                                        channel_url: draft.channelUrl,
-                                        parent_message_id: null
-                                    });
-                                    if (!result.success && this.app.reactFiberNav) {
-                                        // TIER 2: Fallback to ReactFiberNav
-                                        await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
-                                    }
-                                } else if (this.app.reactFiberNav) {
-                                    await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
-                                }
-                                // Wait longer for channel messages to load
-                                await new Promise(resolve => setTimeout(resolve, 800));
-                            }
-
-                            // Open thread via DomManager
-                            console.log('Opening thread:', draft.threadId);
-                            await WVFavs.DomManager.openThreadById(draft.threadId);
-                            await new Promise(resolve => setTimeout(resolve, 500));
-                        } else {
-                            console.log('Main chat draft - navigating to channel');
-                            // Main chat - just navigate to channel
-                            // TIER 1: Try WebpackNavigator first (most reliable after WorkVivo updates)
-                            if (this.app.webpackNav && this.app.webpackNav.initialized) {
-                                const result = await this.app.webpackNav.navigateToMessage({
-                                    message_id: null,
-                                    channel_url: draft.channelUrl,
-                                    parent_message_id: null
-                                });
-                                if (!result.success && this.app.reactFiberNav) {
-                                    // TIER 2: Fallback to ReactFiberNav
-                                    await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
-                                }
-                            } else if (this.app.reactFiberNav) {
-                                await this.app.reactFiberNav.openChannelByUrl(draft.channelUrl);
-                            }
-                            await new Promise(resolve => setTimeout(resolve, 800));
-                        }
-
-                        // Restore the draft content - add extra delay for editor to be ready
-                        console.log('Restoring draft content');
-                        await new Promise(resolve => setTimeout(resolve, 300));
-                        await this.app.draftManager?.restoreDraft(draft.channelUrl, draft.threadId);
-                        console.log('✅ Draft navigation complete');
-
+                        await this.openDraft(draft);
                     } catch (error) {
                         console.error('❌ ERROR:', error);
                         console.error('Error message:', error.message);
@@ -1381,14 +2626,9 @@ WVFavs.DraftsPanel = class DraftsPanel {
                 return;
             }
 
-            // Remove pendingDeletion flag
-            delete draft.pendingDeletion;
-
-            // Save back to storage
-            localStorage.setItem(this.app.draftManager.config.storageKey, JSON.stringify(drafts));
-
-            // Dispatch update event
-            document.dispatchEvent(new CustomEvent('wv-draft-updated'));
+            // Save back without the pendingDeletion flag (setDraft dispatches wv-draft-updated)
+            const { channelUrl, threadId } = this.app.draftManager.parseDraftKey(draftKey);
+            this.app.draftManager.setDraft(channelUrl, threadId, draft);
 
             // Animate feedback
             itemElement.style.transition = 'all 0.3s ease-out';
@@ -1403,7 +2643,7 @@ WVFavs.DraftsPanel = class DraftsPanel {
             if (this.currentPanel) {
                 const listContainer = this.currentPanel.querySelector('.wv-favorites-drafts-list');
                 if (listContainer) {
-                    const draftsList = await this.enrichDraftsWithChannelData(drafts);
+                    const draftsList = await this.enrichDraftsWithChannelData(this.app.draftManager.getAllDrafts());
                     this.renderDraftsList(listContainer, draftsList);
                     this.attachDraftClickHandlers(this.currentPanel, draftsList);
                 }
@@ -1434,8 +2674,7 @@ WVFavs.DraftsPanel = class DraftsPanel {
                 return;
             }
 
-            const seconds = Math.ceil(remaining / 1000);
-            countdownText.textContent = `Deletes in ${seconds}s`;
+            countdownText.textContent = `Deletes in ${this.formatDuration(remaining)}`;
         };
 
         // Update immediately
@@ -1453,6 +2692,18 @@ WVFavs.DraftsPanel = class DraftsPanel {
         // 3. Panel is closed (handled in closePanel)
     }
 
+    /**
+     * Format a countdown, e.g. "45s" or "4:05"
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        if (totalSeconds < 60) return `${totalSeconds}s`;
+
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${minutes}:${seconds}`;
+    }
+
     /**
      * Clean message text
      */
@@ -130,31 +130,16 @@ WVFavs.EventHandler = new (class EventHandler {
         document.addEventListener('keydown', (e) => {
             const modifierKey = this.app.isModifierKeyPressed(e);
 
-            // Enhanced quick search shortcuts (NEW: swapped with chat switcher)
-            // Mac: Cmd+/ or Cmd+;
-            // Windows/Linux: Alt+/ or Alt+;
-            let isQuickSearchKey = false;
-
-            if (modifierKey) {
-                // Check slash key variations (PRIMARY for search)
-                const isSlashKey = e.key === '/' ||
-                                  e.key === '?' || // Shift+/ on some layouts
-                                  e.code === 'Slash' ||
-                                  e.keyCode === 191;
-
-                // Check semicolon key as alternative
-                const isSemicolonKey = e.key === ';' ||
-                                      e.key === ':' || // Shift+; on some layouts
-                                      e.code === 'Semicolon' ||
-                                      e.keyCode === 186;
-
-                isQuickSearchKey = isSlashKey || isSemicolonKey;
-            }
+            // Bindings come from the shortcut registry (user-configurable in options)
+            // Defaults: Cmd/Alt+/ or Cmd/Alt+; for quick search, Cmd/Alt+\ for the chat switcher
+            const registry = WVFavs.ShortcutRegistry;
+            const shortcutAction = registry ? registry.findAction(e, modifierKey) : null;
+            const isQuickSearchKey = shortcutAction === 'quickSearch';
 
             if (isQuickSearchKey) {
                 e.preventDefault();
                 e.stopPropagation();
-                const platform = isMac ? 'Mac (Cmd+/)' : 'Windows/Linux (Alt+/)';
+                const platform = isMac ? 'Mac' : 'Windows/Linux';
                 this.app?.logger?.log(`🔍 Quick search shortcut pressed on ${platform}:`, { key: e.key, code: e.code, keyCode: e.keyCode });
                 this.openQuickSearch();
                 return;
@@ -210,24 +195,15 @@ WVFavs.EventHandler = new (class EventHandler {
             }
             */
 
-            // Enhanced chat switcher shortcuts (NEW: using backslash for both OS)
-            // Mac: Cmd+\
-            // Windows/Linux: Alt+\
+            // Chat switcher shortcut (default Cmd/Alt+\)
             // IMPORTANT: Only allow when quick search is NOT open AND chat switcher is NOT already open
             let isChatSwitcherKey = false;
 
             if (!this.app.quickSearchOpen && !this.app.chatSwitcherOpen && modifierKey) {
-                // Check backslash key variations (PRIMARY for chat switcher on both OS)
-                const isBackslashKey = e.key === '\\' ||
-                                      e.key === '|' || // Shift+\ on some layouts
-                                      e.code === 'Backslash' ||
-                                      e.keyCode === 220;
-
-                isChatSwitcherKey = isBackslashKey;
+                isChatSwitcherKey = shortcutAction === 'chatSwitcher';
 
                 if (isChatSwitcherKey) {
-                    const keyDesc = isMac ? 'Cmd+\\' : 'Alt+\\';
-                    const platform = isMac ? `Mac (${keyDesc})` : `Windows/Linux (${keyDesc})`;
+                    const platform = isMac ? 'Mac' : 'Windows/Linux';
                     this.app?.logger?.log(`🔄 Chat switcher shortcut pressed on ${platform}:`, {
                         key: e.key,
                         code: e.code,
@@ -275,16 +251,26 @@ WVFavs.EventHandler = new (class EventHandler {
             if (this.app.chatSwitcherOpen) {
                 return;
             }
+
+            // Remaining user-bound actions (panels, pin, Meet, status, theme)
+            if (shortcutAction && shortcutAction !== 'chatSwitcher') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.runShortcutAction(shortcutAction);
+            }
         });
 
         document.addEventListener('keyup', (e) => {
             const isMac = navigator.userAgent.toUpperCase().indexOf('MAC') >= 0;
 
-            // Track chat switcher key release with robust detection (NEW: backslash)
-            const isChatSwitcherKeyUp = e.key === '\\' || e.key === '|' || e.code === 'Backslash' || e.keyCode === 220;
+            // Track chat switcher key release (whichever key is bound to the switcher)
+            const registry = WVFavs.ShortcutRegistry;
+            const isChatSwitcherKeyUp = registry
+                ? registry.getBindings('chatSwitcher').some(binding => registry.keyMatches(registry.parseBinding(binding).code, e))
+                : e.code === 'Backslash';
 
             if (isChatSwitcherKeyUp && this.app.cmdSlashPressed) {
-                this.app?.logger?.log('🔧 Chat switcher key released (\\)');
+                this.app?.logger?.log('🔧 Chat switcher key released');
 
                 const wasPressed = this.app.cmdSlashPressed;
                 const pressTime = this.app.cmdSlashPressTime ? Date.now() - this.app.cmdSlashPressTime : 0;
@@ -326,6 +312,43 @@ WVFavs.EventHandler = new (class EventHandler {
         });
     }
 
+    runShortcutAction(actionId) {
+        this.app?.logger?.log('⌨️ Shortcut action:', actionId);
+
+        if (this.app.logger) {
+            this.app?.logger?.analytics('keyboard_shortcut_used', {
+                action_id: actionId
+            });
+        }
+
+        if (actionId === 'commandPalette') {
+            this.openCommandPalette();
+            return;
+        }
+
+        const command = this.getPaletteCommands().find(cmd => cmd.id === actionId);
+        if (!command || !command.isAvailable()) {
+            this.app?.logger?.debug('⌨️ Shortcut action unavailable:', actionId);
+            return;
+        }
+
+        Promise.resolve()
+            .then(() => command.run())
+            .catch(error => {
+                this.app?.logger?.error('❌ Shortcut action failed:', { action: actionId, error: error.message });
+            });
+    }
+
+    openCommandPalette() {
+        this.openQuickSearch('command_palette_shortcut');
+
+        const input = document.querySelector('.wv-favorites-quick-search-input');
+        if (input) {
+            input.value = '>';
+            this.handleSearchInput('>');
+        }
+    }
+
     setupClickDetection() {
         this.app?.logger?.log('🔧 Setting up click detection with event delegation...');
 
@@ -827,7 +850,7 @@ WVFavs.EventHandler = new (class EventHandler {
                     <input
                         type="text"
                         class="wv-favorites-quick-search-input"
-                        placeholder="Search pinned and recent chats..."
+                        placeholder="Search pinned and recent chats... (type > for commands)"
                         autocomplete="off"
                         spellcheck="false"
                     >
@@ -1141,6 +1164,16 @@ WVFavs.EventHandler = new (class EventHandler {
             clearTimeout(this.app.searchDebounceTimer);
         }
 
+        // Command mode: "> query" lists extension actions instead of chats
+        if (query.startsWith('>')) {
+            if (WVFavs.APIManager && typeof WVFavs.APIManager.cancelRequestGroup === 'function' && this.app.currentSearchId) {
+                WVFavs.APIManager.cancelRequestGroup(this.app.currentSearchId, 'command mode');
+            }
+            this.app.currentSearchId = null;
+            this.renderCommandResults(query.slice(1));
+            return;
+        }
+
         // Track query refinement patterns - REMOVED (event eliminated in optimization)
 
         // Store current query for refinement tracking
@@ -1718,7 +1751,231 @@ WVFavs.EventHandler = new (class EventHandler {
         });
     }
 
+    /**
+     * Extension actions available in the quick search command mode (">")
+     * Each command: { id, title, subtitle, icon, keywords, isAvailable(), run() }
+     */
+    getPaletteCommands() {
+        const app = this.app;
+        const dom = WVFavs.DomManager;
+
+        return [
+            {
+                id: 'togglePin',
+                title: 'Pin / unpin current chat',
+                subtitle: 'Toggle the open chat in WorkVivo pinned chats',
+                icon: '📌',
+                keywords: 'pin unpin favorite star',
+                isAvailable: () => !!this.getCurrentChatHeader(),
+                run: async () => {
+                    try {
+                        await dom.sendPageScriptRequest('toggleWorkvivoPin', {}, 8000);
+                        const chatHeader = this.getCurrentChatHeader();
+                        if (chatHeader) {
+                            await dom.refreshChatHeader(chatHeader);
+                        }
+                    } catch (err) {
+                        const msg = err.message || 'Failed to toggle pin';
+                        dom.showSnackbar(msg.includes('maximum') ? 'Reached maximum pinned chats' : 'Failed to pin chat', 'error');
+                    }
+                }
+            },
+            {
+                id: 'openMentions',
+                title: 'Open Mentions',
+                subtitle: 'Show @mentions across all chats',
+                icon: '@',
+                keywords: 'mentions at notifications',
+                isAvailable: () => !!app.mentionsPanel,
+                run: () => app.mentionsPanel.openGlobalMentionsPanel()
+            },
+            {
+                id: 'openThreads',
+                title: 'Open Threads',
+                subtitle: 'Show threads in the current chat',
+                icon: '🧵',
+                keywords: 'threads replies conversation',
+                isAvailable: () => !!app.threadManager,
+                run: () => dom.openThreadPanel()
+            },
+            {
+                id: 'openDrafts',
+                title: 'Open Drafts',
+                subtitle: 'Show saved message drafts',
+                icon: '📝',
+                keywords: 'drafts unsent messages',
+                isAvailable: () => !!app.draftsPanel,
+                run: () => app.draftsPanel.openDraftsPanel()
+            },
+            {
+                id: 'openSearch',
+                title: 'Search messages',
+                subtitle: 'Open the message search panel',
+                icon: '🔍',
+                keywords: 'search find messages',
+                isAvailable: () => !!app.searchPanel,
+                run: () => app.searchPanel.openGlobalSearchPanel()
+            },
+            {
+                id: 'startMeet',
+                title: 'Start Google Meet',
+                subtitle: 'Create an instant meeting in the current chat',
+                icon: '📹',
+                keywords: 'google meet video call meeting',
+                isAvailable: () => !!app.googleMeetManager,
+                run: async () => {
+                    const meetButton = document.querySelector('.wv-google-meet-toolbar-button button');
+                    if (!meetButton) {
+                        dom.showSnackbar('Open a chat to start a Google Meet', 'info');
+                        return;
+                    }
+                    await dom.handleCreateGoogleMeet(meetButton);
+                }
+            },
+            {
+                id: 'setStatus',
+                title: 'Set status',
+                subtitle: 'Update your availability status',
+                icon: '🟢',
+                keywords: 'status availability away busy',
+                isAvailable: () => !!app.statusDialog,
+                run: () => app.statusDialog.openStatusDialog()
+            },
+            {
+                id: 'toggleDarkMode',
+                title: 'Toggle dark mode',
+                subtitle: 'Cycle Auto → Dark → Light',
+                icon: '🌓',
+                keywords: 'dark light theme appearance',
+                isAvailable: () => !!WVFavs.ThemeManager,
+                run: () => {
+                    const tm = WVFavs.ThemeManager;
+                    const next = { auto: 'dark', dark: 'light', light: 'auto' };
+                    const labels = { auto: 'Auto', dark: 'Dark', light: 'Light' };
+                    const newMode = next[tm.currentMode] || 'auto';
+                    tm.setMode(newMode);
+                    dom.showSnackbar(`Theme: ${labels[newMode]}`);
+                }
+            }
+        ];
+    }
+
+    getCurrentChatHeader() {
+        return document.querySelector('[data-testid="message-section"]')?.querySelector('.tw-p-4.tw-border-b.tw-border-slate-200.tw-rounded-t-lg.tw-absolute.tw-top-0');
+    }
+
+    /**
+     * Score how well a query fuzzily matches text (characters in order, not necessarily adjacent)
+     * @returns {number|null} Higher is better, null when not all characters are found
+     */
+    fuzzyMatchScore(query, text) {
+        const q = query.toLowerCase().replace(/\s+/g, '');
+        const t = text.toLowerCase();
+        if (!q) return 0;
+
+        let score = 0;
+        let textIndex = 0;
+        let lastMatch = -2;
+
+        for (const char of q) {
+            const found = t.indexOf(char, textIndex);
+            if (found === -1) return null;
+
+            score += 1;
+            if (found === lastMatch + 1) score += 2; // Consecutive characters
+            if (found === 0 || /[\s/-]/.test(t[found - 1])) score += 3; // Start of a word
+
+            lastMatch = found;
+            textIndex = found + 1;
+        }
+
+        // Prefer shorter texts when scores tie
+        return score - t.length * 0.01;
+    }
+
+    renderCommandResults(query) {
+        const resultsContainer = document.querySelector('.wv-favorites-quick-search-results');
+        if (!resultsContainer) return;
+
+        const trimmedQuery = query.trim();
+        const commands = this.getPaletteCommands()
+            .filter(command => command.isAvailable())
+            .map(command => {
+                const titleScore = this.fuzzyMatchScore(trimmedQuery, command.title);
+                const keywordScore = this.fuzzyMatchScore(trimmedQuery, command.keywords);
+                const best = Math.max(titleScore ?? -Infinity, keywordScore !== null ? keywordScore - 1 : -Infinity);
+                return { command, score: best };
+            })
+            .filter(entry => entry.score !== -Infinity)
+            .sort((a, b) => b.score - a.score)
+            .map(entry => ({ ...entry.command, name: entry.command.title, _resultType: 'command' }));
+
+        this.app.allSearchResults = commands;
+        this.app.selectedSearchIndex = 0;
+
+        if (commands.length === 0) {
+            resultsContainer.innerHTML = `
+                <div class="wv-favorites-quick-search-empty">
+                    <div class="wv-favorites-quick-search-empty-icon">⌘</div>
+                    <div class="wv-favorites-quick-search-empty-text">No commands match "${this.escapeHtml(trimmedQuery)}"</div>
+                </div>
+            `;
+            return;
+        }
+
+        let html = `<div class="wv-favorites-quick-search-section">
+            <div class="wv-favorites-quick-search-section-title">Commands</div>
+        </div>`;
+
+        commands.forEach((command, index) => {
+            html += `
+                <div class="wv-favorites-quick-search-item wv-favorites-quick-search-command ${index === 0 ? 'selected' : ''}" data-index="${index}" data-chat-id="${command.id}">
+                    <div class="wv-favorites-quick-search-avatar wv-favorites-quick-search-command-icon">${command.icon}</div>
+                    <div class="wv-favorites-quick-search-info">
+                        <div class="wv-favorites-quick-search-name">${this.escapeHtml(command.title)}</div>
+                        <div class="wv-favorites-quick-search-meta">${this.escapeHtml(command.subtitle)}</div>
+                    </div>
+                </div>
+            `;
+        });
+
+        resultsContainer.innerHTML = html;
+        this.updateSelectedSearchResult();
+    }
+
+    async runPaletteCommand(command) {
+        // Both click handlers may fire for the same item; only run once
+        if (!this.app.quickSearchOpen) return;
+
+        this.app?.logger?.log('⌘ Running palette command:', command.id);
+        if (this.app.logger) {
+            this.app?.logger?.analytics('command_palette_used', {
+                command_id: command.id
+            });
+        }
+
+        this.closeQuickSearch('command_selected');
+
+        try {
+            await command.run();
+        } catch (error) {
+            this.app?.logger?.error('❌ Palette command failed:', { command: command.id, error: error.message });
+            WVFavs.DomManager.showSnackbar('Command failed', 'error');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     commitSearchSelection(item) {
+        if (item._resultType === 'command') {
+            this.runPaletteCommand(item);
+            return;
+        }
+
         if (this.app.logger) {
             this.app?.logger?.log('🎯 commitSearchSelection called', {
                 name: item.name,
@@ -2512,14 +2769,17 @@ WVFavs.EventHandler = new (class EventHandler {
 
     handleChatSwitcherKeyboard(e) {
         const modifierKey = this.app.isModifierKeyPressed(e);
-        const isBackslashKey = e.key === '\\' || e.key === '|' || e.code === 'Backslash' || e.keyCode === 220;
+        const registry = WVFavs.ShortcutRegistry;
+        const isSwitcherKey = registry
+            ? registry.findAction(e, modifierKey) === 'chatSwitcher'
+            : modifierKey && e.code === 'Backslash';
 
-        // Handle backslash with modifier (for cycling when modal is open)
-        if (modifierKey && isBackslashKey) {
+        // Handle the switcher shortcut again (for cycling when modal is open)
+        if (isSwitcherKey) {
             e.preventDefault();
             this.app.switcherIndex = (this.app.switcherIndex + 1) % this.app.switcherChats.length;
             this.updateChatSwitcherSelection();
-            this.app?.logger?.log('🔄 Cycling with \\, new index:', this.app.switcherIndex);
+            this.app?.logger?.log('🔄 Cycling with switcher shortcut, new index:', this.app.switcherIndex);
         }
         // Handle arrow keys
         else if (e.key === 'ArrowDown') {
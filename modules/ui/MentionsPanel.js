@@ -13,6 +13,28 @@ WVFavs.MentionsPanel = class MentionsPanel {
 
         // Load show full message setting from localStorage: true or false (default)
         this.showFullMessage = localStorage.getItem('wv-mentions-show-full-message') === 'true';
+
+        // Active tab: 'unread', 'all' (default), 'snoozed', 'done' or 'watched'
+        this.activeTab = localStorage.getItem('wv-mentions-active-tab') || 'all';
+
+        // Re-render open panels when a snooze comes due
+        window.addEventListener('wv-mentions-snooze-due', () => {
+            document.querySelectorAll('.wv-favorites-mentions-panel, .wv-favorites-global-mentions-panel')
+                .forEach(panel => this.refreshPanelList(panel));
+            WVFavs.DomManager?.updateMentionsBadge(this.app.mentionsManager?.getUnreadCount() || 0);
+        });
+
+        // New watched keyword hit: refresh the list if it's showing, otherwise just the tab count
+        window.addEventListener('wv-keyword-hit', () => {
+            document.querySelectorAll('.wv-favorites-mentions-panel, .wv-favorites-global-mentions-panel')
+                .forEach(panel => {
+                    if (this.activeTab === 'watched') {
+                        this.refreshPanelList(panel);
+                    } else {
+                        this.updateTabs(panel);
+                    }
+                });
+        });
     }
 
     /**
@@ -114,13 +136,17 @@ WVFavs.MentionsPanel = class MentionsPanel {
         const header = this.createHeader();
         panel.appendChild(header);
 
-        // Create mentions list (no tabs - just show all)
+        // Create tabs (Unread / All / Snoozed / Done)
+        panel.appendChild(this.createTabs());
+
+        // Create mentions list (filtered by active tab)
         const mentionsList = this.createMentionsList(mentions, user);
         panel.appendChild(mentionsList);
 
         // Create footer with show full message toggle
         console.log('🔍 [MentionsPanel] Creating footer...');
         const footer = this.createFooter();
+        this.addNotificationMuteToggle(footer);
         console.log('🔍 [MentionsPanel] Footer created:', footer);
         console.log('🔍 [MentionsPanel] Footer HTML:', footer.innerHTML.substring(0, 200));
         panel.appendChild(footer);
@@ -234,6 +260,42 @@ WVFavs.MentionsPanel = class MentionsPanel {
         return footer;
     }
 
+    /**
+     * Add a per-chat desktop notification toggle to the footer (per-channel panel only)
+     */
+    addNotificationMuteToggle(footer) {
+        const notifier = this.app.mentionNotifier;
+        const channelUrl = this.app.threadManager?.getCurrentChannel();
+        if (!notifier || !channelUrl) return;
+
+        const label = document.createElement('label');
+        label.title = 'Desktop notifications for mentions in this chat';
+        label.style.cssText = 'display: flex; align-items: center; gap: 6px; cursor: pointer; user-select: none; margin: 0 0 0 auto;';
+        label.innerHTML = `
+            <input type="checkbox" class="wv-mentions-notify-toggle" ${notifier.isChannelMuted(channelUrl) ? '' : 'checked'}
+                style="width: 14px; height: 14px; cursor: pointer;">
+            <span style="color: #475569;">🔔 Notify</span>
+        `;
+
+        const checkbox = label.querySelector('.wv-mentions-notify-toggle');
+        checkbox.addEventListener('change', async () => {
+            let channelName = null;
+            try {
+                channelName = (await WVFavs.APIManager.getChannelInfo(channelUrl))?.name || null;
+            } catch (error) {
+                // Name is only used for the options page list
+            }
+
+            await notifier.setChannelMuted(channelUrl, !checkbox.checked, channelName);
+            WVFavs.DomManager?.showSnackbar(
+                checkbox.checked ? 'Mention notifications on for this chat' : 'Mention notifications muted for this chat',
+                'info'
+            );
+        });
+
+        footer.appendChild(label);
+    }
+
     /**
      * Create debug info section showing detected user
      */
@@ -356,43 +418,125 @@ WVFavs.MentionsPanel = class MentionsPanel {
             padding: 8px 12px;
             border-bottom: 1px solid #e5e7eb;
             background: white;
+            flex-shrink: 0;
         `;
 
+        const tabs = [
+            { id: 'unread', label: 'Unread' },
+            { id: 'all', label: 'All' },
+            { id: 'snoozed', label: 'Snoozed' },
+            { id: 'done', label: 'Done' }
+        ];
+        if (this.app.keywordWatcher) {
+            tabs.push({ id: 'watched', label: 'Watched' });
+        } else if (this.activeTab === 'watched') {
+            this.activeTab = 'all';
+        }
+
         tabsContainer.innerHTML = `
             <div style="display: inline-flex; border: 1px solid #d1d5db; border-radius: 6px; overflow: hidden; width: 100%;">
-                <button class="wv-mentions-tab wv-mentions-tab-active" data-tab="unread" style="
-                    flex: 1;
-                    padding: 6px 12px;
-                    border: none;
-                    border-right: 1px solid #d1d5db;
-                    background: #eff6ff;
-                    cursor: pointer;
-                    font-size: 12px;
-                    font-weight: 600;
-                    color: #1e40af;
-                    transition: all 0.15s;
-                ">
-                    Unread
-                </button>
-                <button class="wv-mentions-tab" data-tab="all" style="
-                    flex: 1;
-                    padding: 6px 12px;
-                    border: none;
-                    background: white;
-                    cursor: pointer;
-                    font-size: 12px;
-                    font-weight: 500;
-                    color: #374151;
-                    transition: all 0.15s;
-                ">
-                    All
-                </button>
+                ${tabs.map((tab, index) => {
+                    const isActive = tab.id === this.activeTab;
+                    return `
+                        <button class="wv-mentions-tab${isActive ? ' wv-mentions-tab-active' : ''}" data-tab="${tab.id}" style="
+                            flex: 1;
+                            padding: 6px 4px;
+                            border: none;
+                            ${index < tabs.length - 1 ? 'border-right: 1px solid #d1d5db;' : ''}
+                            background: ${isActive ? '#eff6ff' : 'white'};
+                            cursor: pointer;
+                            font-size: 12px;
+                            font-weight: ${isActive ? '600' : '500'};
+                            color: ${isActive ? '#1e40af' : '#374151'};
+                            transition: all 0.15s;
+                            white-space: nowrap;
+                        ">
+                            ${tab.label}<span class="wv-mentions-tab-count" style="margin-left: 4px; font-size: 10px; opacity: 0.7;"></span>
+                        </button>
+                    `;
+                }).join('')}
             </div>
         `;
 
         return tabsContainer;
     }
 
+    /**
+     * Update tab highlight and counts
+     */
+    updateTabs(panel) {
+        const counts = {};
+        ['unread', 'all', 'snoozed', 'done'].forEach(tab => {
+            counts[tab] = this.getMentionsForTab(panel, tab).length;
+        });
+        // Watched shows new hits only
+        counts.watched = this.app.keywordWatcher?.getUnseenCount() || 0;
+
+        panel.querySelectorAll('.wv-mentions-tab').forEach(button => {
+            const tab = button.dataset.tab;
+            const isActive = tab === this.activeTab;
+
+            button.classList.toggle('wv-mentions-tab-active', isActive);
+            button.style.background = isActive ? '#eff6ff' : 'white';
+            button.style.fontWeight = isActive ? '600' : '500';
+            button.style.color = isActive ? '#1e40af' : '#374151';
+
+            // "All" is the loaded list, so its count isn't meaningful while more pages exist
+            const countEl = button.querySelector('.wv-mentions-tab-count');
+            if (countEl) {
+                countEl.textContent = tab !== 'all' && counts[tab] > 0 ? counts[tab] : '';
+            }
+        });
+    }
+
+    /**
+     * Get the mentions shown in a tab
+     * The per-channel panel only shows snoozed/done mentions from the current channel
+     * @param {HTMLElement} panel - Panel element
+     * @param {string} tab - Tab id
+     * @returns {Array} Mentions
+     */
+    getMentionsForTab(panel, tab = this.activeTab) {
+        const manager = this.app.mentionsManager;
+        if (!manager) return [];
+
+        const categorized = manager.categorizeMentions();
+        let mentions;
+        switch (tab) {
+            case 'watched': mentions = this.app.keywordWatcher?.getHitsAsMentions() || []; break;
+            case 'unread': mentions = categorized.unread; break;
+            case 'snoozed': mentions = categorized.snoozed; break;
+            case 'done': mentions = categorized.done; break;
+            default: mentions = [...categorized.unread, ...categorized.read].sort((a, b) => b.created_at - a.created_at);
+        }
+
+        const isGlobalPanel = panel?.classList.contains('wv-favorites-global-mentions-panel');
+        const channelUrl = !isGlobalPanel ? this.app.threadManager?.getCurrentChannel() : null;
+        if (channelUrl) {
+            mentions = mentions.filter(m => m.channel_url === channelUrl);
+        }
+
+        return mentions;
+    }
+
+    /**
+     * Re-render the list for the active tab and re-attach handlers
+     */
+    async refreshPanelList(panel) {
+        const mentionsList = panel?.querySelector('.wv-favorites-mentions-list');
+        if (!mentionsList) return;
+
+        const user = await this.app.userIdentity?.getCurrentUser();
+        const mentions = this.app.mentionsManager?.mentions || [];
+
+        this.renderMentionsList(mentionsList, mentions, user);
+        this.attachMentionClickHandlers(panel);
+        this.attachLoadMoreHandler(panel);
+        this.updateTabs(panel);
+
+        this.fetchChannelNamesProgressively(this.getMentionsForTab(panel), mentionsList);
+    }
+
     /**
      * Create mentions list container
      */
@@ -437,29 +581,49 @@ WVFavs.MentionsPanel = class MentionsPanel {
             return;
         }
 
+        // Show only the active tab's mentions
+        const panel = listElement.closest('.wv-favorites-mentions-panel, .wv-favorites-global-mentions-panel');
+        const tab = this.activeTab;
+        if (this.app.mentionsManager) {
+            mentions = this.getMentionsForTab(panel, tab);
+        }
+
         if (!mentions || mentions.length === 0) {
+            const emptyStates = {
+                unread: ['No unread mentions', 'You\'re all caught up'],
+                all: ['No mentions found', 'You haven\'t been mentioned yet'],
+                snoozed: ['No snoozed mentions', 'Snoozed mentions come back as unread when due'],
+                done: ['Nothing marked done', 'Mentions you mark done are kept here'],
+                watched: ['No watched keywords yet', 'Add words to watch in the extension options']
+            };
+            const [title, subtitle] = emptyStates[tab] || emptyStates.all;
+
             listElement.innerHTML = `
                 <div style="text-align: center; padding: 40px 20px; color: #94a3b8;">
                     <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="margin: 0 auto 16px;">
                         <circle cx="12" cy="12" r="10"/>
                         <text x="12" y="16" font-size="14" fill="currentColor" text-anchor="middle" font-weight="bold">@</text>
                     </svg>
-                    <p style="margin: 0; font-size: 14px;">No mentions found</p>
-                    <p style="margin: 8px 0 0 0; font-size: 12px; color: #cbd5e1;">You haven't been mentioned yet</p>
+                    <p style="margin: 0; font-size: 14px;">${title}</p>
+                    <p style="margin: 8px 0 0 0; font-size: 12px; color: #cbd5e1;">${subtitle}</p>
                 </div>
             `;
-            return;
+        } else {
+            // Render mention items
+            mentions.forEach(mention => {
+                const mentionItem = this.createMentionItem(mention, user);
+                listElement.appendChild(mentionItem);
+            });
         }
 
-        // Render mention items
-        mentions.forEach(mention => {
-            const mentionItem = this.createMentionItem(mention, user);
-            listElement.appendChild(mentionItem);
-        });
+        // Watched hits have been seen once the tab is shown
+        if (tab === 'watched') {
+            this.app.keywordWatcher?.markAllSeen();
+        }
 
-        // Add "Load More" button if there are more mentions
+        // Add "Load More" button if there are more mentions (snoozed/done/watched come from local state)
         const stats = this.app.mentionsManager?.getStats();
-        if (stats?.has_more) {
+        if (stats?.has_more && (tab === 'unread' || tab === 'all')) {
             const loadMoreBtn = this.createLoadMoreButton();
             listElement.appendChild(loadMoreBtn);
         }
@@ -475,6 +639,7 @@ WVFavs.MentionsPanel = class MentionsPanel {
         item.dataset.channelUrl = mention.channel_url;
 
         item.style.cssText = `
+            position: relative;
             background: white;
             border-radius: 8px;
             padding: 12px;
@@ -593,8 +758,25 @@ WVFavs.MentionsPanel = class MentionsPanel {
                     <div class="wv-mention-message-text" style="font-size: 13px; color: #334155; line-height: 1.5; word-wrap: break-word;">
                         ${this.highlightMentions(mention.message, user)}
                     </div>
+                    ${mention.matched_terms?.length ? `
+                        <div style="margin-top: 6px; display: flex; flex-wrap: wrap; gap: 4px;">
+                            ${mention.matched_terms.map(term => `
+                                <span style="padding: 1px 6px; background: #fef3c7; color: #92400e; border-radius: 4px; font-size: 10px; font-weight: 600;">${this.escapeHtml(term)}</span>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                    ${mention.snooze_until ? `
+                        <div style="margin-top: 6px; font-size: 11px; color: #b45309; display: flex; align-items: center; gap: 4px;">
+                            <svg width="11" height="11" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <circle cx="12" cy="12" r="10"/>
+                                <polyline points="12 6 12 12 16 14"/>
+                            </svg>
+                            Back ${this.formatSnoozeUntil(mention.snooze_until)}
+                        </div>
+                    ` : ''}
                 </div>
             </div>
+            ${this.createMentionActionsHtml(mention)}
         `;
 
         // Apply line clamp based on current setting
@@ -604,19 +786,96 @@ WVFavs.MentionsPanel = class MentionsPanel {
         }
 
         // Hover effects
+        const actions = item.querySelector('.wv-mention-actions');
         item.addEventListener('mouseenter', () => {
             item.style.transform = 'translateX(-4px)';
             item.style.boxShadow = '0 4px 12px rgba(102, 126, 234, 0.2)';
+            if (actions) actions.style.opacity = '1';
         });
 
         item.addEventListener('mouseleave', () => {
             item.style.transform = 'translateX(0)';
             item.style.boxShadow = '0 1px 3px rgba(0, 0, 0, 0.1)';
+            if (actions) actions.style.opacity = '0';
         });
 
         return item;
     }
 
+    /**
+     * Hover actions for a mention item, depending on its snooze/done state
+     */
+    createMentionActionsHtml(mention) {
+        const status = this.app.mentionsManager?.getMentionState(mention.message_id)?.status;
+
+        const buttonStyle = `
+            width: 26px;
+            height: 26px;
+            border: 1px solid #e5e7eb;
+            border-radius: 6px;
+            background: white;
+            color: #64748b;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 0;
+        `;
+
+        const icons = {
+            snooze: '<circle cx="12" cy="13" r="8"/><polyline points="12 9 12 13 14 15"/><path d="M5 3L2 6M22 6l-3-3"/>',
+            done: '<polyline points="20 6 9 17 4 12"/>',
+            restore: '<polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/>',
+            dismiss: '<path d="M18 6L6 18M6 6l12 12"/>'
+        };
+
+        const button = (action, title) => `
+            <button class="wv-mention-action-btn" data-action="${action}" title="${title}" style="${buttonStyle}">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${icons[action === 'unsnooze' ? 'restore' : action]}</svg>
+            </button>
+        `;
+
+        let buttons;
+        if (mention.is_watch_hit) {
+            buttons = button('dismiss', 'Dismiss');
+        } else if (status === 'done') {
+            buttons = button('restore', 'Move back to inbox');
+        } else if (status === 'snoozed') {
+            buttons = button('snooze', 'Change snooze time') + button('unsnooze', 'Unsnooze') + button('done', 'Mark as done');
+        } else {
+            buttons = button('snooze', 'Snooze') + button('done', 'Mark as done');
+        }
+
+        return `
+            <div class="wv-mention-actions" style="
+                position: absolute;
+                top: 8px;
+                right: 8px;
+                display: flex;
+                gap: 4px;
+                opacity: 0;
+                transition: opacity 0.15s;
+            ">${buttons}</div>
+        `;
+    }
+
+    /**
+     * Format a snooze time relative to today, e.g. "today 14:30", "tomorrow 09:00", "Mon 09:00"
+     */
+    formatSnoozeUntil(timestamp) {
+        const date = new Date(timestamp);
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        const startOfToday = new Date();
+        startOfToday.setHours(0, 0, 0, 0);
+        const dayDiff = Math.floor((date - startOfToday) / (24 * 60 * 60 * 1000));
+
+        if (dayDiff <= 0) return `today ${time}`;
+        if (dayDiff === 1) return `tomorrow ${time}`;
+        if (dayDiff < 7) return `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+        return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+    }
+
     /**
      * Create "Load More" button
      */
@@ -699,6 +958,16 @@ WVFavs.MentionsPanel = class MentionsPanel {
         });
 
         // Tab switching
+        panel.querySelectorAll('.wv-mentions-tab').forEach(tabButton => {
+            tabButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.activeTab = tabButton.dataset.tab;
+                localStorage.setItem('wv-mentions-active-tab', this.activeTab);
+                this.refreshPanelList(panel);
+            });
+        });
+        this.updateTabs(panel);
+
         // Mention item clicks
         this.attachMentionClickHandlers(panel);
 
@@ -748,7 +1017,9 @@ WVFavs.MentionsPanel = class MentionsPanel {
                 // Find the full mention object to check if it's a reply
                 // Convert messageId to number for comparison since dataset values are strings
                 const messageIdNum = parseInt(messageId, 10);
-                const mention = this.app.mentionsManager?.mentions.find(m => m.message_id === messageIdNum);
+                const mention = this.app.mentionsManager?.mentions.find(m => m.message_id === messageIdNum) ||
+                    this.app.mentionsManager?.getMentionState(messageId)?.mention ||
+                    this.app.keywordWatcher?.getHit(messageId);
 
                 // Mark as read
                 if (this.app.mentionsManager) {
@@ -804,6 +1075,172 @@ WVFavs.MentionsPanel = class MentionsPanel {
                 // Don't close panel - keep it open for reference
             });
         });
+
+        this.attachMentionActionHandlers(panel);
+    }
+
+    /**
+     * Attach snooze / done / restore handlers to mention item actions
+     */
+    attachMentionActionHandlers(panel) {
+        panel.querySelectorAll('.wv-mention-action-btn').forEach(button => {
+            button.addEventListener('click', (e) => {
+                // Keep the item's navigation click (and global panel's click-outside) from firing
+                e.stopPropagation();
+
+                const manager = this.app.mentionsManager;
+                const messageId = button.closest('.wv-favorites-mention-item')?.dataset.messageId;
+                const action = button.dataset.action;
+                if (action === 'dismiss') {
+                    this.app.keywordWatcher?.removeHit(messageId);
+                    this.refreshPanelList(panel);
+                    return;
+                }
+
+                const mention = manager?.mentions.find(m => String(m.message_id) === messageId) ||
+                    manager?.getMentionState(messageId)?.mention;
+                if (!mention) return;
+
+                switch (action) {
+                    case 'snooze':
+                        this.showSnoozeMenu(button, mention, panel);
+                        return;
+                    case 'done':
+                        manager.markMentionDone(mention);
+                        WVFavs.DomManager?.showSnackbar('Mention marked as done', 'success');
+                        break;
+                    case 'unsnooze':
+                    case 'restore':
+                        manager.restoreMention(messageId);
+                        WVFavs.DomManager?.showSnackbar('Mention moved back to inbox', 'info');
+                        break;
+                }
+
+                if (this.app.analytics) {
+                    this.app.analytics.trackEvent('mention_state_changed', { action });
+                }
+
+                this.refreshPanelList(panel);
+                WVFavs.DomManager?.updateMentionsBadge(this.app.mentionsManager.getUnreadCount());
+            });
+        });
+    }
+
+    /**
+     * Show snooze presets plus a custom date/time picker under a button
+     */
+    showSnoozeMenu(anchor, mention, panel) {
+        panel.querySelector('.wv-mention-snooze-menu')?.remove();
+
+        const manager = this.app.mentionsManager;
+        const menu = document.createElement('div');
+        menu.className = 'wv-mention-snooze-menu';
+
+        const panelRect = panel.getBoundingClientRect();
+        const anchorRect = anchor.getBoundingClientRect();
+        menu.style.cssText = `
+            position: absolute;
+            top: ${anchorRect.bottom - panelRect.top + 4}px;
+            right: ${Math.max(8, panelRect.right - anchorRect.right)}px;
+            width: 210px;
+            background: white;
+            border: 1px solid #e5e7eb;
+            border-radius: 8px;
+            box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+            padding: 4px;
+            z-index: 10001;
+            font-size: 13px;
+        `;
+
+        // Default the custom picker to tomorrow at the current time
+        const defaultCustom = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        defaultCustom.setSeconds(0, 0);
+        const localValue = new Date(defaultCustom.getTime() - defaultCustom.getTimezoneOffset() * 60000)
+            .toISOString().slice(0, 16);
+
+        menu.innerHTML = `
+            <div style="padding: 6px 8px; font-size: 11px; font-weight: 600; color: #6b7280; text-transform: uppercase;">Snooze until</div>
+            ${manager.getSnoozeOptions().map(option => `
+                <button class="wv-mention-snooze-option" data-until="${option.until}" style="
+                    display: block;
+                    width: 100%;
+                    text-align: left;
+                    padding: 6px 8px;
+                    border: none;
+                    border-radius: 4px;
+                    background: transparent;
+                    color: #111827;
+                    cursor: pointer;
+                    font-size: 13px;
+                ">${option.label}</button>
+            `).join('')}
+            <div style="border-top: 1px solid #f3f4f6; margin: 4px 0; padding: 6px 8px 2px;">
+                <div style="font-size: 11px; color: #6b7280; margin-bottom: 4px;">Custom</div>
+                <div style="display: flex; gap: 4px;">
+                    <input type="datetime-local" class="wv-mention-snooze-custom" value="${localValue}" style="
+                        flex: 1;
+                        min-width: 0;
+                        padding: 4px;
+                        border: 1px solid #d1d5db;
+                        border-radius: 4px;
+                        font-size: 12px;
+                    ">
+                    <button class="wv-mention-snooze-custom-btn" style="
+                        padding: 4px 8px;
+                        border: none;
+                        border-radius: 4px;
+                        background: #667eea;
+                        color: white;
+                        cursor: pointer;
+                        font-size: 12px;
+                    ">Set</button>
+                </div>
+            </div>
+        `;
+
+        const closeMenu = () => {
+            menu.remove();
+            document.removeEventListener('mousedown', handleOutside, true);
+        };
+        const handleOutside = (e) => {
+            if (!menu.contains(e.target) && e.target !== anchor) {
+                closeMenu();
+            }
+        };
+
+        const applySnooze = (until) => {
+            if (!until || isNaN(until) || until <= Date.now()) {
+                WVFavs.DomManager?.showSnackbar('Pick a time in the future', 'error');
+                return;
+            }
+
+            manager.snoozeMention(mention, until);
+            closeMenu();
+            WVFavs.DomManager?.showSnackbar(`Snoozed until ${this.formatSnoozeUntil(until)}`, 'success');
+
+            if (this.app.analytics) {
+                this.app.analytics.trackEvent('mention_state_changed', { action: 'snooze' });
+            }
+
+            this.refreshPanelList(panel);
+            WVFavs.DomManager?.updateMentionsBadge(this.app.mentionsManager.getUnreadCount());
+        };
+
+        menu.addEventListener('click', (e) => e.stopPropagation());
+
+        menu.querySelectorAll('.wv-mention-snooze-option').forEach(option => {
+            option.addEventListener('mouseenter', () => { option.style.background = '#f3f4f6'; });
+            option.addEventListener('mouseleave', () => { option.style.background = 'transparent'; });
+            option.addEventListener('click', () => applySnooze(Number(option.dataset.until)));
+        });
+
+        menu.querySelector('.wv-mention-snooze-custom-btn').addEventListener('click', () => {
+            const value = menu.querySelector('.wv-mention-snooze-custom').value;
+            applySnooze(value ? new Date(value).getTime() : null);
+        });
+
+        panel.appendChild(menu);
+        document.addEventListener('mousedown', handleOutside, true);
     }
 
     /**
@@ -861,6 +1298,7 @@ WVFavs.MentionsPanel = class MentionsPanel {
 
                         // Re-attach footer toggle handler
                         this.reattachFooterHandlers(panel);
+                        this.updateTabs(panel);
 
                         // Fetch channel names progressively for newly loaded mentions
                         console.log('🔄 Fetching channel names for newly loaded mentions...');
@@ -1258,45 +1696,20 @@ WVFavs.MentionsPanel = class MentionsPanel {
 
             // Step 2: Fetch mentions (fast - without channel names)
             const mentions = await this.app.mentionsManager?.searchMentions(true, true);
-            const stats = this.app.mentionsManager?.getStats();
 
             console.log('📧 Mentions returned:', mentions?.length);
 
             // Step 3: Update panel with mentions immediately
             const listContainer = panel.querySelector('.wv-favorites-mentions-list');
             if (listContainer) {
-                // Clear loading state
-                listContainer.innerHTML = '';
-
-                if (!mentions || mentions.length === 0) {
-                    listContainer.innerHTML = `
-                        <div style="padding: 40px 20px; text-align: center;">
-                            <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#cbd5e1" stroke-width="2" style="margin: 0 auto 12px;">
-                                <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
-                                <text x="12" y="14" font-size="10" fill="currentColor" text-anchor="middle" font-weight="bold">@</text>
-                            </svg>
-                            <p style="margin: 8px 0 0 0; font-size: 12px; color: #cbd5e1;">You haven't been mentioned yet</p>
-                        </div>
-                    `;
-                } else {
-                    // Render mentions without channel names first
-                    mentions.forEach(mention => {
-                        const mentionItem = this.createMentionItem(mention, user);
-                        listContainer.appendChild(mentionItem);
-                    });
+                // Render the active tab without channel names first (handles empty state and Load More)
+                this.renderMentionsList(listContainer, mentions || [], user);
 
-                    // Add "Load More" button if needed
-                    if (stats?.has_more) {
-                        const loadMoreBtn = this.createLoadMoreButton();
-                        listContainer.appendChild(loadMoreBtn);
-                    }
+                // Set up event listeners
+                this.setupPanelEventListeners(panel, user, mentions || [], true);
 
-                    // Set up event listeners
-                    this.setupPanelEventListeners(panel, user, mentions, true);
-
-                    // Step 4: Fetch channel names progressively in background
-                    this.fetchChannelNamesProgressively(mentions, listContainer);
-                }
+                // Step 4: Fetch channel names progressively in background
+                this.fetchChannelNamesProgressively(this.getMentionsForTab(panel), listContainer);
             }
         } catch (error) {
             console.error('❌ Error loading mentions:', error);
@@ -1542,6 +1955,7 @@ WVFavs.MentionsPanel = class MentionsPanel {
         `;
 
         panel.appendChild(header);
+        panel.appendChild(this.createTabs());
 
         // Mentions list (show loading state or actual mentions)
         if (loading) {
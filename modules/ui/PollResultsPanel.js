@@ -0,0 +1,372 @@
+/**
+ * PollResultsPanel - Results of every poll in the open channel
+ * Lists polls PollManager has seen in this channel with per-option counts and, for polls
+ * that aren't anonymous, who voted for what. Creators can close and reopen their polls,
+ * and the whole channel's votes can be exported as CSV.
+ * Opened from the "Results" link on poll cards; the panel shell comes from SidebarPanel (sidebar overlay).
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.PollResultsPanel = class PollResultsPanel extends WVFavs.SidebarPanel {
+    constructor(app) {
+        super(app);
+        this.icon = '<line x1="4" y1="7" x2="14" y2="7" stroke-linecap="round"/><line x1="4" y1="12" x2="20" y2="12" stroke-linecap="round"/><line x1="4" y1="17" x2="10" y2="17" stroke-linecap="round"/>';
+        this.focusPollId = null;
+        this.voterCache = new Map(); // pollId -> Map(optionId -> [{ userId, name }])
+        this.renderTimer = null;
+
+        // Vote counts changed - drop cached voters for that poll and redraw
+        const onPollChanged = (event) => {
+            const { pollId } = event.detail || {};
+            this.voterCache.delete(pollId);
+            this.scheduleRender();
+        };
+        window.addEventListener('wv-poll-voted', onPollChanged);
+        window.addEventListener('wv-poll-closed', onPollChanged);
+        window.addEventListener('wv-poll-updated', onPollChanged);
+
+        window.addEventListener('wv-channel-changed', () => {
+            this.focusPollId = null;
+            this.scheduleRender();
+        });
+    }
+
+    get pollManager() {
+        return this.app.pollManager;
+    }
+
+    /**
+     * Open the results panel for the current channel
+     * @param {number} focusPollId - Poll to expand and scroll to (optional)
+     */
+    async openPanel(focusPollId = null) {
+        this.focusPollId = focusPollId;
+
+        if (this.currentPanel && document.body.contains(this.currentPanel)) {
+            await this.renderResults(this.currentPanel);
+            return;
+        }
+
+        const panel = this.createPanelElement();
+        document.body.appendChild(panel);
+        this.currentPanel = panel;
+
+        this.addPanelAnimations();
+        const pollCount = await this.renderResults(panel);
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('poll_results_opened', {
+                poll_count: pollCount || 0
+            });
+        }
+    }
+
+    createPanelElement() {
+        const { panel, footer } = this.createPanelShell({
+            prefix: 'poll-results',
+            title: 'Poll results',
+            icon: this.icon,
+            iconColor: '#3b82f6',
+            headerExtra: '<div class="wv-poll-results-channel" style="font-size: 12px; color: #6b7280; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></div>'
+        });
+
+        Object.assign(footer.style, { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' });
+        footer.innerHTML = `
+            <span class="wv-poll-results-note">Polls loaded in this chat</span>
+            <button class="wv-poll-results-export" style="padding: 4px 10px; border: 1px solid #e5e7eb; border-radius: 6px; background: white; color: #374151; font-size: 11px; cursor: pointer;">Export CSV</button>
+        `;
+
+        footer.querySelector('.wv-poll-results-export').addEventListener('click', (e) => this.exportCSV(e.currentTarget));
+
+        return panel;
+    }
+
+    scheduleRender() {
+        if (!this.currentPanel || this.renderTimer) return;
+        this.renderTimer = setTimeout(() => {
+            this.renderTimer = null;
+            if (this.currentPanel && document.body.contains(this.currentPanel)) {
+                this.renderResults(this.currentPanel);
+            }
+        }, 300);
+    }
+
+    /**
+     * Polls of a channel - cached copies where we have them, fetched otherwise
+     * @returns {Promise<Array<Object>>} Polls, newest first
+     */
+    async collectPolls(channelUrl) {
+        const pollIds = this.pollManager.getChannelPollIds(channelUrl);
+        const cached = new Map(this.pollManager.getAllPolls().map(poll => [poll.id, poll]));
+
+        const polls = await Promise.all(pollIds.map(async pollId => {
+            if (cached.get(pollId)?.options) return cached.get(pollId);
+            try {
+                return await this.pollManager.getPoll(pollId);
+            } catch (error) {
+                this.app?.logger?.warn('⚠️ Failed to load poll for results:', pollId, error);
+                return null;
+            }
+        }));
+
+        return polls.filter(Boolean);
+    }
+
+    /**
+     * Render all polls of the current channel
+     * @returns {Promise<number>} Number of polls shown
+     */
+    async renderResults(panel) {
+        const body = panel.querySelector('.wv-poll-results-body');
+        const channelUrl = this.app.threadManager?.getCurrentChannel();
+
+        if (!channelUrl) {
+            body.innerHTML = this.renderEmptyState('Open a chat to see its polls');
+            return 0;
+        }
+
+        // Guard against an older render finishing after a newer one
+        const renderKey = `${channelUrl}|${Date.now()}`;
+        panel.dataset.renderKey = renderKey;
+        this.resolveChannelName(panel, channelUrl);
+
+        const polls = await this.collectPolls(channelUrl);
+        if (panel.dataset.renderKey !== renderKey) return polls.length;
+
+        panel.querySelector('.wv-poll-results-export').disabled = polls.length === 0;
+
+        if (polls.length === 0) {
+            body.innerHTML = this.renderEmptyState('No polls loaded in this chat yet');
+            return 0;
+        }
+
+        body.innerHTML = '';
+        polls.forEach(poll => body.appendChild(this.createPollItem(poll)));
+
+        if (this.focusPollId) {
+            const focused = body.querySelector(`.wv-poll-results-item[data-poll-id="${this.focusPollId}"]`);
+            focused?.scrollIntoView({ block: 'start' });
+        }
+
+        return polls.length;
+    }
+
+    createPollItem(poll) {
+        const closed = this.pollManager.isPollClosed(poll);
+        const anonymous = this.pollManager.isPollAnonymous(poll);
+        const options = poll.options || [];
+        const totalVotes = options.reduce((sum, option) => sum + (option.vote_count || 0), 0);
+        const voterCount = poll.voter_count ?? totalVotes;
+        const base = poll.allow_multiple_votes ? Math.max(voterCount, 1) : Math.max(totalVotes, 1);
+
+        const item = document.createElement('div');
+        item.className = `wv-poll-results-item${poll.id === this.focusPollId ? ' wv-highlighted' : ''}`;
+        item.dataset.pollId = poll.id;
+        item.style.cssText = `
+            padding: 10px;
+            margin-bottom: 10px;
+            border: 1px solid ${poll.id === this.focusPollId ? '#93c5fd' : '#e5e7eb'};
+            border-radius: 8px;
+        `;
+
+        const meta = [
+            `${voterCount} ${voterCount === 1 ? 'voter' : 'voters'}`,
+            poll.allow_multiple_votes ? 'Multiple choice' : null,
+            anonymous ? 'Anonymous' : null,
+            poll.created_at ? this.formatDate(poll.created_at) : null
+        ].filter(Boolean).join(' · ');
+
+        item.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: flex-start; gap: 8px;">
+                <div style="font-size: 13px; font-weight: 600; color: #111827; min-width: 0;">${this.escapeHtml(poll.title)}</div>
+                <span class="wv-poll-results-status${closed ? '' : ' wv-active'}" style="flex-shrink: 0; padding: 1px 8px; border-radius: 999px; font-size: 10px; background: ${closed ? '#f3f4f6' : '#dcfce7'}; color: ${closed ? '#6b7280' : '#15803d'};">${closed ? 'Closed' : 'Open'}</span>
+            </div>
+            <div style="font-size: 11px; color: #9ca3af; margin: 2px 0 8px;">${meta}</div>
+            <div class="wv-poll-results-options"></div>
+        `;
+
+        const optionsEl = item.querySelector('.wv-poll-results-options');
+        options.forEach(option => {
+            const count = option.vote_count || 0;
+            const row = document.createElement('div');
+            row.className = 'wv-poll-results-option';
+            row.style.cssText = 'margin-bottom: 6px; font-size: 12px;';
+            row.innerHTML = `
+                <div style="display: flex; justify-content: space-between; gap: 6px; color: #374151;">
+                    <span style="min-width: 0; overflow: hidden; text-overflow: ellipsis;">${this.escapeHtml(option.text)}</span>
+                    <span style="color: #6b7280; flex-shrink: 0;">${count} · ${Math.round(count / base * 100)}%</span>
+                </div>
+                <div class="wv-poll-results-bar-track" style="height: 4px; border-radius: 2px; background: #f3f4f6; margin-top: 2px;">
+                    <div style="height: 100%; width: ${Math.round(count / base * 100)}%; border-radius: 2px; background: #3b82f6;"></div>
+                </div>
+            `;
+
+            if (!anonymous && count > 0) {
+                const voters = document.createElement('details');
+                voters.className = 'wv-poll-results-voters';
+                voters.style.cssText = 'margin-top: 2px; font-size: 11px; color: #6b7280;';
+                voters.innerHTML = `
+                    <summary style="cursor: pointer;">Voters</summary>
+                    <div class="wv-poll-results-voter-list" style="padding: 4px 0 0 12px;">Loading...</div>
+                `;
+                voters.addEventListener('toggle', () => {
+                    if (voters.open) this.renderVoters(poll.id, option.id, voters.querySelector('.wv-poll-results-voter-list'));
+                });
+                row.appendChild(voters);
+            }
+
+            optionsEl.appendChild(row);
+        });
+
+        if (this.pollManager.isPollCreator(poll)) {
+            const toggleBtn = document.createElement('button');
+            toggleBtn.className = 'wv-poll-results-toggle';
+            toggleBtn.textContent = closed ? 'Reopen poll' : 'Close poll';
+            toggleBtn.style.cssText = `margin-top: 4px; padding: 0; border: none; background: none; font-size: 11px; cursor: pointer; color: ${closed ? '#3b82f6' : '#dc2626'};`;
+            toggleBtn.addEventListener('click', () => this.togglePollStatus(poll, closed, toggleBtn));
+            item.appendChild(toggleBtn);
+        }
+
+        return item;
+    }
+
+    async renderVoters(pollId, optionId, container) {
+        try {
+            const voters = await this.getVoters(pollId, optionId);
+            container.innerHTML = voters.length > 0
+                ? voters.map(voter => `<div>${this.escapeHtml(voter.name)}</div>`).join('')
+                : 'No voters';
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to load poll voters:', error);
+            container.textContent = 'Could not load voters';
+        }
+    }
+
+    /**
+     * Voters of an option with names from the local user database
+     * @returns {Promise<Array<{userId: string, name: string}>>}
+     */
+    async getVoters(pollId, optionId) {
+        const pollVoters = this.voterCache.get(pollId) || new Map();
+        if (pollVoters.has(optionId)) return pollVoters.get(optionId);
+
+        const voters = await this.pollManager.getOptionVoters(pollId, optionId);
+        const resolved = await Promise.all(voters.map(async voter => {
+            const userId = voter.user_id;
+            const user = await this.app.smartUserDB?.getUserById(userId).catch(() => null);
+            return { userId, name: user?.name || voter.nickname || userId };
+        }));
+        resolved.sort((a, b) => a.name.localeCompare(b.name));
+
+        pollVoters.set(optionId, resolved);
+        this.voterCache.set(pollId, pollVoters);
+        return resolved;
+    }
+
+    async togglePollStatus(poll, closed, button) {
+        button.disabled = true;
+        try {
+            // wv-poll-closed / wv-poll-updated redraws the panel and the card in chat
+            if (closed) {
+                await this.pollManager.reopenPoll(poll.id);
+                WVFavs.DomManager.showSnackbar('Poll reopened');
+            } else {
+                await this.pollManager.closePoll(poll.id);
+                WVFavs.DomManager.showSnackbar('Poll closed');
+            }
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to change poll status:', error);
+            WVFavs.DomManager.showSnackbar(closed ? 'Could not reopen the poll' : 'Could not close the poll', 'warning');
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Download one row per vote (one row per option for anonymous polls)
+     */
+    async exportCSV(button) {
+        const channelUrl = this.app.threadManager?.getCurrentChannel();
+        if (!channelUrl) return;
+
+        button.disabled = true;
+        button.textContent = 'Exporting...';
+
+        try {
+            const polls = await this.collectPolls(channelUrl);
+            const rows = [];
+
+            for (const poll of polls) {
+                const anonymous = this.pollManager.isPollAnonymous(poll);
+                const status = this.pollManager.isPollClosed(poll) ? 'closed' : 'open';
+
+                for (const option of poll.options || []) {
+                    const base = { poll: poll.title, pollId: poll.id, status, option: option.text, optionVotes: option.vote_count || 0 };
+                    const voters = anonymous || !option.vote_count ? [] : await this.getVoters(poll.id, option.id);
+
+                    if (voters.length === 0) {
+                        rows.push({ ...base, voter: anonymous ? '(anonymous)' : '', voterId: '' });
+                    } else {
+                        voters.forEach(voter => rows.push({ ...base, voter: voter.name, voterId: voter.userId }));
+                    }
+                }
+            }
+
+            const columns = ['poll', 'pollId', 'status', 'option', 'optionVotes', 'voter', 'voterId'];
+            const lines = [columns.join(',')];
+            rows.forEach(row => lines.push(columns.map(column => WVFavs.Helpers.escapeCsvCell(row[column])).join(',')));
+
+            this.downloadFile(lines.join('\r\n'), `workvivo-polls-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+
+            if (this.app.analytics) {
+                this.app.analytics.trackEvent('poll_results_exported', {
+                    poll_count: polls.length,
+                    row_count: rows.length
+                });
+            }
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to export poll results:', error);
+            WVFavs.DomManager.showSnackbar('Could not export poll results', 'warning');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Export CSV';
+        }
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async resolveChannelName(panel, channelUrl) {
+        const label = panel.querySelector('.wv-poll-results-channel');
+        try {
+            const channelName = (await WVFavs.APIManager.getChannelInfo(channelUrl))?.name;
+            if (channelName && panel.dataset.renderKey?.startsWith(`${channelUrl}|`)) {
+                label.textContent = channelName;
+            }
+        } catch (error) {
+            // Channel name is optional
+        }
+    }
+
+    formatDate(timestamp) {
+        // Sendbird poll timestamps are in seconds
+        const ms = timestamp < 1e12 ? timestamp * 1000 : timestamp;
+        return new Date(ms).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    }
+
+    closePanel() {
+        this.focusPollId = null;
+        super.closePanel();
+    }
+};
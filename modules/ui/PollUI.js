@@ -0,0 +1,579 @@
+/**
+ * PollUI - Poll composer and in-chat poll cards on top of PollManager
+ * Adds a poll button to the main composer toolbar (next to Google Meet) that opens a
+ * creation dialog, and attaches a live results card under every poll message we know of.
+ * Cards are redrawn from the wv-poll-* events, so votes from other people show up as
+ * they arrive over the websocket.
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.PollUI = class PollUI {
+    constructor(app) {
+        this.app = app;
+        this.maxOptions = 10;
+        this.toolbarObserver = null;
+        this.toolbarRetryInterval = null;
+        this.renderTimer = null;
+        this.pendingFetches = new Set(); // pollIds being fetched for cards without details
+        this.eventHandlers = [];
+    }
+
+    get pollManager() {
+        return this.app.pollManager;
+    }
+
+    init() {
+        this.addToolbarButtons();
+        this.scheduleRender();
+
+        // Toolbars and messages are re-rendered by React on every channel switch
+        this.toolbarObserver = new MutationObserver(() => {
+            this.addToolbarButtons();
+            this.scheduleRender();
+        });
+
+        const messageSection = document.querySelector('[data-testid="message-section"]');
+        if (messageSection) {
+            this.toolbarObserver.observe(messageSection, { childList: true, subtree: true });
+        }
+
+        // The message section itself is replaced on some navigations
+        this.toolbarRetryInterval = setInterval(() => {
+            this.addToolbarButtons();
+            this.scheduleRender();
+        }, 2000);
+
+        const onPollChanged = (event) => {
+            const { pollId, poll } = event.detail || {};
+            this.updateCards(pollId, poll);
+        };
+        this.listen('wv-poll-voted', onPollChanged);
+        this.listen('wv-poll-closed', onPollChanged);
+        this.listen('wv-poll-updated', onPollChanged);
+        this.listen('wv-poll-messages-found', () => this.scheduleRender());
+
+        this.app?.logger?.log('📊 PollUI initialized');
+    }
+
+    listen(eventName, handler) {
+        window.addEventListener(eventName, handler);
+        this.eventHandlers.push([eventName, handler]);
+    }
+
+    // ===== Composer toolbar =====
+
+    /**
+     * Add the poll button to main-chat composers only - polls are sent to the channel,
+     * so offering them in a thread composer would post somewhere unexpected
+     */
+    addToolbarButtons() {
+        const settings = WVFavs.Settings.getAll();
+        if (settings.enablePolls === false) {
+            document.querySelectorAll('.wv-poll-toolbar-button, .wv-poll-card').forEach(el => el.remove());
+            return;
+        }
+
+        document.querySelectorAll('[data-testid="message-sending-options"]').forEach((messageOptions) => {
+            if (messageOptions.closest('[data-testid="thread-message-section"]')) return;
+            if (messageOptions.querySelector('.wv-poll-toolbar-button')) return;
+
+            const toolbar = messageOptions.querySelector('.tw-flex.tw-items-center .tw-flex.tw-items-center') ||
+                messageOptions.querySelector('.tw-flex.tw-items-center');
+            if (!toolbar) return;
+
+            // Same wrapper structure as WorkVivo's own toolbar buttons
+            const outerWrapper = document.createElement('div');
+            outerWrapper.className = 'tw-relative tw-mr-3.5 tw-flex-shrink-0 wv-poll-toolbar-button';
+
+            const innerWrapper = document.createElement('div');
+            innerWrapper.className = 'tw-pt-0 tw-flex';
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'tw-rounded-lg tw-relative tw-p-2 tw-bg-transparent hover:tw-bg-gray-200 tw-transition-colors tw-cursor-pointer tw-border-0';
+            button.setAttribute('aria-label', 'Create poll');
+            button.setAttribute('title', 'Create a poll');
+            button.innerHTML = `
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#6b7280" stroke-width="2" stroke-linecap="round">
+                    <line x1="4" y1="7" x2="14" y2="7"></line>
+                    <line x1="4" y1="12" x2="20" y2="12"></line>
+                    <line x1="4" y1="17" x2="10" y2="17"></line>
+                </svg>
+            `;
+
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.showCreateDialog();
+            });
+
+            innerWrapper.appendChild(button);
+            outerWrapper.appendChild(innerWrapper);
+            toolbar.appendChild(outerWrapper);
+
+            if (this.app?.trackFeatureDiscovery && !this.featureTracked) {
+                this.app.trackFeatureDiscovery('polls', 'toolbar_button');
+                this.featureTracked = true;
+            }
+        });
+    }
+
+    // ===== Creation dialog =====
+
+    showCreateDialog() {
+        if (document.querySelector('.wv-poll-dialog-overlay')) return;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'wv-poll-dialog-overlay';
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0, 0, 0, 0.5);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 999999;
+            backdrop-filter: blur(4px);
+        `;
+
+        const dialog = document.createElement('div');
+        dialog.className = 'wv-poll-dialog';
+        dialog.style.cssText = `
+            background: white;
+            border-radius: 12px;
+            padding: 24px;
+            max-width: 480px;
+            width: 90%;
+            max-height: 85vh;
+            overflow-y: auto;
+            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+        `;
+
+        const inputStyle = 'width: 100%; padding: 10px 12px; border: 2px solid #e5e7eb; border-radius: 8px; font-size: 14px; box-sizing: border-box;';
+        const labelStyle = 'display: block; margin-bottom: 6px; font-size: 14px; font-weight: 500; color: #374151;';
+
+        dialog.innerHTML = `
+            <div style="margin-bottom: 20px;">
+                <h3 style="margin: 0 0 8px 0; font-size: 20px; font-weight: 600; color: #1f2937;">Create poll</h3>
+                <p style="margin: 0; font-size: 14px; color: #6b7280;">The poll is posted to the open chat</p>
+            </div>
+
+            <div style="margin-bottom: 16px;">
+                <label style="${labelStyle}" for="wvPollQuestion">Question</label>
+                <input type="text" id="wvPollQuestion" class="wv-poll-input" maxlength="300" placeholder="What should we ask?" style="${inputStyle}">
+            </div>
+
+            <div style="margin-bottom: 16px;">
+                <label style="${labelStyle}">Options</label>
+                <div class="wv-poll-dialog-options"></div>
+                <button type="button" class="wv-poll-add-option" style="margin-top: 4px; padding: 6px 0; border: none; background: none; color: #3b82f6; font-size: 13px; font-weight: 500; cursor: pointer;">+ Add option</button>
+            </div>
+
+            <div style="display: flex; flex-direction: column; gap: 10px; margin-bottom: 16px; font-size: 14px; color: #374151;">
+                <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                    <input type="checkbox" id="wvPollMultiple"> Allow multiple choices
+                </label>
+                <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                    <input type="checkbox" id="wvPollAnonymous"> Anonymous <span style="color: #9ca3af; font-size: 12px;">(voter names hidden in results)</span>
+                </label>
+            </div>
+
+            <div style="margin-bottom: 20px;">
+                <label style="${labelStyle}" for="wvPollCloseAt">Close date <span style="color: #9ca3af; font-weight: 400;">(optional)</span></label>
+                <input type="datetime-local" id="wvPollCloseAt" class="wv-poll-input" style="${inputStyle}">
+            </div>
+
+            <div class="wv-poll-dialog-error" style="display: none; margin-bottom: 16px; padding: 8px 12px; border-radius: 8px; background: #fef2f2; color: #b91c1c; font-size: 13px;"></div>
+
+            <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                <button type="button" class="wv-poll-cancel" style="padding: 10px 20px; border: 2px solid #e5e7eb; background: white; color: #374151; border-radius: 8px; font-size: 14px; font-weight: 500; cursor: pointer;">Cancel</button>
+                <button type="button" class="wv-poll-submit" style="padding: 10px 20px; border: none; background: #3b82f6; color: white; border-radius: 8px; font-size: 14px; font-weight: 500; cursor: pointer;">Send poll</button>
+            </div>
+        `;
+
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+
+        const optionsList = dialog.querySelector('.wv-poll-dialog-options');
+        const addOptionBtn = dialog.querySelector('.wv-poll-add-option');
+        const submitBtn = dialog.querySelector('.wv-poll-submit');
+
+        const refreshOptionControls = () => {
+            const rows = optionsList.querySelectorAll('.wv-poll-dialog-option');
+            rows.forEach((row, index) => {
+                row.querySelector('input').placeholder = `Option ${index + 1}`;
+                row.querySelector('.wv-poll-remove-option').style.visibility = rows.length > 2 ? 'visible' : 'hidden';
+            });
+            addOptionBtn.style.display = rows.length >= this.maxOptions ? 'none' : '';
+        };
+
+        const addOptionRow = (focus = false) => {
+            const row = document.createElement('div');
+            row.className = 'wv-poll-dialog-option';
+            row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-bottom: 6px;';
+            row.innerHTML = `
+                <input type="text" class="wv-poll-input" maxlength="100" style="${inputStyle}">
+                <button type="button" class="wv-poll-remove-option" title="Remove option" style="width: 28px; height: 28px; flex-shrink: 0; border: none; background: none; color: #9ca3af; font-size: 18px; cursor: pointer;">×</button>
+            `;
+            row.querySelector('.wv-poll-remove-option').addEventListener('click', () => {
+                row.remove();
+                refreshOptionControls();
+            });
+            optionsList.appendChild(row);
+            refreshOptionControls();
+            if (focus) row.querySelector('input').focus();
+        };
+
+        addOptionRow();
+        addOptionRow();
+        addOptionBtn.addEventListener('click', () => addOptionRow(true));
+
+        const close = () => overlay.remove();
+
+        dialog.querySelector('.wv-poll-cancel').addEventListener('click', close);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            } else if (e.key === 'Enter' && e.target.matches('input[type="text"]')) {
+                e.preventDefault();
+                submitBtn.click();
+            }
+        });
+
+        submitBtn.addEventListener('click', async () => {
+            const form = this.readDialog(dialog);
+            if (form.error) {
+                this.showDialogError(dialog, form.error);
+                return;
+            }
+
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Sending...';
+            this.showDialogError(dialog, null);
+
+            try {
+                await this.pollManager.createAndSendPoll(form.question, form.options, {
+                    allowMultipleVotes: form.multiple,
+                    closeAt: form.closeAt,
+                    data: { text: JSON.stringify({ anonymous: form.anonymous }) }
+                });
+
+                close();
+                WVFavs.DomManager.showSnackbar('Poll sent');
+
+                if (this.app.analytics) {
+                    this.app.analytics.trackEvent('poll_created', {
+                        option_count: form.options.length,
+                        multiple_choice: form.multiple,
+                        anonymous: form.anonymous,
+                        has_close_date: form.closeAt !== -1
+                    });
+                }
+            } catch (error) {
+                this.app?.logger?.warn('⚠️ Failed to create poll:', error);
+                this.showDialogError(dialog, error.message || 'Could not send the poll');
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Send poll';
+            }
+        });
+
+        dialog.querySelector('#wvPollQuestion').focus();
+    }
+
+    /**
+     * Validate the dialog fields
+     * @returns {Object} { question, options, multiple, anonymous, closeAt } or { error }
+     */
+    readDialog(dialog) {
+        const question = dialog.querySelector('#wvPollQuestion').value.trim();
+        const options = Array.from(dialog.querySelectorAll('.wv-poll-dialog-option input'))
+            .map(input => input.value.trim())
+            .filter(Boolean);
+        const closeAtValue = dialog.querySelector('#wvPollCloseAt').value;
+
+        if (!question) {
+            return { error: 'Enter a question' };
+        }
+        if (options.length < 2) {
+            return { error: 'Add at least two options' };
+        }
+        if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+            return { error: 'Options must be different from each other' };
+        }
+
+        // Sendbird takes close_at in seconds; -1 keeps the poll open until closed by hand
+        let closeAt = -1;
+        if (closeAtValue) {
+            const closeTime = new Date(closeAtValue).getTime();
+            if (!(closeTime > Date.now())) {
+                return { error: 'Close date must be in the future' };
+            }
+            closeAt = Math.floor(closeTime / 1000);
+        }
+
+        return {
+            question,
+            options,
+            multiple: dialog.querySelector('#wvPollMultiple').checked,
+            anonymous: dialog.querySelector('#wvPollAnonymous').checked,
+            closeAt
+        };
+    }
+
+    showDialogError(dialog, message) {
+        const errorEl = dialog.querySelector('.wv-poll-dialog-error');
+        errorEl.textContent = message || '';
+        errorEl.style.display = message ? 'block' : 'none';
+    }
+
+    // ===== Poll cards =====
+
+    /**
+     * Coalesce DOM mutations into one render pass
+     */
+    scheduleRender() {
+        if (this.renderTimer) return;
+        this.renderTimer = setTimeout(() => {
+            this.renderTimer = null;
+            this.renderPollCards();
+        }, 150);
+    }
+
+    /**
+     * Attach a card to every visible poll message that doesn't have one yet
+     */
+    renderPollCards() {
+        if (!this.pollManager || WVFavs.Settings.getAll().enablePolls === false) return;
+
+        this.pollManager.messagePolls.forEach(({ pollId }, messageId) => {
+            const messageEl = document.getElementById(`message-${messageId}`) ||
+                document.querySelector(`[data-message-id="${messageId}"]`);
+            if (!messageEl || messageEl.querySelector('.wv-poll-card')) return;
+
+            const poll = this.pollManager.polls.get(pollId);
+            const card = document.createElement('div');
+            card.className = 'wv-poll-card';
+            card.dataset.pollId = pollId;
+            card.style.cssText = `
+                margin: 8px 0 4px;
+                max-width: 420px;
+                padding: 12px;
+                border: 1px solid #e5e7eb;
+                border-radius: 10px;
+                background: white;
+                font-size: 13px;
+            `;
+            messageEl.appendChild(card);
+
+            if (poll?.options) {
+                this.renderCard(card, poll);
+            } else {
+                card.innerHTML = '<div style="color: #9ca3af;">📊 Loading poll...</div>';
+                this.fetchPoll(pollId);
+            }
+        });
+    }
+
+    async fetchPoll(pollId) {
+        if (this.pendingFetches.has(pollId)) return;
+        this.pendingFetches.add(pollId);
+
+        try {
+            const poll = await this.pollManager.getPoll(pollId);
+            this.updateCards(pollId, poll);
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to load poll:', pollId, error);
+            document.querySelectorAll(`.wv-poll-card[data-poll-id="${pollId}"]`).forEach(card => {
+                card.innerHTML = '<div style="color: #9ca3af;">📊 Poll unavailable</div>';
+            });
+        } finally {
+            this.pendingFetches.delete(pollId);
+        }
+    }
+
+    updateCards(pollId, poll) {
+        const current = poll || this.pollManager?.polls.get(pollId);
+        if (!current?.options) return;
+
+        document.querySelectorAll(`.wv-poll-card[data-poll-id="${pollId}"]`).forEach(card => {
+            this.renderCard(card, current);
+        });
+    }
+
+    renderCard(card, poll) {
+        const closed = this.pollManager.isPollClosed(poll);
+        const myVotes = new Set(this.pollManager.getMyVotes(poll.id));
+        const options = poll.options || [];
+        const totalVotes = options.reduce((sum, option) => sum + (option.vote_count || 0), 0);
+        const voterCount = poll.voter_count ?? totalVotes;
+        // Multi-choice percentages are per voter, so they can add up to more than 100%
+        const base = poll.allow_multiple_votes ? Math.max(voterCount, 1) : Math.max(totalVotes, 1);
+        const leading = Math.max(0, ...options.map(option => option.vote_count || 0));
+
+        card.innerHTML = `
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: 8px;">
+                <div class="wv-poll-title" style="font-weight: 600; color: #111827;">📊 ${this.escapeHtml(poll.title)}</div>
+                ${closed ? '<span class="wv-poll-closed-badge" style="flex-shrink: 0; padding: 1px 8px; border-radius: 999px; background: #f3f4f6; color: #6b7280; font-size: 11px;">Closed</span>' : ''}
+            </div>
+            <div class="wv-poll-options"></div>
+            <div class="wv-poll-footer" style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-top: 8px; color: #6b7280; font-size: 11px;">
+                <span>${this.describePoll(poll, voterCount, closed)}</span>
+                <span class="wv-poll-actions" style="display: flex; gap: 10px; flex-shrink: 0;"></span>
+            </div>
+        `;
+
+        const optionsEl = card.querySelector('.wv-poll-options');
+        options.forEach(option => {
+            const count = option.vote_count || 0;
+            const percent = Math.round(count / base * 100);
+            const voted = myVotes.has(option.id);
+
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = `wv-poll-option${voted ? ' wv-active' : ''}`;
+            row.disabled = closed;
+            row.style.cssText = `
+                position: relative;
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 8px;
+                width: 100%;
+                margin-bottom: 6px;
+                padding: 7px 10px;
+                border: 1px solid ${voted ? '#3b82f6' : '#e5e7eb'};
+                border-radius: 8px;
+                background: none;
+                overflow: hidden;
+                text-align: left;
+                font-size: 13px;
+                cursor: ${closed ? 'default' : 'pointer'};
+            `;
+            row.innerHTML = `
+                <span class="wv-poll-option-bar" style="position: absolute; top: 0; left: 0; bottom: 0; width: ${percent}%; background: ${voted ? '#dbeafe' : '#f3f4f6'}; transition: width 0.3s ease;"></span>
+                <span style="position: relative; color: #1f2937; ${closed && count === leading && count > 0 ? 'font-weight: 600;' : ''}">${voted ? '✓ ' : ''}${this.escapeHtml(option.text)}</span>
+                <span style="position: relative; flex-shrink: 0; color: #6b7280; font-size: 12px;">${percent}% · ${count}</span>
+            `;
+
+            if (!closed) {
+                row.addEventListener('click', () => this.handleVote(poll, option.id, row));
+            }
+            optionsEl.appendChild(row);
+        });
+
+        const actions = card.querySelector('.wv-poll-actions');
+
+        if (this.app.pollResultsPanel) {
+            const resultsBtn = document.createElement('button');
+            resultsBtn.type = 'button';
+            resultsBtn.className = 'wv-poll-results-btn';
+            resultsBtn.textContent = 'Results';
+            resultsBtn.style.cssText = 'padding: 0; border: none; background: none; color: #3b82f6; font-size: 11px; cursor: pointer;';
+            resultsBtn.addEventListener('click', () => this.app.pollResultsPanel.openPanel(poll.id));
+            actions.appendChild(resultsBtn);
+        }
+
+        if (!closed && this.pollManager.isPollCreator(poll)) {
+            const closeBtn = document.createElement('button');
+            closeBtn.type = 'button';
+            closeBtn.className = 'wv-poll-close-btn';
+            closeBtn.textContent = 'Close poll';
+            closeBtn.style.cssText = 'padding: 0; border: none; background: none; color: #dc2626; font-size: 11px; cursor: pointer;';
+            closeBtn.addEventListener('click', () => this.handleClose(poll, closeBtn));
+            actions.appendChild(closeBtn);
+        }
+    }
+
+    describePoll(poll, voterCount, closed) {
+        const parts = [`${voterCount} ${voterCount === 1 ? 'vote' : 'votes'}`];
+        if (poll.allow_multiple_votes) parts.push('Multiple choice');
+        if (this.pollManager.isPollAnonymous(poll)) parts.push('Anonymous');
+        if (!closed && poll.close_at > 0) {
+            parts.push(`Closes ${this.formatCloseTime(poll.close_at * 1000)}`);
+        }
+        return parts.join(' · ');
+    }
+
+    formatCloseTime(timestamp) {
+        const diff = timestamp - Date.now();
+        if (diff < 3600000) return `in ${Math.max(1, Math.round(diff / 60000))}m`;
+        if (diff < 86400000) return `in ${Math.round(diff / 3600000)}h`;
+        if (diff < 604800000) return `in ${Math.round(diff / 86400000)}d`;
+        return new Date(timestamp).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    }
+
+    /**
+     * Single choice replaces the vote; multiple choice toggles the option.
+     * Sendbird needs at least one option, so the last multi-choice vote can't be removed.
+     */
+    async handleVote(poll, optionId, row) {
+        const current = this.pollManager.getMyVotes(poll.id);
+        let optionIds;
+
+        if (poll.allow_multiple_votes) {
+            optionIds = current.includes(optionId)
+                ? current.filter(id => id !== optionId)
+                : [...current, optionId];
+        } else {
+            if (current.length === 1 && current[0] === optionId) return;
+            optionIds = [optionId];
+        }
+
+        if (optionIds.length === 0) {
+            WVFavs.DomManager.showSnackbar('Pick another option before removing this one', 'warning');
+            return;
+        }
+
+        row.style.opacity = '0.6';
+        try {
+            // wv-poll-voted redraws the card
+            await this.pollManager.votePoll(poll.id, optionIds);
+
+            if (this.app.analytics) {
+                this.app.analytics.trackEvent('poll_voted', {
+                    multiple_choice: !!poll.allow_multiple_votes,
+                    option_count: optionIds.length
+                });
+            }
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to vote:', error);
+            WVFavs.DomManager.showSnackbar('Could not record your vote', 'warning');
+            row.style.opacity = '';
+        }
+    }
+
+    async handleClose(poll, button) {
+        button.disabled = true;
+        try {
+            await this.pollManager.closePoll(poll.id);
+            WVFavs.DomManager.showSnackbar('Poll closed');
+        } catch (error) {
+            this.app?.logger?.warn('⚠️ Failed to close poll:', error);
+            WVFavs.DomManager.showSnackbar('Could not close the poll', 'warning');
+            button.disabled = false;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    destroy() {
+        this.toolbarObserver?.disconnect();
+        clearInterval(this.toolbarRetryInterval);
+        clearTimeout(this.renderTimer);
+        this.eventHandlers.forEach(([eventName, handler]) => window.removeEventListener(eventName, handler));
+        this.eventHandlers = [];
+        document.querySelectorAll('.wv-poll-toolbar-button, .wv-poll-card').forEach(el => el.remove());
+    }
+};
@@ -19,6 +19,10 @@ WVFavs.SearchPanel = class SearchPanel {
         this.showFullMessage = localStorage.getItem('wv-search-show-full-message') === 'true';
         // Cache for channel names in global search
         this.channelNamesCache = {};
+        // Export: maximum results collected across pages, and cancel flag for the running export
+        this.exportMaxResults = 1000;
+        this.exportCancelled = false;
+        this.isExporting = false;
     }
 
     /**
@@ -81,6 +85,9 @@ WVFavs.SearchPanel = class SearchPanel {
         // Add CSS animations
         this.addPanelAnimations();
 
+        // Show saved searches for this channel
+        this.renderSavedSearches();
+
         // Listen for channel changes and close panel when channel switches
         const handleChannelChange = (event) => {
             const { currentChannel } = event.detail;
@@ -202,6 +209,28 @@ WVFavs.SearchPanel = class SearchPanel {
                         <h3 style="margin: 0; font-size: 15px; font-weight: 600; color: #111827; flex-shrink: 0;">Search</h3>
                         <span style="font-size: 13px; color: #9ca3af; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">in all channels</span>
                     </div>
+                    <button class="wv-search-export-btn" title="Export results" style="
+                        background: transparent;
+                        border: none;
+                        cursor: pointer;
+                        padding: 0;
+                        width: 28px;
+                        height: 28px;
+                        border-radius: 6px;
+                        color: #6b7280;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                        transition: background 0.15s;
+                        flex-shrink: 0;
+                        margin-right: 2px;
+                    ">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                            <polyline points="7 10 12 15 17 10"/>
+                            <line x1="12" y1="15" x2="12" y2="3"/>
+                        </svg>
+                    </button>
                     <button class="wv-favorites-search-close" style="
                         background: transparent;
                         border: none;
@@ -249,6 +278,28 @@ WVFavs.SearchPanel = class SearchPanel {
                             text-overflow: ellipsis;
                         ">in ${this.escapeHtml(this.currentChannelName)}</span>
                     </div>
+                    <button class="wv-search-export-btn" title="Export results" style="
+                        background: transparent;
+                        border: none;
+                        cursor: pointer;
+                        padding: 0;
+                        width: 28px;
+                        height: 28px;
+                        border-radius: 6px;
+                        color: #6b7280;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                        transition: background 0.15s;
+                        flex-shrink: 0;
+                        margin-right: 2px;
+                    ">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                            <polyline points="7 10 12 15 17 10"/>
+                            <line x1="12" y1="15" x2="12" y2="3"/>
+                        </svg>
+                    </button>
                     <button class="wv-favorites-search-close" style="
                         background: transparent;
                         border: none;
@@ -272,6 +323,19 @@ WVFavs.SearchPanel = class SearchPanel {
         `;
         }
 
+        // Add export button handler
+        const exportBtn = header.querySelector('.wv-search-export-btn');
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleExportMenu(exportBtn);
+        });
+        exportBtn.addEventListener('mouseenter', () => {
+            exportBtn.style.background = '#f3f4f6';
+        });
+        exportBtn.addEventListener('mouseleave', () => {
+            exportBtn.style.background = 'transparent';
+        });
+
         // Add close button handler
         const closeBtn = header.querySelector('.wv-favorites-search-close');
         closeBtn.addEventListener('click', () => this.closePanel());
@@ -320,6 +384,25 @@ WVFavs.SearchPanel = class SearchPanel {
                         height: 36px;
                     "
                 />
+                <button class="wv-search-save-btn" title="Save this search" style="
+                    padding: 8px;
+                    background: white;
+                    color: #6b7280;
+                    border: 1px solid #d1d5db;
+                    border-radius: 6px;
+                    cursor: pointer;
+                    transition: all 0.15s;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    width: 36px;
+                    height: 36px;
+                    flex-shrink: 0;
+                ">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/>
+                    </svg>
+                </button>
                 <button class="wv-search-btn" style="
                     padding: 8px;
                     background: #3b82f6;
@@ -358,6 +441,25 @@ WVFavs.SearchPanel = class SearchPanel {
         // Search on button click
         searchBtn.addEventListener('click', () => this.performSearch());
 
+        // Save current query as a named search
+        const saveBtn = section.querySelector('.wv-search-save-btn');
+        saveBtn.addEventListener('click', () => this.saveCurrentSearch());
+        saveBtn.addEventListener('mouseenter', () => {
+            saveBtn.style.color = '#3b82f6';
+            saveBtn.style.borderColor = '#3b82f6';
+        });
+        saveBtn.addEventListener('mouseleave', () => {
+            saveBtn.style.color = '#6b7280';
+            saveBtn.style.borderColor = '#d1d5db';
+        });
+
+        // Show saved searches again once the input is cleared
+        input.addEventListener('input', () => {
+            if (input.value.trim() === '') {
+                this.renderSavedSearches();
+            }
+        });
+
         // Search on Enter key
         input.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
@@ -403,6 +505,11 @@ WVFavs.SearchPanel = class SearchPanel {
                 </svg>
                 <p style="margin: 0; font-size: 13px; font-weight: 500;">Search messages</p>
                 <p style="margin: 4px 0 0 0; font-size: 11px; color: #9ca3af;">Enter a search term to find messages</p>
+                <p style="margin: 8px 0 0 0; font-size: 10px; color: #9ca3af; line-height: 1.6;">
+                    Filters: <code>from:name</code> <code>in:#channel</code> <code>after:2026-01-31</code><br>
+                    <code>before:2026-02-28</code> <code>has:link</code> <code>has:file</code> <code>-word</code><br>
+                    Prefix a filter with <code>-</code> to exclude: <code>-from:name</code> <code>-has:link</code>
+                </p>
             </div>
         `;
 
@@ -681,17 +788,8 @@ WVFavs.SearchPanel = class SearchPanel {
                 const mode = option.dataset.mode;
                 this.searchMode = mode;
 
-                // Update button label
-                const modeLabel = mode === 'fuzzy' ? 'Fuzzy' :
-                                 mode === 'exact' ? 'Exact' : 'Advanced';
-                footer.querySelector('.wv-search-mode-label').textContent = modeLabel;
-
-                // Update option styles
-                dropdownOptions.forEach(opt => {
-                    const isSelected = opt.dataset.mode === mode;
-                    opt.style.background = isSelected ? '#eff6ff' : 'white';
-                    opt.style.fontWeight = isSelected ? '600' : '400';
-                });
+                // Update button label and option styles
+                this.updateSearchModeUI(mode, footer);
 
                 // Persist to localStorage
                 localStorage.setItem('wv-search-mode', mode);
@@ -910,12 +1008,14 @@ WVFavs.SearchPanel = class SearchPanel {
             }
         }, 100);
 
-        // Auto-execute search if query provided
+        // Auto-execute search if query provided, otherwise show global saved searches
         if (query) {
             setTimeout(() => {
                 this.app?.logger?.log('🔄 Auto-executing global search with query:', query);
                 this.performSearch();
             }, 150);
+        } else {
+            this.renderSavedSearches();
         }
 
         this.app?.logger?.log('✅ Global search panel opened');
@@ -923,8 +1023,10 @@ WVFavs.SearchPanel = class SearchPanel {
 
     /**
      * Perform search
+     * @param {Object} options
+     * @param {string} options.savedSearchId - Saved search being re-run (marked as viewed on success)
      */
-    async performSearch() {
+    async performSearch(options = {}) {
         if (!this.currentPanel) {
             console.warn('⚠️ [SearchPanel] Cannot perform search: currentPanel is null');
             return;
@@ -956,18 +1058,7 @@ WVFavs.SearchPanel = class SearchPanel {
             this.app.searchManager.resetSearch();
 
             // Process query based on search mode
-            let apiQuery = query;
-            let advancedQuery = false;
-            let exactMatch = false;
-
-            if (this.searchMode === 'advanced') {
-                apiQuery = this.convertToSendbirdQuery(query);
-                advancedQuery = true;
-                this.app?.logger?.log('🔍 Converted to Sendbird query:', apiQuery);
-            } else if (this.searchMode === 'exact') {
-                exactMatch = true;
-            }
-            // fuzzy mode: use query as-is
+            const { apiQuery, advancedQuery, exactMatch, filters } = this.getSearchApiParams(query, this.searchMode);
 
             // Perform search using API
             // Pass null for channelUrl in global mode (uses user_id instead)
@@ -977,7 +1068,8 @@ WVFavs.SearchPanel = class SearchPanel {
                 apiQuery,
                 {
                     advancedQuery,
-                    exactMatch
+                    exactMatch,
+                    filters
                 }
             );
 
@@ -986,12 +1078,282 @@ WVFavs.SearchPanel = class SearchPanel {
             // Render results immediately (progressive rendering with loading skeletons)
             await this.renderResults(results);
 
+            if (options.savedSearchId) {
+                this.app.searchManager.updateSavedSearch(options.savedSearchId, {
+                    lastViewedAt: Date.now(),
+                    newCount: 0
+                });
+            }
+
         } catch (error) {
             this.app?.logger?.error('❌ Search failed:', error);
             this.showErrorState(error.message);
         }
     }
 
+    /**
+     * Map a user query and search mode to Sendbird search parameters
+     * from:/in:/after:/before:/has:/-term filters are split out first (see SearchManager.parseSearchQuery)
+     * @param {string} query - Query as typed
+     * @param {string} searchMode - 'fuzzy', 'exact' or 'advanced'
+     * @returns {Object} { apiQuery, advancedQuery, exactMatch, filters }
+     */
+    getSearchApiParams(query, searchMode) {
+        const { text, filters } = this.app.searchManager.parseSearchQuery(query);
+        if (!text) {
+            throw new Error('Add a search term to use with filters');
+        }
+
+        let apiQuery = text;
+        let advancedQuery = false;
+        let exactMatch = false;
+
+        if (searchMode === 'advanced') {
+            apiQuery = this.convertToSendbirdQuery(text);
+            advancedQuery = true;
+            this.app?.logger?.log('🔍 Converted to Sendbird query:', apiQuery);
+        } else if (searchMode === 'exact') {
+            exactMatch = true;
+        }
+        // fuzzy mode: use query as-is
+
+        return { apiQuery, advancedQuery, exactMatch, filters };
+    }
+
+    /**
+     * Update the search mode dropdown label and option highlight
+     * @param {string} mode - 'fuzzy', 'exact' or 'advanced'
+     * @param {HTMLElement} container - Element containing the dropdown (defaults to current panel)
+     */
+    updateSearchModeUI(mode, container = this.currentPanel) {
+        if (!container) return;
+
+        const modeLabel = mode === 'fuzzy' ? 'Fuzzy' :
+                         mode === 'exact' ? 'Exact' : 'Advanced';
+        const labelEl = container.querySelector('.wv-search-mode-label');
+        if (labelEl) {
+            labelEl.textContent = modeLabel;
+        }
+
+        container.querySelectorAll('.wv-search-mode-option').forEach(opt => {
+            const isSelected = opt.dataset.mode === mode;
+            opt.style.background = isSelected ? '#eff6ff' : 'white';
+            opt.style.fontWeight = isSelected ? '600' : '400';
+        });
+    }
+
+    /**
+     * Scope for saved searches: the channel for the channel panel, null for the global panel
+     */
+    getSavedSearchScope() {
+        return this.isGlobalPanel ? null : this.currentChannelUrl;
+    }
+
+    /**
+     * Save the current query as a named search in the current scope
+     */
+    saveCurrentSearch() {
+        if (!this.currentPanel) return;
+
+        const query = this.currentPanel.querySelector('.wv-search-input')?.value?.trim();
+        if (!query) {
+            WVFavs.DomManager.showSnackbar('Enter a search term to save', 'info');
+            return;
+        }
+
+        const name = prompt('Name this search:', query);
+        if (name === null) return;
+
+        this.app.searchManager.addSavedSearch({
+            name: name.trim() || query,
+            query,
+            searchMode: this.searchMode,
+            channelUrl: this.getSavedSearchScope()
+        });
+
+        if (this.app.logger) {
+            this.app?.logger?.analytics('saved_search_created', {
+                scope: this.isGlobalPanel ? 'global' : 'channel',
+                search_mode: this.searchMode
+            });
+        }
+
+        WVFavs.DomManager.showSnackbar(`Saved search "${name.trim() || query}"`, 'success');
+    }
+
+    /**
+     * Show saved searches for the current scope in the results area
+     * Leaves the default empty state in place when nothing is saved
+     */
+    renderSavedSearches() {
+        if (!this.currentPanel) return;
+
+        const resultsList = this.currentPanel.querySelector('.wv-search-results-list');
+        const savedSearches = this.app.searchManager.getSavedSearches(this.getSavedSearchScope());
+        if (!resultsList || savedSearches.length === 0) return;
+
+        resultsList.innerHTML = `
+            <div style="
+                padding: 4px 4px 8px 4px;
+                font-size: 11px;
+                font-weight: 600;
+                color: #6b7280;
+                text-transform: uppercase;
+                letter-spacing: 0.04em;
+            ">Saved searches</div>
+        `;
+
+        savedSearches.forEach(saved => {
+            resultsList.appendChild(this.createSavedSearchItem(saved));
+        });
+
+        this.refreshSavedSearchCounts(savedSearches);
+    }
+
+    /**
+     * Create a saved search row
+     * @param {Object} saved - Saved search record
+     */
+    createSavedSearchItem(saved) {
+        const modeLabel = saved.searchMode === 'exact' ? 'Exact' :
+                         saved.searchMode === 'advanced' ? 'Advanced' : 'Fuzzy';
+
+        const item = document.createElement('div');
+        item.className = 'wv-saved-search-item';
+        item.dataset.savedSearchId = saved.id;
+        item.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 10px;
+            margin-bottom: 4px;
+            border: 1px solid #e5e7eb;
+            border-radius: 6px;
+            cursor: pointer;
+            transition: background 0.15s;
+        `;
+
+        item.innerHTML = `
+            <div style="flex: 1; min-width: 0;">
+                <div style="font-size: 13px; font-weight: 500; color: #111827; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${this.escapeHtml(saved.name)}</div>
+                <div style="font-size: 11px; color: #9ca3af; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${this.escapeHtml(saved.query)} · ${modeLabel}</div>
+            </div>
+            <span class="wv-saved-search-badge" title="New results since last viewed" style="
+                display: ${saved.newCount > 0 ? 'inline-block' : 'none'};
+                min-width: 18px;
+                padding: 1px 6px;
+                border-radius: 9px;
+                background: #ef4444;
+                color: white;
+                font-size: 11px;
+                font-weight: 600;
+                text-align: center;
+                flex-shrink: 0;
+            ">${this.formatNewCount(saved.newCount)}</span>
+            <button class="wv-saved-search-delete" title="Delete saved search" style="
+                background: transparent;
+                border: none;
+                color: #9ca3af;
+                cursor: pointer;
+                padding: 2px;
+                display: flex;
+                flex-shrink: 0;
+            ">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6L6 18M6 6l12 12"/>
+                </svg>
+            </button>
+        `;
+
+        item.addEventListener('mouseenter', () => {
+            item.style.background = '#f9fafb';
+        });
+        item.addEventListener('mouseleave', () => {
+            item.style.background = 'white';
+        });
+
+        item.addEventListener('click', () => this.runSavedSearch(saved));
+
+        item.querySelector('.wv-saved-search-delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (!confirm(`Delete saved search "${saved.name}"?`)) return;
+
+            this.app.searchManager.deleteSavedSearch(saved.id);
+            item.remove();
+
+            if (this.app.searchManager.getSavedSearches(this.getSavedSearchScope()).length === 0) {
+                const resultsList = this.currentPanel?.querySelector('.wv-search-results-list');
+                if (resultsList) {
+                    resultsList.replaceWith(this.createResultsList());
+                }
+            }
+        });
+
+        return item;
+    }
+
+    formatNewCount(count) {
+        return count >= 20 ? '20+' : String(count || 0);
+    }
+
+    /**
+     * Re-check saved searches for results newer than their last view and update badges
+     * Each saved search is checked at most every 5 minutes, one request at a time
+     * @param {Array} savedSearches - Saved searches currently shown
+     */
+    async refreshSavedSearchCounts(savedSearches) {
+        const CHECK_INTERVAL = 5 * 60 * 1000;
+        const channelUrl = this.getSavedSearchScope();
+
+        for (const saved of savedSearches) {
+            if (Date.now() - (saved.lastCheckedAt || 0) < CHECK_INTERVAL) continue;
+            if (!this.currentPanel) return;
+
+            try {
+                const { apiQuery, advancedQuery, exactMatch, filters } = this.getSearchApiParams(saved.query, saved.searchMode);
+                const page = await this.app.searchManager.peekSearch(channelUrl, apiQuery, { advancedQuery, exactMatch, filters });
+                const newCount = page.results.filter(result => result.createdAt > saved.lastViewedAt).length;
+
+                this.app.searchManager.updateSavedSearch(saved.id, {
+                    lastCheckedAt: Date.now(),
+                    newCount
+                });
+
+                const badge = this.currentPanel?.querySelector(`.wv-saved-search-item[data-saved-search-id="${saved.id}"] .wv-saved-search-badge`);
+                if (badge) {
+                    badge.textContent = this.formatNewCount(newCount);
+                    badge.style.display = newCount > 0 ? 'inline-block' : 'none';
+                }
+            } catch (error) {
+                this.app?.logger?.warn('⚠️ Could not refresh saved search:', { name: saved.name, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Re-run a saved search in the current panel
+     * @param {Object} saved - Saved search record
+     */
+    runSavedSearch(saved) {
+        if (!this.currentPanel) return;
+
+        const input = this.currentPanel.querySelector('.wv-search-input');
+        if (!input) return;
+
+        input.value = saved.query;
+        this.searchMode = saved.searchMode || 'fuzzy';
+        this.updateSearchModeUI(this.searchMode);
+
+        if (this.app.logger) {
+            this.app?.logger?.analytics('saved_search_run', {
+                scope: saved.channelUrl ? 'channel' : 'global',
+                had_new_results: saved.newCount > 0
+            });
+        }
+
+        this.performSearch({ savedSearchId: saved.id });
+    }
+
     /**
      * Convert user-friendly query syntax to Sendbird advanced search syntax
      * User syntax: comma (,) = AND, pipe (|) = OR
@@ -1497,7 +1859,7 @@ WVFavs.SearchPanel = class SearchPanel {
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M12 19V5M5 12l7-7 7 7"></path>
             </svg>
-            <span>Load more</span>
+            <span>${this.app.searchManager?.isPendingServerSearch?.() ? 'Search all messages on server' : 'Load more'}</span>
         `;
 
         button.addEventListener('click', () => this.loadMoreResults());
@@ -1842,12 +2204,310 @@ WVFavs.SearchPanel = class SearchPanel {
         document.head.appendChild(style);
     }
 
+    /**
+     * Show or hide the export format menu below the export button
+     * @param {HTMLElement} anchor - Export button
+     */
+    toggleExportMenu(anchor) {
+        const existingMenu = document.querySelector('.wv-search-export-menu');
+        if (existingMenu) {
+            existingMenu.remove();
+            return;
+        }
+
+        const menu = document.createElement('div');
+        menu.className = 'wv-search-export-menu';
+        const rect = anchor.getBoundingClientRect();
+        menu.style.cssText = `
+            position: fixed;
+            top: ${rect.bottom + 4}px;
+            left: ${Math.max(8, rect.right - 160)}px;
+            min-width: 160px;
+            background: white;
+            border: 1px solid #d1d5db;
+            border-radius: 6px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+            z-index: 10001;
+            overflow: hidden;
+        `;
+
+        const formats = [
+            { format: 'csv', label: 'CSV', description: 'Spreadsheet' },
+            { format: 'json', label: 'JSON', description: 'Structured data' },
+            { format: 'md', label: 'Markdown', description: 'Notes and docs' }
+        ];
+
+        formats.forEach(({ format, label, description }) => {
+            const option = document.createElement('div');
+            option.style.cssText = `
+                padding: 8px 12px;
+                cursor: pointer;
+                font-size: 12px;
+                color: #374151;
+                border-bottom: 1px solid #f3f4f6;
+            `;
+            option.innerHTML = `
+                <div style="font-weight: 500; margin-bottom: 2px;">${label}</div>
+                <div style="font-size: 10px; color: #6b7280;">${description}</div>
+            `;
+            option.addEventListener('mouseenter', () => {
+                option.style.background = '#f9fafb';
+            });
+            option.addEventListener('mouseleave', () => {
+                option.style.background = 'white';
+            });
+            option.addEventListener('click', () => {
+                menu.remove();
+                this.exportResults(format);
+            });
+            menu.appendChild(option);
+        });
+
+        document.body.appendChild(menu);
+
+        const closeMenu = (e) => {
+            if (!menu.contains(e.target)) {
+                menu.remove();
+                document.removeEventListener('click', closeMenu);
+            }
+        };
+        setTimeout(() => document.addEventListener('click', closeMenu), 0);
+    }
+
+    /**
+     * Export all results of the current search, loading remaining pages first
+     * @param {string} format - 'csv', 'json' or 'md'
+     */
+    async exportResults(format) {
+        const searchManager = this.app.searchManager;
+        const query = searchManager.getCurrentQuery();
+
+        if (!query || searchManager.getCurrentResults().length === 0) {
+            WVFavs.DomManager.showSnackbar('Run a search before exporting', 'info');
+            return;
+        }
+
+        if (this.isExporting) return;
+        this.isExporting = true;
+        this.exportCancelled = false;
+
+        const panel = this.currentPanel;
+        const progress = this.showExportProgress();
+
+        try {
+            // Walk remaining pages, showing them in the panel as they load
+            while (searchManager.hasMoreResults() &&
+                   searchManager.getCurrentResults().length < this.exportMaxResults &&
+                   !this.exportCancelled &&
+                   this.currentPanel === panel) {
+                const page = await searchManager.loadMore();
+                await this.appendResults(page);
+                this.updateExportProgress(progress, searchManager.getCurrentResults().length);
+            }
+
+            if (this.exportCancelled || this.currentPanel !== panel) {
+                this.app?.logger?.log('🚫 Search export cancelled');
+                return;
+            }
+
+            const results = searchManager.getCurrentResults().slice(0, this.exportMaxResults);
+            const rows = await this.buildExportRows(results);
+            const inputQuery = panel.querySelector('.wv-search-input')?.value?.trim() || query;
+            const content = this.formatExport(rows, format, inputQuery);
+
+            const mimeTypes = { csv: 'text/csv', json: 'application/json', md: 'text/markdown' };
+            const slug = inputQuery.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').substring(0, 40) || 'search';
+            this.downloadFile(content, `workvivo-search-${slug}-${new Date().toISOString().split('T')[0]}.${format}`, mimeTypes[format]);
+
+            const capped = searchManager.hasMoreResults() && results.length >= this.exportMaxResults;
+            WVFavs.DomManager.showSnackbar(
+                capped ? `Exported first ${results.length} results` : `Exported ${results.length} results`,
+                'success'
+            );
+
+            if (this.app.logger) {
+                this.app?.logger?.analytics('search_results_exported', {
+                    format,
+                    result_count: results.length,
+                    capped,
+                    scope: this.isGlobalPanel ? 'global' : 'channel'
+                });
+            }
+        } catch (error) {
+            this.app?.logger?.error('❌ Search export failed:', error);
+            WVFavs.DomManager.showSnackbar('Export failed', 'error');
+        } finally {
+            this.isExporting = false;
+            progress.remove();
+        }
+    }
+
+    /**
+     * Show an export progress bar with a cancel button under the search input
+     * @returns {HTMLElement} Progress element
+     */
+    showExportProgress() {
+        const progress = document.createElement('div');
+        progress.className = 'wv-search-export-progress';
+        progress.style.cssText = `
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 8px;
+            padding: 8px 12px;
+            background: #eff6ff;
+            border-bottom: 1px solid #bfdbfe;
+            font-size: 12px;
+            color: #1e40af;
+            flex-shrink: 0;
+        `;
+        progress.innerHTML = `
+            <span class="wv-search-export-status">Collecting results…</span>
+            <button class="wv-search-export-cancel" style="
+                background: white;
+                border: 1px solid #bfdbfe;
+                border-radius: 4px;
+                padding: 2px 8px;
+                font-size: 11px;
+                color: #1e40af;
+                cursor: pointer;
+            ">Cancel</button>
+        `;
+
+        progress.querySelector('.wv-search-export-cancel').addEventListener('click', () => {
+            this.exportCancelled = true;
+            progress.querySelector('.wv-search-export-status').textContent = 'Cancelling…';
+        });
+
+        const resultsList = this.currentPanel.querySelector('.wv-search-results-list');
+        resultsList.parentNode.insertBefore(progress, resultsList);
+        this.updateExportProgress(progress, this.app.searchManager.getCurrentResults().length);
+
+        return progress;
+    }
+
+    updateExportProgress(progress, count) {
+        const status = progress.querySelector('.wv-search-export-status');
+        if (status && !this.exportCancelled) {
+            status.textContent = `Collecting results… ${Math.min(count, this.exportMaxResults)} (max ${this.exportMaxResults})`;
+        }
+    }
+
+    /**
+     * Flatten results into export rows, resolving channel names
+     * @param {Array} results - Search results
+     * @returns {Promise<Array>} Rows with sender, channel, timestamp, text and link
+     */
+    async buildExportRows(results) {
+        const channelUrls = [...new Set(results.map(r => r.channelUrl || this.currentChannelUrl).filter(Boolean))];
+
+        for (const channelUrl of channelUrls) {
+            if (this.channelNamesCache[channelUrl] !== undefined) continue;
+
+            if (!this.isGlobalPanel && channelUrl === this.currentChannelUrl) {
+                this.channelNamesCache[channelUrl] = this.currentChannelName;
+                continue;
+            }
+
+            try {
+                const channelInfo = await WVFavs.APIManager?.getChannelInfo(channelUrl);
+                this.channelNamesCache[channelUrl] = channelInfo?.name || null;
+            } catch (error) {
+                this.channelNamesCache[channelUrl] = null;
+            }
+        }
+
+        return results.map(result => {
+            const channelUrl = result.channelUrl || this.currentChannelUrl;
+            return {
+                sender: result.user.nickname,
+                channel: this.channelNamesCache[channelUrl] || channelUrl,
+                timestamp: new Date(result.createdAt).toISOString(),
+                message: this.cleanMessageText(result.message),
+                thread: result.isThread,
+                messageId: result.messageId,
+                link: this.buildResultLink(result)
+            };
+        });
+    }
+
+    /**
+     * Link to a result's chat, with the message id for reference
+     * WorkVivo chat URLs address channels, not individual messages
+     */
+    buildResultLink(result) {
+        const channelUrl = result.channelUrl || this.currentChannelUrl;
+        const messageId = result.isThread && result.parentMessageId ? result.parentMessageId : result.messageId;
+        return `${window.location.origin}/chat/${channelUrl}?message_id=${messageId}`;
+    }
+
+    /**
+     * Serialize export rows
+     * @param {Array} rows - Rows from buildExportRows
+     * @param {string} format - 'csv', 'json' or 'md'
+     * @param {string} query - Query shown in the export header
+     * @returns {string} File content
+     */
+    formatExport(rows, format, query) {
+        if (format === 'json') {
+            return JSON.stringify({
+                query,
+                scope: this.isGlobalPanel ? 'all channels' : this.currentChannelName,
+                exportedAt: new Date().toISOString(),
+                results: rows
+            }, null, 2);
+        }
+
+        if (format === 'md') {
+            const lines = [
+                `# Search: ${query}`,
+                '',
+                `Scope: ${this.isGlobalPanel ? 'all channels' : this.currentChannelName} · ${rows.length} results · exported ${new Date().toLocaleString()}`,
+                ''
+            ];
+            rows.forEach(row => {
+                lines.push(`### ${row.sender} in ${row.channel} — ${new Date(row.timestamp).toLocaleString()}${row.thread ? ' (thread)' : ''}`);
+                lines.push('');
+                lines.push(row.message.split('\n').map(line => `> ${line}`).join('\n'));
+                lines.push('');
+                lines.push(`[Open in WorkVivo](${row.link})`);
+                lines.push('');
+            });
+            return lines.join('\n');
+        }
+
+        // CSV
+        const columns = ['sender', 'channel', 'timestamp', 'message', 'thread', 'messageId', 'link'];
+        const lines = [columns.join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => WVFavs.Helpers.escapeCsvCell(row[column])).join(','));
+        });
+        return lines.join('\r\n');
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     /**
      * Close the panel
      */
     closePanel() {
         if (!this.currentPanel) return;
 
+        // Stop any export that is walking result pages
+        this.exportCancelled = true;
+
         // Re-enable all search buttons
         this.enableSearchButtons();
 
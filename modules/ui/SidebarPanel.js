@@ -0,0 +1,202 @@
+/**
+ * SidebarPanel - Base for the panels that slide in over the chat sidebar
+ * Builds the shell shared by ThreadInboxPanel, ActivityPanel, PollResultsPanel and
+ * UpcomingMeetingsPanel: a header with icon, title and close button, a scrolling body
+ * and a footer, positioned exactly on top of the sidebar like the Drafts and Mentions panels.
+ * Subclasses set `icon` (SVG paths) and fill in the header extras, body and footer.
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.SidebarPanel = class SidebarPanel {
+    constructor(app) {
+        this.app = app;
+        this.currentPanel = null;
+        this.icon = '';
+    }
+
+    /**
+     * Create the panel shell (not yet attached to the page)
+     * Class names follow the prefix: .wv-favorites-<prefix>-panel, .wv-<prefix>-header,
+     * .wv-<prefix>-<bodyClass>, .wv-<prefix>-footer and .wv-<prefix>-close.
+     * @param {Object} options
+     * @param {string} options.prefix - Class name prefix, e.g. 'activity'
+     * @param {string} options.title - Heading text
+     * @param {string} options.icon - SVG paths for the heading icon
+     * @param {string} options.iconColor - Stroke colour of the heading icon
+     * @param {string} options.headerActions - Extra buttons shown before the close button
+     * @param {string} options.headerExtra - Markup below the title row (filters, channel name)
+     * @param {string} options.bodyClass - Body class suffix
+     * @param {string} options.bodyPadding - Body padding
+     * @returns {{panel: HTMLElement, header: HTMLElement, body: HTMLElement, footer: HTMLElement}}
+     */
+    createPanelShell({ prefix, title, icon, iconColor, headerActions = '', headerExtra = '', bodyClass = 'body', bodyPadding = '8px 12px' }) {
+        const sidebar = document.querySelector('[data-testid="channel-list"]');
+        const sidebarRect = sidebar?.getBoundingClientRect();
+        const borderRadius = sidebar ? (window.getComputedStyle(sidebar).borderRadius || '0px') : '0px';
+
+        const panel = document.createElement('div');
+        panel.className = `wv-favorites-${prefix}-panel`;
+        panel.style.cssText = `
+            position: fixed;
+            top: ${sidebarRect ? sidebarRect.top : 0}px;
+            left: ${sidebarRect ? sidebarRect.left : 0}px;
+            width: ${sidebarRect ? sidebarRect.width : 300}px;
+            height: ${sidebarRect ? `${sidebarRect.height}px` : '100vh'};
+            background: white;
+            border-radius: ${borderRadius};
+            box-shadow: 0 4px 24px rgba(0, 0, 0, 0.12), 0 0 0 1px rgba(0, 0, 0, 0.05);
+            z-index: 10000;
+            display: flex;
+            flex-direction: column;
+            overflow: hidden;
+            animation: slideInLeft 0.2s ease-out;
+        `;
+
+        const header = document.createElement('div');
+        header.className = `wv-${prefix}-header`;
+        header.style.cssText = `
+            padding: 10px 12px;
+            border-bottom: 1px solid #e5e7eb;
+            background: #f9fafb;
+            flex-shrink: 0;
+        `;
+        header.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center;${headerExtra ? ' margin-bottom: 4px;' : ''}">
+                <div style="display: flex; align-items: center; gap: 8px; min-width: 0;">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="${iconColor}" stroke-width="2" style="flex-shrink: 0;">
+                        ${icon}
+                    </svg>
+                    <h3 style="margin: 0; font-size: 15px; font-weight: 600; color: #111827;">${title}</h3>
+                </div>
+                <div style="display: flex; align-items: center; gap: 4px; flex-shrink: 0;">
+                    ${headerActions}
+                    <button class="wv-${prefix}-close" style="
+                        background: transparent;
+                        border: none;
+                        cursor: pointer;
+                        padding: 0;
+                        width: 28px;
+                        height: 28px;
+                        border-radius: 6px;
+                        color: #6b7280;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                        flex-shrink: 0;
+                    ">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M18 6L6 18M6 6l12 12"/>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+            ${headerExtra}
+        `;
+
+        const body = document.createElement('div');
+        body.className = `wv-${prefix}-${bodyClass}`;
+        body.style.cssText = `
+            flex: 1;
+            overflow-y: auto;
+            padding: ${bodyPadding};
+            min-height: 0;
+        `;
+
+        const footer = document.createElement('div');
+        footer.className = `wv-${prefix}-footer`;
+        footer.style.cssText = `
+            padding: 8px 12px;
+            border-top: 1px solid #e5e7eb;
+            font-size: 11px;
+            color: #9ca3af;
+            flex-shrink: 0;
+        `;
+
+        panel.appendChild(header);
+        panel.appendChild(body);
+        panel.appendChild(footer);
+
+        header.querySelector(`.wv-${prefix}-close`).addEventListener('click', () => this.closePanel());
+
+        return { panel, header, body, footer };
+    }
+
+    /**
+     * Centered placeholder with a faded icon, for loading and empty lists
+     * @param {string} message - HTML-safe text
+     * @param {string} icon - SVG paths for the icon (defaults to the panel's own)
+     */
+    renderEmptyState(message, icon = this.icon) {
+        return `
+            <div style="padding: 40px 20px; text-align: center; color: #6b7280;">
+                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" style="margin: 0 auto 12px; opacity: 0.3;">
+                    ${icon}
+                </svg>
+                <p style="margin: 0; font-size: 14px;">${message}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Message text without mention and markdown markup
+     */
+    cleanMessageText(text) {
+        if (!text) return '';
+
+        return text
+            .replace(/@\[([^\]]+)\]\([^)]+\)/g, '@$1')
+            .replace(/\*\*(.*?)\*\*/g, '$1')
+            .replace(/\*(.*?)\*/g, '$1')
+            .replace(/`(.*?)`/g, '$1')
+            .replace(/\[(.*?)\]\(.*?\)/g, '$1')
+            .trim();
+    }
+
+    formatTimestamp(timestamp) {
+        const seconds = Math.floor((Date.now() - timestamp) / 1000);
+
+        if (seconds < 60) return 'Just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+        if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+
+        return new Date(timestamp).toLocaleDateString();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    addPanelAnimations() {
+        if (document.querySelector('#wv-favorites-sidebar-panel-animations')) return;
+
+        const style = document.createElement('style');
+        style.id = 'wv-favorites-sidebar-panel-animations';
+        style.textContent = `
+            @keyframes slideInLeft {
+                from { transform: translateX(-100%); opacity: 0; }
+                to { transform: translateX(0); opacity: 1; }
+            }
+            @keyframes slideOutLeft {
+                from { transform: translateX(0); opacity: 1; }
+                to { transform: translateX(-100%); opacity: 0; }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Close the panel
+     */
+    closePanel() {
+        if (!this.currentPanel) return;
+
+        const panel = this.currentPanel;
+        this.currentPanel = null;
+        panel.style.animation = 'slideOutLeft 0.2s ease-out';
+        setTimeout(() => panel.remove(), 200);
+    }
+};
@@ -75,6 +75,7 @@ WVFavs.StatusDialog = class StatusDialog {
 
         // Set up event listeners
         this.setupDialogEventListeners(dialog, currentStatus);
+        this.setupAutomationSection(dialog);
 
         this.app?.logger?.log('✅ Status dialog opened');
     }
@@ -183,6 +184,25 @@ WVFavs.StatusDialog = class StatusDialog {
         const expiryTimestamp = currentStatus?.expiry || null;
 
         body.innerHTML = `
+            ${this.app.meetingStatus ? `
+                <div class="wv-status-automation" style="
+                    margin-bottom: 16px;
+                    padding: 10px 12px;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 6px;
+                    background: #f9fafb;
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                ">
+                    <span style="font-size: 16px;">📅</span>
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="font-size: 13px; font-weight: 500; color: #374151;">Status from calendar</div>
+                        <div class="wv-status-automation-state" style="font-size: 12px; color: #6b7280;"></div>
+                    </div>
+                    <input type="checkbox" class="wv-status-automation-toggle" title="Set &quot;In a meeting&quot; automatically from Google Calendar" style="width: 16px; height: 16px; cursor: pointer; flex-shrink: 0;">
+                </div>
+            ` : ''}
             <div style="margin-bottom: 16px;">
                 <label style="display: block; font-size: 13px; font-weight: 500; color: #6b7280; margin-bottom: 8px;">
                     Choose a status
@@ -551,6 +571,56 @@ WVFavs.StatusDialog = class StatusDialog {
         document.addEventListener('keydown', escapeHandler);
     }
 
+    /**
+     * Calendar automation row: show what MeetingStatusManager is doing and let the user toggle it
+     */
+    setupAutomationSection(dialog) {
+        const section = dialog.querySelector('.wv-status-automation');
+        if (!section) return;
+
+        const toggle = section.querySelector('.wv-status-automation-toggle');
+        toggle.addEventListener('change', async () => {
+            toggle.disabled = true;
+            try {
+                await this.app.meetingStatus.setEnabled(toggle.checked);
+            } catch (error) {
+                this.app?.logger?.log('❌ Error toggling calendar status:', error);
+                this.showToast('Failed to update calendar status', 'error');
+            } finally {
+                toggle.disabled = false;
+                this.renderAutomationState(dialog);
+            }
+        });
+
+        this.automationListener = () => this.renderAutomationState(dialog);
+        window.addEventListener('wv-meeting-status-changed', this.automationListener);
+
+        this.renderAutomationState(dialog);
+    }
+
+    renderAutomationState(dialog) {
+        const label = dialog.querySelector('.wv-status-automation-state');
+        const toggle = dialog.querySelector('.wv-status-automation-toggle');
+        if (!label || !toggle) return;
+
+        const state = this.app.meetingStatus.getAutomationState();
+        toggle.checked = state.enabled;
+
+        if (!state.enabled) {
+            label.textContent = 'Off - turn on to show "In a meeting" during calendar events';
+        } else if (state.error === 'NOT_SIGNED_IN') {
+            label.textContent = 'On - sign in with Google to use your calendar';
+        } else if (state.error === 'PERMISSION_DENIED') {
+            label.textContent = 'On - calendar access not granted, sign in with Google again';
+        } else if (state.active) {
+            label.textContent = `Active until ${this.formatPreviewExpiry(state.until)}${state.title ? ` (${state.title})` : ''} - saving a status pauses it for this meeting`;
+        } else if (state.paused) {
+            label.textContent = 'Paused for the current meeting - you set a status by hand';
+        } else {
+            label.textContent = 'On - no meeting in progress';
+        }
+    }
+
     /**
      * Save status
      */
@@ -866,6 +936,11 @@ WVFavs.StatusDialog = class StatusDialog {
             return;
         }
 
+        if (this.automationListener) {
+            window.removeEventListener('wv-meeting-status-changed', this.automationListener);
+            this.automationListener = null;
+        }
+
         if (this.currentDialog) {
             this.currentDialog.style.animation = 'fadeOut 0.2s ease-out';
             setTimeout(() => {
@@ -0,0 +1,269 @@
+/**
+ * ThreadDigestView - "Catch up" view inside the thread panel
+ * Shows the replies since the user's last read, grouped by participant, with questions and
+ * messages naming the user pulled to the top and the links/files shared listed at the end.
+ * The digest itself comes from ThreadManager.getThreadDigest(); this only renders it.
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.ThreadDigestView = class ThreadDigestView {
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Show the catch-up view on top of the thread panel's list
+     * @param {HTMLElement} panel - .wv-favorites-thread-panel
+     * @param {Object} thread - Thread from ThreadManager.extractThreads
+     */
+    async show(panel, thread) {
+        const digest = await this.app.threadManager?.getThreadDigest(thread.messageId);
+        if (!digest) return;
+
+        panel.querySelector('.wv-thread-digest')?.remove();
+
+        const view = document.createElement('div');
+        view.className = 'wv-thread-digest';
+        view.style.cssText = `
+            position: absolute;
+            inset: 0;
+            background: white;
+            display: flex;
+            flex-direction: column;
+            z-index: 1;
+            animation: slideInRight 0.15s ease-out;
+        `;
+
+        const sinceLabel = digest.since > 0
+            ? `since you read it ${this.formatTimestamp(digest.since).toLowerCase()}`
+            : 'you haven\'t read this thread yet';
+
+        view.innerHTML = `
+            <div class="wv-thread-digest-header" style="padding: 10px 12px; border-bottom: 1px solid #e5e7eb; background: #f9fafb;">
+                <div style="display: flex; align-items: center; gap: 8px;">
+                    <button class="wv-thread-digest-back" title="Back to threads" style="background: none; border: none; cursor: pointer; padding: 4px; color: #6b7280; display: flex; align-items: center;">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="15 18 9 12 15 6"/>
+                        </svg>
+                    </button>
+                    <h3 style="margin: 0; font-size: 15px; font-weight: 600; color: #111827;">Catch up</h3>
+                </div>
+                <div style="font-size: 12px; color: #6b7280; margin-top: 4px; padding-left: 30px;">
+                    ${digest.newReplies.length} new ${digest.newReplies.length === 1 ? 'reply' : 'replies'}
+                    from ${digest.participants.length} ${digest.participants.length === 1 ? 'person' : 'people'}, ${sinceLabel}
+                </div>
+                <div style="font-size: 12px; color: #4b5563; margin-top: 6px; padding-left: 30px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                    ${this.escapeHtml(this.cleanMessageText(digest.parentMessage)) || '<em>Attachment</em>'}
+                </div>
+            </div>
+            <div class="wv-thread-digest-body" style="flex: 1; overflow-y: auto; padding: 8px 12px;"></div>
+            <div class="wv-thread-digest-footer" style="padding: 8px 12px; border-top: 1px solid #e5e7eb; background: #f9fafb; display: flex; align-items: center; justify-content: space-between; font-size: 11px; color: #9ca3af;">
+                <span>${digest.loadedReplies < digest.replyCount
+                    ? `Based on ${digest.loadedReplies} of ${digest.replyCount} replies loaded`
+                    : `Based on all ${digest.replyCount} replies`}</span>
+                <button class="wv-thread-digest-open" style="padding: 4px 10px; border: 1px solid #d1d5db; border-radius: 6px; background: white; cursor: pointer; font-size: 11px; font-weight: 500; color: #374151;">Open thread</button>
+            </div>
+        `;
+
+        this.renderBody(view.querySelector('.wv-thread-digest-body'), digest);
+
+        view.querySelector('.wv-thread-digest-back').addEventListener('click', () => view.remove());
+        view.querySelector('.wv-thread-digest-open').addEventListener('click', () => {
+            WVFavs.DomManager.openThreadById(thread.messageId);
+        });
+
+        panel.appendChild(view);
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('thread_catch_up_opened', {
+                new_replies: digest.newReplies.length,
+                participants: digest.participants.length,
+                highlights: digest.highlights.length,
+                links_and_files: digest.links.length + digest.files.length
+            });
+        }
+    }
+
+    renderBody(body, digest) {
+        if (digest.newReplies.length === 0) {
+            body.innerHTML = `
+                <div style="text-align: center; padding: 40px 20px; color: #6b7280;">
+                    <p style="margin: 0; font-size: 14px;">You're all caught up</p>
+                    <p style="margin: 6px 0 0; font-size: 12px; color: #9ca3af;">No replies since your last read</p>
+                </div>
+            `;
+            return;
+        }
+
+        if (digest.highlights.length > 0) {
+            body.appendChild(this.createSectionTitle(`Needs your attention (${digest.highlights.length})`));
+            digest.highlights.forEach(({ reply, reasons }) => {
+                body.appendChild(this.createReplyRow(reply, digest, { showAuthor: true, reasons }));
+            });
+        }
+
+        body.appendChild(this.createSectionTitle('By participant'));
+        digest.participants.forEach(participant => {
+            const group = document.createElement('details');
+            group.className = 'wv-thread-digest-participant';
+            group.open = digest.participants.length <= 3;
+            group.style.cssText = 'margin-bottom: 6px; border: 1px solid #f3f4f6; border-radius: 8px;';
+
+            const summary = document.createElement('summary');
+            summary.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 6px 8px; cursor: pointer; list-style: none; font-size: 13px;';
+            summary.innerHTML = `
+                ${participant.avatar
+                    ? `<img src="${this.escapeHtml(participant.avatar)}" style="width: 20px; height: 20px; border-radius: 50%; object-fit: cover;" alt="">`
+                    : '<span style="width: 20px; height: 20px; border-radius: 50%; background: #e5e7eb; display: inline-block;"></span>'}
+                <span style="font-weight: 600; color: #1f2937; flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(participant.name)}${participant.isMe ? ' (you)' : ''}</span>
+                <span style="font-size: 11px; color: #9ca3af;">${participant.replies.length} ${participant.replies.length === 1 ? 'reply' : 'replies'}</span>
+            `;
+            group.appendChild(summary);
+
+            participant.replies.forEach(reply => {
+                group.appendChild(this.createReplyRow(reply, digest, { showAuthor: false }));
+            });
+            body.appendChild(group);
+        });
+
+        if (digest.links.length > 0 || digest.files.length > 0) {
+            body.appendChild(this.createSectionTitle('Links & files'));
+
+            const list = document.createElement('div');
+            list.className = 'wv-thread-digest-links';
+            list.style.cssText = 'display: flex; flex-direction: column; gap: 4px; margin-bottom: 8px;';
+
+            [
+                ...digest.files.map(file => ({ icon: '📎', label: file.name, url: file.url, reply: file.reply })),
+                ...digest.links.map(link => ({ icon: '🔗', label: this.formatLinkLabel(link.url), url: link.url, reply: link.reply }))
+            ].forEach(entry => {
+                const row = document.createElement('a');
+                row.href = entry.url;
+                row.target = '_blank';
+                row.rel = 'noopener noreferrer';
+                row.title = entry.url;
+                row.style.cssText = 'display: flex; gap: 6px; font-size: 12px; color: #2563eb; text-decoration: none; overflow: hidden;';
+                row.innerHTML = `
+                    <span>${entry.icon}</span>
+                    <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap; flex: 1;">${this.escapeHtml(entry.label)}</span>
+                    <span style="color: #9ca3af; flex-shrink: 0;">${this.escapeHtml(entry.reply.user)}</span>
+                `;
+                list.appendChild(row);
+            });
+            body.appendChild(list);
+        }
+    }
+
+    createSectionTitle(text) {
+        const title = document.createElement('div');
+        title.className = 'wv-thread-digest-section';
+        title.style.cssText = 'font-size: 11px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; color: #6b7280; margin: 10px 0 6px;';
+        title.textContent = text;
+        return title;
+    }
+
+    /**
+     * One reply - clicking it jumps to the reply in Workvivo's thread view
+     */
+    createReplyRow(reply, digest, { showAuthor, reasons = [] }) {
+        const row = document.createElement('div');
+        row.className = `wv-thread-digest-reply${reasons.length > 0 ? ' wv-highlighted' : ''}`;
+        row.style.cssText = `
+            padding: 6px 8px;
+            margin-bottom: 4px;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 12px;
+            line-height: 1.4;
+            color: #374151;
+            ${reasons.length > 0 ? 'background: #fffbeb; border-left: 3px solid #f59e0b;' : ''}
+        `;
+
+        const badges = reasons.map(reason => reason === 'question'
+            ? '<span style="background: #fef3c7; color: #92400e; border-radius: 10px; padding: 0 6px; font-size: 10px; font-weight: 600;">Question</span>'
+            : '<span style="background: #ede9fe; color: #6d28d9; border-radius: 10px; padding: 0 6px; font-size: 10px; font-weight: 600;">Mentions you</span>'
+        ).join(' ');
+
+        row.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 2px; font-size: 11px; color: #9ca3af;">
+                ${showAuthor ? `<strong style="color: #4b5563;">${this.escapeHtml(reply.user)}</strong>` : ''}
+                <span>${this.formatTimestamp(reply.createdAt)}</span>
+                ${badges}
+            </div>
+            <div>${this.formatReplyText(reply, digest) || (reply.files.length > 0 ? '<em>Attachment</em>' : '')}</div>
+        `;
+
+        row.addEventListener('mouseenter', () => { row.style.background = reasons.length > 0 ? '#fef3c7' : '#f9fafb'; });
+        row.addEventListener('mouseleave', () => { row.style.background = reasons.length > 0 ? '#fffbeb' : ''; });
+        row.addEventListener('click', () => {
+            WVFavs.DomManager.navigateToMention(digest.channelUrl, digest.parentMessageId, true, reply.messageId, reply.createdAt);
+        });
+
+        return row;
+    }
+
+    /**
+     * Escaped reply text with mentions of the user (and their first name) marked
+     */
+    formatReplyText(reply, digest) {
+        const mentionToken = '\uE000'; // Private-use placeholder, survives escaping
+        const mentions = [];
+        let text = (reply.message || '').replace(/@\[([^\]]+)\]\(person:([^)]+)\)/g, (match, name, id) => {
+            mentions.push({ name, isMe: digest.myId && String(id) === digest.myId });
+            return `${mentionToken}${mentions.length - 1}${mentionToken}`;
+        });
+
+        text = this.escapeHtml(this.cleanMessageText(text));
+
+        if (digest.myFirstName) {
+            const escapedName = digest.myFirstName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            text = text.replace(new RegExp(`(?<![\\p{L}\\p{N}_])(${escapedName})(?![\\p{L}\\p{N}_])`, 'giu'), '<mark class="wv-thread-digest-mark">$1</mark>');
+        }
+
+        return text.replace(new RegExp(`${mentionToken}(\\d+)${mentionToken}`, 'g'), (match, index) => {
+            const mention = mentions[Number(index)];
+            const name = this.escapeHtml(`@${mention.name}`);
+            return mention.isMe ? `<mark class="wv-thread-digest-mark">${name}</mark>` : `<strong>${name}</strong>`;
+        });
+    }
+
+    formatLinkLabel(url) {
+        try {
+            const parsed = new URL(url);
+            const path = parsed.pathname.length > 1 ? parsed.pathname : '';
+            return `${parsed.hostname.replace(/^www\./, '')}${path}`;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    cleanMessageText(text) {
+        if (!text) return '';
+
+        return text
+            .replace(/@\[([^\]]+)\]\([^)]+\)/g, '@$1')
+            .replace(/\*\*(.*?)\*\*/g, '$1')
+            .replace(/\*(.*?)\*/g, '$1')
+            .replace(/`(.*?)`/g, '$1')
+            .replace(/\[(.*?)\]\(.*?\)/g, '$1')
+            .trim();
+    }
+
+    formatTimestamp(timestamp) {
+        const seconds = Math.floor((Date.now() - timestamp) / 1000);
+
+        if (seconds < 60) return 'Just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+        if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+
+        return new Date(timestamp).toLocaleDateString();
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
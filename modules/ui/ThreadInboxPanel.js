@@ -0,0 +1,216 @@
+/**
+ * ThreadInboxPanel - "My threads" inbox
+ * Lists followed threads from every channel with their unread reply counts.
+ * Data comes from ThreadManager's followed-thread store; the panel shell comes
+ * from SidebarPanel (sidebar overlay).
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.ThreadInboxPanel = class ThreadInboxPanel extends WVFavs.SidebarPanel {
+    constructor(app) {
+        super(app);
+        this.showUnreadOnly = false;
+        this.icon = '<path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>';
+
+        // Followed threads changed (new reply, read, follow/unfollow)
+        window.addEventListener('wv-followed-threads-updated', () => {
+            if (this.currentPanel && document.body.contains(this.currentPanel)) {
+                this.renderList(this.currentPanel);
+            }
+        });
+    }
+
+    /**
+     * Open the inbox panel
+     */
+    async openPanel() {
+        if (document.querySelector('.wv-favorites-thread-inbox-panel')) {
+            this.app?.logger?.log('🧵 Thread inbox already open');
+            return;
+        }
+
+        const panel = this.createPanelElement();
+        document.body.appendChild(panel);
+        this.currentPanel = panel;
+
+        this.addPanelAnimations();
+        this.renderList(panel);
+        this.resolveChannelNames(panel);
+
+        if (this.app.analytics) {
+            const threads = this.app.threadManager?.getFollowedThreads() || [];
+            this.app.analytics.trackEvent('thread_inbox_opened', {
+                thread_count: threads.length,
+                unread_count: threads.filter(t => t.isUnread).length
+            });
+        }
+    }
+
+    createPanelElement() {
+        const { panel, header, footer } = this.createPanelShell({
+            prefix: 'thread-inbox',
+            title: 'My threads',
+            icon: this.icon,
+            iconColor: '#6366f1',
+            headerExtra: `
+                <div style="display: flex; align-items: center; gap: 6px; margin-top: 4px;">
+                    <button class="wv-thread-inbox-filter" data-unread="false" style="padding: 3px 10px; border: 1px solid #e5e7eb; border-radius: 999px; font-size: 11px; cursor: pointer;">All</button>
+                    <button class="wv-thread-inbox-filter" data-unread="true" style="padding: 3px 10px; border: 1px solid #e5e7eb; border-radius: 999px; font-size: 11px; cursor: pointer;">Unread</button>
+                    <button class="wv-thread-inbox-mark-read" style="margin-left: auto; background: transparent; border: none; cursor: pointer; font-size: 11px; font-weight: 600; color: #6366f1;">Mark all read</button>
+                </div>
+            `,
+            bodyClass: 'list',
+            bodyPadding: '8px'
+        });
+
+        footer.textContent = this.app.settings?.get('autoFollowThreads') === false
+            ? 'Follow threads from the Threads panel in any chat'
+            : 'Threads you start or reply to are followed automatically';
+
+        header.querySelectorAll('.wv-thread-inbox-filter').forEach(button => {
+            button.addEventListener('click', () => {
+                this.showUnreadOnly = button.dataset.unread === 'true';
+                this.renderList(panel);
+            });
+        });
+
+        header.querySelector('.wv-thread-inbox-mark-read').addEventListener('click', () => {
+            this.app.threadManager?.markAllFollowedThreadsRead();
+        });
+
+        return panel;
+    }
+
+    /**
+     * Render followed threads
+     */
+    renderList(panel) {
+        const list = panel.querySelector('.wv-thread-inbox-list');
+        if (!list) return;
+
+        const threads = this.app.threadManager?.getFollowedThreads() || [];
+        const unreadCount = threads.filter(t => t.isUnread).length;
+        const visible = this.showUnreadOnly ? threads.filter(t => t.isUnread) : threads;
+
+        panel.querySelector('h3').textContent = unreadCount > 0 ? `My threads (${unreadCount})` : 'My threads';
+        panel.querySelectorAll('.wv-thread-inbox-filter').forEach(button => {
+            const active = (button.dataset.unread === 'true') === this.showUnreadOnly;
+            button.classList.toggle('wv-active', active);
+            button.style.background = active ? '#6366f1' : 'white';
+            button.style.borderColor = active ? '#6366f1' : '#e5e7eb';
+            button.style.color = active ? 'white' : '#475569';
+        });
+
+        if (visible.length === 0) {
+            const message = threads.length === 0
+                ? 'No followed threads yet'
+                : 'No unread replies';
+            list.innerHTML = this.renderEmptyState(message);
+            return;
+        }
+
+        list.innerHTML = '';
+        visible.forEach(thread => list.appendChild(this.createThreadItem(thread)));
+    }
+
+    createThreadItem(thread) {
+        const item = document.createElement('div');
+        item.className = thread.isUnread ? 'wv-thread-inbox-item wv-unread' : 'wv-thread-inbox-item';
+        item.dataset.messageId = thread.messageId;
+        item.style.cssText = `
+            padding: 10px 12px;
+            border-radius: 8px;
+            margin-bottom: 4px;
+            cursor: pointer;
+            border-left: 3px solid ${thread.isUnread ? '#6366f1' : 'transparent'};
+            background: ${thread.isUnread ? '#eef2ff' : 'white'};
+            transition: background 0.15s;
+        `;
+
+        const message = this.cleanMessageText(thread.message);
+        const lastReply = thread.lastRepliedAt ? this.formatTimestamp(thread.lastRepliedAt) : '';
+
+        item.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">
+                <span class="wv-thread-inbox-channel" style="flex: 1; min-width: 0; font-size: 11px; color: #6366f1; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                    ${this.escapeHtml(thread.channelName || 'Loading…')}
+                </span>
+                <span style="font-size: 11px; color: #9ca3af; flex-shrink: 0;">${lastReply}</span>
+            </div>
+            <div style="font-size: 13px; font-weight: ${thread.isUnread ? '600' : '500'}; color: #1f2937; margin-bottom: 2px;">
+                ${this.escapeHtml(thread.user)}
+            </div>
+            <div style="
+                font-size: 12px;
+                color: #6b7280;
+                line-height: 1.4;
+                overflow: hidden;
+                display: -webkit-box;
+                -webkit-line-clamp: 2;
+                -webkit-box-orient: vertical;
+            ">${this.escapeHtml(message) || '<em>Attachment</em>'}</div>
+            <div style="display: flex; align-items: center; gap: 10px; margin-top: 6px; font-size: 11px; color: #9ca3af;">
+                <span>💬 ${thread.replyCount} ${thread.replyCount === 1 ? 'reply' : 'replies'}</span>
+                ${thread.isUnread ? `<span style="background: #6366f1; color: white; border-radius: 10px; padding: 1px 7px; font-weight: 600;">${thread.unreadCount} new</span>` : ''}
+                <button class="wv-thread-inbox-unfollow" title="Stop following this thread" style="margin-left: auto; background: transparent; border: none; cursor: pointer; font-size: 11px; color: #9ca3af; padding: 0;">Unfollow</button>
+            </div>
+        `;
+
+        item.addEventListener('mouseenter', () => {
+            item.style.background = thread.isUnread ? '#e0e7ff' : '#f9fafb';
+        });
+        item.addEventListener('mouseleave', () => {
+            item.style.background = thread.isUnread ? '#eef2ff' : 'white';
+        });
+
+        item.querySelector('.wv-thread-inbox-unfollow').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.app.threadManager?.unfollowThread(thread.messageId);
+        });
+
+        item.addEventListener('click', () => this.openThread(thread));
+
+        return item;
+    }
+
+    /**
+     * Navigate to a followed thread (any channel) and mark it read
+     */
+    async openThread(thread) {
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('thread_inbox_thread_opened', {
+                was_unread: thread.isUnread,
+                unread_count: thread.unreadCount
+            });
+        }
+
+        this.app.threadManager?.markFollowedThreadRead(thread.messageId);
+        await WVFavs.DomManager.navigateToMention(thread.channelUrl, thread.messageId, true, null, thread.createdAt);
+    }
+
+    /**
+     * Fill in channel names that aren't known yet
+     */
+    async resolveChannelNames(panel) {
+        const threads = this.app.threadManager?.getFollowedThreads() || [];
+        const channelUrls = [...new Set(threads.filter(t => !t.channelName).map(t => t.channelUrl))];
+
+        for (const channelUrl of channelUrls) {
+            let channelName = null;
+            try {
+                channelName = (await WVFavs.APIManager.getChannelInfo(channelUrl))?.name || null;
+            } catch (error) {
+                // Leave the placeholder; it's retried next time the panel opens
+            }
+            if (!channelName) continue;
+
+            this.app.threadManager.setFollowedChannelName(channelUrl, channelName);
+            if (!document.body.contains(panel)) return;
+            threads.filter(t => t.channelUrl === channelUrl).forEach(thread => {
+                const label = panel.querySelector(`.wv-thread-inbox-item[data-message-id="${thread.messageId}"] .wv-thread-inbox-channel`);
+                if (label) label.textContent = channelName;
+            });
+        }
+    }
+};
@@ -0,0 +1,343 @@
+/**
+ * UpcomingMeetingsPanel - Next meetings from the user's primary Google Calendar
+ * Lists meetings with countdowns and one-click Join. Meetings created from WorkVivo carry
+ * the chat they were created in, so a "joining in 2 min" notice can be posted back there.
+ * Calendar access goes through GoogleMeetManager / the background script.
+ * The panel shell comes from SidebarPanel (sidebar overlay).
+ */
+
+var WVFavs = WVFavs || {};
+
+WVFavs.UpcomingMeetingsPanel = class UpcomingMeetingsPanel extends WVFavs.SidebarPanel {
+    constructor(app) {
+        super(app);
+        this.icon = '<rect x="3" y="4" width="18" height="18" rx="2"/><path d="M16 2v4M8 2v4M3 10h18"/>';
+        this.meetings = [];
+        this.countdownInterval = null;
+
+        this.config = {
+            hoursAhead: 24,
+            maxResults: 10,
+            // Meetings starting within this long are highlighted as "starting soon"
+            soonMs: 10 * 60 * 1000
+        };
+    }
+
+    /**
+     * Open the upcoming meetings panel
+     */
+    async openPanel() {
+        if (document.querySelector('.wv-favorites-upcoming-panel')) {
+            this.app?.logger?.log('📅 Upcoming meetings panel already open');
+            return;
+        }
+
+        const panel = this.createPanelElement();
+        document.body.appendChild(panel);
+        this.currentPanel = panel;
+
+        this.addPanelAnimations();
+        await this.loadMeetings(panel);
+
+        // Keep countdowns current while the panel is open
+        this.countdownInterval = setInterval(() => this.renderMeetings(panel), 30 * 1000);
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('upcoming_meetings_opened', {
+                meeting_count: this.meetings.length
+            });
+        }
+    }
+
+    createPanelElement() {
+        const { panel, header, footer } = this.createPanelShell({
+            prefix: 'upcoming',
+            title: 'Upcoming',
+            icon: this.icon,
+            iconColor: '#1a73e8',
+            headerActions: `
+                <button class="wv-upcoming-refresh" title="Refresh" style="
+                    background: transparent;
+                    border: none;
+                    cursor: pointer;
+                    padding: 0;
+                    width: 28px;
+                    height: 28px;
+                    border-radius: 6px;
+                    color: #6b7280;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                ">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M23 4v6h-6M1 20v-6h6"/>
+                        <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/>
+                    </svg>
+                </button>
+            `
+        });
+
+        footer.textContent = `Next ${this.config.hoursAhead} hours from your primary Google Calendar`;
+
+        header.querySelector('.wv-upcoming-refresh').addEventListener('click', () => this.loadMeetings(panel));
+
+        return panel;
+    }
+
+    /**
+     * Fetch meetings from the calendar and render them
+     */
+    async loadMeetings(panel) {
+        const body = panel.querySelector('.wv-upcoming-body');
+        body.innerHTML = this.renderEmptyState('Loading meetings…');
+
+        try {
+            const { isSignedIn, meetings } = await this.app.googleMeetManager.getUpcomingMeetings({
+                hoursAhead: this.config.hoursAhead,
+                maxResults: this.config.maxResults
+            });
+            if (panel !== this.currentPanel) return;
+
+            if (!isSignedIn) {
+                this.meetings = [];
+                body.innerHTML = '';
+                body.appendChild(this.createSignInPrompt(panel));
+                return;
+            }
+
+            this.meetings = meetings;
+            this.renderMeetings(panel);
+        } catch (error) {
+            this.app?.logger?.warn('📅 Failed to load upcoming meetings:', error);
+            if (panel !== this.currentPanel) return;
+
+            body.innerHTML = this.renderEmptyState(error.message === 'PERMISSION_DENIED'
+                ? 'Calendar access was not granted. Sign out and back in to Google from the extension popup.'
+                : 'Could not load your calendar. Try again in a moment.');
+        }
+    }
+
+    createSignInPrompt(panel) {
+        const prompt = document.createElement('div');
+        prompt.innerHTML = this.renderEmptyState('Sign in with Google to see your upcoming meetings');
+
+        const button = document.createElement('button');
+        button.className = 'wv-upcoming-signin';
+        button.textContent = 'Sign in with Google';
+        button.style.cssText = 'display: block; margin: 0 auto; padding: 6px 14px; border: none; border-radius: 6px; background: #1a73e8; color: white; font-size: 12px; font-weight: 500; cursor: pointer;';
+        button.addEventListener('click', async () => {
+            try {
+                await this.app.googleMeetManager.authenticate();
+                await this.loadMeetings(panel);
+            } catch (error) {
+                WVFavs.DomManager.showSnackbar('Google sign-in failed', 'error');
+            }
+        });
+
+        prompt.appendChild(button);
+        return prompt;
+    }
+
+    /**
+     * Render the cached meetings; also called every 30s to refresh countdowns
+     */
+    renderMeetings(panel) {
+        if (!panel || !document.body.contains(panel)) return;
+
+        const body = panel.querySelector('.wv-upcoming-body');
+        const now = Date.now();
+        const meetings = this.meetings.filter(meeting => new Date(meeting.end).getTime() > now);
+
+        if (meetings.length === 0) {
+            body.innerHTML = this.renderEmptyState(`No meetings in the next ${this.config.hoursAhead} hours`);
+            return;
+        }
+
+        body.innerHTML = '';
+        meetings.forEach(meeting => body.appendChild(this.createMeetingItem(meeting, now)));
+    }
+
+    createMeetingItem(meeting, now) {
+        const start = new Date(meeting.start).getTime();
+        const end = new Date(meeting.end).getTime();
+        const inProgress = start <= now;
+        const startingSoon = !inProgress && start - now <= this.config.soonMs;
+
+        const item = document.createElement('div');
+        item.className = 'wv-upcoming-item';
+        item.classList.toggle('wv-active', inProgress || startingSoon);
+        item.style.cssText = `
+            padding: 8px 10px;
+            margin-bottom: 6px;
+            border: 1px solid ${inProgress || startingSoon ? '#1a73e8' : '#e5e7eb'};
+            border-radius: 8px;
+            background: ${inProgress || startingSoon ? '#e8f0fe' : 'white'};
+            font-size: 12px;
+        `;
+
+        item.innerHTML = `
+            <div style="display: flex; justify-content: space-between; gap: 6px; align-items: baseline;">
+                <strong class="wv-upcoming-title" style="color: #111827; font-size: 13px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" "></strong>
+                <span class="wv-upcoming-countdown" style="flex-shrink: 0; font-size: 11px; font-weight: 600; color: ${inProgress || startingSoon ? '#1a73e8' : '#6b7280'};">${this.formatCountdown(start, end, now)}</span>
+            </div>
+            <div style="color: #6b7280; font-size: 11px; margin-top: 2px;">
+                ${this.formatTimeRange(start, end)}${meeting.responseStatus === 'needsAction' ? ' · Not responded' : ''}${meeting.responseStatus === 'tentative' ? ' · Maybe' : ''}
+            </div>
+            ${meeting.channelName ? `<div style="color: #6b7280; font-size: 11px; margin-top: 2px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">💬 ${this.escapeHtml(meeting.channelName)}</div>` : ''}
+            <div class="wv-upcoming-actions" style="display: flex; gap: 6px; margin-top: 6px;"></div>
+        `;
+
+        // Calendar titles come from whoever sent the invite - keep them out of the markup
+        const title = item.querySelector('.wv-upcoming-title');
+        title.textContent = meeting.title;
+        title.title = meeting.title;
+
+        const actions = item.querySelector('.wv-upcoming-actions');
+
+        if (meeting.meetLink) {
+            const join = document.createElement('button');
+            join.className = 'wv-upcoming-join';
+            join.textContent = 'Join';
+            join.style.cssText = 'padding: 4px 12px; border: none; border-radius: 6px; background: #1a73e8; color: white; font-size: 11px; font-weight: 600; cursor: pointer;';
+            join.addEventListener('click', () => this.joinMeeting(meeting));
+            actions.appendChild(join);
+        }
+
+        if (meeting.channelUrl && !inProgress) {
+            const notify = document.createElement('button');
+            notify.className = 'wv-upcoming-notify';
+            notify.textContent = 'Post "joining in 2 min"';
+            notify.title = `Post in ${meeting.channelName || 'the chat this meeting was created from'}`;
+            notify.style.cssText = 'padding: 4px 10px; border: 1px solid #d1d5db; border-radius: 6px; background: white; color: #374151; font-size: 11px; cursor: pointer;';
+            notify.addEventListener('click', async () => {
+                notify.disabled = true;
+                try {
+                    await this.postJoiningNotice(meeting);
+                } catch (error) {
+                    WVFavs.DomManager.showSnackbar(`Could not post to ${meeting.channelName || 'the chat'}: ${error.message}`, 'error');
+                } finally {
+                    notify.disabled = false;
+                }
+            });
+            actions.appendChild(notify);
+        }
+
+        if (!actions.children.length && meeting.htmlLink) {
+            const open = document.createElement('a');
+            open.href = meeting.htmlLink;
+            open.target = '_blank';
+            open.rel = 'noopener noreferrer';
+            open.textContent = 'Open in Calendar';
+            open.style.cssText = 'font-size: 11px; color: #2563eb; text-decoration: none;';
+            actions.appendChild(open);
+        }
+
+        return item;
+    }
+
+    joinMeeting(meeting) {
+        window.open(meeting.meetLink, '_blank', 'noopener');
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('upcoming_meeting_joined', {
+                minutes_to_start: Math.round((new Date(meeting.start).getTime() - Date.now()) / 60000)
+            });
+        }
+    }
+
+    /**
+     * Post "joining in 2 min" into the chat a meeting was created from
+     * Sends it right away when the composer is empty; otherwise appends it and leaves
+     * sending to the user so a half-written message doesn't go out with it.
+     * Also used by the popup via the postMeetingJoiningNotice runtime message.
+     * @param {Object} meeting - Meeting from GoogleMeetManager.getUpcomingMeetings()
+     * @returns {Promise<boolean>} True if the message was sent
+     */
+    async postJoiningNotice(meeting) {
+        if (!meeting?.channelUrl) {
+            throw new Error('Meeting was not created from a chat');
+        }
+
+        if (this.app.threadManager?.getCurrentChannel() !== meeting.channelUrl) {
+            await WVFavs.DomManager.navigateToChat({
+                channel_url: meeting.channelUrl,
+                name: meeting.channelName
+            }, 'upcoming_meetings');
+            await WVFavs.DomManager.waitForChannelLoad(meeting.channelUrl);
+            // Let DraftManager restore any saved draft first so we can see it below
+            await new Promise(resolve => setTimeout(resolve, 300 + (this.app.draftManager?.config.restoreDelayMs || 0)));
+        }
+
+        if (this.app.threadManager?.getCurrentChannel() !== meeting.channelUrl) {
+            throw new Error('Could not open the chat');
+        }
+
+        const input = document.querySelector('[data-testid="message-section"] div[contenteditable="true"][role="textbox"]');
+        if (!input) {
+            throw new Error('Message box not found');
+        }
+
+        const hadText = !!input.textContent.trim();
+        const text = `Joining "${meeting.title}" in 2 min`;
+
+        input.focus();
+        const range = document.createRange();
+        const selection = window.getSelection();
+        range.selectNodeContents(input);
+        range.collapse(false);
+        selection.removeAllRanges();
+        selection.addRange(range);
+        document.execCommand('insertText', false, hadText ? ` ${text}` : text);
+
+        let sent = false;
+        if (!hadText && this.app.draftManager) {
+            // Give Lexical a moment to pick up the inserted text before submitting
+            await new Promise(resolve => setTimeout(resolve, 200));
+            const submitted = await this.app.draftManager.submitEditorInPageContext();
+            sent = !!submitted?.success;
+        }
+
+        WVFavs.DomManager.showSnackbar(
+            sent ? `Posted in ${meeting.channelName || 'chat'}` : 'Message added - press Enter to send',
+            sent ? 'success' : 'info'
+        );
+
+        if (this.app.analytics) {
+            this.app.analytics.trackEvent('upcoming_meeting_notice_posted', { sent });
+        }
+
+        return sent;
+    }
+
+    formatCountdown(start, end, now) {
+        if (start <= now) {
+            const left = Math.max(1, Math.round((end - now) / 60000));
+            return `Now · ${left} min left`;
+        }
+
+        const minutes = Math.round((start - now) / 60000);
+        if (minutes < 1) return 'Starting';
+        if (minutes < 60) return `in ${minutes} min`;
+
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return rest ? `in ${hours} h ${rest} min` : `in ${hours} h`;
+    }
+
+    formatTimeRange(start, end) {
+        const options = { hour: '2-digit', minute: '2-digit' };
+        const startDate = new Date(start);
+        const isToday = startDate.toDateString() === new Date().toDateString();
+        const day = isToday ? '' : `${startDate.toLocaleDateString(undefined, { weekday: 'short' })} `;
+        return `${day}${startDate.toLocaleTimeString([], options)} – ${new Date(end).toLocaleTimeString([], options)}`;
+    }
+
+    closePanel() {
+        if (this.countdownInterval) {
+            clearInterval(this.countdownInterval);
+            this.countdownInterval = null;
+        }
+
+        super.closePanel();
+    }
+};
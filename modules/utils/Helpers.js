@@ -97,5 +97,95 @@ WVFavs.Helpers = {
     extractDistinctChannel(channels) {
         if (!channels || !Array.isArray(channels)) return null;
         return channels.find(ch => ch.is_distinct === true);
+    },
+
+    /**
+     * Word-level diff between two texts (LCS over words and whitespace runs)
+     * @param {string} before - Old text
+     * @param {string} after - New text
+     * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Consecutive parts of the same type are merged
+     */
+    diffWords(before, after) {
+        const a = (before || '').split(/(\s+)/).filter(Boolean);
+        const b = (after || '').split(/(\s+)/).filter(Boolean);
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+
+        // Too large for a quadratic diff: show it as a full replacement
+        if (a.length * b.length > 250000) {
+            if (before) push('removed', before);
+            if (after) push('added', after);
+            return parts;
+        }
+
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('same', a[i]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+
+        return parts;
+    },
+
+    /**
+     * Timestamps for the "later" presets used by snooze and send later
+     * @returns {{inOneHour: number, tomorrowMorning: number, nextWeekMorning: number}} 9:00 local time for the mornings
+     */
+    getLaterPresetTimes() {
+        const now = new Date();
+
+        const tomorrow = new Date(now);
+        tomorrow.setDate(now.getDate() + 1);
+        tomorrow.setHours(9, 0, 0, 0);
+
+        // Next Monday 9:00 (a full week ahead if today is Monday)
+        const nextWeek = new Date(now);
+        nextWeek.setDate(now.getDate() + ((8 - now.getDay()) % 7 || 7));
+        nextWeek.setHours(9, 0, 0, 0);
+
+        return {
+            inOneHour: now.getTime() + 60 * 60 * 1000,
+            tomorrowMorning: tomorrow.getTime(),
+            nextWeekMorning: nextWeek.getTime()
+        };
+    },
+
+    /**
+     * One CSV cell: quoted when needed, and prefixed with ' when a spreadsheet app
+     * would otherwise run it as a formula
+     * @param {*} value - Cell value
+     * @returns {string}
+     */
+    escapeCsvCell(value) {
+        let str = String(value ?? '');
+        if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
     }
 };
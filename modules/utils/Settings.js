@@ -5,16 +5,36 @@ WVFavs.Settings = new (class Settings {
         this.settings = {
             // Core Features (ALL ENABLED BY DEFAULT)
             enableThreadsPanel: true,        // Threads panel in sidebar
+            autoFollowThreads: true,         // Follow threads you start or reply to (My threads inbox)
             enableMentionsPanel: true,       // Mentions panel in sidebar
+            enableActivityPanel: true,       // Channel activity digest panel in sidebar
+            enableUpcomingMeetings: true,    // Upcoming Google Calendar meetings panel in sidebar
             enableSearchPanel: true,         // Search panel in sidebar
             enableDrafts: true,              // Draft messages feature
             enableStatusUpdates: true,       // Availability status updates feature
             enableQuickInfo: true,           // Quick Info button in DM chat header
+            enablePolls: true,               // Poll composer button and live poll cards in chat
 
             // Feature Options
             overrideSearchButton: true,      // Override search button (dependent on enableSearchPanel)
+            enableMessageIndex: true,        // Index viewed messages locally for instant search (dependent on enableSearchPanel)
             adasEnabled: true,               // Accidental Deletion Assistance (dependent on enableDrafts)
+            adasWindowSeconds: 60,           // How long ADAS keeps a cleared draft before deleting it
+            sentArchiveSize: 10,             // Recently sent messages kept per channel (0 = off)
+            staleDraftDays: 14,              // Suggest cleaning up drafts older than this (0 = never)
+            enableScheduledSend: true,       // Send later for drafts (dependent on enableDrafts)
+            enableSnippets: true,            // ;;name message templates (dependent on enableDrafts)
             enableGoogleMeet: true,          // Google Meet instant meeting integration
+            autoMeetingStatus: false,        // Set "In a meeting" from Google Calendar (dependent on enableGoogleMeet)
+            meetingStatusIgnoreDeclined: true, // Calendar status skips events you declined
+            meetingStatusIgnoreAllDay: true, // Calendar status skips all-day events
+            meetingStatusIgnoreFocusTime: true, // Calendar status skips focus time blocks
+            enableMentionNotifications: true, // Desktop notifications for real-time @mentions
+            mentionQuietHoursEnabled: false, // Suppress mention notifications during quiet hours
+            mentionQuietHoursStart: '22:00', // Quiet hours start (HH:MM, local time)
+            mentionQuietHoursEnd: '08:00',   // Quiet hours end (HH:MM, may cross midnight)
+            mutedMentionChannels: [],        // [{ channelUrl, name }] with mention notifications muted
+            watchKeywords: [],               // Watch-list terms or /regex/flags for keyword alerts
 
             // UI Options
             showSnackbars: true,             // Show action notifications
@@ -34,6 +54,7 @@ WVFavs.Settings = new (class Settings {
             // System
             debugLogging: false,             // Enable debug logging
             windowsModifierKey: 'ctrl',      // Modifier key for Windows
+            keyboardShortcuts: {},           // Per-action binding overrides (see ShortcutRegistry)
             enableFeatureStability: true     // Enable remote feature stability control
         };
     }
@@ -0,0 +1,197 @@
+var WVFavs = WVFavs || {};
+
+/**
+ * Keyboard shortcut registry
+ *
+ * Bindings are strings like "Mod+Shift+KeyP": an optional "Mod" (Cmd on macOS, the
+ * configured windowsModifierKey elsewhere), an optional "Shift", and a KeyboardEvent.code.
+ * User overrides are stored in the `keyboardShortcuts` setting as { actionId: [bindings] }.
+ *
+ * Loaded by both the content script and the options page, so it must not depend on the app.
+ */
+WVFavs.ShortcutRegistry = new (class ShortcutRegistry {
+    constructor() {
+        this.actions = [
+            { id: 'quickSearch', label: 'Open quick search', category: 'Navigation', defaults: ['Mod+Slash', 'Mod+Semicolon'] },
+            { id: 'chatSwitcher', label: 'Recent chat switcher (hold to cycle)', category: 'Navigation', defaults: ['Mod+Backslash'] },
+            { id: 'commandPalette', label: 'Open command palette', category: 'Navigation', defaults: [] },
+            { id: 'openMentions', label: 'Open Mentions panel', category: 'Panels', defaults: [] },
+            { id: 'openThreads', label: 'Open Threads panel', category: 'Panels', defaults: [] },
+            { id: 'openDrafts', label: 'Open Drafts panel', category: 'Panels', defaults: [] },
+            { id: 'openSearch', label: 'Open Search panel', category: 'Panels', defaults: [] },
+            { id: 'togglePin', label: 'Pin / unpin current chat', category: 'Actions', defaults: [] },
+            { id: 'startMeet', label: 'Start Google Meet', category: 'Actions', defaults: [] },
+            { id: 'setStatus', label: 'Set status', category: 'Actions', defaults: [] },
+            { id: 'toggleDarkMode', label: 'Toggle dark mode', category: 'Actions', defaults: [] }
+        ];
+
+        // Keys already handled by WorkVivo's message composer or the browser
+        this.reservedBindings = {
+            'Mod+KeyB': 'WorkVivo: bold',
+            'Mod+KeyI': 'WorkVivo: italic',
+            'Mod+KeyU': 'WorkVivo: underline',
+            'Mod+KeyK': 'WorkVivo: insert link',
+            'Mod+KeyZ': 'WorkVivo: undo',
+            'Mod+Shift+KeyZ': 'WorkVivo: redo',
+            'Mod+KeyY': 'WorkVivo: redo',
+            'Mod+KeyA': 'Select all',
+            'Mod+KeyC': 'Copy',
+            'Mod+KeyV': 'Paste',
+            'Mod+KeyX': 'Cut',
+            'Mod+Enter': 'WorkVivo: send message',
+            'Mod+KeyF': 'Browser: find in page',
+            'Mod+KeyL': 'Browser: focus address bar',
+            'Mod+KeyN': 'Browser: new window',
+            'Mod+KeyP': 'Browser: print',
+            'Mod+KeyR': 'Browser: reload',
+            'Mod+KeyT': 'Browser: new tab',
+            'Mod+KeyW': 'Browser: close tab'
+        };
+
+        // Characters produced by the default keys, for layouts where e.code differs
+        this.keyCharacters = {
+            Slash: ['/', '?'],
+            Semicolon: [';', ':'],
+            Backslash: ['\\', '|']
+        };
+    }
+
+    getAction(actionId) {
+        return this.actions.find(action => action.id === actionId) || null;
+    }
+
+    getOverrides() {
+        return WVFavs.Settings?.get?.('keyboardShortcuts') || {};
+    }
+
+    getBindings(actionId, overrides = this.getOverrides()) {
+        if (Array.isArray(overrides[actionId])) {
+            return overrides[actionId];
+        }
+        return this.getAction(actionId)?.defaults || [];
+    }
+
+    getAllBindings(overrides = this.getOverrides()) {
+        const result = {};
+        this.actions.forEach(action => {
+            result[action.id] = this.getBindings(action.id, overrides);
+        });
+        return result;
+    }
+
+    parseBinding(binding) {
+        const parts = binding.split('+');
+        return {
+            mod: parts.includes('Mod'),
+            shift: parts.includes('Shift'),
+            code: parts[parts.length - 1]
+        };
+    }
+
+    /**
+     * Build a binding string from a keydown event
+     * @returns {string|null} null when only modifier keys are held
+     */
+    bindingFromEvent(e, modifierPressed) {
+        if (['Meta', 'Control', 'Alt', 'Shift'].includes(e.key)) {
+            return null;
+        }
+
+        const parts = [];
+        if (modifierPressed) parts.push('Mod');
+        if (e.shiftKey) parts.push('Shift');
+        parts.push(e.code);
+        return parts.join('+');
+    }
+
+    keyMatches(code, e) {
+        if (e.code === code) return true;
+        const chars = this.keyCharacters[code];
+        return !!chars && chars.includes(e.key);
+    }
+
+    /**
+     * Whether a keydown event triggers a binding.
+     * Bindings without Shift still match shifted keys, since some layouts need Shift for "/" or ";".
+     */
+    eventMatchesBinding(binding, e, modifierPressed) {
+        const parsed = this.parseBinding(binding);
+        if (parsed.mod !== !!modifierPressed) return false;
+        if (parsed.shift && !e.shiftKey) return false;
+        return this.keyMatches(parsed.code, e);
+    }
+
+    /**
+     * Find the action bound to a keydown event, preferring exact Shift matches
+     * @returns {string|null} Action id
+     */
+    findAction(e, modifierPressed, overrides = this.getOverrides()) {
+        const all = this.getAllBindings(overrides);
+        let looseMatch = null;
+
+        for (const [actionId, bindings] of Object.entries(all)) {
+            for (const binding of bindings) {
+                if (!this.eventMatchesBinding(binding, e, modifierPressed)) continue;
+                if (this.parseBinding(binding).shift === e.shiftKey) {
+                    return actionId;
+                }
+                looseMatch = looseMatch || actionId;
+            }
+        }
+
+        return looseMatch;
+    }
+
+    /**
+     * Find bindings that clash with WorkVivo/browser keys or with each other
+     * @returns {Array<{actionId: string, binding: string, reason: string}>}
+     */
+    getConflicts(overrides = this.getOverrides()) {
+        const conflicts = [];
+        const owners = {};
+
+        for (const [actionId, bindings] of Object.entries(this.getAllBindings(overrides))) {
+            for (const binding of bindings) {
+                if (this.reservedBindings[binding]) {
+                    conflicts.push({ actionId, binding, reason: this.reservedBindings[binding] });
+                }
+
+                if (owners[binding] && owners[binding] !== actionId) {
+                    conflicts.push({ actionId, binding, reason: `Also bound to "${this.getAction(owners[binding]).label}"` });
+                } else {
+                    owners[binding] = actionId;
+                }
+            }
+        }
+
+        return conflicts;
+    }
+
+    formatModifier(isMac, windowsModifierKey = 'ctrl') {
+        if (isMac) return 'Cmd';
+        const modLabels = { ctrl: 'Ctrl', alt: 'Alt', both: 'Ctrl/Alt' };
+        return modLabels[windowsModifierKey] || 'Ctrl';
+    }
+
+    /**
+     * Human-readable binding, e.g. "Cmd+Shift+P" or "Ctrl+/"
+     */
+    formatBinding(binding, isMac, windowsModifierKey = 'ctrl') {
+        const codeLabels = {
+            Slash: '/', Semicolon: ';', Backslash: '\\', Comma: ',', Period: '.', Quote: "'",
+            BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Backquote: '`',
+            Enter: 'Enter', Space: 'Space', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→'
+        };
+
+        const parsed = this.parseBinding(binding);
+        const parts = [];
+        if (parsed.mod) parts.push(this.formatModifier(isMac, windowsModifierKey));
+        if (parsed.shift) parts.push('Shift');
+
+        let key = codeLabels[parsed.code] || parsed.code;
+        key = key.replace(/^Key/, '').replace(/^Digit/, '');
+        parts.push(key);
+
+        return parts.join('+');
+    }
+})();
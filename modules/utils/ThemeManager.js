@@ -367,6 +367,48 @@ html.wv-dark-mode .wv-load-older-threads-btn {
     border-color: #334155 !important;
     color: #94a3b8 !important;
 }
+/* Thread catch-up view */
+html.wv-dark-mode .wv-thread-digest {
+    background: #1e293b !important;
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-thread-digest-header,
+html.wv-dark-mode .wv-thread-digest-footer {
+    background: #162032 !important;
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-thread-digest-header h3,
+html.wv-dark-mode .wv-thread-digest-participant summary span[style*="color: #1f2937"] {
+    color: #f1f5f9 !important;
+}
+html.wv-dark-mode .wv-thread-digest-participant {
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-thread-digest-reply {
+    color: #cbd5e1 !important;
+}
+html.wv-dark-mode .wv-thread-digest-reply:not(.wv-highlighted):hover {
+    background: #334155 !important;
+}
+html.wv-dark-mode .wv-thread-digest-reply.wv-highlighted {
+    background: #3a2e12 !important;
+}
+html.wv-dark-mode .wv-thread-digest-open,
+html.wv-dark-mode .wv-thread-catch-up-btn {
+    background: #0f172a !important;
+    border-color: #475569 !important;
+    color: #fcd34d !important;
+}
+html.wv-dark-mode .wv-thread-digest-open {
+    color: #cbd5e1 !important;
+}
+html.wv-dark-mode .wv-thread-digest-links a {
+    color: #93c5fd !important;
+}
+html.wv-dark-mode .wv-thread-digest-mark {
+    background: #854d0e !important;
+    color: #fef9c3 !important;
+}
 
 /* ===== SEARCH PANEL ===== */
 html.wv-dark-mode .wv-favorites-global-search-panel {
@@ -492,6 +534,215 @@ html.wv-dark-mode .wv-favorites-mentions-load-more {
     border-color: #334155 !important;
     color: #94a3b8 !important;
 }
+html.wv-dark-mode .wv-mention-action-btn {
+    background: #0f172a !important;
+    border-color: #334155 !important;
+    color: #94a3b8 !important;
+}
+html.wv-dark-mode .wv-mention-snooze-menu {
+    background: #1e293b !important;
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-mention-snooze-option {
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-mention-snooze-option:hover {
+    background: #334155 !important;
+}
+html.wv-dark-mode .wv-mention-snooze-custom {
+    background: #0f172a !important;
+    border-color: #475569 !important;
+    color: #e2e8f0 !important;
+    color-scheme: dark;
+}
+html.wv-dark-mode .wv-thread-follow-btn {
+    border-color: #475569 !important;
+}
+
+/* ===== MY THREADS INBOX ===== */
+html.wv-dark-mode .wv-favorites-thread-inbox-panel {
+    background: #1e293b !important;
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-thread-inbox-header,
+html.wv-dark-mode .wv-thread-inbox-footer {
+    background: #162032 !important;
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-thread-inbox-header h3 {
+    color: #f1f5f9 !important;
+}
+html.wv-dark-mode .wv-thread-inbox-filter:not(.wv-active) {
+    background: #0f172a !important;
+    border-color: #475569 !important;
+    color: #cbd5e1 !important;
+}
+html.wv-dark-mode .wv-thread-inbox-item {
+    background: #1e293b !important;
+}
+html.wv-dark-mode .wv-thread-inbox-item.wv-unread {
+    background: #1e1b4b !important;
+}
+html.wv-dark-mode .wv-thread-inbox-item:hover {
+    background: #334155 !important;
+}
+html.wv-dark-mode .wv-thread-inbox-item div[style*="color: #1f2937"] {
+    color: #f1f5f9 !important;
+}
+html.wv-dark-mode .wv-thread-inbox-item div[style*="color: #6b7280"] {
+    color: #94a3b8 !important;
+}
+
+/* ===== ACTIVITY PANEL ===== */
+html.wv-dark-mode .wv-favorites-activity-panel {
+    background: #1e293b !important;
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-activity-header,
+html.wv-dark-mode .wv-activity-footer {
+    background: #162032 !important;
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-activity-header h3 {
+    color: #f1f5f9 !important;
+}
+html.wv-dark-mode .wv-activity-window:not(.wv-active) {
+    background: #0f172a !important;
+    border-color: #475569 !important;
+    color: #cbd5e1 !important;
+}
+html.wv-dark-mode .wv-activity-stat {
+    background: #134e4a !important;
+}
+html.wv-dark-mode .wv-activity-stat div[style*="color: #0f766e"] {
+    color: #5eead4 !important;
+}
+html.wv-dark-mode .wv-activity-section div[style*="color: #374151"],
+html.wv-dark-mode .wv-activity-section strong[style*="color: #4b5563"] {
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-activity-bar-track {
+    background: #334155 !important;
+}
+html.wv-dark-mode .wv-activity-message:hover {
+    background: #334155 !important;
+}
+html.wv-dark-mode .wv-activity-section a {
+    color: #93c5fd !important;
+}
+
+/* ===== UPCOMING MEETINGS PANEL ===== */
+html.wv-dark-mode .wv-favorites-upcoming-panel {
+    background: #1e293b !important;
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-upcoming-header,
+html.wv-dark-mode .wv-upcoming-footer {
+    background: #162032 !important;
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-upcoming-header h3,
+html.wv-dark-mode .wv-upcoming-title {
+    color: #f1f5f9 !important;
+}
+html.wv-dark-mode .wv-upcoming-item {
+    background: #0f172a !important;
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-upcoming-item.wv-active {
+    background: #1e3a5f !important;
+    border-color: #3b82f6 !important;
+}
+html.wv-dark-mode .wv-upcoming-item.wv-active .wv-upcoming-countdown {
+    color: #93c5fd !important;
+}
+html.wv-dark-mode .wv-upcoming-item div[style*="color: #6b7280"] {
+    color: #94a3b8 !important;
+}
+html.wv-dark-mode .wv-upcoming-notify {
+    background: #1e293b !important;
+    border-color: #475569 !important;
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-upcoming-item a {
+    color: #93c5fd !important;
+}
+
+/* ===== POLLS ===== */
+html.wv-dark-mode .wv-poll-card,
+html.wv-dark-mode .wv-poll-dialog {
+    background: #1e293b !important;
+    border-color: #334155 !important;
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-poll-title,
+html.wv-dark-mode .wv-poll-dialog h3,
+html.wv-dark-mode .wv-poll-dialog label,
+html.wv-dark-mode .wv-poll-option span {
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-poll-option:not(.wv-active) {
+    border-color: #475569 !important;
+}
+html.wv-dark-mode .wv-poll-option:not(.wv-active) .wv-poll-option-bar {
+    background: #334155 !important;
+}
+html.wv-dark-mode .wv-poll-option.wv-active .wv-poll-option-bar {
+    background: #1e3a8a !important;
+}
+html.wv-dark-mode .wv-poll-closed-badge {
+    background: #334155 !important;
+    color: #cbd5e1 !important;
+}
+html.wv-dark-mode .wv-poll-dialog .wv-poll-input,
+html.wv-dark-mode .wv-poll-dialog .wv-poll-cancel {
+    background: #0f172a !important;
+    border-color: #475569 !important;
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-poll-dialog-error {
+    background: #450a0a !important;
+    color: #fca5a5 !important;
+}
+html.wv-dark-mode .wv-favorites-poll-results-panel {
+    background: #1e293b !important;
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-poll-results-header,
+html.wv-dark-mode .wv-poll-results-footer {
+    background: #162032 !important;
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-poll-results-header h3,
+html.wv-dark-mode .wv-poll-results-item div[style*="color: #111827"],
+html.wv-dark-mode .wv-poll-results-option div[style*="color: #374151"] {
+    color: #f1f5f9 !important;
+}
+html.wv-dark-mode .wv-poll-results-item {
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-poll-results-item.wv-highlighted {
+    border-color: #3b82f6 !important;
+}
+html.wv-dark-mode .wv-poll-results-status:not(.wv-active) {
+    background: #334155 !important;
+    color: #cbd5e1 !important;
+}
+html.wv-dark-mode .wv-poll-results-status.wv-active {
+    background: #14532d !important;
+    color: #86efac !important;
+}
+html.wv-dark-mode .wv-poll-results-bar-track {
+    background: #334155 !important;
+}
+html.wv-dark-mode .wv-poll-results-voters {
+    color: #94a3b8 !important;
+}
+html.wv-dark-mode .wv-poll-results-export {
+    background: #0f172a !important;
+    border-color: #475569 !important;
+    color: #e2e8f0 !important;
+}
 
 /* ===== DRAFTS PANEL ===== */
 html.wv-dark-mode .wv-favorites-global-drafts-panel {
@@ -527,6 +778,144 @@ html.wv-dark-mode .wv-drafts-footer-clear-all {
     border-color: #7f1d1d !important;
     color: #fca5a5 !important;
 }
+html.wv-dark-mode .wv-drafts-scheduled {
+    border-bottom-color: #334155 !important;
+}
+html.wv-dark-mode .wv-scheduled-item {
+    background: #1e1b4b !important;
+    border-color: #3730a3 !important;
+}
+html.wv-dark-mode .wv-scheduled-item span[style*="color: #1e293b"] {
+    color: #f1f5f9 !important;
+}
+html.wv-dark-mode .wv-scheduled-action {
+    border-color: #475569 !important;
+}
+html.wv-dark-mode .wv-drafts-schedule-menu {
+    background: #1e293b !important;
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-drafts-schedule-option {
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-drafts-schedule-option:hover {
+    background: #334155 !important;
+}
+html.wv-dark-mode .wv-drafts-schedule-custom {
+    background: #0f172a !important;
+    border-color: #475569 !important;
+    color: #e2e8f0 !important;
+    color-scheme: dark;
+}
+html.wv-dark-mode .wv-drafts-history {
+    background: #1e293b !important;
+}
+html.wv-dark-mode .wv-drafts-history-header,
+html.wv-dark-mode .wv-drafts-history > div:last-child {
+    background: #162032 !important;
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-drafts-history-header div[style*="color: #111827"],
+html.wv-dark-mode .wv-drafts-history-entry span[style*="color: #1e293b"] {
+    color: #f1f5f9 !important;
+}
+html.wv-dark-mode .wv-drafts-history-timeline {
+    border-bottom-color: #334155 !important;
+}
+html.wv-dark-mode .wv-drafts-history-entry[style*="#ecfdf5"] {
+    background: #064e3b !important;
+}
+html.wv-dark-mode .wv-drafts-history-diff {
+    color: #cbd5e1 !important;
+}
+html.wv-dark-mode .wv-draft-diff-added {
+    background: #14532d !important;
+    color: #bbf7d0 !important;
+}
+html.wv-dark-mode .wv-draft-diff-removed {
+    background: #7f1d1d !important;
+    color: #fecaca !important;
+}
+html.wv-dark-mode .wv-drafts-history-compare[style*="background: white"] {
+    background: #0f172a !important;
+    border-color: #475569 !important;
+    color: #cbd5e1 !important;
+}
+html.wv-dark-mode .wv-drafts-sent {
+    background: #1e293b !important;
+}
+html.wv-dark-mode .wv-drafts-sent-header {
+    background: #162032 !important;
+    border-bottom-color: #334155 !important;
+}
+html.wv-dark-mode .wv-drafts-sent-header div[style*="color: #111827"],
+html.wv-dark-mode .wv-sent-item span[style*="color: #1e293b"] {
+    color: #f1f5f9 !important;
+}
+html.wv-dark-mode .wv-sent-item[style*="#e5e7eb"],
+html.wv-dark-mode .wv-sent-action {
+    border-color: #475569 !important;
+}
+html.wv-dark-mode .wv-sent-item[style*="#fecaca"] {
+    border-color: #7f1d1d !important;
+}
+html.wv-dark-mode .wv-drafts-snippets {
+    background: #1e293b !important;
+}
+html.wv-dark-mode .wv-drafts-snippets-header,
+html.wv-dark-mode .wv-drafts-snippets-footer {
+    background: #162032 !important;
+    border-color: #334155 !important;
+}
+html.wv-dark-mode .wv-drafts-snippets-header div[style*="color: #111827"],
+html.wv-dark-mode .wv-snippet-item span[style*="color: #1e293b"] {
+    color: #f1f5f9 !important;
+}
+html.wv-dark-mode .wv-drafts-snippets-hint,
+html.wv-dark-mode .wv-drafts-snippets-form {
+    border-color: #334155 !important;
+    color: #94a3b8 !important;
+}
+html.wv-dark-mode .wv-snippet-item,
+html.wv-dark-mode .wv-snippet-action,
+html.wv-dark-mode .wv-drafts-snippets-small {
+    border-color: #475569 !important;
+}
+html.wv-dark-mode .wv-drafts-snippets-name,
+html.wv-dark-mode .wv-drafts-snippets-body {
+    background: #0f172a !important;
+    border-color: #475569 !important;
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-drafts-search,
+html.wv-dark-mode .wv-drafts-sort,
+html.wv-dark-mode .wv-drafts-filter:not(.wv-active) {
+    background: #0f172a !important;
+    border-color: #475569 !important;
+    color: #cbd5e1 !important;
+}
+html.wv-dark-mode .wv-drafts-select-toggle,
+html.wv-dark-mode .wv-drafts-bulk-action {
+    border-color: #475569 !important;
+}
+html.wv-dark-mode .wv-drafts-bulkbar {
+    background: #0f172a !important;
+}
+html.wv-dark-mode .wv-drafts-bulk-count {
+    color: #e2e8f0 !important;
+}
+html.wv-dark-mode .wv-drafts-stale-banner {
+    background: #422006 !important;
+    border-color: #78350f !important;
+    color: #fde68a !important;
+}
+html.wv-dark-mode .wv-drafts-stale-banner button {
+    color: #fde68a !important;
+}
+html.wv-dark-mode .wv-favorites-draft-item.wv-draft-selected {
+    background: #064e3b !important;
+    border-color: #10b981 !important;
+}
 
 /* ===== SEARCH PANEL (header + footer) ===== */
 html.wv-dark-mode .wv-favorites-search-panel,
@@ -681,6 +1070,20 @@ html.wv-dark-mode #wv-schedule-meet-picker > button {
     color: #fff !important;
 }
 
+/* Calendar invite member checklist (schedule picker and confirm dialog) */
+html.wv-dark-mode .wv-meet-attendees span {
+    color: #cbd5e1 !important;
+}
+html.wv-dark-mode .wv-meet-attendees-list {
+    border-color: #334155 !important;
+}
+html.wv-dark-mode #wv-schedule-meet-picker .wv-meet-attendees .wv-meet-attendees-toggle,
+html.wv-dark-mode .wv-meet-attendees .wv-meet-attendees-toggle {
+    background: none !important;
+    border: none !important;
+    color: #60a5fa !important;
+}
+
 /* ===== SCROLLBARS ===== */
 html.wv-dark-mode * {
     scrollbar-color: #334155 transparent;
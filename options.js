@@ -99,10 +99,24 @@ class OptionsManager {
                 enableDrafts: true,
                 enableMentionsPanel: true,
                 enableThreadsPanel: true,
+                autoFollowThreads: true,
+                enableActivityPanel: true,
+                enableUpcomingMeetings: true,
                 enableSearchPanel: true,
                 enableStatusUpdates: true,
+                autoMeetingStatus: false,
+                meetingStatusIgnoreDeclined: true,
+                meetingStatusIgnoreAllDay: true,
+                meetingStatusIgnoreFocusTime: true,
                 enableQuickInfo: true,
+                enablePolls: true,
                 overrideSearchButton: true,
+                enableMessageIndex: true,
+                enableScheduledSend: true,
+                enableSnippets: true,
+                adasWindowSeconds: 60,
+                sentArchiveSize: 10,
+                staleDraftDays: 14,
                 showSnackbars: true,
                 windowsModifierKey: 'ctrl',
                 floatingWidgetEnabled: true,
@@ -115,7 +129,14 @@ class OptionsManager {
                 analyticsEnabled: false,
                 shareUsageData: false,
                 errorReporting: true,
-                darkTheme: 'auto'
+                darkTheme: 'auto',
+                keyboardShortcuts: {},
+                enableMentionNotifications: true,
+                mentionQuietHoursEnabled: false,
+                mentionQuietHoursStart: '22:00',
+                mentionQuietHoursEnd: '08:00',
+                mutedMentionChannels: [],
+                watchKeywords: []
             };
             this.settings = { ...defaultSettings, ...result.workvivoSettings };
             console.log('Options settings loaded:', this.settings);
@@ -126,10 +147,24 @@ class OptionsManager {
             document.getElementById('enableDrafts').checked = this.settings.enableDrafts !== false;
             document.getElementById('enableMentionsPanel').checked = this.settings.enableMentionsPanel !== false;
             document.getElementById('enableThreadsPanel').checked = this.settings.enableThreadsPanel !== false;
+            document.getElementById('autoFollowThreads').checked = this.settings.autoFollowThreads !== false;
+            document.getElementById('enableActivityPanel').checked = this.settings.enableActivityPanel !== false;
+            document.getElementById('enableUpcomingMeetings').checked = this.settings.enableUpcomingMeetings !== false;
             document.getElementById('enableSearchPanel').checked = this.settings.enableSearchPanel !== false;
             document.getElementById('enableStatusUpdates').checked = this.settings.enableStatusUpdates !== false;
+            document.getElementById('autoMeetingStatus').checked = this.settings.autoMeetingStatus === true;
+            document.getElementById('meetingStatusIgnoreDeclined').checked = this.settings.meetingStatusIgnoreDeclined !== false;
+            document.getElementById('meetingStatusIgnoreAllDay').checked = this.settings.meetingStatusIgnoreAllDay !== false;
+            document.getElementById('meetingStatusIgnoreFocusTime').checked = this.settings.meetingStatusIgnoreFocusTime !== false;
             document.getElementById('enableQuickInfo').checked = this.settings.enableQuickInfo !== false;
+            document.getElementById('enablePolls').checked = this.settings.enablePolls !== false;
             document.getElementById('overrideSearchButton').checked = this.settings.overrideSearchButton || false;
+            document.getElementById('enableMessageIndex').checked = this.settings.enableMessageIndex !== false;
+            document.getElementById('enableScheduledSend').checked = this.settings.enableScheduledSend !== false;
+            document.getElementById('enableSnippets').checked = this.settings.enableSnippets !== false;
+            document.getElementById('adasWindowSeconds').value = String(this.settings.adasWindowSeconds ?? 60);
+            document.getElementById('sentArchiveSize').value = String(this.settings.sentArchiveSize ?? 10);
+            document.getElementById('staleDraftDays').value = String(this.settings.staleDraftDays ?? 14);
             document.getElementById('showSnackbars').checked = this.settings.showSnackbars;
             document.getElementById('windowsModifierKey').value = this.settings.windowsModifierKey;
             document.getElementById('floatingWidgetEnabled').checked = this.settings.floatingWidgetEnabled;
@@ -164,6 +199,20 @@ class OptionsManager {
             document.getElementById('shareUsageData').checked = this.settings.shareUsageData;
             document.getElementById('errorReporting').checked = this.settings.errorReporting;
 
+            // Mention notifications
+            document.getElementById('enableMentionNotifications').checked = this.settings.enableMentionNotifications !== false;
+            document.getElementById('mentionQuietHoursEnabled').checked = this.settings.mentionQuietHoursEnabled || false;
+            document.getElementById('mentionQuietHoursStart').value = this.settings.mentionQuietHoursStart || '22:00';
+            document.getElementById('mentionQuietHoursEnd').value = this.settings.mentionQuietHoursEnd || '08:00';
+            this.renderMutedMentionChannels();
+
+            // Keyword alerts
+            document.getElementById('watchKeywords').value = (this.settings.watchKeywords || []).join('\n');
+            this.validateWatchKeywords();
+
+            // Keyboard shortcuts
+            this.renderShortcutEditor();
+
             // Update dependent options visibility
             this.updateSidebarOptionsVisibility();
 
@@ -272,10 +321,24 @@ class OptionsManager {
                 enableDrafts: document.getElementById('enableDrafts').checked,
                 enableMentionsPanel: document.getElementById('enableMentionsPanel').checked,
                 enableThreadsPanel: document.getElementById('enableThreadsPanel').checked,
+                autoFollowThreads: document.getElementById('autoFollowThreads').checked,
+                enableActivityPanel: document.getElementById('enableActivityPanel').checked,
+                enableUpcomingMeetings: document.getElementById('enableUpcomingMeetings').checked,
                 enableSearchPanel: document.getElementById('enableSearchPanel').checked,
                 enableStatusUpdates: document.getElementById('enableStatusUpdates').checked,
+                autoMeetingStatus: document.getElementById('autoMeetingStatus').checked,
+                meetingStatusIgnoreDeclined: document.getElementById('meetingStatusIgnoreDeclined').checked,
+                meetingStatusIgnoreAllDay: document.getElementById('meetingStatusIgnoreAllDay').checked,
+                meetingStatusIgnoreFocusTime: document.getElementById('meetingStatusIgnoreFocusTime').checked,
                 enableQuickInfo: document.getElementById('enableQuickInfo').checked,
+                enablePolls: document.getElementById('enablePolls').checked,
                 overrideSearchButton: document.getElementById('overrideSearchButton').checked,
+                enableMessageIndex: document.getElementById('enableMessageIndex').checked,
+                enableScheduledSend: document.getElementById('enableScheduledSend').checked,
+                enableSnippets: document.getElementById('enableSnippets').checked,
+                adasWindowSeconds: parseInt(document.getElementById('adasWindowSeconds').value, 10) || 60,
+                sentArchiveSize: parseInt(document.getElementById('sentArchiveSize').value, 10) || 0,
+                staleDraftDays: parseInt(document.getElementById('staleDraftDays').value, 10) || 0,
                 showSnackbars: document.getElementById('showSnackbars').checked,
                 windowsModifierKey: document.getElementById('windowsModifierKey').value,
                 floatingWidgetEnabled: document.getElementById('floatingWidgetEnabled').checked,
@@ -288,7 +351,14 @@ class OptionsManager {
                 googleMeetConfirmBeforeCreate: document.getElementById('googleMeetConfirmBeforeCreate')?.checked || false,
                 analyticsEnabled: document.getElementById('analyticsEnabled').checked,
                 shareUsageData: document.getElementById('shareUsageData').checked,
-                errorReporting: document.getElementById('errorReporting').checked
+                errorReporting: document.getElementById('errorReporting').checked,
+                keyboardShortcuts: this.settings.keyboardShortcuts || {},
+                enableMentionNotifications: document.getElementById('enableMentionNotifications').checked,
+                mentionQuietHoursEnabled: document.getElementById('mentionQuietHoursEnabled').checked,
+                mentionQuietHoursStart: document.getElementById('mentionQuietHoursStart').value || '22:00',
+                mentionQuietHoursEnd: document.getElementById('mentionQuietHoursEnd').value || '08:00',
+                mutedMentionChannels: this.settings.mutedMentionChannels || [],
+                watchKeywords: this.getWatchKeywords()
             };
 
             // Track settings changes
@@ -297,6 +367,7 @@ class OptionsManager {
             // Save settings directly
             await chrome.storage.sync.set({ workvivoSettings: settings });
             this.settings = settings;
+            this.renderShortcutEditor();
 
             // Notify content script of settings change - send to ALL WorkVivo tabs
             try {
@@ -539,8 +610,9 @@ class OptionsManager {
      */
     applyFscDisabledState(disabledNames) {
         const featureToggleMap = {
-            'Draft Messages':      ['enableDrafts', 'adasEnabled'],
-            'Availability Status': ['enableStatusUpdates'],
+            'Draft Messages':      ['enableDrafts', 'adasEnabled', 'adasWindowSeconds', 'enableScheduledSend', 'enableSnippets', 'sentArchiveSize', 'staleDraftDays'],
+            'Availability Status': ['enableStatusUpdates', 'autoMeetingStatus', 'meetingStatusIgnoreDeclined', 'meetingStatusIgnoreAllDay', 'meetingStatusIgnoreFocusTime'],
+            'Polls':               ['enablePolls'],
         };
 
         for (const [label, ids] of Object.entries(featureToggleMap)) {
@@ -647,6 +719,7 @@ class OptionsManager {
             draftManager: 'Draft Messages',
             statusManager: 'Availability Status',
             googleMeetManager: 'Google Meet Integration',
+            pollManager: 'Polls',
             floatingWidget: 'Floating Button',
             searchButtonOverride: 'Search Button Override'
         };
@@ -803,16 +876,37 @@ class OptionsManager {
                 enableDrafts: true,
                 enableMentionsPanel: true,
                 enableThreadsPanel: true,
+                autoFollowThreads: true,
+                enableActivityPanel: true,
+                enableUpcomingMeetings: true,
                 enableSearchPanel: true,
                 enableStatusUpdates: true,
+                autoMeetingStatus: false,
+                meetingStatusIgnoreDeclined: true,
+                meetingStatusIgnoreAllDay: true,
+                meetingStatusIgnoreFocusTime: true,
                 enableQuickInfo: true,
+                enablePolls: true,
                 overrideSearchButton: true,
+                enableMessageIndex: true,
+                enableScheduledSend: true,
+                enableSnippets: true,
+                adasWindowSeconds: 60,
+                sentArchiveSize: 10,
+                staleDraftDays: 14,
                 showSnackbars: true,
                 windowsModifierKey: 'ctrl',
                 floatingWidgetEnabled: true,
                 floatingWidgetFirstClick: 'recents',
                 floatingButtonColor: '#007ACC',
-                autoRedirectToChat: true
+                autoRedirectToChat: true,
+                keyboardShortcuts: {},
+                enableMentionNotifications: true,
+                mentionQuietHoursEnabled: false,
+                mentionQuietHoursStart: '22:00',
+                mentionQuietHoursEnd: '08:00',
+                mutedMentionChannels: [],
+                watchKeywords: []
             };
             await chrome.storage.sync.set({ workvivoSettings: defaultSettings });
             
@@ -1265,6 +1359,39 @@ class OptionsManager {
             });
         }
 
+        // Auto-save on quiet hours change
+        ['mentionQuietHoursStart', 'mentionQuietHoursEnd'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                this.saveSettings();
+            });
+        });
+
+        // Auto-save watch-list when the textarea loses focus
+        const watchKeywordsInput = document.getElementById('watchKeywords');
+        if (watchKeywordsInput) {
+            watchKeywordsInput.addEventListener('input', () => {
+                this.validateWatchKeywords();
+            });
+            watchKeywordsInput.addEventListener('change', () => {
+                this.saveSettings();
+            });
+        }
+
+        // Keyboard shortcut editor
+        const resetShortcutsBtn = document.getElementById('resetShortcutsBtn');
+        if (resetShortcutsBtn) {
+            resetShortcutsBtn.addEventListener('click', () => {
+                this.resetShortcuts();
+            });
+        }
+
+        // Capture the next key combination while recording a shortcut
+        document.addEventListener('keydown', (e) => {
+            if (this.recordingShortcut) {
+                this.handleShortcutRecordKey(e);
+            }
+        }, true);
+
         // Edit chat page URL button
         const editChatUrlBtn = document.getElementById('editChatUrlBtn');
         if (editChatUrlBtn) {
@@ -1282,6 +1409,260 @@ class OptionsManager {
         }
     }
     
+    // Keyboard Shortcut Editor
+
+    isMacPlatform() {
+        return navigator.userAgent.toLowerCase().indexOf('mac') >= 0;
+    }
+
+    isShortcutModifierPressed(e) {
+        if (this.isMacPlatform()) {
+            return e.metaKey;
+        }
+
+        switch (this.settings.windowsModifierKey || 'ctrl') {
+            case 'ctrl':
+                return e.ctrlKey;
+            case 'both':
+                return e.altKey || e.ctrlKey;
+            case 'alt':
+            default:
+                return e.altKey;
+        }
+    }
+
+    renderMutedMentionChannels() {
+        const listEl = document.getElementById('mutedMentionChannels');
+        if (!listEl) return;
+
+        const muted = this.settings.mutedMentionChannels || [];
+        listEl.innerHTML = '';
+
+        if (muted.length === 0) {
+            listEl.innerHTML = '<div style="font-size: 13px; color: #9ca3af;">No muted chats</div>';
+            return;
+        }
+
+        muted.forEach(channel => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid #e9ecef; font-size: 13px;';
+
+            const name = document.createElement('span');
+            name.textContent = channel.name || channel.channelUrl;
+            name.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap; color: #374151;';
+
+            const unmuteBtn = document.createElement('button');
+            unmuteBtn.className = 'button button-secondary-small';
+            unmuteBtn.textContent = '🔔 Unmute';
+            unmuteBtn.addEventListener('click', async () => {
+                this.settings.mutedMentionChannels = muted.filter(c => c.channelUrl !== channel.channelUrl);
+                await this.saveSettings();
+                this.renderMutedMentionChannels();
+            });
+
+            row.appendChild(name);
+            row.appendChild(unmuteBtn);
+            listEl.appendChild(row);
+        });
+    }
+
+    getWatchKeywords() {
+        const input = document.getElementById('watchKeywords');
+        if (!input) return this.settings.watchKeywords || [];
+
+        const entries = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+        return [...new Set(entries)];
+    }
+
+    /**
+     * Show entries the content script would skip (invalid regexes)
+     */
+    validateWatchKeywords() {
+        const errorsEl = document.getElementById('watchKeywordsErrors');
+        const watcher = window.WVFavs?.KeywordWatcher;
+        if (!errorsEl || !watcher) return;
+
+        const errors = [];
+        this.getWatchKeywords().forEach(entry => {
+            try {
+                watcher.compileEntry(entry);
+            } catch (error) {
+                errors.push(`${entry}: ${error.message}`);
+            }
+        });
+
+        errorsEl.textContent = errors.length > 0 ? `Invalid pattern, will be ignored — ${errors.join('; ')}` : '';
+        errorsEl.style.display = errors.length > 0 ? 'block' : 'none';
+    }
+
+    renderShortcutEditor() {
+        const registry = window.WVFavs?.ShortcutRegistry;
+        const listEl = document.getElementById('shortcutList');
+        if (!registry || !listEl) return;
+
+        const overrides = this.settings.keyboardShortcuts || {};
+        const bindings = registry.getAllBindings(overrides);
+        const conflicts = registry.getConflicts(overrides);
+        const isMac = this.isMacPlatform();
+        const modifier = this.settings.windowsModifierKey || 'ctrl';
+
+        listEl.innerHTML = '';
+        let currentCategory = null;
+
+        registry.actions.forEach(action => {
+            if (action.category !== currentCategory) {
+                currentCategory = action.category;
+                const categoryEl = document.createElement('div');
+                categoryEl.className = 'shortcut-category';
+                categoryEl.textContent = currentCategory;
+                listEl.appendChild(categoryEl);
+            }
+
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+
+            const label = document.createElement('div');
+            label.className = 'shortcut-label';
+            label.textContent = action.label;
+
+            const bindingsEl = document.createElement('div');
+            bindingsEl.className = 'shortcut-bindings';
+
+            if (bindings[action.id].length === 0) {
+                const empty = document.createElement('span');
+                empty.className = 'shortcut-empty';
+                empty.textContent = 'Not set';
+                bindingsEl.appendChild(empty);
+            }
+
+            bindings[action.id].forEach(binding => {
+                const conflict = conflicts.find(c => c.actionId === action.id && c.binding === binding);
+                const chip = document.createElement('span');
+                chip.className = conflict ? 'shortcut-chip conflict' : 'shortcut-chip';
+                chip.textContent = registry.formatBinding(binding, isMac, modifier);
+                if (conflict) {
+                    chip.title = `Conflicts with ${conflict.reason}`;
+                }
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'shortcut-chip-remove';
+                removeBtn.title = 'Remove shortcut';
+                removeBtn.textContent = '×';
+                removeBtn.addEventListener('click', () => {
+                    this.updateShortcutBindings(action.id, bindings[action.id].filter(b => b !== binding));
+                });
+
+                chip.appendChild(removeBtn);
+                bindingsEl.appendChild(chip);
+            });
+
+            const addBtn = document.createElement('button');
+            addBtn.className = 'shortcut-add-btn';
+            addBtn.textContent = '+ Add';
+            addBtn.addEventListener('click', () => {
+                this.startShortcutRecording(action.id, addBtn);
+            });
+            bindingsEl.appendChild(addBtn);
+
+            row.appendChild(label);
+            row.appendChild(bindingsEl);
+            listEl.appendChild(row);
+        });
+
+        const conflictsEl = document.getElementById('shortcutConflicts');
+        if (conflictsEl) {
+            if (conflicts.length > 0) {
+                conflictsEl.innerHTML = '';
+                const title = document.createElement('strong');
+                title.textContent = '⚠️ Conflicting shortcuts:';
+                conflictsEl.appendChild(title);
+
+                conflicts.forEach(conflict => {
+                    const line = document.createElement('div');
+                    line.textContent = `${registry.formatBinding(conflict.binding, isMac, modifier)} (${registry.getAction(conflict.actionId).label}) — ${conflict.reason}`;
+                    conflictsEl.appendChild(line);
+                });
+                conflictsEl.style.display = 'block';
+            } else {
+                conflictsEl.style.display = 'none';
+            }
+        }
+    }
+
+    startShortcutRecording(actionId, button) {
+        if (this.recordingShortcut) {
+            this.recordingShortcut.button.classList.remove('recording');
+            this.recordingShortcut.button.textContent = '+ Add';
+        }
+
+        this.recordingShortcut = { actionId, button };
+        button.classList.add('recording');
+        button.textContent = 'Press keys…';
+        button.blur();
+    }
+
+    async handleShortcutRecordKey(e) {
+        const registry = window.WVFavs?.ShortcutRegistry;
+        const { actionId, button } = this.recordingShortcut;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            this.recordingShortcut = null;
+            this.renderShortcutEditor();
+            return;
+        }
+
+        const binding = registry.bindingFromEvent(e, this.isShortcutModifierPressed(e));
+        if (!binding) {
+            return; // Wait for a non-modifier key
+        }
+
+        this.recordingShortcut = null;
+        button.classList.remove('recording');
+
+        if (!binding.startsWith('Mod+')) {
+            const modLabel = registry.formatModifier(this.isMacPlatform(), this.settings.windowsModifierKey);
+            this.showStatus(`⚠️ Shortcuts must include ${modLabel}`, 'error');
+            this.renderShortcutEditor();
+            return;
+        }
+
+        const current = registry.getBindings(actionId, this.settings.keyboardShortcuts || {});
+        if (current.includes(binding)) {
+            this.renderShortcutEditor();
+            return;
+        }
+
+        await this.updateShortcutBindings(actionId, [...current, binding]);
+
+        const reserved = registry.reservedBindings[binding];
+        if (reserved) {
+            this.showStatus(`⚠️ Saved, but this overrides ${reserved}`, 'error');
+        }
+    }
+
+    async updateShortcutBindings(actionId, bindings) {
+        this.settings.keyboardShortcuts = {
+            ...(this.settings.keyboardShortcuts || {}),
+            [actionId]: bindings
+        };
+
+        this.renderShortcutEditor();
+        await this.saveSettings();
+    }
+
+    async resetShortcuts() {
+        if (!confirm('Reset all keyboard shortcuts to their defaults?')) {
+            return;
+        }
+
+        this.settings.keyboardShortcuts = {};
+        this.renderShortcutEditor();
+        await this.saveSettings();
+    }
+
     showStatus(message, type) {
         const statusEl = document.getElementById('status');
         const statusText = document.getElementById('statusText');
@@ -178,6 +178,11 @@
                     response = setLexicalEditorState(data.editorState);
                     break;
 
+                case 'submitLexicalEditor':
+                    // Send whatever is in the active composer (scheduled send)
+                    response = submitLexicalEditor();
+                    break;
+
                 case 'getMessageFromReactTree':
                     // Get message data directly from React tree
                     response = getMessageFromReactTree(data.channelUrl, data.messageId);
@@ -198,6 +203,20 @@
                     response = await toggleWorkvivoPin();
                     break;
 
+                case 'getPollAPI':
+                case 'createPollAPI':
+                case 'sendPollMessageAPI':
+                case 'votePollAPI':
+                case 'closePollAPI':
+                case 'pollAPI':
+                    // Sendbird poll endpoints (PollManager) - same header auth as other Sendbird calls
+                    response = await makeSendbirdAPIRequest(data.url, {
+                        method: data.method,
+                        body: data.body,
+                        signal: abortController.signal
+                    });
+                    break;
+
                 default:
                     throw new Error(`Unknown action: ${action}`);
             }
@@ -309,6 +328,30 @@
         }));
     });
 
+    // Sendbird App ID for content scripts that build Sendbird URLs (PollManager)
+    document.addEventListener('wv-fav-appid-request', (event) => {
+        const { requestId } = event.detail;
+
+        let appId = null;
+        const baseUrlMatch = (window.__wvSendbirdBaseUrl || '').match(/api-([^.]+)\.sendbird\.com/);
+        if (baseUrlMatch) {
+            appId = baseUrlMatch[1];
+        } else {
+            const headers = window.__wvSendbirdHeaders || {};
+            const headerKey = Object.keys(headers).find(key => key.toLowerCase() === 'app-id');
+            appId = headerKey ? headers[headerKey] : null;
+        }
+
+        if (!appId) {
+            const entry = performance.getEntriesByType('resource').find(e => e.name.includes('sendbird.com/v3/'));
+            appId = entry?.name.match(/api-([^.]+)\.sendbird\.com/)?.[1] || null;
+        }
+
+        document.dispatchEvent(new CustomEvent('wv-fav-appid-response', {
+            detail: { requestId, appId }
+        }));
+    });
+
     // Extract CSRF tokens from the page
     function getCSRFTokens() {
         // Get CSRF token from meta tag
@@ -1895,6 +1938,45 @@
         }
     }
 
+    /**
+     * Submit the active composer by pressing Enter in it
+     * Lexical turns the keydown into KEY_ENTER_COMMAND, which WorkVivo handles as send
+     */
+    function submitLexicalEditor() {
+        try {
+            const editor = getLexicalEditor();
+            const rootElement = editor?.getRootElement();
+            if (!rootElement) {
+                return {
+                    success: false,
+                    error: 'Lexical editor not found'
+                };
+            }
+
+            rootElement.focus();
+            rootElement.dispatchEvent(new KeyboardEvent('keydown', {
+                key: 'Enter',
+                code: 'Enter',
+                keyCode: 13,
+                which: 13,
+                bubbles: true,
+                cancelable: true
+            }));
+
+            debugLog('📤 [page-script] Composer submitted');
+
+            return {
+                success: true
+            };
+        } catch (error) {
+            console.error('❌ [page-script] Error submitting editor:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Set Lexical editor state
      */
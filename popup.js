@@ -4,6 +4,7 @@ class PopupManager {
     constructor() {
         this.statistics = {};
         this.settings = null;
+        this.upcomingMeetings = [];
         this.init();
     }
     
@@ -36,6 +37,9 @@ class PopupManager {
         // Load Google OAuth status
         await this.loadGoogleAuthStatus();
 
+        // Load upcoming calendar meetings
+        await this.loadUpcomingMeetings();
+
         console.log('Popup ready');
     }
 
@@ -874,6 +878,187 @@ class PopupManager {
         }
     }
 
+    /**
+     * Load the next meetings from Google Calendar into the Upcoming section
+     * Hidden when Google Meet or the Upcoming view is turned off
+     */
+    async loadUpcomingMeetings() {
+        const section = document.getElementById('upcoming-section');
+        const list = document.getElementById('upcoming-list');
+        if (!section || !list) return;
+
+        if (this.settings.enableGoogleMeet === false || this.settings.enableUpcomingMeetings === false) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'GET_UPCOMING_MEETINGS',
+                options: { hoursAhead: 24, maxResults: 5 }
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Failed to load meetings');
+            }
+
+            if (!response.isSignedIn) {
+                this.showUpcomingHint('Sign in with Google under Google Meet Integration to see your meetings');
+                return;
+            }
+
+            this.upcomingMeetings = response.meetings || [];
+            this.renderUpcomingMeetings();
+        } catch (error) {
+            console.error('Error loading upcoming meetings:', error);
+            this.showUpcomingHint(error.message === 'PERMISSION_DENIED'
+                ? 'Calendar access not granted - sign out and sign in with Google again'
+                : 'Could not load your calendar');
+        }
+    }
+
+    showUpcomingHint(message) {
+        const list = document.getElementById('upcoming-list');
+        list.innerHTML = '';
+
+        const hint = document.createElement('div');
+        hint.className = 'upcoming-hint';
+        hint.textContent = message;
+        list.appendChild(hint);
+    }
+
+    renderUpcomingMeetings() {
+        const list = document.getElementById('upcoming-list');
+        const now = Date.now();
+
+        if (this.upcomingMeetings.length === 0) {
+            this.showUpcomingHint('No meetings in the next 24 hours');
+            return;
+        }
+
+        list.innerHTML = '';
+        this.upcomingMeetings.forEach(meeting => {
+            const start = new Date(meeting.start).getTime();
+            const end = new Date(meeting.end).getTime();
+            const inProgress = start <= now;
+
+            const item = document.createElement('div');
+            item.className = 'upcoming-item';
+            if (inProgress || start - now <= 10 * 60 * 1000) {
+                item.classList.add('soon');
+            }
+
+            const row = document.createElement('div');
+            row.className = 'upcoming-row';
+
+            const title = document.createElement('div');
+            title.className = 'upcoming-title';
+            title.textContent = meeting.title;
+            title.title = meeting.title;
+
+            const countdown = document.createElement('div');
+            countdown.className = 'upcoming-countdown';
+            countdown.textContent = this.formatMeetingCountdown(start, end, now);
+
+            row.appendChild(title);
+            row.appendChild(countdown);
+            item.appendChild(row);
+
+            const timeOptions = { hour: '2-digit', minute: '2-digit' };
+            const meta = document.createElement('div');
+            meta.className = 'upcoming-meta';
+            meta.textContent = `${new Date(start).toLocaleTimeString([], timeOptions)} – ${new Date(end).toLocaleTimeString([], timeOptions)}` +
+                (meeting.channelName ? ` · 💬 ${meeting.channelName}` : '');
+            item.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'upcoming-actions';
+
+            if (meeting.meetLink) {
+                const join = document.createElement('button');
+                join.className = 'btn btn-primary';
+                join.textContent = 'Join';
+                join.addEventListener('click', () => this.joinMeeting(meeting));
+                actions.appendChild(join);
+            }
+
+            if (meeting.channelUrl && !inProgress) {
+                const notify = document.createElement('button');
+                notify.className = 'btn btn-secondary';
+                notify.textContent = 'Post "joining in 2 min"';
+                notify.title = `Post in ${meeting.channelName || 'the chat this meeting was created from'}`;
+                notify.addEventListener('click', () => this.postJoiningNotice(meeting, notify));
+                actions.appendChild(notify);
+            }
+
+            if (actions.children.length > 0) {
+                item.appendChild(actions);
+            }
+
+            list.appendChild(item);
+        });
+    }
+
+    formatMeetingCountdown(start, end, now) {
+        if (start <= now) {
+            return `Now · ${Math.max(1, Math.round((end - now) / 60000))} min left`;
+        }
+
+        const minutes = Math.round((start - now) / 60000);
+        if (minutes < 1) return 'Starting';
+        if (minutes < 60) return `in ${minutes} min`;
+
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return rest ? `in ${hours} h ${rest} min` : `in ${hours} h`;
+    }
+
+    async joinMeeting(meeting) {
+        await this.trackEvent('popup_upcoming_meeting_joined', {});
+        await chrome.tabs.create({ url: meeting.meetLink });
+    }
+
+    /**
+     * Ask a WorkVivo tab (the active one if possible) to post "joining in 2 min"
+     * into the chat the meeting was created from
+     */
+    async postJoiningNotice(meeting, button) {
+        button.disabled = true;
+
+        try {
+            const tabs = await chrome.tabs.query({
+                url: ['*://*.workvivo.com/*', '*://*.workvivo.us/*', '*://*.workvivo.co/*', '*://*.workvivo.vn/*']
+            });
+            const tab = tabs.find(candidate => candidate.active) || tabs[0];
+
+            if (!tab) {
+                this.showError('Open WorkVivo to post in the chat');
+                return;
+            }
+
+            // Send before switching tabs - the popup closes once the tab takes focus
+            const pending = chrome.tabs.sendMessage(tab.id, {
+                action: 'postMeetingJoiningNotice',
+                meeting
+            });
+            await chrome.tabs.update(tab.id, { active: true });
+            const response = await pending;
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Could not post the message');
+            }
+
+            await this.trackEvent('popup_upcoming_notice_posted', { sent: !!response.sent });
+            this.showSuccess(response.sent ? 'Posted in chat' : 'Message added - press Enter to send');
+        } catch (error) {
+            console.error('Error posting joining notice:', error);
+            this.showError('Could not post in the chat');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
     /**
      * Track analytics events from popup
      * Device/geo data is added centrally by background script